@@ -0,0 +1,406 @@
+// offline-queue.js - 手机版离线提交队列（IndexedDB），页面和 Service Worker 共用
+// 每条记录以 localId 为键保存提交内容和同步状态；同步时整批提交，按服务器返回的逐条结果更新状态
+// 已在服务器上的记录同时保存服务器的版本（version）和当时的内容（base）：本机修改的字段带版本推送到 /api/sync，
+// 再从 /api/sync 拉取管理后台的修改和其他设备登记的记录
+(function (scope) {
+    const DB_NAME = 'zhongyuan-mobile';
+    const DB_VERSION = 1;
+    const RECORD_STORE = 'submissions';
+    const META_STORE = 'meta';
+
+    // 后台同步的标签
+    const SYNC_TAG = 'zhongyuan-submit';
+
+    // 每次最多推送的修改项数（与服务器的 SYNC_PUSH_LIMIT 相同）
+    const SYNC_PUSH_LIMIT = 500;
+
+    // 服务器已接收的状态：已新增、已存在、已加入服务器登记队列（服务器数据库不可用时）、与服务器一致（推送或拉取后）
+    const SYNCED_STATUSES = ['inserted', 'already-present', 'queued', 'synced'];
+
+    // 本机有未推送修改的状态：待推送，或与服务器上的修改冲突（再次同步时以本机的值推送）
+    const LOCAL_CHANGE_STATUSES = ['pending', 'syncing', 'modified', 'conflict'];
+
+    // 手机版可以修改的字段；项目变化时超荐方式和金额随项目一起推送
+    const EDITABLE_FIELDS = ['name', 'project', 'content', 'payment', 'contact'];
+    const PROJECT_FIELDS = ['method', 'amountTWD'];
+
+    // 本机保存的服务器记录字段
+    const RECORD_FIELDS = ['localId', 'name', 'project', 'method', 'amountTWD', 'amountRMB', 'content', 'payment', 'contact', 'campaign'];
+
+    // 等待提交的状态：待同步，或上次同步中途中断
+    const PENDING_STATUSES = ['pending', 'syncing'];
+
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(RECORD_STORE)) {
+                        db.createObjectStore(RECORD_STORE, { keyPath: 'localId' });
+                    }
+                    if (!db.objectStoreNames.contains(META_STORE)) {
+                        db.createObjectStore(META_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    // 在一个事务中执行 work(stores)，事务完成后返回 work 的结果
+    async function transaction(storeNames, mode, work) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+            Promise.resolve(work(...stores)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function getMeta(key) {
+        return transaction([META_STORE], 'readonly', store => requestResult(store.get(key)));
+    }
+
+    function setMeta(key, value) {
+        return transaction([META_STORE], 'readwrite', store => requestResult(store.put(value, key)));
+    }
+
+    // 服务器记录中本机保存的字段
+    function pickRecord(record) {
+        const picked = {};
+        RECORD_FIELDS.forEach(field => {
+            if (record[field] !== undefined) picked[field] = record[field];
+        });
+        return picked;
+    }
+
+    // record 相对 base 修改的字段 { field: value }，没有修改时返回 null
+    function changedFields(base, record) {
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if ((record[field] ?? '') !== (base[field] ?? '')) fields[field] = record[field] ?? '';
+        });
+        if ('project' in fields) {
+            PROJECT_FIELDS.forEach(field => {
+                fields[field] = record[field];
+            });
+        }
+        return Object.keys(fields).length > 0 ? fields : null;
+    }
+
+    // 所有记录的同步状态 [{ localId, record, status, error, fieldErrors, serverId, version, base, updatedAt }]
+    function getAll() {
+        return transaction([RECORD_STORE], 'readonly', store => requestResult(store.getAll()));
+    }
+
+    // 加入待同步的记录，返回加入（或更新）的条数
+    // 已被服务器接收的记录不再重复提交，除非 resubmit 为 true（服务器按 localId 去重，不会重复写入）
+    // 已知服务器版本的记录只推送本机修改的字段（状态为 modified）；冲突的记录再次同步时以本机的值推送
+    function enqueue(records, { resubmit = false } = {}) {
+        return transaction([RECORD_STORE], 'readwrite', async store => {
+            let queuedCount = 0;
+            for (const record of records) {
+                const existing = await requestResult(store.get(record.localId));
+                if (existing && existing.version) {
+                    // 已在服务器上删除的记录不再推送
+                    if (existing.status === 'deleted') continue;
+                    if (changedFields(existing.base, record) || existing.status === 'conflict') {
+                        store.put({
+                            ...existing,
+                            record,
+                            status: 'modified',
+                            error: undefined,
+                            fieldErrors: undefined,
+                            updatedAt: new Date().toISOString()
+                        });
+                        queuedCount += 1;
+                    }
+                    continue;
+                }
+                if (!resubmit && existing && SYNCED_STATUSES.includes(existing.status)) continue;
+
+                store.put({
+                    localId: record.localId,
+                    record,
+                    status: 'pending',
+                    updatedAt: new Date().toISOString()
+                });
+                queuedCount += 1;
+            }
+            return queuedCount;
+        });
+    }
+
+    // 删除记录的同步状态（清空本地数据时）
+    function clear() {
+        return transaction([RECORD_STORE], 'readwrite', store => requestResult(store.clear()));
+    }
+
+    // 同步设置：{ url, syncUrl, deviceId, deviceToken, timeout }，Service Worker 在后台同步时读取
+    // url 为提交新记录的地址，syncUrl 为推送修改和拉取变更的地址（须已登记设备）
+    function saveSettings(settings) {
+        return transaction([META_STORE], 'readwrite', store => requestResult(store.put(settings, 'settings')));
+    }
+
+    function getSettings() {
+        return transaction([META_STORE], 'readonly', store => requestResult(store.get('settings')));
+    }
+
+    // 按 localId 更新同步状态，返回更新后的条目；update 中没有的 version、base、record 等保留原值
+    function updateStatuses(updates) {
+        return transaction([RECORD_STORE], 'readwrite', async store => {
+            const updated = [];
+            for (const update of updates) {
+                const existing = await requestResult(store.get(update.localId));
+                if (!existing) continue;
+
+                const entry = {
+                    ...existing,
+                    error: undefined,
+                    fieldErrors: undefined,
+                    conflictingFields: undefined,
+                    serverRecord: undefined,
+                    ...update,
+                    updatedAt: new Date().toISOString()
+                };
+                store.put(entry);
+                updated.push(entry);
+            }
+            return updated;
+        });
+    }
+
+    function generateBatchId() {
+        return `mobile_batch_${new Date().getTime()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // 带超时和设备令牌发送请求，返回 { response, body }
+    // 网络错误、超时和 okStatuses 以外的错误状态抛出错误（设备未登记或已停用时为服务器返回的原因）
+    async function request(url, settings, { method = 'GET', body, okStatuses = [] } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), (settings.timeout || 30) * 1000);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    // 管理员登记本设备后取得的令牌
+                    ...(settings.deviceToken && { 'X-Device-Token': settings.deviceToken })
+                },
+                ...(body && { body: JSON.stringify(body) }),
+                signal: controller.signal
+            });
+
+            if (!response.ok && !okStatuses.includes(response.status)) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            return { response, body: await response.json() };
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error('请求超时') : error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // 提交所有待同步的新记录，返回 { submittedCount, updated }
+    // 网络错误或服务器暂时不可用时记录恢复为待同步并抛出错误
+    async function submitPending(settings) {
+        const pending = (await getAll()).filter(entry => PENDING_STATUSES.includes(entry.status));
+        if (pending.length === 0) {
+            return { submittedCount: 0, updated: [] };
+        }
+
+        await updateStatuses(pending.map(entry => ({ localId: entry.localId, status: 'syncing' })));
+
+        let result;
+        try {
+            // 数据校验未通过时返回逐条结果，重试也不会成功
+            ({ body: result } = await request(settings.url, settings, {
+                method: 'POST',
+                body: {
+                    data: pending.map(entry => entry.record),
+                    batchId: generateBatchId(),
+                    deviceId: settings.deviceId
+                },
+                okStatuses: [400]
+            }));
+        } catch (error) {
+            await updateStatuses(pending.map(entry => ({ localId: entry.localId, status: 'pending' })));
+            throw error;
+        }
+
+        const results = Array.isArray(result.results) ? result.results : [];
+        const byLocalId = new Map(results.filter(item => item.localId).map(item => [item.localId, item]));
+        const updated = await updateStatuses(pending.map(entry => {
+            const item = byLocalId.get(entry.localId);
+            if (!item) {
+                return { localId: entry.localId, status: 'pending' };
+            }
+            return {
+                localId: entry.localId,
+                status: item.status,
+                error: item.error,
+                fieldErrors: item.fieldErrors,
+                serverId: item.serverId,
+                // 新增的记录版本为 1，已存在的记录在下次拉取时得到服务器上的版本
+                ...(item.status === 'inserted' && { version: 1, base: pickRecord(entry.record) })
+            };
+        }));
+
+        return { submittedCount: pending.length, updated };
+    }
+
+    // 推送本机修改过的已同步记录（每次最多 SYNC_PUSH_LIMIT 项），返回更新后的条目
+    // 服务器上的版本已变化且值不同时为 conflict，附服务器上的记录供处理
+    async function pushModified(settings) {
+        const modified = (await getAll()).filter(entry => entry.status === 'modified');
+        const updated = [];
+
+        for (let start = 0; start < modified.length; start += SYNC_PUSH_LIMIT) {
+            const chunk = modified.slice(start, start + SYNC_PUSH_LIMIT);
+            const { body: result } = await request(settings.syncUrl, settings, {
+                method: 'POST',
+                body: {
+                    deviceId: settings.deviceId,
+                    changes: chunk.map(entry => ({
+                        localId: entry.localId,
+                        version: entry.version,
+                        fields: changedFields(entry.base, entry.record) || {}
+                    }))
+                }
+            });
+
+            const byLocalId = new Map(result.results.map(item => [item.localId, item]));
+            updated.push(...await updateStatuses(chunk.map(entry => {
+                const item = byLocalId.get(entry.localId);
+                if (!item) return { localId: entry.localId, status: 'modified' };
+
+                switch (item.status) {
+                    case 'applied':
+                    case 'unchanged': {
+                        const record = { ...entry.record, ...pickRecord(item.record) };
+                        return { localId: entry.localId, status: 'synced', version: item.version, base: pickRecord(item.record), record };
+                    }
+                    case 'conflict':
+                        // 以服务器上的版本为基准，再次同步时推送本机与服务器不同的值
+                        return {
+                            localId: entry.localId,
+                            status: 'conflict',
+                            version: item.version,
+                            base: pickRecord(item.record),
+                            serverRecord: pickRecord(item.record),
+                            conflictingFields: item.conflictingFields,
+                            error: '其他设备或管理后台已修改此记录'
+                        };
+                    case 'deleted':
+                        return { localId: entry.localId, status: 'deleted', error: '此记录已在服务器上删除' };
+                    case 'not-found':
+                        // 服务器上已没有该记录（永久删除），作为新记录重新提交
+                        return { localId: entry.localId, status: 'pending', version: undefined, base: undefined };
+                    default:
+                        return { localId: entry.localId, status: 'rejected', error: item.error, fieldErrors: item.fieldErrors };
+                }
+            })));
+        }
+
+        return updated;
+    }
+
+    // 拉取上次同步之后服务器上新增、修改和删除的记录，返回 { changed, deleted }（更新后的条目）
+    // 本机有未推送修改的记录不覆盖，推送时按版本检测冲突
+    async function pull(settings) {
+        const changed = [];
+        const deleted = [];
+        let cursor = await getMeta('syncCursor');
+
+        for (;;) {
+            const url = new URL(settings.syncUrl);
+            if (cursor) url.searchParams.set('since', cursor);
+            if (settings.deviceId) url.searchParams.set('deviceId', settings.deviceId);
+            const { body: result } = await request(url.toString(), settings);
+
+            await transaction([RECORD_STORE], 'readwrite', async store => {
+                const now = new Date().toISOString();
+                // 永久删除后又重新登记的 localId 先处理删除
+                for (const item of result.deleted) {
+                    const existing = await requestResult(store.get(item.localId));
+                    if (!existing || LOCAL_CHANGE_STATUSES.includes(existing.status)) continue;
+                    const entry = { ...existing, status: 'deleted', error: '此记录已在服务器上删除', updatedAt: now };
+                    store.put(entry);
+                    deleted.push(entry);
+                }
+                for (const record of result.changes) {
+                    const existing = await requestResult(store.get(record.localId));
+                    if (existing && LOCAL_CHANGE_STATUSES.includes(existing.status)) continue;
+                    const entry = {
+                        localId: record.localId,
+                        record: { ...(existing ? existing.record : {}), ...pickRecord(record) },
+                        status: 'synced',
+                        serverId: record.serverId,
+                        version: record.version,
+                        base: pickRecord(record),
+                        isNew: !existing,
+                        updatedAt: now
+                    };
+                    store.put(entry);
+                    changed.push(entry);
+                }
+            });
+
+            cursor = result.cursor;
+            await setMeta('syncCursor', cursor);
+            if (!result.hasMore) break;
+        }
+
+        return { changed, deleted };
+    }
+
+    // 同步：提交待同步的新记录，已登记的设备再推送本机的修改并拉取服务器上的变更
+    // 返回 { submittedCount, updated, pushedCount, pulled }；网络错误或服务器暂时不可用时抛出错误，由后台同步稍后重试
+    async function flush() {
+        const settings = await getSettings();
+        const result = { submittedCount: 0, updated: [], pushedCount: 0, pulled: { changed: [], deleted: [] } };
+        if (!settings) return result;
+
+        Object.assign(result, await submitPending(settings));
+        if (!settings.syncUrl || !settings.deviceToken) return result;
+
+        const pushed = await pushModified(settings);
+        result.pushedCount = pushed.length;
+        result.updated = [...result.updated, ...pushed];
+        result.pulled = await pull(settings);
+        return result;
+    }
+
+    scope.ZhongyuanOfflineQueue = {
+        SYNC_TAG,
+        SYNCED_STATUSES,
+        changedFields,
+        getAll,
+        enqueue,
+        clear,
+        saveSettings,
+        flush
+    };
+})(self);
@@ -0,0 +1,121 @@
+// sw.js - 手机版 Service Worker：缓存应用外壳和项目目录供离线使用，网络恢复后在后台提交待同步的登记数据
+importScripts('/offline-queue.js');
+
+const CACHE_VERSION = 'zhongyuan-mobile-v3';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const DATA_CACHE = `${CACHE_VERSION}-data`;
+
+// 应用外壳：离线时打开手机版所需的页面、脚本、图标和样式
+const SHELL_URLS = [
+    '/mobile.html',
+    '/offline-queue.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+// 项目目录和汇率：优先从网络获取，离线时使用上次的结果
+const DATA_PATHS = ['/api/projects', '/api/exchange-rates/current'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 清除旧版本的缓存
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !key.startsWith(`${CACHE_VERSION}-`)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (DATA_PATHS.some(path => url.pathname === path)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    // 手机版页面和外壳资源（含 Font Awesome 字体文件）：先用缓存，同时在后台更新
+    if (url.origin === self.location.origin && SHELL_URLS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    if (url.origin === 'https://cdnjs.cloudflare.com' && url.pathname.startsWith('/ajax/libs/font-awesome/')) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// 优先网络，网络失败或返回错误（如数据库不可用时的 503）时使用缓存
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            return response;
+        }
+        return (await cache.match(request)) || response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// 先返回缓存，同时从网络更新缓存；没有缓存时等待网络
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
+
+// 后台同步：网络恢复后提交待同步的记录、推送修改并拉取服务器上的变更，把逐条结果通知已打开的页面
+self.addEventListener('sync', event => {
+    if (event.tag !== ZhongyuanOfflineQueue.SYNC_TAG) return;
+    event.waitUntil(syncPendingSubmissions());
+});
+
+async function syncPendingSubmissions() {
+    let result;
+    try {
+        result = await ZhongyuanOfflineQueue.flush();
+    } catch (error) {
+        await notifyClients({ type: 'sync-failed', error: error.message });
+        // 抛出错误，由浏览器稍后重试
+        throw error;
+    }
+
+    const pulledCount = result.pulled.changed.length + result.pulled.deleted.length;
+    if (result.submittedCount > 0 || result.pushedCount > 0 || pulledCount > 0) {
+        await notifyClients({ type: 'sync-result', result });
+    }
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,109 @@
+// app.js - 创建 Express 应用：安全中间件、速率限制、静态页面、API 路由及降级模式
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const routes = require('./routes');
+const database = require('./database');
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+// 数据库不可用（降级模式）时仍可使用的接口：提交登记数据（写入本地队列）
+function isAvailableWhenDegraded(req) {
+  return req.method === 'POST' && req.path === '/api/records';
+}
+
+// 按 config 创建应用，不连接数据库也不监听端口
+function createApp(config) {
+  const app = express();
+
+  // 重要：添加信任代理设置（放在所有中间件之前）
+  app.set('trust proxy', 1); // 信任第一个代理
+
+  // 安全中间件
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+        fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+        imgSrc: ["'self'", "data:"],
+        // 手机版 Service Worker 需要缓存 Font Awesome 样式和字体
+        connectSrc: ["'self'", "https://cdnjs.cloudflare.com"]
+      }
+    }
+  }));
+
+  // CORS配置
+  app.use(cors({
+    origin: config.server.corsOrigin,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Token', 'Last-Event-ID']
+  }));
+
+  // 请求日志
+  app.use(morgan(config.server.env === 'development' ? 'dev' : 'combined'));
+
+  // 请求体解析
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // 速率限制
+  const limiter = rateLimit({
+    windowMs: config.server.rateLimit.windowMs,
+    max: config.server.rateLimit.max,
+    message: { error: '请求过于频繁，请稍后再试' }
+  });
+  app.use('/api/', limiter);
+
+  // 静态文件服务
+  app.use(express.static(PUBLIC_DIR));
+
+  // 降级模式：数据库不可用时除提交登记数据外的接口返回 503，不等待数据库连接超时
+  app.use((req, res, next) => {
+    if (!req.path.startsWith('/api/') || database.isConnected || isAvailableWhenDegraded(req)) return next();
+    res.status(503).json({
+      success: false,
+      degraded: true,
+      error: '数据库暂时不可用，目前只接受提交登记数据，请稍后再试'
+    });
+  });
+
+  // API路由
+  app.use('/', routes);
+
+  // 首页路由
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  // 管理后台（页面内登录，接口使用 Bearer 令牌）
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'fosheng.html'));
+  });
+
+  // 404处理
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: '请求的资源不存在'
+    });
+  });
+
+  // 错误处理中间件
+  app.use((err, req, res, next) => {
+    console.error('服务器错误:', err);
+    res.status(500).json({
+      success: false,
+      error: config.server.env === 'development' ? err.message : '服务器内部错误',
+      ...(config.server.env === 'development' && { stack: err.stack })
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
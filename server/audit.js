@@ -0,0 +1,174 @@
+// audit.js - 审计日志：每个修改数据的操作写入一条结构化的审计事件（操作、操作人及角色、IP、设备、对象、修改前后的差异）
+// 每条事件带有前一条事件的哈希（prevHash）和按内容计算的哈希（hash），连成 hash 链：
+// 修改、删除或插入任意一条都会使校验失败。GET /api/audit 查询，GET /api/audit/verify 或 npm run audit:verify 校验
+// 链尾被截断无法由链本身发现，可以定期记下校验结果中的 lastSeq 和 lastHash 与之后的结果比对
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { auditRepository } = require('./repositories');
+
+// 第一条事件的 prevHash
+const GENESIS_HASH = '0'.repeat(64);
+
+// 系统自动执行的操作（如清理回收站）的操作人
+const SYSTEM_ACTOR = { username: 'system', role: 'system', ip: null, deviceId: null };
+
+// 同一实例内按顺序追加；其他实例同时追加时 seq 重复，重新读取链尾后重试的次数
+const APPEND_RETRIES = 5;
+
+// 校验时每次读取的事件数
+const VERIFY_PAGE_SIZE = 500;
+
+// 去掉值为 undefined 的字段（MongoDB 会存为 null，使重新计算的哈希不同）
+function withoutUndefined(value) {
+  if (Array.isArray(value)) return value.map(item => (item === undefined ? null : withoutUndefined(item)));
+  if (!value || typeof value !== 'object' || value instanceof Date || value instanceof ObjectId) return value;
+  const result = {};
+  Object.keys(value).forEach(key => {
+    if (value[key] !== undefined) result[key] = withoutUndefined(value[key]);
+  });
+  return result;
+}
+
+// 计算哈希用的规范 JSON：字段按名称排序，日期为 ISO 文本，ObjectId 为十六进制文本
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof ObjectId) return JSON.stringify(value.toHexString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const fields = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 事件的哈希：除 _id 和 hash 以外的全部字段（包括 seq 和 prevHash）
+function hashEvent(event) {
+  const { _id, hash, ...content } = event;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// 由请求得出操作人：登录的账号及角色，提交登记数据的设备（设备令牌或请求中的 deviceId）
+function requestActor(req) {
+  const bodyDeviceId = req.body && typeof req.body.deviceId === 'string' ? req.body.deviceId : null;
+  return {
+    username: req.user ? req.user.username : null,
+    role: req.user ? req.user.role : req.device ? 'device' : 'anonymous',
+    ip: req.ip || null,
+    deviceId: req.device ? req.device.deviceId : bodyDeviceId
+  };
+}
+
+// 修改前后不同的字段，返回 [{ field, before, after }]；fields 默认为 after 中的全部字段
+function diffFields(before, after, fields = Object.keys(after)) {
+  return fields
+    .filter(field => canonicalJson(before[field]) !== canonicalJson(after[field]))
+    .map(field => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field]
+    }));
+}
+
+let appendQueue = Promise.resolve();
+
+async function appendChained(content, session) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await auditRepository.last({ session });
+    const event = { seq: last ? last.seq + 1 : 1, ...content, prevHash: last ? last.hash : GENESIS_HASH };
+    event.hash = hashEvent(event);
+    try {
+      await auditRepository.insert(event, { session });
+      return event;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= APPEND_RETRIES) throw error;
+    }
+  }
+}
+
+// 写入一条审计事件，返回写入的事件
+// actor 为 { username, role, ip, deviceId }（见 requestActor），action 为操作（如 record_delete），
+// target 为操作的对象 { type, id }，diff 为修改的字段（见 diffFields），details 为其他信息（如删除的条数）
+// 指定 session 时在该事务中写入，与修改一起提交或回滚；应作为事务中的最后一步，
+// 之后的操作出错回滚时其他请求可能已接在这条事件之后（内存存储没有读隔离）
+function recordAudit(actor, { action, target = null, diff = null, details = {} }, { session } = {}) {
+  const content = withoutUndefined({
+    timestamp: new Date(),
+    action,
+    username: actor.username || null,
+    role: actor.role || null,
+    ip: actor.ip || null,
+    deviceId: actor.deviceId || null,
+    target: target && { type: target.type, id: target.id === undefined || target.id === null ? null : String(target.id) },
+    diff,
+    details
+  });
+  const appended = appendQueue.then(() => appendChained(content, session));
+  appendQueue = appended.catch(() => {});
+  return appended;
+}
+
+// 按条件分页查询审计事件（最新的在前），返回 { events, totalCount }
+async function queryAudit({ page, limit, action, username, role, deviceId, targetType, targetId, startDate, endDate }) {
+  const query = {};
+  if (action) query.action = action;
+  if (username) query.username = username;
+  if (role) query.role = role;
+  if (deviceId) query.deviceId = deviceId;
+  if (targetType) query['target.type'] = targetType;
+  if (targetId) query['target.id'] = targetId;
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = startDate;
+    if (endDate) query.timestamp.$lte = endDate;
+  }
+
+  const [events, totalCount] = await Promise.all([
+    auditRepository.find(query, { skip: (page - 1) * limit, limit, projection: { _id: 0 } }),
+    auditRepository.count(query)
+  ]);
+  return { events, totalCount };
+}
+
+// 从第一条起按 seq 顺序校验整条 hash 链
+// 返回 { valid, checkedCount, lastSeq, lastHash }，不通过时 error 为 { seq, reason }（第一处不一致）
+async function verifyAuditChain() {
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checkedCount = 0;
+
+  for (;;) {
+    const events = await auditRepository.find(
+      { seq: { $gte: expectedSeq } },
+      { sort: { seq: 1 }, limit: VERIFY_PAGE_SIZE }
+    );
+    for (const event of events) {
+      let reason = null;
+      if (event.seq !== expectedSeq) {
+        reason = `缺少第 ${expectedSeq} 条事件`;
+      } else if (event.prevHash !== prevHash) {
+        reason = 'prevHash 与前一条事件的哈希不一致';
+      } else if (event.hash !== hashEvent(event)) {
+        reason = '事件内容与哈希不一致';
+      }
+      if (reason) {
+        return { valid: false, checkedCount, lastSeq: expectedSeq - 1, lastHash: prevHash, error: { seq: expectedSeq, reason } };
+      }
+      checkedCount += 1;
+      expectedSeq += 1;
+      prevHash = event.hash;
+    }
+    if (events.length < VERIFY_PAGE_SIZE) break;
+  }
+
+  return { valid: true, checkedCount, lastSeq: expectedSeq - 1, lastHash: prevHash };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  requestActor,
+  diffFields,
+  recordAudit,
+  queryAudit,
+  verifyAuditChain
+};
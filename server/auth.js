@@ -0,0 +1,117 @@
+// auth.js - 管理员登录、令牌签发与角色权限
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const config = require('./config');
+const database = require('./database');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// 角色按权限由低到高排列，高权限角色包含低权限角色的全部权限
+const ROLES = ['viewer', 'registrar', 'treasurer', 'admin'];
+
+// 签发访问令牌，jti 用于登出时吊销
+function signToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), username: user.username, role: user.role },
+    config.security.jwtSecret,
+    { expiresIn: config.security.tokenExpiresIn, jwtid: crypto.randomUUID() }
+  );
+}
+
+// 返回可以公开给客户端的用户信息
+function publicUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    active: user.active !== false,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt
+  };
+}
+
+// 校验 Authorization: Bearer <token>，通过后设置 req.user
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: '请先登录'
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, config.security.jwtSecret);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: '登录已失效，请重新登录'
+    });
+  }
+
+  try {
+    await database.connect();
+    if (await database.revokedTokens().findOne({ jti: payload.jti })) {
+      return res.status(401).json({
+        success: false,
+        error: '登录已失效，请重新登录'
+      });
+    }
+
+    // 以数据库中的账号状态为准，停用或改角色后立即生效
+    const user = await database.adminUsers().findOne({ _id: new ObjectId(payload.sub) });
+    if (!user || user.active === false) {
+      return res.status(401).json({
+        success: false,
+        error: '账号已停用'
+      });
+    }
+
+    req.user = {
+      id: payload.sub,
+      username: user.username,
+      role: user.role,
+      jti: payload.jti,
+      exp: payload.exp
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// 已登录的会话是否仍可使用：令牌未注销且账号未停用（用于长时间保持的连接，如 GET /api/events）
+async function isSessionActive(user) {
+  if (await database.revokedTokens().findOne({ jti: user.jti })) return false;
+  const account = await database.adminUsers().findOne({ _id: new ObjectId(user.id) });
+  return Boolean(account && account.active !== false);
+}
+
+// 要求当前用户的角色不低于 role
+function requireRole(role) {
+  const minLevel = ROLES.indexOf(role);
+
+  return [authenticate, (req, res, next) => {
+    if (ROLES.indexOf(req.user.role) < minLevel) {
+      return res.status(403).json({
+        success: false,
+        error: '权限不足'
+      });
+    }
+    next();
+  }];
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  publicUser,
+  authenticate,
+  isSessionActive,
+  requireRole
+};
@@ -0,0 +1,208 @@
+// batches.js - 提交批次：每次提交（或导入）的记录共用一个 batchId，批次的设备、记录数和金额由记录汇总得出
+// 登记员核对义工交来的批次后可以锁定（之后批次中的记录不能修改、删除，也不能再加入记录），
+// 可以把批次改归属到另一台设备或另一位义工，也可以作废整个批次（记录移入回收站，批次保留汇总供查账）
+const database = require('./database');
+const { batchRepository, recordRepository } = require('./repositories');
+const { publishRecordsDeleted } = require('./events');
+
+// 批次状态：open 可修改，locked 已锁定，void 已作废
+const BATCH_STATUS_LABELS = { open: '未锁定', locked: '已锁定', void: '已作废' };
+
+// 按 GET /api/batches 的筛选参数（已经过 BATCH_QUERY_SCHEMA 校验）构建记录的查询条件
+function buildBatchRecordQuery(params) {
+  const query = {};
+  if (params.campaign) query.campaign = params.campaign;
+  if (params.deviceId) query.deviceId = params.deviceId;
+  if (params.startDate || params.endDate) {
+    query.submittedAt = {};
+    if (params.startDate) query.submittedAt.$gte = params.startDate;
+    if (params.endDate) query.submittedAt.$lte = params.endDate;
+  }
+  return query;
+}
+
+// 合并记录汇总、批次管理信息和设备，返回批次的公开信息
+// 已作废的批次的记录在回收站中，汇总取作废时保存的数据
+function batchView(summary, meta, devices) {
+  const source = (meta && meta.status === 'void' && meta.summary) || summary;
+  const device = devices.get(source.deviceId);
+  return {
+    batchId: source.batchId,
+    status: (meta && meta.status) || 'open',
+    deviceId: source.deviceId || null,
+    device: device ? { label: device.label, operator: device.operator, status: device.status } : null,
+    // 改归属时指定的义工优先于设备的使用人
+    operator: (meta && meta.operator) || (device && device.operator) || null,
+    campaign: source.campaign || null,
+    recordCount: source.recordCount,
+    totals: {
+      amountTWD: source.amountTWD,
+      amountRMB: Math.round(source.amountRMB * 100) / 100,
+      paidAmountTWD: source.paidAmountTWD
+    },
+    submittedAt: source.submittedAt,
+    lastSubmittedAt: source.lastSubmittedAt,
+    lockedAt: (meta && meta.lockedAt) || null,
+    lockedBy: (meta && meta.lockedBy) || null,
+    voidedAt: (meta && meta.voidedAt) || null,
+    voidedBy: (meta && meta.voidedBy) || null,
+    voidReason: (meta && meta.voidReason) || null,
+    history: (meta && meta.history) || []
+  };
+}
+
+// 按 deviceId 读取登记的设备
+async function loadDevices(deviceIds) {
+  const ids = [...new Set(deviceIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+  const devices = await database.devices().find({ deviceId: { $in: ids } }).toArray();
+  return new Map(devices.map(device => [device.deviceId, device]));
+}
+
+// 作废的批次是否符合筛选条件（按作废时保存的汇总判断）
+function voidedBatchMatches(summary, params) {
+  if (params.campaign && summary.campaign !== params.campaign) return false;
+  if (params.deviceId && summary.deviceId !== params.deviceId) return false;
+  if (params.startDate && summary.lastSubmittedAt < params.startDate) return false;
+  if (params.endDate && summary.submittedAt > params.endDate) return false;
+  return true;
+}
+
+// 批次列表，按提交时间从新到旧排序并分页，返回 { batches, totalCount }
+async function listBatches(params) {
+  const summaries = await batchRepository.summaries({ ...buildBatchRecordQuery(params), deletedAt: null });
+  const batchIds = summaries.map(summary => summary.batchId);
+  const metas = await batchRepository.findMetas({ $or: [{ batchId: { $in: batchIds } }, { status: 'void' }] });
+  const metaById = new Map(metas.map(meta => [meta.batchId, meta]));
+
+  const voided = metas.filter(meta => meta.status === 'void' && meta.summary && voidedBatchMatches(meta.summary, params));
+  const devices = await loadDevices([...summaries, ...voided.map(meta => meta.summary)].map(summary => summary.deviceId));
+
+  const batches = [
+    ...summaries.filter(summary => !voided.some(meta => meta.batchId === summary.batchId)),
+    ...voided.map(meta => meta.summary)
+  ]
+    .map(summary => batchView(summary, metaById.get(summary.batchId), devices))
+    .filter(batch => !params.status || batch.status === params.status)
+    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+
+  const start = (params.page - 1) * params.limit;
+  return { batches: batches.slice(start, start + params.limit), totalCount: batches.length };
+}
+
+// 读取一个批次及其记录，批次不存在时返回 null；已作废的批次返回作废时移入回收站的记录
+async function getBatch(batchId) {
+  const meta = await batchRepository.findMeta(batchId);
+  const voided = meta && meta.status === 'void';
+  const [summary] = voided ? [meta.summary] : await batchRepository.summaries({ batchId, deletedAt: null });
+  if (!summary) return null;
+
+  const records = await batchRepository.records(batchId, voided ? { deletedAt: { $ne: null } } : { deletedAt: null });
+  const devices = await loadDevices([summary.deviceId]);
+  return { batch: batchView(summary, meta, devices), records };
+}
+
+// 读取批次的当前状态，返回 { meta, summary }：meta 为管理信息（没有时为 null），summary 为不在回收站中的记录的汇总（没有时为 null）
+async function loadBatchState(batchId) {
+  const [meta, [summary]] = await Promise.all([
+    batchRepository.findMeta(batchId),
+    batchRepository.summaries({ batchId, deletedAt: null })
+  ]);
+  return { meta, summary: summary || null };
+}
+
+// 一条操作记录，保存在批次的 history 中
+function historyEntry(action, user, details = {}) {
+  return { action, ...details, username: user.username, at: new Date() };
+}
+
+// 以下操作的 state 为 loadBatchState 的结果，调用前已确认批次存在且未作废
+
+// 锁定批次，返回锁定后的批次
+async function lockBatch(state, user) {
+  const { summary } = state;
+  const { batchId } = summary;
+  const now = new Date();
+  const updated = await batchRepository.updateMeta(batchId, {
+    $set: { status: 'locked', lockedAt: now, lockedBy: user.username, updatedAt: now },
+    $push: { history: historyEntry('lock', user, { recordCount: summary.recordCount }) }
+  });
+  return batchView(summary, updated, await loadDevices([summary.deviceId]));
+}
+
+// 解除锁定，返回解除后的批次
+async function unlockBatch(state, user) {
+  const { summary } = state;
+  const { batchId } = summary;
+  const updated = await batchRepository.updateMeta(batchId, {
+    $set: { status: 'open', updatedAt: new Date() },
+    $unset: { lockedAt: '', lockedBy: '' },
+    $push: { history: historyEntry('unlock', user) }
+  });
+  return batchView(summary, updated, await loadDevices([summary.deviceId]));
+}
+
+// 改归属：deviceId 为登记的另一台设备（调用前已确认存在，批次中的记录一并修改），
+// operator 为交来批次的义工（空字符串表示按设备的使用人）；返回 { batch, updatedCount }
+async function reattributeBatch(state, { deviceId, operator }, user) {
+  const { meta, summary } = state;
+  const { batchId } = summary;
+
+  let updatedCount = 0;
+  if (deviceId && deviceId !== summary.deviceId) {
+    const result = await recordRepository.updateMany(
+      { batchId, deletedAt: null },
+      { $set: { deviceId, updatedAt: new Date() } }
+    );
+    updatedCount = result.modifiedCount;
+  }
+
+  const operatorBefore = (meta && meta.operator) || null;
+  const operatorAfter = operator === undefined ? operatorBefore : operator || null;
+  const updated = await batchRepository.updateMeta(batchId, {
+    $set: { operator: operatorAfter, updatedAt: new Date() },
+    $push: {
+      history: historyEntry('reattribute', user, {
+        from: { deviceId: summary.deviceId || null, operator: operatorBefore },
+        to: { deviceId: deviceId || summary.deviceId || null, operator: operatorAfter }
+      })
+    }
+  });
+
+  const current = { ...summary, deviceId: deviceId || summary.deviceId };
+  return { batch: batchView(current, updated, await loadDevices([current.deviceId])), updatedCount };
+}
+
+// 作废批次：记录移入回收站，批次保留作废时的汇总；返回 { batch, voidedCount }
+async function voidBatch(state, reason, user) {
+  const { summary } = state;
+  const { batchId } = summary;
+  const voiding = await recordRepository.find({ batchId, deletedAt: null });
+  const voidedCount = await batchRepository.softDelete(batchId, user.username);
+  publishRecordsDeleted(voiding);
+  const now = new Date();
+  const updated = await batchRepository.updateMeta(batchId, {
+    $set: { status: 'void', voidedAt: now, voidedBy: user.username, voidReason: reason, summary, updatedAt: now },
+    $push: { history: historyEntry('void', user, { reason, recordCount: voidedCount }) }
+  });
+  return { batch: batchView(summary, updated, await loadDevices([summary.deviceId])), voidedCount };
+}
+
+// 批次已锁定或作废时返回不能修改的原因，否则返回 null
+async function batchClosedError(batchId) {
+  if (!batchId) return null;
+  const meta = await batchRepository.findMeta(batchId);
+  if (!meta || meta.status === 'open') return null;
+  return `批次 ${batchId} ${BATCH_STATUS_LABELS[meta.status]}，不能修改`;
+}
+
+module.exports = {
+  listBatches,
+  getBatch,
+  loadBatchState,
+  lockBatch,
+  unlockBatch,
+  reattributeBatch,
+  voidBatch,
+  batchClosedError
+};
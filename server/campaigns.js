@@ -0,0 +1,91 @@
+// campaigns.js - 法会（每年一届的中元法会等），登记记录按法会代码归属
+// 法会代码只能由字母、数字、下划线和连字符组成，创建后不能修改
+const CAMPAIGN_CODE_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+const CAMPAIGN_STATUSES = ['open', 'closed'];
+
+// 某一年的默认法会，用于首次启动时为已有记录建立法会
+function defaultCampaign(year, status) {
+  return {
+    code: String(year),
+    name: `${year}年中元法会`,
+    startDate: new Date(Date.UTC(year, 0, 1)),
+    endDate: new Date(Date.UTC(year + 1, 0, 1) - 1),
+    status,
+    projects: []
+  };
+}
+
+// 整理客户端提交的法会数据，返回 { campaign } 或 { error }
+// projects 为本届法会提供的护持项目名称，空数组表示项目目录中的全部项目
+function normalizeCampaign(input, { partial = false } = {}) {
+  const campaign = {};
+
+  if (!partial) {
+    const code = typeof input.code === 'string' ? input.code.trim() : String(input.code || '');
+    if (!CAMPAIGN_CODE_PATTERN.test(code)) {
+      return { error: '法会代码只能包含字母、数字、下划线和连字符' };
+    }
+    campaign.code = code;
+  }
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { error: '法会名称不能为空' };
+    campaign.name = name;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null || input[field] === '') {
+      campaign[field] = null;
+      continue;
+    }
+    const date = new Date(input[field]);
+    if (isNaN(date.getTime())) return { error: `${field === 'startDate' ? '开始' : '结束'}日期无效` };
+    campaign[field] = date;
+  }
+
+  if (campaign.startDate && campaign.endDate && campaign.startDate > campaign.endDate) {
+    return { error: '开始日期不能晚于结束日期' };
+  }
+
+  if (input.status !== undefined || !partial) {
+    const status = input.status === undefined ? 'open' : input.status;
+    if (!CAMPAIGN_STATUSES.includes(status)) return { error: '法会状态必须为 open 或 closed' };
+    campaign.status = status;
+  }
+
+  if (input.projects !== undefined || !partial) {
+    const projects = input.projects === undefined ? [] : input.projects;
+    if (!Array.isArray(projects) || projects.some(project => typeof project !== 'string')) {
+      return { error: '护持项目必须为项目名称列表' };
+    }
+    campaign.projects = [...new Set(projects.map(project => project.trim()).filter(Boolean))];
+  }
+
+  return { campaign };
+}
+
+// 法会当前是否接受登记：状态为 open 且在日期范围内
+function isAcceptingRegistrations(campaign, now = new Date()) {
+  if (campaign.status !== 'open') return false;
+  if (campaign.startDate && now < campaign.startDate) return false;
+  if (campaign.endDate && now > campaign.endDate) return false;
+  return true;
+}
+
+// 检查登记记录的护持项目是否在法会提供的项目中，通过时返回 null，否则返回 { field, error }
+function checkRecordAgainstCampaign(record, campaign) {
+  if (campaign.projects && campaign.projects.length > 0 && !campaign.projects.includes(record.project)) {
+    return { field: 'project', error: `${campaign.name}没有护持项目: ${record.project}` };
+  }
+  return null;
+}
+
+module.exports = {
+  defaultCampaign,
+  normalizeCampaign,
+  isAcceptingRegistrations,
+  checkRecordAgainstCampaign
+};
@@ -1,5 +1,8 @@
 require('dotenv').config();
 
+// 只有本地开发和测试可以使用内置的默认密钥和管理员密码，其他环境（production 等）必须明确配置
+const allowDefaultSecrets = ['development', 'test'].includes(process.env.NODE_ENV || 'development');
+
 const config = {
   // MongoDB配置
   mongodb: {
@@ -14,21 +17,99 @@ const config = {
     }
   },
   
+  // 数据存储：默认为 mongodb（须配置 MONGODB_URI，未配置时拒绝启动），本地开发和离线使用时
+  // 可明确设置 STORAGE_DRIVER 为 memory（只在内存中，重启后清空）或 file（保存为 JSON 文件）
+  // 不因漏配 MONGODB_URI 而改用 file：Render 等平台的磁盘在重新部署时清空，登记数据会丢失
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'mongodb',
+    filePath: process.env.STORAGE_FILE || 'data/zhongyuan_db.json'
+  },
+  
+  // 降级模式：数据库不可用时登记数据先写入本地队列文件，每隔 retryIntervalMs 重试连接并补写
+  queue: {
+    filePath: process.env.SUBMISSION_QUEUE_FILE || 'data/pending_submissions.jsonl',
+    retryIntervalMs: parseInt(process.env.DB_RETRY_INTERVAL_MS) || 15 * 1000
+  },
+  
 // 服务器配置
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
     corsOrigin: process.env.CORS_ORIGIN || '*',
+    // 按哪个时区划分日期和年度（收据年度、法会年度等）
+    timeZone: process.env.TIMEZONE || 'Asia/Taipei',
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
       max: parseInt(process.env.RATE_LIMIT_MAX) || 100
     }
   },
   
-  // 安全配置
+  // 登记设备：requireToken 为 true 时提交登记数据须附带管理员登记的设备令牌（请求头 X-Device-Token），
+  // 或以登记员以上的账号登录；登记码在 enrollmentCodeTtlHours 小时内有效，只能使用一次
+  // publicUrl 为设备扫码后打开的网址前缀，未配置时按请求的地址生成
+  devices: {
+    requireToken: process.env.REQUIRE_DEVICE_TOKEN !== 'false',
+    enrollmentCodeTtlHours: parseInt(process.env.DEVICE_ENROLLMENT_TTL_HOURS) || 24,
+    publicUrl: process.env.PUBLIC_URL || ''
+  },
+  
+  // 管理后台实时更新（GET /api/events）：内存中保留最近 bufferSize 个事件供断线重连补发，
+  // 每隔 heartbeatMs 发送心跳，retryMs 为浏览器断线后重连的等待时间
+  events: {
+    bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE) || 1000,
+    heartbeatMs: parseInt(process.env.EVENT_HEARTBEAT_MS) || 25 * 1000,
+    retryMs: parseInt(process.env.EVENT_RETRY_MS) || 3 * 1000
+  },
+  
+  // 对外通知（webhook）：每隔 pollIntervalMs 检查到期的通知，每次请求最多等待 timeoutMs；
+  // 发送失败后等待 retryBaseMs 重试，之后每次加倍（最长 retryMaxMs），共尝试 maxAttempts 次
+  webhooks: {
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000
+  },
+  
+  // 回收站配置：删除的记录保留天数及清理间隔
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000
+  },
+  
+  // 批量导入配置：上传文件大小上限（字节）
+  import: {
+    maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024
+  },
+  
+  // PDF（莲位、收据）配置：中文字体文件路径，.ttc 字体集需同时指定字体名称
+  pdf: {
+    fontPath: process.env.PDF_FONT_PATH || '',
+    fontFamily: process.env.PDF_FONT_FAMILY || ''
+  },
+  
+  // 收据配置
+  receipts: {
+    title: process.env.RECEIPT_TITLE || '中元法会护持收据'
+  },
+  
+  // 发送收据的邮件服务，未配置 SMTP_HOST 时不能发送邮件
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.SMTP_FROM || ''
+  },
+  
+  // 安全配置：JWT_SECRET 和 ADMIN_PASSWORD 在开发和测试以外的环境中没有默认值，未配置时拒绝启动
   security: {
-    jwtSecret: process.env.JWT_SECRET || 'zhongyuan_secret_key',
-    adminPassword: process.env.ADMIN_PASSWORD || 'admin123'
+    jwtSecret: process.env.JWT_SECRET || (allowDefaultSecrets ? 'zhongyuan_secret_key' : ''),
+    tokenExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+    // 首次启动时创建的管理员账号
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || (allowDefaultSecrets ? 'admin123' : '')
   }
 };
 
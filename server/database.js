@@ -1,5 +1,36 @@
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const { 
+  MongoClient, 
+  MongoNetworkError, 
+  MongoServerSelectionError, 
+  MongoNotConnectedError, 
+  MongoTopologyClosedError 
+} = require('mongodb');
 const config = require('./config');
+const { MemoryClient } = require('./memoryDb');
+const { DEFAULT_PROJECTS } = require('./projects');
+const { DEFAULT_EXCHANGE_RATE } = require('./exchangeRates');
+const { hashPassword } = require('./passwords');
+const { defaultCampaign } = require('./campaigns');
+
+const STORAGE_NAMES = {
+  mongodb: 'MongoDB',
+  memory: '内存存储',
+  file: `文件存储（${config.storage.filePath}）`
+};
+
+// 按 config.storage.driver 创建客户端，内嵌存储与 MongoClient 接口相同
+function createClient() {
+  switch (config.storage.driver) {
+    case 'mongodb':
+      return new MongoClient(config.mongodb.uri, config.mongodb.options);
+    case 'memory':
+      return new MemoryClient();
+    case 'file':
+      return new MemoryClient({ filePath: config.storage.filePath });
+    default:
+      throw new Error(`未知的存储类型: ${config.storage.driver}`);
+  }
+}
 
 class Database {
   constructor() {
@@ -12,24 +43,46 @@ class Database {
     try {
       if (this.isConnected) return this.db;
       
-      this.client = new MongoClient(config.mongodb.uri, config.mongodb.options);
+      this.client = createClient();
       await this.client.connect();
       
       this.db = this.client.db(config.mongodb.database);
       this.isConnected = true;
       
-      console.log('✅ MongoDB连接成功');
+      console.log(`✅ ${STORAGE_NAMES[config.storage.driver]}连接成功`);
       
       // 创建索引
       await this.createIndexes();
+      await this.backfillRecordVersions();
+      
+      // 初始化项目目录、汇率表、管理员账号和法会
+      await this.seedProjects();
+      await this.seedExchangeRates();
+      await this.seedAdminUser();
+      await this.seedCampaigns();
       
       return this.db;
     } catch (error) {
-      console.error('❌ MongoDB连接失败:', error);
+      console.error(`❌ ${STORAGE_NAMES[config.storage.driver]}连接失败:`, error);
+      // 关闭连接失败的客户端，下次 connect() 重新创建
+      this.isConnected = false;
+      this.db = null;
+      if (this.client) {
+        await this.client.close().catch(() => {});
+        this.client = null;
+      }
       throw error;
     }
   }
 
+  // 是否为数据库不可用（网络中断、无法选择服务器等）引起的错误，这类错误在数据库恢复后重试即可
+  isUnavailableError(error) {
+    return error instanceof MongoNetworkError || 
+      error instanceof MongoServerSelectionError || 
+      error instanceof MongoNotConnectedError || 
+      error instanceof MongoTopologyClosedError;
+  }
+
   async createIndexes() {
     try {
       const records = this.db.collection('zhongyuan_records');
@@ -43,22 +96,227 @@ class Database {
       await records.createIndex({ deviceId: 1 });
       await records.createIndex({ syncStatus: 1 });
       await records.createIndex({ payment: 1 });
+      await records.createIndex({ deletedAt: 1 });
+      await records.createIndex({ campaign: 1, project: 1 });
+      await records.createIndex({ changeSeq: 1 });
+      await records.createIndex({ batchId: 1 });
+      await records.createIndex({ donorId: 1 });
+      
+      const recordTombstones = this.db.collection('record_tombstones');
+      await recordTombstones.createIndex({ changeSeq: 1 });
+      
+      const recordHistory = this.db.collection('record_history');
+      await recordHistory.createIndex({ recordId: 1, timestamp: -1 });
+      
+      const projects = this.db.collection('projects');
+      await projects.createIndex({ name: 1 }, { unique: true });
+      await projects.createIndex({ sortOrder: 1 });
+      
+      const exchangeRates = this.db.collection('exchange_rates');
+      await exchangeRates.createIndex({ effectiveFrom: -1 });
+      
+      const adminUsers = this.db.collection('admin_users');
+      await adminUsers.createIndex({ username: 1 }, { unique: true });
+      
+      // 已吊销的令牌在过期后自动清除
+      const revokedTokens = this.db.collection('revoked_tokens');
+      await revokedTokens.createIndex({ jti: 1 }, { unique: true });
+      await revokedTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      
+      const campaigns = this.db.collection('campaigns');
+      await campaigns.createIndex({ code: 1 }, { unique: true });
+      await campaigns.createIndex({ startDate: -1 });
+      
+      const payments = this.db.collection('payments');
+      await payments.createIndex({ recordId: 1, paidAt: -1 });
+      await payments.createIndex({ paidAt: -1 });
+      
+      // 提交批次的管理信息（锁定、作废、改归属）
+      const batches = this.db.collection('batches');
+      await batches.createIndex({ batchId: 1 }, { unique: true });
+      await batches.createIndex({ status: 1 });
+      
+      // 功德主及其识别键（规范化的姓名加电话或联系人），合并后多个识别键指向同一位功德主
+      const donors = this.db.collection('donors');
+      await donors.createIndex({ donorId: 1 }, { unique: true });
+      await donors.createIndex({ nameKey: 1 });
+      await donors.createIndex({ phoneKey: 1 });
+      const donorKeys = this.db.collection('donor_keys');
+      await donorKeys.createIndex({ key: 1 }, { unique: true });
+      await donorKeys.createIndex({ donorId: 1 });
       
-      console.log('✅ MongoDB索引创建成功');
+      // 登记设备：令牌和登记码只保存哈希
+      const devices = this.db.collection('devices');
+      await devices.createIndex({ deviceId: 1 }, { unique: true });
+      await devices.createIndex({ tokenHash: 1 });
+      await devices.createIndex({ enrollmentCodeHash: 1 });
+      
+      // 审计日志：seq 唯一，保证 hash 链不分叉
+      const auditLog = this.db.collection('audit_log');
+      await auditLog.createIndex({ seq: 1 }, { unique: true });
+      await auditLog.createIndex({ timestamp: -1 });
+      await auditLog.createIndex({ action: 1, timestamp: -1 });
+      await auditLog.createIndex({ 'target.type': 1, 'target.id': 1 });
+      
+      // 对外通知：按状态和下次发送时间取出到期的通知
+      const webhooks = this.db.collection('webhooks');
+      await webhooks.createIndex({ webhookId: 1 }, { unique: true });
+      const webhookDeliveries = this.db.collection('webhook_deliveries');
+      await webhookDeliveries.createIndex({ deliveryId: 1 }, { unique: true });
+      await webhookDeliveries.createIndex({ status: 1, nextAttemptAt: 1 });
+      await webhookDeliveries.createIndex({ webhookId: 1, createdAt: -1 });
+      
+      // 每个年度的收据号唯一，每条记录最多一张有效收据
+      const receipts = this.db.collection('receipts');
+      await receipts.createIndex({ year: 1, number: 1 }, { unique: true });
+      await receipts.createIndex(
+        { recordId: 1 },
+        { unique: true, partialFilterExpression: { status: 'issued' } }
+      );
+      
+      console.log('✅ 索引创建成功');
     } catch (error) {
       console.error('❌ 创建索引失败:', error);
     }
   }
 
+  // 为加入同步版本之前的记录补上 version 和 changeSeq（0，首次全量同步时返回）
+  async backfillRecordVersions() {
+    try {
+      const result = await this.db.collection('zhongyuan_records').updateMany(
+        { version: { $exists: false } },
+        { $set: { version: 1, changeSeq: 0 } }
+      );
+      
+      if (result.modifiedCount > 0) {
+        console.log(`✅ 已为 ${result.modifiedCount} 条记录补充同步版本`);
+      }
+    } catch (error) {
+      console.error('❌ 补充记录同步版本失败:', error);
+    }
+  }
+
+  async seedProjects() {
+    try {
+      const projects = this.db.collection('projects');
+      
+      if (await projects.countDocuments() > 0) return;
+      
+      const now = new Date();
+      await projects.insertMany(DEFAULT_PROJECTS.map((project, index) => ({
+        ...project,
+        sortOrder: index + 1,
+        active: true,
+        createdAt: now,
+        updatedAt: now
+      })));
+      
+      console.log(`✅ 已写入默认项目目录 ${DEFAULT_PROJECTS.length} 项`);
+    } catch (error) {
+      console.error('❌ 初始化项目目录失败:', error);
+    }
+  }
+
+  async seedExchangeRates() {
+    try {
+      const exchangeRates = this.db.collection('exchange_rates');
+      
+      if (await exchangeRates.countDocuments() > 0) return;
+      
+      await exchangeRates.insertOne({
+        ...DEFAULT_EXCHANGE_RATE,
+        createdAt: new Date()
+      });
+      
+      console.log(`✅ 已写入默认汇率 ${DEFAULT_EXCHANGE_RATE.rate}`);
+    } catch (error) {
+      console.error('❌ 初始化汇率表失败:', error);
+    }
+  }
+
+  async seedAdminUser() {
+    try {
+      const adminUsers = this.db.collection('admin_users');
+      
+      if (await adminUsers.countDocuments() > 0) return;
+      
+      await adminUsers.insertOne({
+        username: config.security.adminUsername,
+        passwordHash: hashPassword(config.security.adminPassword),
+        role: 'admin',
+        active: true,
+        createdAt: new Date()
+      });
+      
+      console.log(`✅ 已创建管理员账号 ${config.security.adminUsername}`);
+    } catch (error) {
+      console.error('❌ 初始化管理员账号失败:', error);
+    }
+  }
+
+  // 在事务中执行 fn(session) 并返回其结果，需要副本集（MongoDB Atlas 均为副本集）
+  async withTransaction(fn) {
+    const session = this.client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // 首次启动时按提交年份为已有记录建立法会，当年的法会开放登记，往年的已截止
+  async seedCampaigns() {
+    try {
+      const campaigns = this.db.collection('campaigns');
+      
+      if (await campaigns.countDocuments() > 0) return;
+      
+      const records = this.db.collection('zhongyuan_records');
+      await records.updateMany({ campaign: { $exists: false } }, [
+        {
+          $set: {
+            campaign: {
+              $toString: {
+                $year: { date: { $ifNull: ['$submittedAt', '$$NOW'] }, timezone: config.server.timeZone }
+              }
+            }
+          }
+        }
+      ]);
+      
+      const currentYear = Number(new Intl.DateTimeFormat('en-US', {
+        timeZone: config.server.timeZone,
+        year: 'numeric'
+      }).format(new Date()));
+      const years = new Set((await records.distinct('campaign')).map(Number));
+      years.add(currentYear);
+      
+      const now = new Date();
+      await campaigns.insertMany([...years].sort().map(year => ({
+        ...defaultCampaign(year, year === currentYear ? 'open' : 'closed'),
+        createdAt: now,
+        updatedAt: now
+      })));
+      
+      console.log(`✅ 已建立法会 ${[...years].sort().join(', ')}`);
+    } catch (error) {
+      console.error('❌ 初始化法会失败:', error);
+    }
+  }
+
   async disconnect() {
     try {
       if (this.client) {
         await this.client.close();
         this.isConnected = false;
-        console.log('✅ MongoDB连接已关闭');
+        console.log('✅ 数据库连接已关闭');
       }
     } catch (error) {
-      console.error('❌ 关闭MongoDB连接失败:', error);
+      console.error('❌ 关闭数据库连接失败:', error);
     }
   }
 
@@ -70,12 +328,140 @@ class Database {
     return this.db.collection('zhongyuan_records');
   }
 
-  // 获取系统日志集合
-  logs() {
+  // 获取审计日志集合（之前的系统日志保留在 logs 集合中，不再写入）
+  auditLog() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('audit_log');
+  }
+
+  // 获取记录修改历史集合
+  recordHistory() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('record_history');
+  }
+
+  // 获取护持项目集合
+  projects() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('projects');
+  }
+
+  // 获取汇率集合
+  exchangeRates() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('exchange_rates');
+  }
+
+  // 获取管理员账号集合
+  adminUsers() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('admin_users');
+  }
+
+  // 获取已吊销令牌集合
+  revokedTokens() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('revoked_tokens');
+  }
+
+  // 获取法会集合
+  campaigns() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('campaigns');
+  }
+
+  // 获取缴费台账集合
+  payments() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('payments');
+  }
+
+  // 获取收据集合
+  receipts() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('receipts');
+  }
+
+  // 获取永久删除记录的标记集合（设备同步时据此删除本地记录）
+  recordTombstones() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('record_tombstones');
+  }
+
+  // 获取提交批次集合（只有做过锁定、作废或改归属的批次才有）
+  batches() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('batches');
+  }
+
+  // 获取功德主集合
+  donors() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('donors');
+  }
+
+  // 获取功德主识别键集合
+  donorKeys() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('donor_keys');
+  }
+
+  // 获取登记设备集合
+  devices() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('devices');
+  }
+
+  // 获取对外通知接收地址集合
+  webhooks() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('webhooks');
+  }
+
+  // 获取对外通知发送记录集合
+  webhookDeliveries() {
+    if (!this.db) {
+      throw new Error('数据库未连接');
+    }
+    return this.db.collection('webhook_deliveries');
+  }
+
+  // 获取计数器集合（收据号等顺序编号）
+  counters() {
     if (!this.db) {
       throw new Error('数据库未连接');
     }
-    return this.db.collection('logs');
+    return this.db.collection('counters');
   }
 }
 
@@ -0,0 +1,284 @@
+// devices.js - 登记设备：管理员登记设备并生成一次性登记码（可扫描二维码），设备用登记码换取设备令牌，
+// 之后提交登记数据和同步（/api/sync）时在请求头 X-Device-Token 中附带令牌；停用设备后令牌立即失效
+// 令牌和登记码只保存 SHA-256 哈希；可以使用的设备的令牌哈希另存一份在登记队列旁，降级模式下据此校验令牌
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const config = require('./config');
+const database = require('./database');
+const { requireRole } = require('./auth');
+
+// 登记码字符：去掉容易看错的 0/O、1/I/L
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// 提交登记数据时附带设备令牌的请求头
+const DEVICE_TOKEN_HEADER = 'X-Device-Token';
+
+// 可以使用的设备的令牌哈希（JSON 数组），与登记队列文件放在一起
+const KNOWN_TOKENS_PATH = path.resolve(config.queue.filePath.replace(/(\.jsonl)?$/, '.devices.json'));
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// 生成登记码，显示为 XXXX-XXXX
+function generateEnrollmentCode() {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// 规范化输入的登记码：不区分大小写，忽略空格和连字符
+function normalizeEnrollmentCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// 返回可以公开给管理后台的设备信息（不含令牌和登记码的哈希）
+function publicDevice(device) {
+  return {
+    _id: device._id,
+    deviceId: device.deviceId,
+    label: device.label,
+    operator: device.operator,
+    status: device.status,
+    createdAt: device.createdAt,
+    createdBy: device.createdBy,
+    // 有未使用的登记码时为其过期时间
+    enrollmentExpiresAt: device.enrollmentCodeHash ? device.enrollmentExpiresAt : null,
+    enrolledAt: device.enrolledAt || null,
+    lastSeenAt: device.lastSeenAt || null,
+    lastSeenIp: device.lastSeenIp || null,
+    submissionCount: device.submissionCount || 0,
+    recordCount: device.recordCount || 0,
+    revokedAt: device.revokedAt || null,
+    revokedBy: device.revokedBy || null
+  };
+}
+
+// 新增设备（状态为 pending，等待用登记码登记），返回 { device, code }
+async function createDevice({ label, operator }, username) {
+  const device = {
+    deviceId: `dev_${crypto.randomBytes(6).toString('hex')}`,
+    label,
+    operator,
+    status: 'pending',
+    submissionCount: 0,
+    recordCount: 0,
+    createdAt: new Date(),
+    createdBy: username
+  };
+  const result = await database.devices().insertOne(device);
+  return issueEnrollment({ _id: result.insertedId, ...device });
+}
+
+// 为设备生成新的登记码，之前未使用的登记码作废；返回 { device, code }
+// 已登记的设备使用新登记码后原令牌失效（例如更换手机）
+async function issueEnrollment(device) {
+  const code = generateEnrollmentCode();
+  const expiresAt = new Date(Date.now() + config.devices.enrollmentCodeTtlHours * 60 * 60 * 1000);
+  const updated = await database.devices().findOneAndUpdate(
+    { _id: device._id },
+    { $set: { enrollmentCodeHash: hashSecret(normalizeEnrollmentCode(code)), enrollmentExpiresAt: expiresAt } },
+    { returnDocument: 'after' }
+  );
+  return { device: updated, code };
+}
+
+// 登记码对应的登记网址及其二维码（data URL），设备扫码后打开手机版页面自动登记
+async function enrollmentDetails(code, device, baseUrl) {
+  const url = `${(config.devices.publicUrl || baseUrl).replace(/\/+$/, '')}/mobile.html#enroll=${encodeURIComponent(code)}`;
+  return {
+    code,
+    expiresAt: device.enrollmentExpiresAt,
+    url,
+    qrCode: await QRCode.toDataURL(url, { margin: 1, width: 240 })
+  };
+}
+
+// 用登记码登记设备：登记码只能使用一次，成功时返回 { device, token }，登记码无效或已过期时返回 null
+async function enrollDevice(code, ip) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const device = await database.devices().findOneAndUpdate(
+    {
+      enrollmentCodeHash: hashSecret(normalizeEnrollmentCode(code)),
+      enrollmentExpiresAt: { $gt: now }
+    },
+    {
+      $set: { tokenHash: hashSecret(token), status: 'active', enrolledAt: now, lastSeenAt: now, lastSeenIp: ip },
+      $unset: { enrollmentCodeHash: '', enrollmentExpiresAt: '', revokedAt: '', revokedBy: '' }
+    },
+    { returnDocument: 'after' }
+  );
+  if (device) await saveKnownDeviceTokens();
+  return device ? { device, token } : null;
+}
+
+// 停用设备，之后其令牌不能再提交；返回停用后的设备，不存在时返回 null
+async function revokeDevice(deviceId, username) {
+  const device = await database.devices().findOneAndUpdate(
+    { deviceId },
+    {
+      $set: { status: 'revoked', revokedAt: new Date(), revokedBy: username },
+      $unset: { enrollmentCodeHash: '', enrollmentExpiresAt: '' }
+    },
+    { returnDocument: 'after' }
+  );
+  if (device) await saveKnownDeviceTokens();
+  return device;
+}
+
+let knownTokenHashes = null;
+let savingKnownTokens = Promise.resolve();
+
+// 把可以使用的设备的令牌哈希写入文件（先写临时文件再改名），数据库连接后及登记、停用设备时调用
+// 按顺序写入，后读取的设备列表不会被先读取的覆盖；写入失败只记录日志，不影响登记和停用
+function saveKnownDeviceTokens() {
+  const run = savingKnownTokens.then(async () => {
+    const devices = await database.devices().find(
+      { status: 'active', tokenHash: { $exists: true } },
+      { projection: { tokenHash: 1 } }
+    ).toArray();
+    const hashes = devices.map(device => device.tokenHash);
+    knownTokenHashes = new Set(hashes);
+
+    // 没有登记过设备时不建立文件
+    if (hashes.length === 0 && !fs.existsSync(KNOWN_TOKENS_PATH)) return;
+    await fs.promises.mkdir(path.dirname(KNOWN_TOKENS_PATH), { recursive: true });
+    const tmpPath = `${KNOWN_TOKENS_PATH}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(hashes));
+    await fs.promises.rename(tmpPath, KNOWN_TOKENS_PATH);
+  }).catch(error => {
+    console.error('⚠️ 保存设备令牌列表失败:', error);
+  });
+  savingKnownTokens = run;
+  return run;
+}
+
+// 降级模式下可以接受的令牌哈希；从未连接过数据库（没有文件）时返回 null
+async function loadKnownDeviceTokens() {
+  if (knownTokenHashes) return knownTokenHashes;
+  try {
+    knownTokenHashes = new Set(JSON.parse(await fs.promises.readFile(KNOWN_TOKENS_PATH, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('⚠️ 读取设备令牌列表失败:', error);
+    return null;
+  }
+  return knownTokenHashes;
+}
+
+// 按令牌的哈希查找可以提交的设备
+// receivedAt 为降级模式下收到数据的时间：补写时设备若已停用，只接受停用之前收到的数据
+async function findDeviceByTokenHash(tokenHash, receivedAt) {
+  const device = await database.devices().findOne({ tokenHash });
+  if (!device) return null;
+  if (device.status === 'active') return device;
+  return receivedAt && device.status === 'revoked' && device.revokedAt > receivedAt ? device : null;
+}
+
+// 按令牌查找设备（包括已停用的设备），供设备查询自己的登记状态
+function findDeviceByToken(token) {
+  return database.devices().findOne({ tokenHash: hashSecret(token) });
+}
+
+// 记录设备的提交：最后在线时间、IP、提交次数及新增的记录数
+function recordDeviceActivity(device, { ip, insertedCount, at = new Date() }) {
+  return database.devices().updateOne(
+    { _id: device._id },
+    {
+      $set: { lastSeenAt: at, lastSeenIp: ip },
+      $inc: { submissionCount: 1, recordCount: insertedCount }
+    }
+  );
+}
+
+// POST /api/records 的权限：附带有效的设备令牌（设置 req.device），或以登记员以上的账号登录
+// 未要求设备令牌（REQUIRE_DEVICE_TOKEN=false）时不附带令牌也可以提交
+// 附带令牌时设置 req.deviceTokenHash：降级模式下无法查询设备，只接受上次连接数据库时可以使用的设备的令牌，
+// 排队的数据补写时再按令牌的哈希校验设备（之后才停用的设备只补写停用之前收到的数据）
+async function authorizeSubmission(req, res, next) {
+  const token = req.get(DEVICE_TOKEN_HEADER);
+
+  if (!token) {
+    if (!config.devices.requireToken) return next();
+    if (req.headers.authorization && database.isConnected) {
+      const [authenticate, checkRole] = requireRole('registrar');
+      return authenticate(req, res, error => (error ? next(error) : checkRole(req, res, next)));
+    }
+    if (!database.isConnected) {
+      return res.status(503).json({
+        success: false,
+        degraded: true,
+        error: '数据库暂时不可用，目前只接受已登记设备提交的数据，请稍后再试'
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      error: '设备未登记，请先向管理员取得登记码登记设备'
+    });
+  }
+
+  req.deviceTokenHash = hashSecret(token);
+  if (database.isConnected) return authenticateDevice(req, res, next);
+
+  const known = await loadKnownDeviceTokens();
+  if (!known) {
+    return res.status(503).json({
+      success: false,
+      degraded: true,
+      error: '数据库暂时不可用，无法确认设备令牌，请稍后再试'
+    });
+  }
+  if (!known.has(req.deviceTokenHash)) {
+    return res.status(401).json({
+      success: false,
+      deviceRevoked: true,
+      error: '设备令牌无效或设备已停用，请向管理员取得新的登记码'
+    });
+  }
+  next();
+}
+
+// 按请求头中的设备令牌查找可以使用的设备并设置 req.device，令牌无效或设备已停用时返回 401
+async function authenticateDevice(req, res, next) {
+  try {
+    const device = await findDeviceByTokenHash(req.deviceTokenHash || hashSecret(req.get(DEVICE_TOKEN_HEADER)));
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        deviceRevoked: true,
+        error: '设备令牌无效或设备已停用，请向管理员取得新的登记码'
+      });
+    }
+    req.device = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// 设备同步（/api/sync）的权限：附带设备令牌时须为有效的设备（设置 req.device），否则须以 role 以上的账号登录
+function authorizeDevice(role) {
+  const [authenticate, checkRole] = requireRole(role);
+  return (req, res, next) => {
+    if (req.get(DEVICE_TOKEN_HEADER)) return authenticateDevice(req, res, next);
+    authenticate(req, res, error => (error ? next(error) : checkRole(req, res, next)));
+  };
+}
+
+module.exports = {
+  DEVICE_TOKEN_HEADER,
+  publicDevice,
+  createDevice,
+  issueEnrollment,
+  enrollmentDetails,
+  enrollDevice,
+  revokeDevice,
+  findDeviceByToken,
+  findDeviceByTokenHash,
+  recordDeviceActivity,
+  saveKnownDeviceTokens,
+  authorizeSubmission,
+  authorizeDevice
+};
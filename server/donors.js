@@ -0,0 +1,318 @@
+// donors.js - 功德主名录：同一家人每年、每季可能以不同的联系人登记多次，按规范化的姓名和电话把记录归到同一位功德主
+// 识别键由规范化的姓名加电话（没有电话时加联系人）组成，登记时按识别键找到或新建功德主并写入记录的 donorId
+// 繁简写法、空格不同的姓名规范化后相同；疑似重复的功德主由管理员确认后合并，合并后原来的识别键都指向合并后的功德主
+const crypto = require('crypto');
+const OpenCC = require('opencc-js');
+const config = require('./config');
+const database = require('./database');
+const { recordRepository } = require('./repositories');
+const { escapeRegex } = require('./schema');
+
+// 繁体（含台湾用字）转简体，只用于比较，不修改登记的姓名
+const toSimplified = OpenCC.Converter({ from: 'tw', to: 'cn' });
+
+// 联系人一栏填的是电话时（至少 6 位数字且没有文字）按电话处理
+const PHONE_LIKE_PATTERN = /^[+\d\s\-().#]*$/;
+
+// 规范化姓名：全角转半角、繁体转简体，去掉空格和间隔号，英文不区分大小写
+function normalizeName(name) {
+  return toSimplified(String(name || '').normalize('NFKC'))
+    .replace(/[\s·・.]/g, '')
+    .toLowerCase();
+}
+
+// 规范化电话：只保留数字，台湾（+886）和大陆（+86）的国际区号改为国内写法；少于 6 位数字时视为没有电话
+function normalizePhone(phone) {
+  let digits = String(phone || '').normalize('NFKC').replace(/\D/g, '');
+  if (digits.startsWith('886') && digits.length >= 11) digits = `0${digits.slice(3)}`;
+  if (digits.startsWith('86') && digits.length === 13) digits = digits.slice(2);
+  return digits.length >= 6 ? digits : '';
+}
+
+// 记录的功德主识别信息：{ nameKey, phoneKey, key }
+function donorIdentity(record) {
+  const contact = String(record.contact || '');
+  const contactIsPhone = PHONE_LIKE_PATTERN.test(contact) && normalizePhone(contact) !== '';
+  const nameKey = normalizeName(record.name);
+  const phoneKey = normalizePhone(record.phone) || (contactIsPhone ? normalizePhone(contact) : '');
+  const key = phoneKey
+    ? `${nameKey}|tel:${phoneKey}`
+    : `${nameKey}|contact:${contactIsPhone ? '' : normalizeName(contact)}`;
+  return { nameKey, phoneKey, key };
+}
+
+// 按识别键找到功德主，没有时新建；返回 donorId，指定 session 时在该事务中新建
+// 先写入功德主再写入识别键，识别键不会指向不存在的功德主；识别键写入失败时删除刚写入的功德主
+// 并发登记同一位新功德主时识别键的唯一索引报重复键错误，改用先写入的功德主
+async function resolveDonorId(record, session) {
+  const { nameKey, phoneKey, key } = donorIdentity(record);
+  const existing = await database.donorKeys().findOne({ key }, { session });
+  if (existing) return existing.donorId;
+
+  const donorId = `donor_${crypto.randomBytes(6).toString('hex')}`;
+  const now = new Date();
+  await database.donors().insertOne({
+    donorId,
+    name: record.name,
+    phone: record.phone || '',
+    nameKey,
+    phoneKey,
+    createdAt: now
+  }, { session });
+  try {
+    await database.donorKeys().insertOne({ key, donorId, createdAt: now }, { session });
+  } catch (error) {
+    await database.donors().deleteOne({ donorId }, { session }).catch(() => {});
+    if (error.code !== 11000) throw error;
+    return (await database.donorKeys().findOne({ key }, { session })).donorId;
+  }
+  return donorId;
+}
+
+// 为即将写入的记录设置 donorId（直接修改 records 中的对象）
+async function assignDonors(records) {
+  const resolved = new Map();
+  for (const record of records) {
+    const { key } = donorIdentity(record);
+    if (!resolved.has(key)) resolved.set(key, await resolveDonorId(record));
+    record.donorId = resolved.get(key);
+  }
+}
+
+// 为还没有 donorId 的记录（加入功德主名录之前登记的记录）建立功德主，返回 { linkedCount }
+async function linkUnassignedRecords() {
+  const records = await recordRepository.find(
+    { donorId: null },
+    { projection: { name: 1, phone: 1, contact: 1 }, sort: { submittedAt: 1 } }
+  );
+  await assignDonors(records);
+
+  // 同一位功德主的记录一次更新
+  const byDonor = new Map();
+  records.forEach(record => {
+    byDonor.set(record.donorId, [...(byDonor.get(record.donorId) || []), record._id]);
+  });
+  let linkedCount = 0;
+  for (const [donorId, ids] of byDonor) {
+    const result = await recordRepository.updateMany(
+      { _id: { $in: ids }, donorId: null },
+      { $set: { donorId, updatedAt: new Date() } }
+    );
+    linkedCount += result.modifiedCount;
+  }
+  return { linkedCount };
+}
+
+// 按功德主汇总不在回收站中的记录
+async function donorSummaries(query = {}, session) {
+  const groups = await recordRepository.aggregate([
+    { $match: { donorId: { $ne: null }, ...query, deletedAt: null } },
+    {
+      $group: {
+        _id: '$donorId',
+        names: { $addToSet: '$name' },
+        phones: { $addToSet: '$phone' },
+        contacts: { $addToSet: '$contact' },
+        projects: { $addToSet: '$project' },
+        campaigns: { $addToSet: '$campaign' },
+        recordCount: { $sum: 1 },
+        amountTWD: { $sum: { $ifNull: ['$amountTWD', 0] } },
+        paidAmountTWD: { $sum: { $ifNull: ['$paidAmountTWD', 0] } },
+        firstSubmittedAt: { $min: '$submittedAt' },
+        lastSubmittedAt: { $max: '$submittedAt' }
+      }
+    }
+  ], { session });
+  return new Map(groups.map(({ _id, ...summary }) => [_id, summary]));
+}
+
+// 去掉空值并排序
+function distinctValues(values) {
+  return [...new Set((values || []).filter(Boolean))].sort();
+}
+
+// 功德主的公开信息：登记过的姓名、电话、联系人写法及记录的汇总
+function donorView(donor, summary) {
+  return {
+    donorId: donor.donorId,
+    name: donor.name,
+    phone: donor.phone || null,
+    names: distinctValues(summary && summary.names),
+    phones: distinctValues(summary && summary.phones),
+    contacts: distinctValues(summary && summary.contacts),
+    projects: distinctValues(summary && summary.projects),
+    campaigns: distinctValues(summary && summary.campaigns),
+    recordCount: summary ? summary.recordCount : 0,
+    totals: {
+      amountTWD: summary ? summary.amountTWD : 0,
+      paidAmountTWD: summary ? summary.paidAmountTWD : 0
+    },
+    firstSubmittedAt: (summary && summary.firstSubmittedAt) || null,
+    lastSubmittedAt: (summary && summary.lastSubmittedAt) || null,
+    mergedFrom: donor.mergedFrom || [],
+    createdAt: donor.createdAt
+  };
+}
+
+// 功德主列表：只含有记录的功德主，按最近登记时间从新到旧排序并分页，返回 { donors, totalCount }
+// search 按规范化的姓名或电话匹配（繁简、空格不同也能找到）
+async function listDonors({ page, limit, search }) {
+  const query = { mergedInto: null };
+  if (search) {
+    const nameKey = normalizeName(search);
+    const phoneKey = normalizePhone(search);
+    query.$or = [
+      ...(nameKey ? [{ nameKey: { $regex: escapeRegex(nameKey) } }] : []),
+      ...(phoneKey ? [{ phoneKey: { $regex: escapeRegex(phoneKey) } }] : [])
+    ];
+    if (query.$or.length === 0) return { donors: [], totalCount: 0 };
+  }
+
+  const donors = await database.donors().find(query).toArray();
+  const summaries = await donorSummaries(search ? { donorId: { $in: donors.map(donor => donor.donorId) } } : {});
+  const listed = donors
+    .filter(donor => summaries.has(donor.donorId))
+    .map(donor => donorView(donor, summaries.get(donor.donorId)))
+    .sort((a, b) => new Date(b.lastSubmittedAt) - new Date(a.lastSubmittedAt));
+
+  const start = (page - 1) * limit;
+  return { donors: listed.slice(start, start + limit), totalCount: listed.length };
+}
+
+// 按 donorId 读取功德主，已合并的功德主返回合并后的功德主；不存在时返回 null
+async function findDonor(donorId) {
+  let donor = await database.donors().findOne({ donorId });
+  // 合并时已把之前合并进来的功德主改指向新的目标，最多跟随一次
+  if (donor && donor.mergedInto) {
+    donor = await database.donors().findOne({ donorId: donor.mergedInto });
+  }
+  return donor;
+}
+
+// 登记所属的年度，按配置的时区计算（年初几个小时内的登记不会算到上一年）
+function localYear(date) {
+  return Number(new Intl.DateTimeFormat('en-US', {
+    timeZone: config.server.timeZone,
+    year: 'numeric'
+  }).format(new Date(date)));
+}
+
+// 按年度或项目汇总记录
+function groupRecords(records, keyOf) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    const group = groups.get(key) || { key, recordCount: 0, amountTWD: 0, paidAmountTWD: 0 };
+    group.recordCount += 1;
+    group.amountTWD += record.amountTWD || 0;
+    group.paidAmountTWD += record.paidAmountTWD || 0;
+    groups.set(key, group);
+  });
+  return [...groups.values()];
+}
+
+// 功德主及其历年各项目的全部记录和缴费，返回 { donor, records, payments, byYear, byProject }，不存在时返回 null
+async function getDonorHistory(donorId) {
+  const donor = await findDonor(donorId);
+  if (!donor) return null;
+
+  const records = await recordRepository.find(
+    { donorId: donor.donorId, deletedAt: null },
+    { sort: { submittedAt: 1 } }
+  );
+  const payments = records.length === 0 ? [] : await database.payments()
+    .find({ recordId: { $in: records.map(record => record._id) } })
+    .sort({ paidAt: 1 })
+    .toArray();
+  const summaries = await donorSummaries({ donorId: donor.donorId });
+
+  return {
+    donor: donorView(donor, summaries.get(donor.donorId)),
+    records,
+    payments,
+    byYear: groupRecords(records, record => localYear(record.submittedAt))
+      .map(({ key, ...group }) => ({ year: key, ...group }))
+      .sort((a, b) => a.year - b.year),
+    byProject: groupRecords(records, record => record.project)
+      .map(({ key, ...group }) => ({ project: key, ...group }))
+      .sort((a, b) => b.amountTWD - a.amountTWD)
+  };
+}
+
+// 疑似重复的功德主：规范化后姓名相同（电话或联系人不同），或电话相同（姓名不同）
+// 返回 [{ reasons, donors: [a, b] }]，reasons 为 name / phone，两项都相同的排在前面
+async function findDuplicateDonors({ limit }) {
+  const summaries = await donorSummaries();
+  const donors = (await database.donors().find({ mergedInto: null }).toArray())
+    .filter(donor => summaries.has(donor.donorId));
+
+  const pairs = new Map();
+  const addPairs = (field, reason) => {
+    const groups = new Map();
+    donors.forEach(donor => {
+      if (!donor[field]) return;
+      groups.set(donor[field], [...(groups.get(donor[field]) || []), donor]);
+    });
+    groups.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const [a, b] = [group[i], group[j]].sort((x, y) => x.donorId.localeCompare(y.donorId));
+          const id = `${a.donorId}:${b.donorId}`;
+          const pair = pairs.get(id) || { reasons: [], donors: [a, b] };
+          pair.reasons.push(reason);
+          pairs.set(id, pair);
+        }
+      }
+    });
+  };
+  addPairs('nameKey', 'name');
+  addPairs('phoneKey', 'phone');
+
+  return [...pairs.values()]
+    .sort((a, b) => b.reasons.length - a.reasons.length)
+    .slice(0, limit)
+    .map(pair => ({
+      reasons: pair.reasons,
+      donors: pair.donors.map(donor => donorView(donor, summaries.get(donor.donorId)))
+    }));
+}
+
+// 把 sources（功德主，不含 target）合并到 target：记录和识别键都改为 target，之前合并进 sources 的功德主也改指向 target
+// 返回 { donor, movedCount }；指定 session 时在该事务中修改
+async function mergeDonors(target, sources, user, session) {
+  const sourceIds = sources.map(donor => donor.donorId);
+  const now = new Date();
+
+  await database.donorKeys().updateMany({ donorId: { $in: sourceIds } }, { $set: { donorId: target.donorId } }, { session });
+  const moved = await recordRepository.updateMany(
+    { donorId: { $in: sourceIds } },
+    { $set: { donorId: target.donorId, updatedAt: now } },
+    { session }
+  );
+  await database.donors().updateMany(
+    { $or: [{ donorId: { $in: sourceIds } }, { mergedInto: { $in: sourceIds } }] },
+    { $set: { mergedInto: target.donorId, mergedAt: now, mergedBy: user.username } },
+    { session }
+  );
+  const updated = await database.donors().findOneAndUpdate(
+    { donorId: target.donorId },
+    { $push: { mergedFrom: { $each: sources.map(donor => ({ donorId: donor.donorId, name: donor.name, phone: donor.phone, mergedAt: now, mergedBy: user.username })) } } },
+    { returnDocument: 'after', session }
+  );
+
+  const summaries = await donorSummaries({ donorId: target.donorId }, session);
+  return { donor: donorView(updated, summaries.get(target.donorId)), movedCount: moved.modifiedCount };
+}
+
+module.exports = {
+  normalizeName,
+  normalizePhone,
+  resolveDonorId,
+  assignDonors,
+  linkUnassignedRecords,
+  listDonors,
+  findDonor,
+  getDonorHistory,
+  findDuplicateDonors,
+  mergeDonors
+};
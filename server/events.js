@@ -0,0 +1,204 @@
+// events.js - 管理后台的实时更新：GET /api/events 以 Server-Sent Events 推送记录的新增、修改、删除及统计的增量
+// 最近的事件保留在内存中，断线重连时按 Last-Event-ID 补发；事件已被挤出或服务器重启过（事件ID的前缀不同）时
+// 发送 resync 事件，由页面重新加载数据，保证不漏掉变更。事件只在本进程内广播，多个实例时每个实例各自推送
+// 其他模块可以用 onEvent 订阅同样的事件（如 webhooks.js 转发给外部系统）
+const crypto = require('crypto');
+const config = require('./config');
+const { isSessionActive } = require('./auth');
+
+// 本次启动的标识，作为事件ID的前缀
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+// 每个事件最多附带的记录数，超过时附带前面的记录并标记 truncated，页面重新加载列表
+const MAX_EVENT_RECORDS = 100;
+
+let lastSequence = 0;
+const recentEvents = [];
+const streams = new Set();
+const listeners = [];
+
+// 一个事件的 SSE 文本
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// 发布事件：保存到最近的事件中并推送给所有连接
+function publish(type, data) {
+  lastSequence += 1;
+  const event = { id: `${BOOT_ID}-${lastSequence}`, sequence: lastSequence, type, data };
+  recentEvents.push(event);
+  if (recentEvents.length > config.events.bufferSize) recentEvents.shift();
+
+  const text = formatEvent(event);
+  streams.forEach(stream => {
+    if (!stream.res.writableEnded) stream.res.write(text);
+  });
+  listeners.forEach(listener => listener(event));
+}
+
+// 订阅发布的事件：listener 收到 { id, type, data }，不能抛出异常
+function onEvent(listener) {
+  listeners.push(listener);
+}
+
+// Last-Event-ID 之后的事件；不能补发（不是本次启动的事件ID，或之后的事件已被挤出）时返回 null
+function eventsAfter(lastEventId) {
+  const [bootId, sequenceText] = String(lastEventId).split('-');
+  const sequence = Number(sequenceText);
+  if (bootId !== BOOT_ID || !Number.isInteger(sequence) || sequence > lastSequence) return null;
+
+  const oldest = recentEvents.length > 0 ? recentEvents[0].sequence : lastSequence + 1;
+  if (sequence < oldest - 1) return null;
+  return recentEvents.filter(event => event.sequence > sequence);
+}
+
+// 开始推送：req.user 为已登录的账号；Last-Event-ID 请求头（或 lastEventId 查询参数）为断线前收到的最后一个事件
+// 登录过期、注销或账号停用后发送 auth-expired 事件并关闭连接
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // 不让反向代理缓冲
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${config.events.retryMs}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsAfter(lastEventId);
+    if (missed) {
+      missed.forEach(event => res.write(formatEvent(event)));
+    } else {
+      res.write(formatEvent({ id: `${BOOT_ID}-${lastSequence}`, type: 'resync', data: { reason: '部分事件已无法补发，请重新加载数据' } }));
+    }
+  } else {
+    res.write(formatEvent({ id: `${BOOT_ID}-${lastSequence}`, type: 'ready', data: { username: req.user.username } }));
+  }
+
+  const stream = { res };
+  streams.add(stream);
+
+  let heartbeat = null;
+  let expiryTimer = null;
+
+  // 停止心跳和到期计时；连接关闭或登录失效时调用，可重复调用
+  const stop = () => {
+    streams.delete(stream);
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+  };
+
+  // 登录失效：只发送一次 auth-expired 并关闭连接；等待会话检查的心跳之后才返回时连接已关闭，不再写入
+  const expire = () => {
+    stop();
+    if (res.writableEnded) return;
+    res.write(formatEvent({ id: `${BOOT_ID}-${lastSequence}`, type: 'auth-expired', data: { error: '登录已失效，请重新登录' } }));
+    res.end();
+  };
+
+  // 心跳：保持连接不被代理断开，同时确认账号仍可使用
+  const ping = () => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  };
+
+  const expiresInMs = req.user.exp ? req.user.exp * 1000 - Date.now() : Infinity;
+  if (Number.isFinite(expiresInMs)) {
+    expiryTimer = setTimeout(expire, Math.min(Math.max(expiresInMs, 0), 2 ** 31 - 1));
+  }
+  heartbeat = setInterval(async () => {
+    try {
+      if (await isSessionActive(req.user)) {
+        ping();
+      } else {
+        expire();
+      }
+    } catch (error) {
+      ping();
+    }
+  }, config.events.heartbeatMs);
+
+  res.on('close', stop);
+}
+
+// 关闭所有推送连接（服务器关闭时），否则 server.close() 要等连接断开
+function closeEventStreams() {
+  streams.forEach(stream => {
+    if (!stream.res.writableEnded) stream.res.end();
+  });
+  streams.clear();
+}
+
+// 按法会汇总统计增量：entries 为 [record, sign]，sign 为 1（新增、恢复、修改后）或 -1（删除、修改前）
+function publishStatsDelta(entries) {
+  const deltas = new Map();
+  entries.forEach(([record, sign]) => {
+    const campaign = record.campaign || null;
+    const delta = deltas.get(campaign) || { campaign, totalRecords: 0, totalAmountTWD: 0, totalAmountRMB: 0, paidAmountTWD: 0 };
+    delta.totalRecords += sign;
+    delta.totalAmountTWD += sign * (record.amountTWD || 0);
+    delta.totalAmountRMB += sign * (record.amountRMB || 0);
+    delta.paidAmountTWD += sign * (record.paidAmountTWD || 0);
+    deltas.set(campaign, delta);
+  });
+
+  const changed = [...deltas.values()]
+    .map(delta => ({ ...delta, totalAmountRMB: Math.round(delta.totalAmountRMB * 100) / 100 }))
+    .filter(delta => delta.totalRecords !== 0 || delta.totalAmountTWD !== 0 || delta.totalAmountRMB !== 0 || delta.paidAmountTWD !== 0);
+  if (changed.length > 0) publish('stats.delta', { deltas: changed });
+}
+
+// 新增（或从回收站恢复，restored 为 true）的记录
+function publishRecordsCreated(records, { restored = false } = {}) {
+  if (records.length === 0) return;
+  publish('record.created', {
+    count: records.length,
+    records: records.slice(0, MAX_EVENT_RECORDS),
+    truncated: records.length > MAX_EVENT_RECORDS,
+    ...(restored && { restored })
+  });
+  publishStatsDelta(records.map(record => [record, 1]));
+}
+
+// 修改的记录：before / after 为修改前后的记录，changes 为修改的字段
+function publishRecordUpdated(before, after, changes) {
+  publish('record.updated', { record: after, changes });
+  publishStatsDelta([[before, -1], [after, 1]]);
+}
+
+// 移入回收站的记录
+function publishRecordsDeleted(records) {
+  if (records.length === 0) return;
+  publish('record.deleted', {
+    count: records.length,
+    ids: records.slice(0, MAX_EVENT_RECORDS).map(record => ({ _id: record._id, localId: record.localId })),
+    truncated: records.length > MAX_EVENT_RECORDS
+  });
+  publishStatsDelta(records.map(record => [record, -1]));
+}
+
+// 登记（type 为 payment.added）或作废（payment.voided）的缴费，record 为缴费后的记录
+function publishPaymentEvent(type, payment, record) {
+  publish(type, {
+    payment,
+    record: {
+      _id: record._id,
+      localId: record.localId,
+      name: record.name,
+      project: record.project,
+      paidAmountTWD: record.paidAmountTWD,
+      balanceTWD: record.balanceTWD,
+      payment: record.payment
+    }
+  });
+}
+
+module.exports = {
+  openEventStream,
+  closeEventStreams,
+  onEvent,
+  publishRecordsCreated,
+  publishRecordUpdated,
+  publishRecordsDeleted,
+  publishPaymentEvent
+};
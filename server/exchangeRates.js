@@ -0,0 +1,39 @@
+// exchangeRates.js - 新台币兑人民币汇率
+// 汇率表为空时写入的默认汇率（1 人民币 = 4.2 新台币）
+const DEFAULT_EXCHANGE_RATE = {
+  rate: 4.2,
+  effectiveFrom: new Date(0),
+  note: '默认汇率'
+};
+
+// 整理客户端提交的汇率数据，返回 { exchangeRate } 或 { error }
+function normalizeExchangeRate(input) {
+  const rate = Number(input.rate);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return { error: '汇率必须为正数' };
+  }
+
+  const effectiveFrom = input.effectiveFrom ? new Date(input.effectiveFrom) : new Date();
+  if (isNaN(effectiveFrom.getTime())) {
+    return { error: '生效日期无效' };
+  }
+
+  return {
+    exchangeRate: {
+      rate,
+      effectiveFrom,
+      note: typeof input.note === 'string' ? input.note.trim() : ''
+    }
+  };
+}
+
+// 按汇率将新台币换算为人民币，保留两位小数
+function convertTWDToRMB(amountTWD, rate) {
+  return Math.round((Number(amountTWD) || 0) / rate * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE_RATE,
+  normalizeExchangeRate,
+  convertTWDToRMB
+};
@@ -0,0 +1,206 @@
+// export.js - 登记数据导出（CSV / Excel），逐行从游标读取，不把全部数据载入内存
+const ExcelJS = require('exceljs');
+
+// 导出列，CSV 表头与 Excel 各项目工作表共用
+const EXPORT_COLUMNS = [
+  { header: '序号', key: 'index', width: 6 },
+  { header: '姓名', key: 'name', width: 12 },
+  { header: '护持项目', key: 'project', width: 24 },
+  { header: '超荐方式', key: 'method', width: 36 },
+  { header: '护持金额(新台币)', key: 'amountTWD', width: 16 },
+  { header: '护持金额(人民币)', key: 'amountRMB', width: 16 },
+  { header: '超荐内容', key: 'content', width: 30 },
+  { header: '是否缴费', key: 'payment', width: 10 },
+  { header: '联系人', key: 'contact', width: 14 },
+  { header: '提交时间', key: 'submittedAt', width: 22 },
+  { header: '设备ID', key: 'deviceId', width: 26 },
+  { header: '批次ID', key: 'batchId', width: 26 },
+  { header: '本地ID', key: 'localId', width: 26 }
+];
+
+// 汇总工作表的列
+const SUMMARY_COLUMNS = [
+  { header: '护持项目', key: 'project', width: 26 },
+  { header: '笔数', key: 'count', width: 8 },
+  { header: '已缴费笔数', key: 'paidCount', width: 12 },
+  { header: '护持金额(新台币)', key: 'totalAmountTWD', width: 18 },
+  { header: '护持金额(人民币)', key: 'totalAmountRMB', width: 18 }
+];
+
+// 把一条记录转换为导出行
+function exportRow(item, index) {
+  return {
+    index,
+    name: item.name || '',
+    project: item.project || '',
+    method: (item.method || '').replace(/\n/g, '; '),
+    amountTWD: item.amountTWD || 0,
+    amountRMB: item.amountRMB ? Math.round(item.amountRMB * 100) / 100 : 0,
+    content: item.content || '',
+    payment: item.payment || '',
+    contact: item.contact || '',
+    submittedAt: item.submittedAt ? new Date(item.submittedAt) : null,
+    deviceId: item.deviceId || '',
+    batchId: item.batchId || '',
+    localId: item.localId || ''
+  };
+}
+
+// CSV 文本单元格：双引号转义，并防止以 = + - @ 开头的内容被表格软件当作公式执行
+function csvText(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function csvRow(row) {
+  return [
+    row.index,
+    csvText(row.name),
+    csvText(row.project),
+    csvText(row.method),
+    row.amountTWD,
+    row.amountRMB.toFixed(2),
+    csvText(row.content),
+    csvText(row.payment),
+    csvText(row.contact),
+    row.submittedAt ? row.submittedAt.toISOString() : '',
+    csvText(row.deviceId),
+    csvText(row.batchId),
+    csvText(row.localId)
+  ].join(',');
+}
+
+// 等待响应流可继续写入，客户端断开时也会返回
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// 把游标中的记录以 CSV 写入响应，返回写出的行数
+async function writeRecordsCsv(cursor, res) {
+  let count = 0;
+
+  try {
+    // BOM for UTF-8
+    res.write('\uFEFF' + EXPORT_COLUMNS.map(column => column.header).join(',') + '\n');
+
+    for await (const item of cursor) {
+      if (res.destroyed) break;
+      count += 1;
+      if (!res.write(csvRow(exportRow(item, count)) + '\n')) {
+        await waitForDrain(res);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+}
+
+// Excel 工作表名最长 31 个字符，且不能包含 [ ] : * ? / \
+function sheetName(project, usedNames) {
+  const base = (project || '未分类').replace(/[[\]:*?/\\]/g, '_').slice(0, 31);
+  let name = base;
+  for (let i = 2; usedNames.has(name); i++) {
+    const suffix = `_${i}`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+// 在工作表末尾写入合计行并提交
+function commitProjectSheet(sheet, totals) {
+  const totalRow = sheet.addRow({
+    name: '合计',
+    project: `${totals.count} 笔`,
+    amountTWD: totals.amountTWD,
+    amountRMB: Math.round(totals.amountRMB * 100) / 100
+  });
+  totalRow.font = { bold: true };
+  totalRow.commit();
+  sheet.commit();
+}
+
+// 以 Excel 写入响应：第一个工作表为按项目汇总，其后每个护持项目一个工作表
+// cursor 必须按 project 排序，summary 为按项目分组的统计结果
+async function writeRecordsXlsx({ cursor, summary, res }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const usedNames = new Set();
+
+  const summarySheet = workbook.addWorksheet(sheetName('汇总', usedNames));
+  summarySheet.columns = SUMMARY_COLUMNS;
+  summarySheet.getRow(1).font = { bold: true };
+
+  const grandTotal = { project: '合计', count: 0, paidCount: 0, totalAmountTWD: 0, totalAmountRMB: 0 };
+  summary.forEach(group => {
+    summarySheet.addRow({
+      project: group._id || '未分类',
+      count: group.count,
+      paidCount: group.paidCount,
+      totalAmountTWD: group.totalAmountTWD,
+      totalAmountRMB: Math.round(group.totalAmountRMB * 100) / 100
+    }).commit();
+    grandTotal.count += group.count;
+    grandTotal.paidCount += group.paidCount;
+    grandTotal.totalAmountTWD += group.totalAmountTWD;
+    grandTotal.totalAmountRMB += group.totalAmountRMB;
+  });
+  grandTotal.totalAmountRMB = Math.round(grandTotal.totalAmountRMB * 100) / 100;
+  const grandTotalRow = summarySheet.addRow(grandTotal);
+  grandTotalRow.font = { bold: true };
+  grandTotalRow.commit();
+  summarySheet.commit();
+
+  let sheet = null;
+  let currentProject;
+  let totals;
+
+  try {
+    for await (const item of cursor) {
+      if (res.destroyed) break;
+
+      if (!sheet || item.project !== currentProject) {
+        if (sheet) commitProjectSheet(sheet, totals);
+
+        currentProject = item.project;
+        sheet = workbook.addWorksheet(sheetName(item.project, usedNames));
+        sheet.columns = EXPORT_COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        totals = { count: 0, amountTWD: 0, amountRMB: 0 };
+      }
+
+      totals.count += 1;
+      totals.amountTWD += item.amountTWD || 0;
+      totals.amountRMB += item.amountRMB || 0;
+
+      const row = sheet.addRow(exportRow(item, totals.count));
+      row.getCell('submittedAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+      row.commit();
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (sheet) commitProjectSheet(sheet, totals);
+  await workbook.commit();
+  return grandTotal.count;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  writeRecordsCsv,
+  writeRecordsXlsx
+};
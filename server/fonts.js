@@ -0,0 +1,31 @@
+// fonts.js - PDF 使用的中文字体
+const fs = require('fs');
+const config = require('./config');
+
+// 未配置 PDF_FONT_PATH 时依次尝试的常见中文字体；.ttc 字体集需要指定字体名称
+const FONT_CANDIDATES = [
+  { path: '/usr/share/fonts/opentype/noto/NotoSerifCJK-Regular.ttc', family: 'NotoSerifCJKsc-Regular' },
+  { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/noto-cjk/NotoSerifCJK-Regular.ttc', family: 'NotoSerifCJKsc-Regular' },
+  { path: '/usr/share/fonts/truetype/wqy/wqy-zenhei.ttc', family: 'WenQuanYiZenHei' },
+  { path: '/System/Library/Fonts/PingFang.ttc', family: 'PingFangSC-Regular' },
+  { path: 'C:\\Windows\\Fonts\\msyh.ttc', family: 'MicrosoftYaHei' }
+];
+
+// 找不到字体时返回给客户端的错误信息
+const FONT_MISSING_ERROR = '未找到中文字体，请通过 PDF_FONT_PATH 配置字体文件';
+
+// 查找可用的中文字体，返回 { path, family } 或 null
+function findChineseFont() {
+  if (config.pdf.fontPath) {
+    return fs.existsSync(config.pdf.fontPath)
+      ? { path: config.pdf.fontPath, family: config.pdf.fontFamily || undefined }
+      : null;
+  }
+  return FONT_CANDIDATES.find(font => fs.existsSync(font.path)) || null;
+}
+
+module.exports = {
+  FONT_MISSING_ERROR,
+  findChineseFont
+};
@@ -0,0 +1,147 @@
+// import.js - 解析批量导入的 CSV / Excel 文件，列名与 /api/export/csv 的表头一致
+const ExcelJS = require('exceljs');
+
+// 表头到记录字段的映射；人民币金额、设备ID、批次ID 由服务器重新生成，不导入
+const IMPORT_FIELDS = {
+  '本地ID': 'localId',
+  '姓名': 'name',
+  '护持项目': 'project',
+  '超荐方式': 'method',
+  '护持金额(新台币)': 'amountTWD',
+  '超荐内容': 'content',
+  '是否缴费': 'payment',
+  '联系人': 'contact',
+  '提交时间': 'submitTime'
+};
+
+// 文件中必须包含的列
+const REQUIRED_HEADERS = ['姓名', '护持项目'];
+
+// 导出时为防公式注入加的单引号前缀，导入时去掉
+function stripFormulaGuard(value) {
+  if (typeof value === 'string' && /^'[=+\-@\t\r]/.test(value)) {
+    return value.slice(1);
+  }
+  return value;
+}
+
+// 解析 CSV 文本为二维数组，支持双引号包裹、转义双引号及单元格内换行
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// 读取 Excel 单元格的值：日期转为 ISO 字符串，公式、富文本等取显示文本
+function cellValue(cell) {
+  const value = cell.value;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return cell.text;
+  return value === null || value === undefined ? '' : value;
+}
+
+// 把一张表（首行为表头）转换为导入行，缺少必需列时返回 null
+function tableToRows(table, sheet) {
+  const headers = (table[0] || []).map(header => String(header).trim());
+  if (!REQUIRED_HEADERS.every(header => headers.includes(header))) return null;
+
+  const rows = [];
+  table.slice(1).forEach((cells, offset) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      const field = IMPORT_FIELDS[header];
+      if (!field) return;
+      const value = stripFormulaGuard(cells[column]);
+      values[field] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    // 跳过空行和导出文件中的合计行
+    const isEmpty = Object.values(values).every(value => value === '' || value === undefined);
+    const isTotalRow = values.name === '合计' && !values.localId;
+    if (isEmpty || isTotalRow) return;
+
+    rows.push({ sheet, row: offset + 2, values });
+  });
+
+  return rows;
+}
+
+// 读取上传的文件，返回 { rows } 或 { error }
+// rows 中每项为 { sheet, row, values }，row 为文件中的行号（表头为第 1 行）
+async function readImportFile(file) {
+  const isXlsx = /\.xlsx$/i.test(file.originalname || '') ||
+    file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  if (!isXlsx) {
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const rows = tableToRows(parseCsv(text), null);
+    if (!rows) return { error: `缺少必需的列: ${REQUIRED_HEADERS.join('、')}` };
+    return { rows };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    return { error: '无法读取 Excel 文件' };
+  }
+
+  // 导出文件的汇总工作表没有姓名列，会被跳过
+  let rows = null;
+  workbook.worksheets.forEach(worksheet => {
+    const table = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      table[rowNumber - 1] = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        table[rowNumber - 1][column - 1] = cellValue(cell);
+      });
+    });
+
+    const sheetRows = tableToRows(Array.from(table, cells => cells || []), worksheet.name);
+    if (sheetRows) rows = (rows || []).concat(sheetRows);
+  });
+
+  if (!rows) return { error: `没有包含必需列（${REQUIRED_HEADERS.join('、')}）的工作表` };
+  return { rows };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  readImportFile
+};
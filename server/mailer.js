@@ -0,0 +1,37 @@
+// mailer.js - 通过 SMTP 发送邮件，服务器地址等见 config.smtp
+const nodemailer = require('nodemailer');
+const config = require('./config');
+
+let transport = null;
+
+// 是否已配置邮件服务
+function isMailConfigured() {
+  return Boolean(config.smtp.host);
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      ...(config.smtp.user && {
+        auth: { user: config.smtp.user, pass: config.smtp.password }
+      })
+    });
+  }
+  return transport;
+}
+
+// 发送邮件，返回 nodemailer 的发送结果
+async function sendMail(message) {
+  return getTransport().sendMail({
+    from: config.smtp.from || config.smtp.user,
+    ...message
+  });
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
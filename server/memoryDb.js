@@ -0,0 +1,478 @@
+// memoryDb.js - 内嵌存储：在内存中实现 MongoDB 驱动的常用接口，可选保存为 JSON 文件
+// 查询、聚合和更新操作符由 mingo 解释执行，用于本地开发、测试和离线使用，不适合大数据量
+require('mingo/init/system');
+const fs = require('fs');
+const path = require('path');
+const mingo = require('mingo');
+const { updateObject } = require('mingo/updater');
+const { ObjectId, BSON } = require('mongodb');
+
+const { EJSON } = BSON;
+
+// 写入文件前等待的毫秒数，合并短时间内的多次修改
+const SAVE_DELAY_MS = 200;
+
+// 深拷贝文档：普通对象、数组和日期逐层复制，ObjectId 等不可变的 BSON 值直接共用
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = cloneValue(value[key]);
+    return copy;
+  }
+  return value;
+}
+
+// 比较两个值是否相同（用于 distinct 去重和判断文档是否被修改）
+function sameValue(a, b) {
+  return EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false });
+}
+
+// 与驱动相同的重复键错误，code 为 11000
+function duplicateKeyError(collectionName, index, key) {
+  const error = new Error(
+    `E11000 duplicate key error collection: ${collectionName} index: ${index.name} dup key: ${EJSON.stringify(key)}`
+  );
+  error.code = 11000;
+  error.errmsg = error.message;
+  return error;
+}
+
+// 读取文档中的字段（支持 a.b 形式的路径），不存在时为 null，与唯一索引的取值规则一致
+function fieldValue(document, field) {
+  const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), document);
+  return value === undefined ? null : value;
+}
+
+// 按筛选条件中的等值字段生成 upsert 时插入的文档
+function upsertBase(filter) {
+  const base = {};
+  for (const [field, value] of Object.entries(filter)) {
+    if (field.startsWith('$')) continue;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId) &&
+        Object.keys(value).some(key => key.startsWith('$'))) {
+      continue;
+    }
+    updateObject(base, { $set: { [field]: cloneValue(value) } });
+  }
+  return base;
+}
+
+// 游标：支持 sort / skip / limit / project 链式调用，toArray / next 及 for await 遍历
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+    this.results = null;
+    this.position = 0;
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+
+  async toArray() {
+    if (!this.results) this.results = this.load(this.options);
+    const remaining = this.results.slice(this.position);
+    this.position = this.results.length;
+    return remaining;
+  }
+
+  async next() {
+    if (!this.results) this.results = this.load(this.options);
+    return this.position < this.results.length ? this.results[this.position++] : null;
+  }
+
+  async close() {
+    this.position = this.results ? this.results.length : 0;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let document;
+    while ((document = await this.next()) !== null) {
+      yield document;
+    }
+  }
+}
+
+class MemoryCollection {
+  constructor(store, name) {
+    this.store = store;
+    this.collectionName = name;
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  // 按条件筛选，返回内部文档（不拷贝）
+  match(filter = {}) {
+    const query = new mingo.Query(filter);
+    return this.documents.filter(document => query.test(document));
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(({ sort, skip, limit, projection }) => {
+      let results = mingo.find(this.documents, filter, projection && Object.keys(projection).length > 0 ? projection : undefined);
+      if (sort) results = results.sort(sort);
+      if (skip) results = results.skip(skip);
+      if (limit) results = results.limit(limit);
+      return results.all().map(cloneValue);
+    });
+    ['sort', 'skip', 'limit'].forEach(option => {
+      if (options[option] !== undefined) cursor[option](options[option]);
+    });
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, { ...options, limit: 1 }).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.match(filter).forEach(document => {
+      [].concat(fieldValue(document, field)).forEach(value => {
+        if (value !== null && !values.some(existing => sameValue(existing, value))) {
+          values.push(cloneValue(value));
+        }
+      });
+    });
+    return values;
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => mingo.aggregate(this.documents.map(cloneValue), pipeline));
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([field, order]) => `${field}_${order}`).join('_');
+    if (!this.indexes.some(index => index.name === name)) {
+      this.indexes.push({
+        name,
+        fields: Object.keys(keys),
+        unique: Boolean(options.unique),
+        partial: options.partialFilterExpression ? new mingo.Query(options.partialFilterExpression) : null
+      });
+    }
+    return name;
+  }
+
+  // 在事务中修改文档时记录撤销信息（options.session 为 startSession() 返回的会话），回滚时只恢复这些文档
+  logUndo(options, entry) {
+    if (options && options.session && options.session.undoLog) {
+      options.session.undoLog.push({ collection: this, ...entry });
+    }
+  }
+
+  // 检查文档是否与其他文档违反唯一索引
+  checkUnique(document, ignore) {
+    for (const index of this.indexes) {
+      if (!index.unique) continue;
+      if (index.partial && !index.partial.test(document)) continue;
+      const key = index.fields.map(field => fieldValue(document, field));
+      const conflict = this.documents.some(other => other !== ignore &&
+        (!index.partial || index.partial.test(other)) &&
+        index.fields.every((field, i) => sameValue(fieldValue(other, field), key[i])));
+      if (conflict) {
+        throw duplicateKeyError(this.collectionName, index, Object.fromEntries(index.fields.map((field, i) => [field, key[i]])));
+      }
+    }
+  }
+
+  async insertOne(document, options = {}) {
+    // 与驱动一样把生成的 _id 写回传入的文档
+    if (document._id === undefined) document._id = new ObjectId();
+    const stored = cloneValue(document);
+    this.checkUnique(stored, null);
+    this.documents.push(stored);
+    this.logUndo(options, { inserted: stored });
+    this.store.changed();
+    return { acknowledged: true, insertedId: document._id };
+  }
+
+  async insertMany(documents, options = {}) {
+    const insertedIds = {};
+    for (let i = 0; i < documents.length; i++) {
+      insertedIds[i] = (await this.insertOne(documents[i], options)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  // 对文档副本执行更新：update 为操作符对象或聚合管道
+  applyUpdate(document, update, options = {}, inserting = false) {
+    if (Array.isArray(update)) {
+      return mingo.aggregate([document], update)[0];
+    }
+    const updated = cloneValue(document);
+    for (const [operator, fields] of Object.entries(update)) {
+      if (operator === '$setOnInsert') {
+        if (inserting) updateObject(updated, { $set: cloneValue(fields) });
+        continue;
+      }
+      updateObject(updated, { [operator]: cloneValue(fields) }, options.arrayFilters);
+    }
+    return updated;
+  }
+
+  // updateOne / updateMany / findOneAndUpdate 共用，返回 { matchedCount, modifiedCount, upsertedId, before, after }
+  updateDocuments(filter, update, options, multi) {
+    let targets = this.match(filter);
+    if (options.sort) {
+      targets = mingo.find(targets, {}).sort(options.sort).all();
+    }
+    if (!multi) targets = targets.slice(0, 1);
+
+    if (targets.length === 0) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedId: null, before: null, after: null };
+      const inserted = this.applyUpdate(upsertBase(filter), update, options, true);
+      if (inserted._id === undefined) inserted._id = new ObjectId();
+      this.checkUnique(inserted, null);
+      this.documents.push(inserted);
+      this.logUndo(options, { inserted });
+      this.store.changed();
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id, before: null, after: inserted };
+    }
+
+    let modifiedCount = 0;
+    let before = null;
+    let after = null;
+    for (const target of targets) {
+      const updated = this.applyUpdate(target, update, options);
+      updated._id = target._id;
+      before = target;
+      after = updated;
+      if (sameValue(target, updated)) continue;
+      this.checkUnique(updated, target);
+      this.documents[this.documents.indexOf(target)] = updated;
+      this.logUndo(options, { before: target, after: updated });
+      modifiedCount += 1;
+    }
+    if (modifiedCount > 0) this.store.changed();
+    return { matchedCount: targets.length, modifiedCount, upsertedId: null, before, after };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { matchedCount, modifiedCount, upsertedId } = this.updateDocuments(filter, update, options, false);
+    return { acknowledged: true, matchedCount, modifiedCount, upsertedCount: upsertedId ? 1 : 0, upsertedId };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { matchedCount, modifiedCount, upsertedId } = this.updateDocuments(filter, update, options, true);
+    return { acknowledged: true, matchedCount, modifiedCount, upsertedCount: upsertedId ? 1 : 0, upsertedId };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { before, after } = this.updateDocuments(filter, update, options, false);
+    const document = options.returnDocument === 'after' ? after : before;
+    if (!document) return null;
+    if (options.projection) return mingo.find([document], {}, options.projection).next() || null;
+    return cloneValue(document);
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    const [target] = this.match(filter);
+    if (!target) return { acknowledged: true, deletedCount: 0 };
+    this.documents.splice(this.documents.indexOf(target), 1);
+    this.logUndo(options, { deleted: target });
+    this.store.changed();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}, options = {}) {
+    const targets = new Set(this.match(filter));
+    if (targets.size === 0) return { acknowledged: true, deletedCount: 0 };
+    this.documents = this.documents.filter(document => !targets.has(document));
+    targets.forEach(deleted => this.logUndo(options, { deleted }));
+    this.store.changed();
+    return { acknowledged: true, deletedCount: targets.size };
+  }
+
+  // 支持 insertOne / updateOne / updateMany / deleteOne / deleteMany，出错时与驱动一样抛出带 result 和 writeErrors 的错误
+  async bulkWrite(operations, options = {}) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {}
+    };
+    const writeErrors = [];
+
+    for (let index = 0; index < operations.length; index++) {
+      const [type, operation] = Object.entries(operations[index])[0];
+      try {
+        if (type === 'insertOne') {
+          result.insertedIds[index] = (await this.insertOne(operation.document, options)).insertedId;
+          result.insertedCount += 1;
+        } else if (type === 'updateOne' || type === 'updateMany') {
+          const updated = await this[type](operation.filter, operation.update, { ...operation, session: options.session });
+          result.matchedCount += updated.matchedCount;
+          result.modifiedCount += updated.modifiedCount;
+          if (updated.upsertedId) {
+            result.upsertedIds[index] = updated.upsertedId;
+            result.upsertedCount += 1;
+          }
+        } else if (type === 'deleteOne' || type === 'deleteMany') {
+          result.deletedCount += (await this[type](operation.filter, options)).deletedCount;
+        } else {
+          throw new Error(`内嵌存储不支持的批量操作: ${type}`);
+        }
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (options.ordered !== false) break;
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      const error = new Error(writeErrors[0].errmsg);
+      error.code = writeErrors[0].code;
+      error.result = result;
+      error.writeErrors = writeErrors;
+      throw error;
+    }
+    return result;
+  }
+}
+
+class MemoryDb {
+  constructor(store) {
+    this.store = store;
+  }
+
+  collection(name) {
+    if (!this.store.collections.has(name)) {
+      this.store.collections.set(name, new MemoryCollection(this.store, name));
+    }
+    return this.store.collections.get(name);
+  }
+
+  // 只支持健康检查用的 ping
+  async command(command) {
+    if (command.ping) return { ok: 1 };
+    throw new Error(`内嵌存储不支持的命令: ${Object.keys(command)[0]}`);
+  }
+}
+
+// 与 MongoClient 接口相同的内嵌客户端，filePath 为空时只保存在内存中
+class MemoryClient {
+  constructor({ filePath = '' } = {}) {
+    this.filePath = filePath;
+    this.collections = new Map();
+    this.saveTimer = null;
+    // dirty：上次写入文件取数据之后又有修改；saving：最近一次写入（写入按顺序进行）
+    this.dirty = false;
+    this.saving = Promise.resolve();
+  }
+
+  async connect() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return this;
+
+    // 数字按 JavaScript 数值读回（relaxed: false 会读成 Int32 / Double 对象，比较和 $inc 都会出错）
+    const data = EJSON.parse(await fs.promises.readFile(this.filePath, 'utf8'), { relaxed: true });
+    for (const [name, documents] of Object.entries(data)) {
+      const collection = new MemoryCollection(this, name);
+      collection.documents = documents;
+      this.collections.set(name, collection);
+    }
+    return this;
+  }
+
+  db() {
+    return new MemoryDb(this);
+  }
+
+  // 数据修改后延迟写入文件
+  changed() {
+    if (!this.filePath) return;
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.error('❌ 保存数据文件失败:', error));
+    }, SAVE_DELAY_MS);
+  }
+
+  // 在正在进行的写入完成后再写入，两次写入不会同时使用同一个临时文件；没有新的修改时不写
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const run = this.saving.then(() => this.writeFile());
+    this.saving = run.catch(() => {});
+    return run;
+  }
+
+  // 先写临时文件再改名，避免写到一半时进程退出损坏数据文件
+  async writeFile() {
+    if (!this.filePath || !this.dirty) return;
+
+    // 同步取出全部数据，之后的修改留给下一次写入
+    const data = {};
+    for (const [name, collection] of this.collections) data[name] = collection.documents;
+    const text = EJSON.stringify(data, { relaxed: false });
+    this.dirty = false;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, text);
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  // 按撤销记录从后往前撤销事务中的修改；文档在事务之后又被其他请求修改或删除时保留其他请求的结果
+  rollback(undoLog) {
+    for (const { collection, inserted, before, after, deleted } of [...undoLog].reverse()) {
+      const { documents } = collection;
+      if (inserted) {
+        const index = documents.indexOf(inserted);
+        if (index >= 0) documents.splice(index, 1);
+      } else if (after) {
+        const index = documents.indexOf(after);
+        if (index >= 0) documents[index] = before;
+      } else if (!documents.some(document => sameValue(document._id, deleted._id))) {
+        documents.push(deleted);
+      }
+    }
+    if (undoLog.length > 0) this.changed();
+  }
+
+  // 事务：以 { session } 执行的写操作记录撤销信息，出错时只撤销这些修改，不影响同时进行的其他请求
+  // （不提供读隔离：事务中间的修改对其他请求可见）
+  startSession() {
+    const client = this;
+    return {
+      undoLog: null,
+      async withTransaction(fn) {
+        this.undoLog = [];
+        try {
+          await fn(this);
+        } catch (error) {
+          client.rollback(this.undoLog);
+          throw error;
+        } finally {
+          this.undoLog = null;
+        }
+      },
+      async endSession() {}
+    };
+  }
+
+  // 等待正在进行的写入完成，之后又有修改时再写入一次
+  async close() {
+    await this.save();
+  }
+}
+
+module.exports = {
+  MemoryClient
+};
@@ -0,0 +1,23 @@
+// passwords.js - 管理员密码哈希
+const crypto = require('crypto');
+
+// 使用 scrypt 生成密码哈希，格式为 salt:hash
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [salt, hash] = (passwordHash || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,175 @@
+// payments.js - 缴费台账：记录的已缴金额、未缴金额和缴费状态由台账计算
+const database = require('./database');
+const { recordRepository } = require('./repositories');
+const { PARTIAL_PAYMENT_STATUS } = require('./schema');
+const { publishRecordUpdated, publishPaymentEvent } = require('./events');
+
+// 由应缴金额和已缴金额（新台币）得出缴费状态
+function derivePaymentStatus(amountDueTWD, paidAmountTWD) {
+  if (paidAmountTWD <= 0) return '未缴费';
+  if (paidAmountTWD < amountDueTWD) return PARTIAL_PAYMENT_STATUS;
+  return '已缴费';
+}
+
+// 台账中该记录未作废的缴费合计（新台币）
+async function ledgerPaidAmount(recordId, session) {
+  const [ledger] = await database.payments().aggregate([
+    { $match: { recordId, voidedAt: null } },
+    { $group: { _id: null, paidAmountTWD: { $sum: '$amountTWD' } } }
+  ], { session }).toArray();
+  return ledger ? ledger.paidAmountTWD : 0;
+}
+
+// 按台账中未作废的缴费重新计算记录的已缴金额、未缴金额和缴费状态，返回更新的字段
+async function recalculateRecordPayment(recordId, session) {
+  const paidAmountTWD = await ledgerPaidAmount(recordId, session);
+  const record = await recordRepository.findOne(
+    { _id: recordId },
+    { projection: { amountTWD: 1 }, session }
+  );
+
+  const amountDueTWD = record.amountTWD || 0;
+  const update = {
+    paidAmountTWD,
+    balanceTWD: Math.max(amountDueTWD - paidAmountTWD, 0),
+    payment: derivePaymentStatus(amountDueTWD, paidAmountTWD),
+    updatedAt: new Date()
+  };
+
+  await recordRepository.updateOne({ _id: recordId }, { $set: update }, { session });
+  return update;
+}
+
+// 推送缴费事件及缴费后记录的已缴金额、未缴金额和缴费状态的变化
+async function publishPaymentChange(type, payment, before) {
+  const after = await recordRepository.findOne({ _id: before._id });
+  publishPaymentEvent(type, payment, after);
+  const changes = ['paidAmountTWD', 'balanceTWD', 'payment']
+    .filter(field => before[field] !== after[field])
+    .map(field => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field]
+    }));
+  publishRecordUpdated(before, after, changes);
+}
+
+// 登记一笔缴费并更新记录，返回 { payment, summary }
+async function addPayment(payment) {
+  const before = await recordRepository.findOne({ _id: payment.recordId });
+  const result = await database.withTransaction(async session => {
+    const inserted = { ...payment, createdAt: new Date() };
+    await database.payments().insertOne(inserted, { session });
+    const summary = await recalculateRecordPayment(payment.recordId, session);
+    return { payment: inserted, summary };
+  });
+  await publishPaymentChange('payment.added', result.payment, before);
+  return result;
+}
+
+// 作废一笔缴费（保留在台账中）并更新记录，返回 { payment, summary }
+async function voidPayment(payment, reason, user) {
+  const voided = {
+    voidedAt: new Date(),
+    voidedBy: user.username,
+    voidReason: reason
+  };
+
+  const before = await recordRepository.findOne({ _id: payment.recordId });
+  const result = await database.withTransaction(async session => {
+    await database.payments().updateOne(
+      { _id: payment._id, voidedAt: null },
+      { $set: voided },
+      { session }
+    );
+    const summary = await recalculateRecordPayment(payment.recordId, session);
+    return { payment: { ...payment, ...voided }, summary };
+  });
+  await publishPaymentChange('payment.voided', result.payment, before);
+  return result;
+}
+
+// 对账报表：按项目汇总应缴、已缴和未缴金额，列出未缴费和未缴足的记录
+// 没有缴费记录的登记（包括表单上自报已缴费的）按已缴 0 元计算
+async function buildReconciliation(query) {
+  const groups = await recordRepository.aggregate([
+    { $match: query },
+    {
+      $addFields: {
+        amountDueTWD: { $ifNull: ['$amountTWD', 0] },
+        paidAmountTWD: { $ifNull: ['$paidAmountTWD', 0] }
+      }
+    },
+    {
+      $addFields: {
+        balanceTWD: { $max: [{ $subtract: ['$amountDueTWD', '$paidAmountTWD'] }, 0] }
+      }
+    },
+    { $sort: { name: 1 } },
+    {
+      $group: {
+        _id: '$project',
+        count: { $sum: 1 },
+        amountDueTWD: { $sum: '$amountDueTWD' },
+        paidAmountTWD: { $sum: '$paidAmountTWD' },
+        balanceTWD: { $sum: '$balanceTWD' },
+        outstanding: {
+          $push: {
+            _id: '$_id',
+            localId: '$localId',
+            name: '$name',
+            contact: '$contact',
+            payment: '$payment',
+            amountTWD: '$amountDueTWD',
+            paidAmountTWD: '$paidAmountTWD',
+            balanceTWD: '$balanceTWD'
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        outstanding: {
+          $filter: { input: '$outstanding', cond: { $gt: ['$$this.balanceTWD', 0] } }
+        }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const totals = { count: 0, amountDueTWD: 0, paidAmountTWD: 0, balanceTWD: 0, unpaidCount: 0, underpaidCount: 0 };
+  const projects = groups.map(group => {
+    const unpaid = group.outstanding.filter(record => record.paidAmountTWD <= 0);
+    const underpaid = group.outstanding.filter(record => record.paidAmountTWD > 0);
+
+    totals.count += group.count;
+    totals.amountDueTWD += group.amountDueTWD;
+    totals.paidAmountTWD += group.paidAmountTWD;
+    totals.balanceTWD += group.balanceTWD;
+    totals.unpaidCount += unpaid.length;
+    totals.underpaidCount += underpaid.length;
+
+    return {
+      project: group._id || '未分类',
+      count: group.count,
+      amountDueTWD: group.amountDueTWD,
+      paidAmountTWD: group.paidAmountTWD,
+      balanceTWD: group.balanceTWD,
+      unpaidCount: unpaid.length,
+      underpaidCount: underpaid.length,
+      unpaid,
+      underpaid
+    };
+  });
+
+  return { projects, totals };
+}
+
+module.exports = {
+  derivePaymentStatus,
+  ledgerPaidAmount,
+  recalculateRecordPayment,
+  addPayment,
+  voidPayment,
+  buildReconciliation
+};
@@ -0,0 +1,156 @@
+// plaques.js - 超荐莲位（牌位）PDF 排版，文字竖排，从右到左
+const PDFDocument = require('pdfkit');
+
+const CHINESE_DIGITS = {
+  '一': 1, '壹': 1, '二': 2, '两': 2, '贰': 2, '三': 3, '叁': 3,
+  '四': 4, '肆': 4, '五': 5, '伍': 5, '六': 6, '陆': 6,
+  '七': 7, '柒': 7, '八': 8, '捌': 8, '九': 9, '玖': 9
+};
+
+// A4 纸每页 4 列 2 行共 8 座莲位，单位为 pt
+const PAGE = { width: 595.28, height: 841.89, margin: 28, header: 24 };
+const GRID = { columns: 4, rows: 2, gap: 10 };
+
+// 每条记录的莲位座数：超荐方式注明 "附 超荐莲位 贰座" 的按座数，其余为一座
+function plaqueCount(method) {
+  const match = /([\d一二两三四五六七八九壹贰叁肆伍陆柒捌玖])\s*座/.exec(method || '');
+  if (!match) return 1;
+  return Number(match[1]) || CHINESE_DIGITS[match[1]] || 1;
+}
+
+// 在框内竖排文字：自上而下、从右到左换列，放不下时缩小字号
+function drawVerticalText(doc, text, box, maxFontSize) {
+  const chars = Array.from(String(text || '').replace(/\s+/g, ''));
+  if (chars.length === 0) return;
+
+  let size = maxFontSize;
+  let perColumn;
+  let columns;
+  for (; size > 6; size -= 1) {
+    perColumn = Math.max(1, Math.floor(box.height / (size * 1.1)));
+    columns = Math.ceil(chars.length / perColumn);
+    if (columns * size * 1.2 <= box.width) break;
+  }
+
+  const columnWidth = size * 1.2;
+  const right = box.x + (box.width + columns * columnWidth) / 2;
+  // 只有一列时上下居中
+  const top = columns === 1 ? box.y + (box.height - chars.length * size * 1.1) / 2 : box.y;
+
+  doc.fontSize(size);
+  chars.forEach((char, i) => {
+    const column = Math.floor(i / perColumn);
+    const row = i % perColumn;
+    doc.text(char, right - (column + 1) * columnWidth, top + row * size * 1.1, {
+      width: columnWidth,
+      align: 'center',
+      lineBreak: false
+    });
+  });
+}
+
+// 绘制一座莲位：中间为超荐内容，左侧为阳上登记人
+function drawPlaque(doc, record, frame, seat, seats) {
+  doc.lineWidth(1.5).rect(frame.x, frame.y, frame.width, frame.height).stroke();
+  doc.lineWidth(0.5).rect(frame.x + 4, frame.y + 4, frame.width - 8, frame.height - 8).stroke();
+
+  const inner = {
+    x: frame.x + 10,
+    y: frame.y + 16,
+    width: frame.width - 20,
+    height: frame.height - 32
+  };
+
+  if (record.content) {
+    drawVerticalText(doc, record.content, {
+      x: inner.x + inner.width * 0.3,
+      y: inner.y,
+      width: inner.width * 0.7,
+      height: inner.height
+    }, 24);
+    drawVerticalText(doc, `阳上${record.name || ''}敬荐`, {
+      x: inner.x,
+      y: inner.y + inner.height * 0.35,
+      width: inner.width * 0.3,
+      height: inner.height * 0.65
+    }, 12);
+  } else {
+    drawVerticalText(doc, record.name, inner, 24);
+  }
+
+  if (seats > 1) {
+    doc.fontSize(7).text(`${seat}/${seats}`, frame.x, frame.y + frame.height - 14, {
+      width: frame.width,
+      align: 'center',
+      lineBreak: false
+    });
+  }
+}
+
+// 把游标中的记录排版为莲位 PDF 写入响应，返回莲位座数
+// cursor 必须按 project、method 排序，每组从新的一页开始
+async function writePlaquesPdf({ cursor, font, res }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+  doc.registerFont('plaque', font.path, font.family);
+  doc.pipe(res);
+
+  const frameWidth = (PAGE.width - PAGE.margin * 2 - GRID.gap * (GRID.columns - 1)) / GRID.columns;
+  const frameHeight = (PAGE.height - PAGE.margin * 2 - PAGE.header - GRID.gap * (GRID.rows - 1)) / GRID.rows;
+
+  let groupKey = null;
+  let slot = 0;
+  let count = 0;
+
+  const addPage = header => {
+    doc.addPage().font('plaque');
+    doc.fontSize(10).text(header, PAGE.margin, PAGE.margin, {
+      width: PAGE.width - PAGE.margin * 2,
+      lineBreak: false
+    });
+    slot = 0;
+  };
+
+  try {
+    for await (const record of cursor) {
+      if (res.destroyed) break;
+
+      const header = [record.project, record.method].filter(Boolean).join('　');
+      if (`${record.project}\u0000${record.method}` !== groupKey) {
+        groupKey = `${record.project}\u0000${record.method}`;
+        addPage(header);
+      }
+
+      const seats = plaqueCount(record.method);
+      for (let seat = 1; seat <= seats; seat++) {
+        if (slot === GRID.columns * GRID.rows) addPage(header);
+
+        // 从右上角开始，从右到左、自上而下排列
+        const column = GRID.columns - 1 - (slot % GRID.columns);
+        const row = Math.floor(slot / GRID.columns);
+        drawPlaque(doc, record, {
+          x: PAGE.margin + column * (frameWidth + GRID.gap),
+          y: PAGE.margin + PAGE.header + row * (frameHeight + GRID.gap),
+          width: frameWidth,
+          height: frameHeight
+        }, seat, seats);
+
+        slot += 1;
+        count += 1;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (count === 0) {
+    addPage('没有符合条件的记录');
+  }
+
+  doc.end();
+  return count;
+}
+
+module.exports = {
+  plaqueCount,
+  writePlaquesPdf
+};
@@ -0,0 +1,79 @@
+// projects.js - 护持项目目录
+// 默认项目目录，仅在 projects 集合为空时写入数据库
+// amountTWD 为 null 表示随喜金额，不校验金额
+const DEFAULT_PROJECTS = [
+  { name: '副总功德主', method: '超荐消业共修(七天)-莲位-附 超荐莲位 贰座', amountTWD: 80000 },
+  { name: '大愿功德主', method: '超荐消业共修(七天)-莲位-附 超荐莲位 壹座', amountTWD: 50000 },
+  { name: '大悲功德主(历代祖先)', method: '超荐消业共修(七天)-莲位-历代祖先', amountTWD: 8000 },
+  { name: '大悲功德主(往生先亡)', method: '超荐消业共修(七天)-莲位-往生先亡', amountTWD: 6000 },
+  { name: '大悲功德主(个人冤亲债主)', method: '超荐消业共修(七天)-莲位-个人冤亲债主', amountTWD: 6000 },
+  { name: '大悲功德主(地基主)', method: '超荐消业共修(七天)-莲位-地基主', amountTWD: 6000 },
+  { name: '大悲功德主(有缘无份小孩)', method: '超荐消业共修(七天)-莲位-有缘无份小孩', amountTWD: 6000 },
+  { name: '大智功德主', method: '超荐消业共修(五天)-地基主', amountTWD: 1000 },
+  { name: '大行功德主', method: '超荐消业共修(五天)-有缘无份小孩', amountTWD: 1000 },
+  { name: '随喜超荐(历代祖先)', method: '超荐消业共修(三天)-历代祖先', amountTWD: 200 },
+  { name: '随喜超荐(往生先亡)', method: '超荐消业共修(三天)-往生先亡', amountTWD: 200 },
+  { name: '随喜超荐(个人冤亲债主)', method: '超荐消业共修(三天)-个人冤亲债主', amountTWD: 200 }
+];
+
+// 整理客户端提交的项目数据，返回 { project } 或 { error }
+function normalizeProject(input, { partial = false } = {}) {
+  const project = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { error: '项目名称不能为空' };
+    project.name = name;
+  }
+
+  if (input.method !== undefined || !partial) {
+    const method = typeof input.method === 'string' ? input.method.trim() : '';
+    if (!method) return { error: '超荐方式不能为空' };
+    project.method = method;
+  }
+
+  if (input.amountTWD !== undefined || !partial) {
+    if (input.amountTWD === null || input.amountTWD === '随喜') {
+      project.amountTWD = null;
+    } else {
+      const amount = Number(input.amountTWD);
+      if (!Number.isFinite(amount) || amount < 0) return { error: '护持金额无效' };
+      project.amountTWD = amount;
+    }
+  }
+
+  if (input.sortOrder !== undefined) {
+    project.sortOrder = parseInt(input.sortOrder) || 0;
+  }
+
+  if (input.active !== undefined) {
+    project.active = input.active !== false && input.active !== 'false';
+  }
+
+  return { project };
+}
+
+// 按项目目录检查一条登记记录，通过时返回 null，否则返回 { field, error }
+function checkRecordAgainstCatalog(record, catalog) {
+  const entry = catalog.get(record.project);
+
+  if (!entry || entry.active === false) {
+    return { field: 'project', error: `未知的护持项目: ${record.project || '(空)'}` };
+  }
+
+  if ((record.method || '') !== entry.method) {
+    return { field: 'method', error: `超荐方式与项目目录不符: ${record.project}` };
+  }
+
+  if (entry.amountTWD !== null && Number(record.amountTWD) !== entry.amountTWD) {
+    return { field: 'amountTWD', error: `护持金额与项目目录不符: ${record.project} 应为 NT$ ${entry.amountTWD}` };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PROJECTS,
+  normalizeProject,
+  checkRecordAgainstCatalog
+};
@@ -0,0 +1,183 @@
+// receipts.js - 护持收据：按年度连续编号、生成 PDF 及邮件发送
+const PDFDocument = require('pdfkit');
+const config = require('./config');
+const database = require('./database');
+const { recordRepository } = require('./repositories');
+const { sendMail } = require('./mailer');
+
+// 收据所属年度，按配置的时区计算
+function receiptYear(date) {
+  return Number(new Intl.DateTimeFormat('en-US', {
+    timeZone: config.server.timeZone,
+    year: 'numeric'
+  }).format(date));
+}
+
+// 收据号，例如 2026-000001
+function formatReceiptNo(year, number) {
+  return `${year}-${String(number).padStart(6, '0')}`;
+}
+
+function formatDate(date) {
+  return new Intl.DateTimeFormat('zh-CN', {
+    timeZone: config.server.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// 为已缴费的记录开具收据，返回 { receipt }，该记录已有有效收据时返回 { existing }
+// 计数器递增与收据写入在同一事务中，事务失败时编号一并回滚，保证编号连续不缺号
+async function issueReceipt(record, user) {
+  const issuedAt = new Date();
+  const year = receiptYear(issuedAt);
+
+  return database.withTransaction(async session => {
+    const existing = await database.receipts().findOne(
+      { recordId: record._id, status: 'issued' },
+      { session }
+    );
+    if (existing) return { existing };
+
+    const counter = await database.counters().findOneAndUpdate(
+      { _id: `receipt_${year}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: 'after', session }
+    );
+
+    const receipt = {
+      receiptNo: formatReceiptNo(year, counter.seq),
+      year,
+      number: counter.seq,
+      recordId: record._id,
+      localId: record.localId,
+      serverId: record.serverId,
+      name: record.name,
+      project: record.project,
+      method: record.method,
+      amountTWD: record.amountTWD || 0,
+      amountRMB: record.amountRMB || 0,
+      exchangeRate: record.exchangeRate,
+      status: 'issued',
+      issuedAt,
+      issuedBy: user.username,
+      emails: []
+    };
+
+    await database.receipts().insertOne(receipt, { session });
+    await recordRepository.updateOne(
+      { _id: record._id },
+      { $set: { receiptNo: receipt.receiptNo, updatedAt: issuedAt } },
+      { session }
+    );
+
+    return { receipt };
+  });
+}
+
+// 作废收据：编号保留不再使用，记录上的收据号一并清除，之后可重新开具
+async function voidReceipt(receipt, reason, user) {
+  const voided = {
+    status: 'void',
+    voidedAt: new Date(),
+    voidedBy: user.username,
+    voidReason: reason
+  };
+
+  await database.withTransaction(async session => {
+    await database.receipts().updateOne(
+      { _id: receipt._id, status: 'issued' },
+      { $set: voided },
+      { session }
+    );
+    await recordRepository.updateOne(
+      { _id: receipt.recordId, receiptNo: receipt.receiptNo },
+      { $unset: { receiptNo: '' }, $set: { updatedAt: voided.voidedAt } },
+      { session }
+    );
+  });
+
+  return { ...receipt, ...voided };
+}
+
+// 生成收据 PDF，返回 Buffer；已作废的收据加盖 "作废" 字样
+function renderReceiptPdf(receipt, font) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', layout: 'landscape', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('receipt', font.path, font.family);
+    doc.font('receipt');
+
+    doc.fontSize(20).text(config.receipts.title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+      .text(`收据编号：${receipt.receiptNo}`, { align: 'right' })
+      .text(`开具日期：${formatDate(receipt.issuedAt)}`, { align: 'right' });
+    doc.moveDown();
+
+    const rate = receipt.exchangeRate ? `（汇率 ${receipt.exchangeRate}）` : '';
+    const lines = [
+      ['姓名', receipt.name],
+      ['护持项目', receipt.project],
+      ['超荐方式', receipt.method],
+      ['护持金额(新台币)', `NT$ ${receipt.amountTWD.toLocaleString('en-US')}`],
+      ['护持金额(人民币)', `¥ ${receipt.amountRMB.toFixed(2)}${rate}`]
+    ];
+    doc.fontSize(12);
+    lines.forEach(([label, value]) => {
+      doc.text(`${label}：${value || ''}`).moveDown(0.4);
+    });
+
+    doc.moveDown();
+    doc.fontSize(10).text(`经手人：${receipt.issuedBy}`, { align: 'right' });
+
+    if (receipt.status === 'void') {
+      doc.save()
+        .rotate(-20, { origin: [doc.page.width / 2, doc.page.height / 2] })
+        .fontSize(80)
+        .fillColor('red', 0.35)
+        .text('作废', 0, doc.page.height / 2 - 50, { width: doc.page.width, align: 'center' })
+        .restore();
+      doc.fillColor('red').fontSize(9).text(
+        `作废日期：${formatDate(receipt.voidedAt)}　原因：${receipt.voidReason || ''}`,
+        40, doc.page.height - 60
+      );
+    }
+
+    doc.end();
+  });
+}
+
+// 以附件形式发送收据邮件，并在收据上记录发送历史
+async function emailReceipt(receipt, to, font, user) {
+  const pdf = await renderReceiptPdf(receipt, font);
+  const info = await sendMail({
+    to,
+    subject: `${config.receipts.title} ${receipt.receiptNo}`,
+    text: `${receipt.name} 您好：\n\n` +
+      `附件为您的护持收据（编号 ${receipt.receiptNo}），` +
+      `护持项目 ${receipt.project}，金额 NT$ ${receipt.amountTWD.toLocaleString('en-US')}。\n\n感恩您的护持。`,
+    attachments: [{ filename: `receipt_${receipt.receiptNo}.pdf`, content: pdf }]
+  });
+
+  const email = {
+    to,
+    sentAt: new Date(),
+    sentBy: user.username,
+    messageId: info.messageId
+  };
+  await database.receipts().updateOne({ _id: receipt._id }, { $push: { emails: email } });
+  return email;
+}
+
+module.exports = {
+  issueReceipt,
+  voidReceipt,
+  renderReceiptPdf,
+  emailReceipt
+};
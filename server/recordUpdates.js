@@ -0,0 +1,162 @@
+// recordUpdates.js - 修改已登记的记录：PATCH /api/records/:id 和设备同步推送（POST /api/sync）共用
+const database = require('./database');
+const { checkRecordAgainstCatalog } = require('./projects');
+const { RECORD_SCHEMA, validate } = require('./schema');
+const { convertTWDToRMB } = require('./exchangeRates');
+const { recalculateRecordPayment } = require('./payments');
+const { recordRepository } = require('./repositories');
+const { loadProjectCatalog, findEffectiveRate } = require('./submissions');
+const { batchClosedError } = require('./batches');
+const { resolveDonorId } = require('./donors');
+const { publishRecordUpdated } = require('./events');
+const { recordAudit } = require('./audit');
+
+// 登记后允许修改的字段
+const EDITABLE_FIELDS = ['name', 'project', 'method', 'amountTWD', 'content', 'payment', 'contact', 'phone'];
+const EDITABLE_SCHEMA = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, RECORD_SCHEMA[field]]));
+
+function invalid(error, fieldErrors) {
+  return { status: 'invalid', error, fieldErrors };
+}
+
+// 按版本条件更新没有写入时在事务中抛出，回滚同一事务中新建的功德主
+const UPDATE_CONFLICT = new Error('记录已被其他人修改或删除');
+
+// 按 input 修改记录的可修改字段，并写入修改历史和审计日志
+// actor 为 { username, role, ip, deviceId }；指定 expectedVersion 时只在记录的 version 仍为该值时修改
+// 返回 { status, ... }：
+//   invalid   - 字段不可修改或未通过校验，附 error、fieldErrors
+//   locked    - 记录所在的批次已锁定，附 error
+//   conflict  - 记录已被其他人修改（版本不一致），record 为服务器上的记录
+//   deleted   - 读取记录之后记录被移入回收站，record 为回收站中的记录
+//   not-found - 读取记录之后记录被永久删除
+//   unchanged - 没有与原值不同的字段
+//   updated   - 已修改，record 为修改后的记录，changes 为 [{ field, before, after }]
+async function updateRecordFields(record, input, actor, { expectedVersion } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return invalid('修改的字段必须为对象');
+  }
+
+  const unknownFields = Object.keys(input).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return invalid(`不可修改的字段: ${unknownFields.join(', ')}`);
+  }
+
+  const closedError = await batchClosedError(record.batchId);
+  if (closedError) {
+    return { status: 'locked', error: closedError };
+  }
+
+  if (expectedVersion !== undefined && record.version !== expectedVersion) {
+    return { status: 'conflict', record };
+  }
+
+  const { value, errors } = validate(EDITABLE_SCHEMA, input, { partial: true });
+  if (errors.length > 0) {
+    return invalid(errors.map(fieldError => fieldError.error).join('；'), errors);
+  }
+
+  // 只保留与原值不同的字段
+  const update = {};
+  Object.keys(value).forEach(field => {
+    if (value[field] !== (record[field] ?? null)) {
+      update[field] = value[field];
+    }
+  });
+
+  if (Object.keys(update).length === 0) {
+    return { status: 'unchanged', record, changes: [] };
+  }
+
+  // 有缴费记录后缴费状态由台账计算，不能直接修改
+  if ('payment' in update && record.paidAmountTWD !== undefined) {
+    return invalid(
+      '该记录已有缴费记录，缴费状态由缴费台账计算，请通过缴费登记修改',
+      [{ field: 'payment', error: '缴费状态由缴费台账计算' }]
+    );
+  }
+
+  // 项目、超荐方式或金额变化时重新按项目目录校验
+  if ('project' in update || 'method' in update || 'amountTWD' in update) {
+    const catalogError = checkRecordAgainstCatalog({ ...record, ...update }, await loadProjectCatalog());
+    if (catalogError) {
+      return invalid(catalogError.error, [catalogError]);
+    }
+  }
+
+  // 金额变化时按原记录的汇率重算人民币金额
+  if ('amountTWD' in update) {
+    const rate = record.exchangeRate || (await findEffectiveRate(record.submittedAt)).rate;
+    update.amountRMB = convertTWDToRMB(update.amountTWD, rate);
+    if (!record.exchangeRate) {
+      update.exchangeRate = rate;
+    }
+  }
+
+  const changes = Object.keys(update).map(field => ({
+    field,
+    before: record[field] === undefined ? null : record[field],
+    after: update[field]
+  }));
+  const now = new Date();
+
+  // 修改、功德主、修改历史和审计日志在同一事务中写入
+  const updated = await database.withTransaction(async session => {
+    // 姓名、电话或联系人变化时重新归到功德主
+    const donorUpdate = 'name' in update || 'phone' in update || 'contact' in update
+      ? { donorId: await resolveDonorId({ ...record, ...update }, session) }
+      : {};
+
+    // 按版本条件更新，读取记录之后被其他人修改时不覆盖；不修改已移入回收站的记录
+    const filter = expectedVersion === undefined
+      ? { _id: record._id, deletedAt: null }
+      : { _id: record._id, deletedAt: null, version: expectedVersion };
+    let after = await recordRepository.update(filter, { $set: { ...update, ...donorUpdate, updatedAt: now } }, { session });
+    if (!after) throw UPDATE_CONFLICT;
+
+    // 应缴金额变化时按台账重新计算未缴金额和缴费状态
+    if ('amountTWD' in update && record.paidAmountTWD !== undefined) {
+      await recalculateRecordPayment(record._id, session);
+      after = await recordRepository.findOne({ _id: record._id }, { session });
+    }
+
+    await database.recordHistory().insertOne({
+      recordId: record._id,
+      localId: record.localId,
+      serverId: record.serverId,
+      version: after.version,
+      changes,
+      username: actor.username,
+      role: actor.role,
+      ...(actor.deviceId && { deviceId: actor.deviceId }),
+      timestamp: now,
+      ip: actor.ip
+    }, { session });
+    await recordAudit(actor, {
+      action: 'record_update',
+      target: { type: 'record', id: record._id },
+      diff: changes,
+      details: { localId: record.localId, version: after.version }
+    }, { session });
+    return after;
+  }).catch(error => {
+    if (error === UPDATE_CONFLICT) return null;
+    throw error;
+  });
+  if (!updated) {
+    // 没有更新时重新读取，区分被其他人修改和已被删除
+    const current = await recordRepository.findOne({ _id: record._id });
+    if (!current) return { status: 'not-found' };
+    if (current.deletedAt) return { status: 'deleted', record: current };
+    return { status: 'conflict', record: current };
+  }
+
+  publishRecordUpdated(record, updated, changes);
+
+  return { status: 'updated', record: updated, changes };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  updateRecordFields
+};
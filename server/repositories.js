@@ -0,0 +1,268 @@
+// repositories.js - 登记记录、审计日志和提交批次的数据访问接口
+// 路由和其他模块只通过这些接口读写这三类数据（写入记录时在这里统一更新同步用的版本号和变更序号）；
+// 项目、法会、汇率、缴费、收据、设备、通知和账号等其他集合仍由路由和各模块直接通过 database 访问
+const { ObjectId } = require('mongodb');
+const database = require('./database');
+
+// 按 _id、localId 或 serverId 查找记录的条件
+function recordIdQuery(id) {
+  const conditions = [{ localId: id }, { serverId: id }];
+  if (ObjectId.isValid(id)) {
+    conditions.unshift({ _id: new ObjectId(id) });
+  }
+  return { $or: conditions };
+}
+
+// 同步用的版本：每次写入记录时 version 加 1，并取一个全局递增的变更序号 changeSeq（同一次批量写入共用一个）
+// 设备按 changeSeq 增量拉取变更，见 sync.js
+const CHANGE_COUNTER = 'record_change';
+
+// 已开始取号但还没写完的写入（序号的 Promise）
+const pendingChangeSeqs = new Set();
+
+async function nextChangeSeq(session) {
+  const counter = await database.counters().findOneAndUpdate(
+    { _id: CHANGE_COUNTER },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after', session }
+  );
+  return counter.seq;
+}
+
+// 取一个变更序号执行 write(seq)，写完之前该序号算作未完成
+function withChangeSeq(options, write) {
+  const seqPromise = nextChangeSeq(options.session);
+  pendingChangeSeqs.add(seqPromise);
+  return seqPromise
+    .then(write)
+    .finally(() => pendingChangeSeqs.delete(seqPromise));
+}
+
+// 在更新中加上新的 changeSeq 并把 version 加 1
+function versioned(update, seq) {
+  return {
+    ...update,
+    $set: { ...update.$set, changeSeq: seq },
+    $inc: { ...update.$inc, version: 1 }
+  };
+}
+
+const recordRepository = {
+  // 按 _id、localId 或 serverId 查找一条记录，filter 为附加条件（如 { deletedAt: null }）
+  findById(id, filter = {}, options = {}) {
+    return database.records().findOne({ ...filter, ...recordIdQuery(id) }, options);
+  },
+
+  findOne(query, options = {}) {
+    return database.records().findOne(query, options);
+  },
+
+  // options 支持 sort、skip、limit、projection
+  find(query, options = {}) {
+    return database.records().find(query, options).toArray();
+  },
+
+  // 逐条读取的游标，用于导出等数据量大的场合，用完需要 close()
+  cursor(query, options = {}) {
+    return database.records().find(query, options);
+  },
+
+  count(query = {}) {
+    return database.records().countDocuments(query);
+  },
+
+  aggregate(pipeline, options = {}) {
+    return database.records().aggregate(pipeline, options).toArray();
+  },
+
+  distinct(field, query = {}) {
+    return database.records().distinct(field, query);
+  },
+
+  // 插入一条记录，返回带 _id 的记录
+  insert(record, options = {}) {
+    return withChangeSeq(options, async seq => {
+      Object.assign(record, { version: 1, changeSeq: seq });
+      await database.records().insertOne(record, options);
+      return record;
+    });
+  },
+
+  // 按 localId 幂等插入：localId 已存在的记录不修改
+  // 返回 { upsertedIds, writeErrors }，upsertedIds 以 newRecords 的下标为键，并发插入同一 localId 的重复键错误在 writeErrors 中
+  insertNewByLocalId(newRecords) {
+    return withChangeSeq({}, async seq => {
+      const operations = newRecords.map(record => ({
+        updateOne: {
+          filter: { localId: record.localId },
+          update: { $setOnInsert: { ...record, version: 1, changeSeq: seq } },
+          upsert: true
+        }
+      }));
+
+      try {
+        const result = await database.records().bulkWrite(operations, { ordered: false });
+        return { upsertedIds: result.upsertedIds || {}, writeErrors: [] };
+      } catch (error) {
+        if (!error.result || !error.writeErrors) throw error;
+        return { upsertedIds: error.result.upsertedIds || {}, writeErrors: [].concat(error.writeErrors) };
+      }
+    });
+  },
+
+  // 更新一条记录并返回更新后的记录，不存在时返回 null
+  update(query, update, options = {}) {
+    return withChangeSeq(options, seq => 
+      database.records().findOneAndUpdate(query, versioned(update, seq), { ...options, returnDocument: 'after' })
+    );
+  },
+
+  updateOne(query, update, options = {}) {
+    return withChangeSeq(options, seq => database.records().updateOne(query, versioned(update, seq), options));
+  },
+
+  updateMany(query, update, options = {}) {
+    return withChangeSeq(options, seq => database.records().updateMany(query, versioned(update, seq), options));
+  },
+
+  // 把符合条件且不在回收站中的记录移入回收站，返回移入的条数
+  async softDelete(query, username) {
+    const now = new Date();
+    const result = await this.updateMany(
+      { ...query, deletedAt: null },
+      { $set: { deletedAt: now, deletedBy: username, updatedAt: now } }
+    );
+    return result.modifiedCount;
+  },
+
+  // 从回收站恢复符合条件的记录，返回恢复的条数
+  async restore(query) {
+    const result = await this.updateMany(
+      { ...query, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  },
+
+  // 永久删除，返回删除的条数；同时留下删除标记（带新的 changeSeq），设备同步时据此删除本地的记录
+  async purge(query) {
+    const purged = await this.find(query, { projection: { localId: 1, serverId: 1 } });
+    if (purged.length === 0) return 0;
+
+    return withChangeSeq({}, async seq => {
+      const now = new Date();
+      await database.recordTombstones().insertMany(purged.map(record => ({
+        localId: record.localId,
+        serverId: record.serverId,
+        changeSeq: seq,
+        purgedAt: now
+      })));
+      const result = await database.records().deleteMany({ _id: { $in: purged.map(record => record._id) } });
+      return result.deletedCount;
+    });
+  },
+
+  // 永久删除的标记，options 支持 sort、limit
+  tombstones(query, options = {}) {
+    return database.recordTombstones().find(query, options).toArray();
+  },
+
+  // 同步拉取可以安全返回到的变更序号：不超过任何未写完的写入的序号，之后才写完的变更留到下次拉取
+  async stableChangeSeq() {
+    // 先读计数器再看未写完的写入：计数器中已有的序号都在读取前开始取号，未写完的一定在 pendingChangeSeqs 中
+    const counter = await database.counters().findOne({ _id: CHANGE_COUNTER });
+    const seqs = await Promise.all([...pendingChangeSeqs].map(seqPromise => seqPromise.catch(() => Infinity)));
+    return Math.min(counter ? counter.seq : 0, ...seqs.map(seq => seq - 1));
+  }
+};
+
+// 审计日志（见 audit.js）：按 seq 顺序连成 hash 链，只追加不修改
+const auditRepository = {
+  // 最后一条审计事件，没有时返回 null
+  last(options = {}) {
+    return database.auditLog().findOne({}, { ...options, sort: { seq: -1 } });
+  },
+
+  // 追加一条审计事件；seq 唯一，其他实例同时追加时抛出重复键错误（code 11000）
+  insert(event, options = {}) {
+    return database.auditLog().insertOne(event, options);
+  },
+
+  // 按条件查询，默认最新的在前
+  find(query = {}, options = {}) {
+    return database.auditLog().find(query, { sort: { seq: -1 }, ...options }).toArray();
+  },
+
+  count(query = {}) {
+    return database.auditLog().countDocuments(query);
+  }
+};
+
+// 批次的汇总字段：设备、法会、记录数、金额合计及提交时间
+const BATCH_SUMMARY_GROUP = {
+  deviceId: { $first: '$deviceId' },
+  campaign: { $first: '$campaign' },
+  recordCount: { $sum: 1 },
+  amountTWD: { $sum: { $ifNull: ['$amountTWD', 0] } },
+  amountRMB: { $sum: { $ifNull: ['$amountRMB', 0] } },
+  paidAmountTWD: { $sum: { $ifNull: ['$paidAmountTWD', 0] } },
+  submittedAt: { $min: '$submittedAt' },
+  lastSubmittedAt: { $max: '$submittedAt' }
+};
+
+const batchRepository = {
+  // 批次中的记录，默认不含回收站中的记录
+  records(batchId, filter = { deletedAt: null }) {
+    return recordRepository.find({ ...filter, batchId }, { sort: { rowIndex: 1, submittedAt: 1 } });
+  },
+
+  // 按批次汇总符合 query 的记录，返回 [{ batchId, deviceId, campaign, recordCount, amountTWD, ... }]
+  async summaries(query) {
+    const groups = await recordRepository.aggregate([
+      { $match: { batchId: { $ne: null }, ...query } },
+      { $sort: { submittedAt: 1 } },
+      { $group: { _id: '$batchId', ...BATCH_SUMMARY_GROUP } }
+    ]);
+    return groups.map(({ _id, ...summary }) => ({ batchId: _id, ...summary }));
+  },
+
+  // 批次的管理信息（状态、锁定、作废、改归属的记录），没有做过批次操作的批次返回 null
+  findMeta(batchId) {
+    return database.batches().findOne({ batchId });
+  },
+
+  findMetas(query) {
+    return database.batches().find(query).toArray();
+  },
+
+  // 更新批次的管理信息，不存在时新建，返回更新后的信息
+  updateMeta(batchId, update) {
+    return database.batches().findOneAndUpdate(
+      { batchId },
+      { ...update, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  },
+
+  // 指定状态（locked / void）的批次的 batchId
+  idsWithStatus(status) {
+    return database.batches().distinct('batchId', { status });
+  },
+
+  // 把整个批次移入回收站，返回移入的条数
+  softDelete(batchId, username) {
+    return recordRepository.softDelete({ batchId }, username);
+  },
+
+  // 从回收站恢复整个批次，返回恢复的条数
+  restore(batchId) {
+    return recordRepository.restore({ batchId });
+  }
+};
+
+module.exports = {
+  recordIdQuery,
+  recordRepository,
+  auditRepository,
+  batchRepository
+};
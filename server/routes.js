@@ -1,17 +1,353 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const database = require('./database');
+const config = require('./config');
 const { ObjectId } = require('mongodb');
+const { normalizeProject, checkRecordAgainstCatalog } = require('./projects');
+const { 
+  normalizeCampaign, 
+  isAcceptingRegistrations, 
+  checkRecordAgainstCampaign 
+} = require('./campaigns');
+const { 
+  loadProjectCatalog, 
+  findSubmissionCampaign, 
+  campaignSubmissionError, 
+  findEffectiveRate, 
+  upsertRecords, 
+  validateSubmission, 
+  submitRecords, 
+  scheduleReplay 
+} = require('./submissions');
+const submissionQueue = require('./submissionQueue');
+const { 
+  RECORD_SCHEMA, 
+  RECORD_QUERY_SCHEMA, 
+  TRASH_QUERY_SCHEMA, 
+  STATS_GROUP_FIELDS, 
+  STATS_QUERY_SCHEMA, 
+  PLAQUE_QUERY_SCHEMA, 
+  IMPORT_OPTIONS_SCHEMA, 
+  PAYMENT_SCHEMA, 
+  PAYMENT_VOID_SCHEMA, 
+  RECONCILIATION_QUERY_SCHEMA, 
+  RECEIPT_QUERY_SCHEMA, 
+  RECEIPT_EMAIL_SCHEMA, 
+  RECEIPT_VOID_SCHEMA, 
+  RECEIPT_LIST_SCHEMA, 
+  SYNC_QUERY_SCHEMA, 
+  SYNC_PUSH_SCHEMA, 
+  SYNC_CHANGE_SCHEMA, 
+  DEVICE_SCHEMA, 
+  DEVICE_ENROLL_SCHEMA, 
+  BATCH_QUERY_SCHEMA, 
+  BATCH_REATTRIBUTE_SCHEMA, 
+  BATCH_VOID_SCHEMA, 
+  DONOR_QUERY_SCHEMA, 
+  WEBHOOK_SCHEMA, 
+  WEBHOOK_DELIVERY_QUERY_SCHEMA, 
+  USER_SCHEMA, 
+  USER_UPDATE_SCHEMA, 
+  AUDIT_QUERY_SCHEMA, 
+  validate, 
+  escapeRegex 
+} = require('./schema');
+const { writeRecordsCsv, writeRecordsXlsx } = require('./export');
+const { readImportFile } = require('./import');
+const { updateRecordFields } = require('./recordUpdates');
+const { SYNC_PUSH_LIMIT, decodeCursor, pullChanges, pushChanges } = require('./sync');
+const { 
+  DEVICE_TOKEN_HEADER, 
+  publicDevice, 
+  createDevice, 
+  issueEnrollment, 
+  enrollmentDetails, 
+  enrollDevice, 
+  revokeDevice, 
+  findDeviceByToken, 
+  authorizeSubmission, 
+  authorizeDevice 
+} = require('./devices');
+const { 
+  listBatches, 
+  getBatch, 
+  loadBatchState, 
+  lockBatch, 
+  unlockBatch, 
+  reattributeBatch, 
+  voidBatch, 
+  batchClosedError 
+} = require('./batches');
+const { 
+  listDonors, 
+  findDonor, 
+  getDonorHistory, 
+  findDuplicateDonors, 
+  linkUnassignedRecords, 
+  mergeDonors 
+} = require('./donors');
+const { openEventStream, publishRecordsCreated, publishRecordsDeleted } = require('./events');
+const { 
+  checkWebhookEvents, 
+  publicWebhook, 
+  createWebhook, 
+  rotateWebhookSecret, 
+  deleteWebhook, 
+  deliveryView, 
+  sendPing, 
+  replayDelivery, 
+  listDeliveries 
+} = require('./webhooks');
+const { writePlaquesPdf } = require('./plaques');
+const { FONT_MISSING_ERROR, findChineseFont } = require('./fonts');
+const { issueReceipt, voidReceipt, renderReceiptPdf, emailReceipt } = require('./receipts');
+const { isMailConfigured } = require('./mailer');
+const { 
+  derivePaymentStatus, 
+  ledgerPaidAmount, 
+  addPayment, 
+  voidPayment, 
+  buildReconciliation 
+} = require('./payments');
+const { normalizeExchangeRate, convertTWDToRMB } = require('./exchangeRates');
+const { 
+  recordIdQuery, 
+  recordRepository, 
+  batchRepository 
+} = require('./repositories');
+const { 
+  ROLES, 
+  hashPassword, 
+  verifyPassword, 
+  signToken, 
+  publicUser, 
+  authenticate, 
+  requireRole 
+} = require('./auth');
+const { 
+  requestActor, 
+  diffFields, 
+  recordAudit, 
+  queryAudit, 
+  verifyAuditChain 
+} = require('./audit');
 
-// 健康检查
+// 按 GET /api/records 的筛选参数（已经过 RECORD_QUERY_SCHEMA 校验）构建查询条件
+function buildRecordQuery(params) {
+  const { search, project, payment, startDate, endDate, campaign } = params;
+  
+  // 默认排除回收站中的记录
+  const query = params.includeDeleted ? {} : { deletedAt: null };
+  
+  // 搜索条件（关键词按普通文本匹配）
+  if (search) {
+    const pattern = escapeRegex(search);
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { contact: { $regex: pattern, $options: 'i' } },
+      { content: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+  
+  // 法会筛选
+  if (campaign) {
+    query.campaign = campaign;
+  }
+  
+  // 项目筛选
+  if (project) {
+    query.project = project;
+  }
+  
+  // 缴费状态筛选
+  if (payment) {
+    query.payment = payment;
+  }
+  
+  // 日期范围筛选
+  if (startDate || endDate) {
+    query.submittedAt = {};
+    if (startDate) {
+      query.submittedAt.$gte = startDate;
+    }
+    if (endDate) {
+      query.submittedAt.$lte = endDate;
+    }
+  }
+  
+  return query;
+}
+
+// 检查法会的项目列表中是否有项目目录里不存在的项目，全部存在时返回 null
+async function unknownCampaignProjects(projects) {
+  if (!projects || projects.length === 0) return null;
+  const catalog = await loadProjectCatalog();
+  const unknown = projects.filter(name => !catalog.has(name));
+  return unknown.length > 0 ? `未知的护持项目: ${unknown.join(', ')}` : null;
+}
+
+// 统计中按时间分组的维度（见 STATS_GROUP_FIELDS）的日期格式：日期、ISO 周（如 2024-W33）和小时
+const STATS_TIME_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  hour: '%Y-%m-%d %H:00'
+};
+
+// 是否为有效的时区名称（如 Asia/Taipei）
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 按一个维度分组统计的管道：按时间分组时以 timeZone 的日期计算，按时间顺序排列，其余按数量从多到少排列
+function statsGroupPipeline(field, timeZone) {
+  const format = STATS_TIME_FORMATS[field];
+  return [
+    {
+      $group: {
+        _id: format ? { $dateToString: { format, date: '$submittedAt', timezone: timeZone } } : `$${field}`,
+        count: { $sum: 1 },
+        totalAmountTWD: { $sum: '$amountTWD' },
+        totalAmountRMB: { $sum: '$amountRMB' }
+      }
+    },
+    { $sort: format ? { _id: 1 } : { count: -1, _id: 1 } }
+  ];
+}
+
+// 按筛选条件以一次 $facet 聚合统计总体、按项目、按缴费状态、按日期及 groupBy 中各维度的数据
+// dailyRange 为按日期统计的提交时间范围（为 null 时不另外限制）；byCampaign 为 true 时另按法会统计，
+// 这一项不受 match 中法会条件的限制，用于逐年对比
+async function aggregateStats(match, { groupBy = [], timeZone = config.server.timeZone, dailyRange = null, byCampaign = false } = {}) {
+  const { campaign, ...acrossCampaigns } = match;
+  const scope = byCampaign && campaign ? [{ $match: { campaign } }] : [];
+  
+  const [result] = await recordRepository.aggregate([
+    { $match: byCampaign ? acrossCampaigns : match },
+    {
+      $facet: {
+        // 总体统计
+        overall: [
+          ...scope,
+          {
+            $group: {
+              _id: null,
+              totalRecords: { $sum: 1 },
+              totalAmountTWD: { $sum: '$amountTWD' },
+              totalAmountRMB: { $sum: '$amountRMB' },
+              avgAmountTWD: { $avg: '$amountTWD' },
+              avgAmountRMB: { $avg: '$amountRMB' }
+            }
+          }
+        ],
+        byProject: [...scope, ...statsGroupPipeline('project', timeZone)],
+        byPayment: [...scope, ...statsGroupPipeline('payment', timeZone)],
+        daily: [
+          ...scope,
+          ...(dailyRange ? [{ $match: { submittedAt: dailyRange } }] : []),
+          ...statsGroupPipeline('day', timeZone)
+        ],
+        ...(byCampaign && {
+          byCampaign: [
+            {
+              $group: {
+                _id: '$campaign',
+                count: { $sum: 1 },
+                totalAmountTWD: { $sum: '$amountTWD' },
+                totalAmountRMB: { $sum: '$amountRMB' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }),
+        ...Object.fromEntries(groupBy.map(field => [`group_${field}`, [...scope, ...statsGroupPipeline(field, timeZone)]]))
+      }
+    }
+  ]);
+  
+  return {
+    overall: result.overall[0] || {
+      totalRecords: 0,
+      totalAmountTWD: 0,
+      totalAmountRMB: 0,
+      avgAmountTWD: 0,
+      avgAmountRMB: 0
+    },
+    byProject: result.byProject,
+    byPayment: result.byPayment,
+    daily: result.daily,
+    byCampaign: result.byCampaign || [],
+    groups: Object.fromEntries(groupBy.map(field => [field, result[`group_${field}`]]))
+  };
+}
+
+// 本期与上期的差额及增长百分比，上期为 0 时百分比为 null
+function compareValues(current, previous) {
+  return {
+    current,
+    previous,
+    difference: current - previous,
+    percent: previous ? Math.round((current - previous) / previous * 10000) / 100 : null
+  };
+}
+
+// 按指定汇率重新计算统计结果中的人民币金额
+function restateRMB(group, rate) {
+  const restated = {
+    ...group,
+    totalAmountRMB: convertTWDToRMB(group.totalAmountTWD, rate)
+  };
+  if (group.avgAmountTWD !== undefined) {
+    restated.avgAmountRMB = convertTWDToRMB(group.avgAmountTWD, rate);
+  }
+  return restated;
+}
+
+// 接收上传的导入文件（表单字段 file），文件只保存在内存中
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.import.maxFileSize, files: 1 }
+}).single('file');
+
+function receiveImportFile(req, res, next) {
+  uploadImportFile(req, res, error => {
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error.code === 'LIMIT_FILE_SIZE' 
+          ? `文件大小不能超过 ${Math.floor(config.import.maxFileSize / 1024 / 1024)} MB` 
+          : error.message 
+      });
+    }
+    next();
+  });
+}
+
+// 健康检查：数据库不可用时返回 503，status 为 degraded（登记数据暂存在本地队列）
 router.get('/health', async (req, res) => {
   try {
-    await database.connect();
+    const queuedSubmissions = await submissionQueue.size();
+    if (!database.isConnected) {
+      return res.status(503).json({ 
+        status: 'degraded', 
+        database: 'disconnected', 
+        queuedSubmissions, 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+      });
+    }
+    
     await database.db.command({ ping: 1 });
     res.json({ 
       status: 'healthy', 
       timestamp: new Date().toISOString(),
       database: 'connected',
+      queuedSubmissions, 
       uptime: process.uptime()
     });
   } catch (error) {
@@ -35,72 +371,2981 @@ router.get('/api/test', async (req, res) => {
   } catch (error) {
     res.status(500).json({ 
       success: false, 
-      error: error.message
+      error: error.message
+    });
+  }
+});
+
+// 管理员登录
+router.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    // 只接受文本，避免 { "$ne": null } 之类的对象作为查询条件
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '请输入用户名和密码' 
+      });
+    }
+    
+    await database.connect();
+    const usersCollection = database.adminUsers();
+    
+    const user = await usersCollection.findOne({ username });
+    
+    if (!user || user.active === false || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ 
+        success: false, 
+        error: '用户名或密码错误' 
+      });
+    }
+    
+    // 登录时间与审计日志在同一事务中写入
+    await database.withTransaction(async session => {
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { lastLoginAt: new Date() } },
+        { session }
+      );
+      await recordAudit({ ...requestActor(req), username: user.username, role: user.role }, {
+        action: 'admin_login',
+        target: { type: 'user', id: user._id }
+      }, { session });
+    });
+    
+    res.json({
+      success: true,
+      token: signToken(user),
+      user: publicUser(user)
+    });
+    
+  } catch (error) {
+    console.error('登录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 管理员登出，吊销当前令牌
+router.post('/api/auth/logout', authenticate, async (req, res) => {
+  try {
+    // 吊销令牌与审计日志在同一事务中写入
+    await database.withTransaction(async session => {
+      await database.revokedTokens().updateOne(
+        { jti: req.user.jti },
+        { $setOnInsert: { 
+          jti: req.user.jti, 
+          username: req.user.username, 
+          expiresAt: new Date(req.user.exp * 1000) 
+        } },
+        { upsert: true, session }
+      );
+      await recordAudit(requestActor(req), {
+        action: 'admin_logout',
+        target: { type: 'user', id: req.user.id }
+      }, { session });
+    });
+    
+    res.json({
+      success: true,
+      message: '已退出登录'
+    });
+    
+  } catch (error) {
+    console.error('登出错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取当前登录用户
+router.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      username: req.user.username,
+      role: req.user.role
+    }
+  });
+});
+
+// 获取管理员账号列表（需要管理员权限）
+router.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await database.adminUsers()
+      .find({})
+      .sort({ username: 1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: users.map(publicUser)
+    });
+    
+  } catch (error) {
+    console.error('获取账号列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增管理员账号（需要管理员权限）
+router.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { value, errors } = validate(USER_SCHEMA, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { username, password, role } = value;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `角色必须为 ${ROLES.join('/')} 之一` 
+      });
+    }
+    
+    const user = {
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      active: true,
+      createdAt: new Date()
+    };
+    
+    // 新增账号与审计日志（不含密码）在同一事务中写入
+    const result = await database.withTransaction(async session => {
+      const inserted = await database.adminUsers().insertOne(user, { session });
+      await recordAudit(requestActor(req), {
+        action: 'user_create',
+        target: { type: 'user', id: inserted.insertedId },
+        details: { username: user.username, role: user.role }
+      }, { session });
+      return inserted;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增账号 ${user.username}`,
+      data: publicUser({ _id: result.insertedId, ...user })
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '用户名已存在' 
+      });
+    }
+    console.error('新增账号错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改管理员账号的角色、密码或启用状态（需要管理员权限）
+router.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '无效的账号ID' 
+      });
+    }
+    
+    const { value, errors } = validate(USER_UPDATE_SCHEMA, req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { password, role, active } = value;
+    const update = { updatedAt: new Date() };
+    
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `角色必须为 ${ROLES.join('/')} 之一` 
+        });
+      }
+      update.role = role;
+    }
+    if (password !== undefined) {
+      update.passwordHash = hashPassword(password);
+    }
+    if (active !== undefined) {
+      update.active = active;
+    }
+    
+    // 与删除账号一样，不能停用当前登录的账号或取消其管理员角色
+    const demoting = (update.role !== undefined && update.role !== 'admin') || update.active === false;
+    if (demoting && id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '不能停用当前登录的账号或取消其管理员角色' 
+      });
+    }
+    
+    // 修改账号与审计日志在同一事务中写入
+    const { before, lastAdmin } = await database.withTransaction(async session => {
+      const original = await database.adminUsers().findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: update },
+        { returnDocument: 'before', session }
+      );
+      if (!original) return {};
+      
+      // 修改后再检查是否还有启用的管理员，两个管理员同时互相降级时也至少保留一个；没有则恢复原状态
+      // 降级时都写同一个计数器，同时进行的两个事务因写冲突而由驱动重试，重试时能看到对方的修改
+      if (demoting) {
+        await database.counters().updateOne(
+          { _id: 'admin_demotion' },
+          { $inc: { seq: 1 } },
+          { upsert: true, session }
+        );
+        const activeAdmins = await database.adminUsers().countDocuments(
+          { role: 'admin', active: { $ne: false } },
+          { session }
+        );
+        if (activeAdmins === 0) {
+          await database.adminUsers().updateOne(
+            { _id: original._id },
+            { $set: { role: original.role, active: original.active !== false, passwordHash: original.passwordHash } },
+            { session }
+          );
+          return { before: original, lastAdmin: true };
+        }
+      }
+      
+      // 密码只记录是否修改
+      await recordAudit(requestActor(req), {
+        action: 'user_update',
+        target: { type: 'user', id },
+        diff: diffFields(original, { ...original, ...update }, ['role', 'active']),
+        details: { username: original.username, passwordChanged: Boolean(password) }
+      }, { session });
+      return { before: original };
+    });
+    
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '账号不存在' 
+      });
+    }
+    
+    if (lastAdmin) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '至少需要保留一个启用的管理员账号' 
+      });
+    }
+    const result = { ...before, ...update };
+    
+    res.json({
+      success: true,
+      message: `成功修改账号 ${result.username}`,
+      data: publicUser(result)
+    });
+    
+  } catch (error) {
+    console.error('修改账号错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 删除管理员账号（需要管理员权限）
+router.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '无效的账号ID' 
+      });
+    }
+    
+    if (id === req.user.id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '不能删除当前登录的账号' 
+      });
+    }
+    
+    const result = await database.adminUsers().deleteOne({ _id: new ObjectId(id) });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '账号不存在' 
+      });
+    }
+    
+    // 写入审计日志
+    await recordAudit(requestActor(req), {
+      action: 'user_delete',
+      target: { type: 'user', id }
+    });
+    
+    res.json({
+      success: true,
+      message: '成功删除账号',
+      deletedCount: result.deletedCount
+    });
+    
+  } catch (error) {
+    console.error('删除账号错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 登记网址的默认前缀（未配置 PUBLIC_URL 时）：请求的协议和主机
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// 获取登记设备列表（需要管理员权限）
+router.get('/api/devices', requireRole('admin'), async (req, res) => {
+  try {
+    const devices = await database.devices()
+      .find({})
+      .sort({ createdAt: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: devices.map(publicDevice)
+    });
+    
+  } catch (error) {
+    console.error('获取设备列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增登记设备并生成登记码（需要管理员权限），返回登记码、登记网址及其二维码
+router.post('/api/devices', requireRole('admin'), async (req, res) => {
+  try {
+    const { value, errors } = validate(DEVICE_SCHEMA, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { device, code } = await createDevice(value, req.user.username);
+    
+    // 写入审计日志（不含登记码）
+    await recordAudit(requestActor(req), {
+      action: 'device_create',
+      target: { type: 'device', id: device.deviceId },
+      details: { label: device.label, operator: device.operator }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增设备 ${device.label}`,
+      data: publicDevice(device),
+      enrollment: await enrollmentDetails(code, device, requestBaseUrl(req))
+    });
+    
+  } catch (error) {
+    console.error('新增设备错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 设备查询自己的登记状态（附带设备令牌）
+router.get('/api/devices/me', async (req, res) => {
+  try {
+    const token = req.get(DEVICE_TOKEN_HEADER);
+    const device = token ? await findDeviceByToken(token) : null;
+    
+    if (!device) {
+      return res.status(401).json({ 
+        success: false, 
+        error: '设备未登记或令牌无效' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        deviceId: device.deviceId,
+        label: device.label,
+        operator: device.operator,
+        status: device.status
+      }
+    });
+    
+  } catch (error) {
+    console.error('查询设备状态错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 设备用登记码登记，返回设备令牌（只返回这一次）；登记码使用后即失效
+router.post('/api/devices/enroll', async (req, res) => {
+  try {
+    const { value, errors } = validate(DEVICE_ENROLL_SCHEMA, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；') 
+      });
+    }
+    
+    const enrollment = await enrollDevice(value.code, req.ip);
+    if (!enrollment) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '登记码无效、已使用或已过期，请向管理员取得新的登记码' 
+      });
+    }
+    
+    const { device, token } = enrollment;
+    
+    await recordAudit({ ...requestActor(req), role: 'device', deviceId: device.deviceId }, {
+      action: 'device_enroll',
+      target: { type: 'device', id: device.deviceId },
+      details: { label: device.label }
+    });
+    
+    res.json({
+      success: true,
+      message: `设备 ${device.label} 登记成功`,
+      token,
+      device: {
+        deviceId: device.deviceId,
+        label: device.label,
+        operator: device.operator,
+        status: device.status
+      }
+    });
+    
+  } catch (error) {
+    console.error('登记设备错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改设备名称或使用人（需要管理员权限）
+router.put('/api/devices/:deviceId', requireRole('admin'), async (req, res) => {
+  try {
+    const { value, errors } = validate(DEVICE_SCHEMA, req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const before = await database.devices().findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'before' }
+    );
+    
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '设备不存在' 
+      });
+    }
+    const device = { ...before, ...value };
+    
+    await recordAudit(requestActor(req), {
+      action: 'device_update',
+      target: { type: 'device', id: device.deviceId },
+      diff: diffFields(before, value)
+    });
+    
+    res.json({
+      success: true,
+      message: `成功修改设备 ${device.label}`,
+      data: publicDevice(device)
+    });
+    
+  } catch (error) {
+    console.error('修改设备错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 重新生成设备的登记码（需要管理员权限）：更换手机或重新启用已停用的设备时使用
+router.post('/api/devices/:deviceId/enrollment', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await database.devices().findOne({ deviceId: req.params.deviceId });
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '设备不存在' 
+      });
+    }
+    
+    const { device, code } = await issueEnrollment(existing);
+    
+    await recordAudit(requestActor(req), {
+      action: 'device_enrollment',
+      target: { type: 'device', id: device.deviceId },
+      details: { label: device.label }
+    });
+    
+    res.json({
+      success: true,
+      message: `已为设备 ${device.label} 生成新的登记码`,
+      data: publicDevice(device),
+      enrollment: await enrollmentDetails(code, device, requestBaseUrl(req))
+    });
+    
+  } catch (error) {
+    console.error('生成登记码错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 停用设备（需要管理员权限），其令牌立即不能再提交登记数据
+router.post('/api/devices/:deviceId/revoke', requireRole('admin'), async (req, res) => {
+  try {
+    const device = await revokeDevice(req.params.deviceId, req.user.username);
+    
+    if (!device) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '设备不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'device_revoke',
+      target: { type: 'device', id: device.deviceId },
+      details: { label: device.label }
+    });
+    
+    res.json({
+      success: true,
+      message: `已停用设备 ${device.label}`,
+      data: publicDevice(device)
+    });
+    
+  } catch (error) {
+    console.error('停用设备错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 对外通知的接收地址列表（需要管理员权限）
+router.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const webhooks = await database.webhooks()
+      .find({})
+      .sort({ createdAt: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: webhooks.map(publicWebhook)
+    });
+    
+  } catch (error) {
+    console.error('获取对外通知列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增对外通知的接收地址（需要管理员权限）：events 为订阅的事件，返回签名用的密钥（只返回这一次）
+router.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const { value, errors } = validate(WEBHOOK_SCHEMA, req.body || {});
+    const eventsError = checkWebhookEvents((req.body || {}).events);
+    if (eventsError) {
+      errors.push({ field: 'events', error: eventsError });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { webhook, secret } = await createWebhook({ ...value, events: req.body.events }, req.user.username);
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_create',
+      target: { type: 'webhook', id: webhook.webhookId },
+      details: { url: webhook.url }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增接收地址 ${webhook.url}`,
+      data: publicWebhook(webhook),
+      secret
+    });
+    
+  } catch (error) {
+    console.error('新增对外通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改接收地址、说明、订阅的事件或停用（需要管理员权限）；停用后尚未发送的通知不再发送
+router.put('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { value, errors } = validate(WEBHOOK_SCHEMA, body, { partial: true });
+    if (value.url === null) {
+      errors.push({ field: 'url', error: '接收地址不能为空' });
+    }
+    if (body.events !== undefined) {
+      const eventsError = checkWebhookEvents(body.events);
+      if (eventsError) {
+        errors.push({ field: 'events', error: eventsError });
+      } else {
+        value.events = [...new Set(body.events)];
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const before = await database.webhooks().findOneAndUpdate(
+      { webhookId: req.params.webhookId },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'before' }
+    );
+    
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '接收地址不存在' 
+      });
+    }
+    const webhook = { ...before, ...value };
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_update',
+      target: { type: 'webhook', id: webhook.webhookId },
+      diff: diffFields(before, value)
+    });
+    
+    res.json({
+      success: true,
+      message: `成功修改接收地址 ${webhook.url}`,
+      data: publicWebhook(webhook)
+    });
+    
+  } catch (error) {
+    console.error('修改对外通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 删除接收地址（需要管理员权限），发送记录保留
+router.delete('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await deleteWebhook(req.params.webhookId);
+    
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '接收地址不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_delete',
+      target: { type: 'webhook', id: webhook.webhookId },
+      details: { url: webhook.url }
+    });
+    
+    res.json({
+      success: true,
+      message: `已删除接收地址 ${webhook.url}`,
+      data: publicWebhook(webhook)
+    });
+    
+  } catch (error) {
+    console.error('删除对外通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 更换签名用的密钥（需要管理员权限），之后的通知以新密钥签名
+router.post('/api/webhooks/:webhookId/secret', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await rotateWebhookSecret(req.params.webhookId);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '接收地址不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_secret',
+      target: { type: 'webhook', id: result.webhook.webhookId }
+    });
+    
+    res.json({
+      success: true,
+      message: '已更换密钥',
+      data: publicWebhook(result.webhook),
+      secret: result.secret
+    });
+    
+  } catch (error) {
+    console.error('更换对外通知密钥错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 向接收地址发送测试通知（需要管理员权限），发送结果见发送记录
+router.post('/api/webhooks/:webhookId/test', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await database.webhooks().findOne({ webhookId: req.params.webhookId });
+    
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '接收地址不存在' 
+      });
+    }
+    
+    if (!webhook.active) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '接收地址已停用' 
+      });
+    }
+    
+    const delivery = await sendPing(webhook, req.user.username);
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_test',
+      target: { type: 'webhook', id: webhook.webhookId },
+      details: { deliveryId: delivery.deliveryId }
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: '已加入发送队列',
+      data: deliveryView(delivery)
+    });
+    
+  } catch (error) {
+    console.error('测试对外通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 对外通知的发送记录（需要管理员权限），可按接收地址、状态和事件筛选
+router.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(WEBHOOK_DELIVERY_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { deliveries, totalCount } = await listDeliveries(params);
+    
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / params.limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取对外通知发送记录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 一条发送记录，包括通知内容和每次尝试的结果（需要管理员权限）
+router.get('/api/webhooks/deliveries/:deliveryId', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await database.webhookDeliveries().findOne({ deliveryId: req.params.deliveryId });
+    
+    if (!delivery) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '发送记录不存在' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: deliveryView(delivery, { detail: true })
+    });
+    
+  } catch (error) {
+    console.error('获取对外通知发送记录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 重新发送一条通知（需要管理员权限）：以原来的内容新增一条发送记录，接收方可按 eventId 去重
+router.post('/api/webhooks/deliveries/:deliveryId/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const original = await database.webhookDeliveries().findOne({ deliveryId: req.params.deliveryId });
+    
+    if (!original) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '发送记录不存在' 
+      });
+    }
+    
+    const webhook = await database.webhooks().findOne({ webhookId: original.webhookId });
+    if (!webhook || !webhook.active) {
+      return res.status(409).json({ 
+        success: false, 
+        error: webhook ? '接收地址已停用' : '接收地址已删除' 
+      });
+    }
+    
+    const delivery = await replayDelivery(webhook, original, req.user.username);
+    
+    await recordAudit(requestActor(req), {
+      action: 'webhook_replay',
+      target: { type: 'webhook_delivery', id: delivery.deliveryId },
+      details: {
+        webhookId: webhook.webhookId,
+        replayOf: original.deliveryId
+      }
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: '已加入发送队列',
+      data: deliveryView(delivery)
+    });
+    
+  } catch (error) {
+    console.error('重新发送对外通知错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 查询审计日志（需要管理员权限），可按操作、操作人、角色、设备、对象及时间筛选，最新的在前
+router.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(AUDIT_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { events, totalCount } = await queryAudit(params);
+    
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / params.limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('查询审计日志错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 校验审计日志的 hash 链（需要管理员权限），不通过时 error 为第一处不一致的事件
+router.get('/api/audit/verify', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('校验审计日志错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 读取 :id 指定的批次（设置 req.batchState），批次不存在返回 404，已作废或已锁定（allowLocked 时除外）返回 409
+function loadOpenBatch({ allowLocked = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const state = await loadBatchState(req.params.id);
+      const status = state.meta ? state.meta.status : 'open';
+      
+      if (!state.summary && status !== 'void') {
+        return res.status(404).json({ 
+          success: false, 
+          error: '批次不存在' 
+        });
+      }
+      
+      if (status === 'void') {
+        return res.status(409).json({ 
+          success: false, 
+          error: '该批次已作废' 
+        });
+      }
+      
+      if (status === 'locked' && !allowLocked) {
+        return res.status(409).json({ 
+          success: false, 
+          error: '该批次已锁定，请先解除锁定' 
+        });
+      }
+      
+      req.batchState = state;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// 获取提交批次列表（需要登记员权限）：每个批次的设备、义工、记录数、金额合计和提交时间
+router.get('/api/batches', requireRole('registrar'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(BATCH_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { batches, totalCount } = await listBatches(params);
+    
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / params.limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取批次列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取一个批次及其记录（需要登记员权限）
+router.get('/api/batches/:id', requireRole('registrar'), async (req, res) => {
+  try {
+    const result = await getBatch(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '批次不存在' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.batch,
+      records: result.records
+    });
+    
+  } catch (error) {
+    console.error('获取批次错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 锁定批次（需要登记员权限）：核对无误后锁定，批次中的记录不能再修改、删除，也不能再加入记录
+router.post('/api/batches/:id/lock', requireRole('registrar'), loadOpenBatch(), async (req, res) => {
+  try {
+    const batch = await lockBatch(req.batchState, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'batch_lock',
+      target: { type: 'batch', id: batch.batchId },
+      details: { recordCount: batch.recordCount }
+    });
+    
+    res.json({
+      success: true,
+      message: `已锁定批次 ${batch.batchId}`,
+      data: batch
+    });
+    
+  } catch (error) {
+    console.error('锁定批次错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 解除批次的锁定（需要管理员权限）
+router.post('/api/batches/:id/unlock', requireRole('admin'), loadOpenBatch({ allowLocked: true }), async (req, res) => {
+  try {
+    const { meta } = req.batchState;
+    if (!meta || meta.status !== 'locked') {
+      return res.status(409).json({ 
+        success: false, 
+        error: '该批次未锁定' 
+      });
+    }
+    
+    const batch = await unlockBatch(req.batchState, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'batch_unlock',
+      target: { type: 'batch', id: batch.batchId }
+    });
+    
+    res.json({
+      success: true,
+      message: `已解除批次 ${batch.batchId} 的锁定`,
+      data: batch
+    });
+    
+  } catch (error) {
+    console.error('解除批次锁定错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 批次改归属（需要登记员权限）：deviceId 为登记的另一台设备，operator 为交来批次的义工
+router.post('/api/batches/:id/reattribute', requireRole('registrar'), loadOpenBatch(), async (req, res) => {
+  try {
+    const { value, errors } = validate(BATCH_REATTRIBUTE_SCHEMA, req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    if (!value.deviceId && value.operator === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '请指定新的设备或义工' 
+      });
+    }
+    
+    if (value.deviceId && !(await database.devices().findOne({ deviceId: value.deviceId }))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `设备 ${value.deviceId} 未登记`, 
+        fieldErrors: [{ field: 'deviceId', error: '设备未登记' }] 
+      });
+    }
+    
+    const { batch, updatedCount } = await reattributeBatch(req.batchState, value, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'batch_reattribute',
+      target: { type: 'batch', id: batch.batchId },
+      details: {
+        deviceId: batch.deviceId,
+        operator: batch.operator,
+        updatedCount
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `批次 ${batch.batchId} 已改归属` + (updatedCount > 0 ? `，修改 ${updatedCount} 条记录` : ''),
+      data: batch,
+      updatedCount
+    });
+    
+  } catch (error) {
+    console.error('批次改归属错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 作废批次（需要管理员权限）：批次中的记录移入回收站，批次保留作废时的汇总；已锁定的批次也可以作废
+router.post('/api/batches/:id/void', requireRole('admin'), loadOpenBatch({ allowLocked: true }), async (req, res) => {
+  try {
+    const { value, errors } = validate(BATCH_VOID_SCHEMA, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { batch, voidedCount } = await voidBatch(req.batchState, value.reason, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'batch_void',
+      target: { type: 'batch', id: batch.batchId },
+      details: {
+        reason: value.reason,
+        voidedCount
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `已作废批次 ${batch.batchId}，${voidedCount} 条记录移入回收站`,
+      data: batch,
+      voidedCount
+    });
+    
+  } catch (error) {
+    console.error('作废批次错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取功德主名录（支持分页和按姓名、电话搜索）
+router.get('/api/donors', requireRole('viewer'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(DONOR_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const { donors, totalCount } = await listDonors(params);
+    
+    res.json({
+      success: true,
+      data: donors,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / params.limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取功德主名录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 疑似重复的功德主（需要管理员权限）：规范化后姓名相同或电话相同，供管理员确认后合并
+router.get('/api/donors/duplicates', requireRole('admin'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(DONOR_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'), 
+        fieldErrors: errors 
+      });
+    }
+    
+    const duplicates = await findDuplicateDonors(params);
+    
+    res.json({
+      success: true,
+      data: duplicates
+    });
+    
+  } catch (error) {
+    console.error('查找重复功德主错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 为加入功德主名录之前登记的记录建立功德主（需要管理员权限）
+router.post('/api/donors/link', requireRole('admin'), async (req, res) => {
+  try {
+    const { linkedCount } = await linkUnassignedRecords();
+    
+    await recordAudit(requestActor(req), {
+      action: 'donor_link',
+      details: { linkedCount }
+    });
+    
+    res.json({
+      success: true,
+      message: `已为 ${linkedCount} 条记录建立功德主`,
+      linkedCount
+    });
+    
+  } catch (error) {
+    console.error('建立功德主错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取功德主及其历年各项目的全部记录和缴费；已合并的功德主返回合并后的功德主
+router.get('/api/donors/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const history = await getDonorHistory(req.params.id);
+    
+    if (!history) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '功德主不存在' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: history.donor,
+      records: history.records,
+      payments: history.payments,
+      byYear: history.byYear,
+      byProject: history.byProject
+    });
+    
+  } catch (error) {
+    console.error('获取功德主错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 把其他功德主合并到 :id（需要管理员权限），请求体为 { donorIds: [...] }
+router.post('/api/donors/:id/merge', requireRole('admin'), async (req, res) => {
+  try {
+    const { donorIds } = req.body || {};
+    if (!Array.isArray(donorIds) || donorIds.length === 0 || !donorIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'donorIds 必须为非空的功德主ID数组' 
+      });
+    }
+    
+    const target = await findDonor(req.params.id);
+    if (!target) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '功德主不存在' 
+      });
+    }
+    
+    const sources = [];
+    for (const donorId of new Set(donorIds)) {
+      const source = await findDonor(donorId);
+      if (!source) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `功德主 ${donorId} 不存在` 
+        });
+      }
+      if (source.donorId !== target.donorId && !sources.some(donor => donor.donorId === source.donorId)) {
+        sources.push(source);
+      }
+    }
+    
+    if (sources.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '没有需要合并的其他功德主' 
+      });
+    }
+    
+    // 合并与审计日志在同一事务中写入
+    const { donor, movedCount } = await database.withTransaction(async session => {
+      const merged = await mergeDonors(target, sources, req.user, session);
+      await recordAudit(requestActor(req), {
+        action: 'donor_merge',
+        target: { type: 'donor', id: target.donorId },
+        details: {
+          mergedDonorIds: sources.map(source => source.donorId),
+          movedCount: merged.movedCount
+        }
+      }, { session });
+      return merged;
+    });
+    
+    res.json({
+      success: true,
+      message: `已将 ${sources.length} 位功德主合并到 ${donor.name}，${movedCount} 条记录改归属`,
+      data: donor,
+      movedCount
+    });
+    
+  } catch (error) {
+    console.error('合并功德主错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取项目目录
+router.get('/api/projects', async (req, res) => {
+  try {
+    await database.connect();
+    
+    const query = req.query.all === 'true' ? {} : { active: { $ne: false } };
+    
+    // campaign=代码 或 current（当前开放登记的法会）时只返回该法会提供的项目
+    let campaign = null;
+    if (req.query.campaign) {
+      campaign = req.query.campaign === 'current' 
+        ? await findSubmissionCampaign('') 
+        : await database.campaigns().findOne({ code: String(req.query.campaign) });
+      if (!campaign) {
+        return res.status(404).json({ 
+          success: false, 
+          error: req.query.campaign === 'current' ? '当前没有开放登记的法会' : '法会不存在' 
+        });
+      }
+      if (campaign.projects && campaign.projects.length > 0) {
+        query.name = { $in: campaign.projects };
+      }
+    }
+    
+    const projects = await database.projects()
+      .find(query)
+      .sort({ sortOrder: 1, name: 1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: projects,
+      ...(campaign && { campaign: { code: campaign.code, name: campaign.name } })
+    });
+    
+  } catch (error) {
+    console.error('获取项目目录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增项目（需要管理员权限）
+router.post('/api/projects', requireRole('admin'), async (req, res) => {
+  try {
+    const { project, error } = normalizeProject(req.body || {});
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
+    await database.connect();
+    const projectsCollection = database.projects();
+    
+    const now = new Date();
+    const doc = {
+      sortOrder: await projectsCollection.countDocuments() + 1,
+      active: true,
+      ...project,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    const result = await projectsCollection.insertOne(doc);
+    
+    await recordAudit(requestActor(req), {
+      action: 'project_create',
+      target: { type: 'project', id: result.insertedId },
+      details: { name: doc.name }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增项目 ${doc.name}`,
+      data: { _id: result.insertedId, ...doc }
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '项目名称已存在' 
+      });
+    }
+    console.error('新增项目错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改项目（需要管理员权限）
+router.put('/api/projects/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '无效的项目ID' 
+      });
+    }
+    
+    const { project, error } = normalizeProject(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
+    await database.connect();
+    const projectsCollection = database.projects();
+    
+    const now = new Date();
+    const previous = await projectsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...project, updatedAt: now } }
+    );
+    
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '项目不存在' 
+      });
+    }
+    const result = { ...previous, ...project, updatedAt: now };
+    
+    // 项目改名时同步修改各法会的项目列表
+    if (project.name && project.name !== previous.name) {
+      await database.campaigns().updateMany(
+        { projects: previous.name },
+        { $set: { 'projects.$[item]': project.name } },
+        { arrayFilters: [{ item: previous.name }] }
+      );
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'project_update',
+      target: { type: 'project', id },
+      diff: diffFields(previous, project)
+    });
+    
+    res.json({
+      success: true,
+      message: `成功修改项目 ${result.name}`,
+      data: result
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '项目名称已存在' 
+      });
+    }
+    console.error('修改项目错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 删除项目（需要管理员权限）
+router.delete('/api/projects/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '无效的项目ID' 
+      });
+    }
+    
+    await database.connect();
+    const result = await database.projects().deleteOne({ _id: new ObjectId(id) });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '项目不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'project_delete',
+      target: { type: 'project', id }
+    });
+    
+    res.json({
+      success: true,
+      message: '成功删除项目',
+      deletedCount: result.deletedCount
+    });
+    
+  } catch (error) {
+    console.error('删除项目错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取法会列表（公开），accepting 表示当前是否接受登记
+router.get('/api/campaigns', async (req, res) => {
+  try {
+    await database.connect();
+    
+    const campaigns = await database.campaigns()
+      .find({})
+      .sort({ startDate: -1, code: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: campaigns.map(campaign => ({ 
+        ...campaign, 
+        accepting: isAcceptingRegistrations(campaign) 
+      }))
+    });
+    
+  } catch (error) {
+    console.error('获取法会列表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取当前开放登记的法会（公开）
+router.get('/api/campaigns/current', async (req, res) => {
+  try {
+    await database.connect();
+    
+    const campaign = await findSubmissionCampaign('');
+    if (!campaign) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '当前没有开放登记的法会' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...campaign, accepting: true }
+    });
+    
+  } catch (error) {
+    console.error('获取当前法会错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增法会（需要管理员权限）
+router.post('/api/campaigns', requireRole('admin'), async (req, res) => {
+  try {
+    const { campaign, error } = normalizeCampaign(req.body || {});
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
+    const projectError = await unknownCampaignProjects(campaign.projects);
+    if (projectError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: projectError 
+      });
+    }
+    
+    const now = new Date();
+    const doc = {
+      startDate: null,
+      endDate: null,
+      ...campaign,
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await database.campaigns().insertOne(doc);
+    
+    await recordAudit(requestActor(req), {
+      action: 'campaign_create',
+      target: { type: 'campaign', id: doc.code },
+      details: { name: doc.name }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增法会 ${campaign.name}`,
+      data: { ...doc, _id: result.insertedId }
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '法会代码已存在' 
+      });
+    }
+    console.error('新增法会错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改法会（名称、日期、开放/截止状态、项目列表；代码不能修改，需要管理员权限）
+router.put('/api/campaigns/:code', requireRole('admin'), async (req, res) => {
+  try {
+    const { campaign, error } = normalizeCampaign(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
+    const projectError = await unknownCampaignProjects(campaign.projects);
+    if (projectError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: projectError 
+      });
+    }
+    
+    const existing = await database.campaigns().findOne({ code: req.params.code });
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '法会不存在' 
+      });
+    }
+    
+    const startDate = campaign.startDate !== undefined ? campaign.startDate : existing.startDate;
+    const endDate = campaign.endDate !== undefined ? campaign.endDate : existing.endDate;
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '开始日期不能晚于结束日期' 
+      });
+    }
+    
+    const result = await database.campaigns().findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...campaign, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    await recordAudit(requestActor(req), {
+      action: 'campaign_update',
+      target: { type: 'campaign', id: existing.code },
+      diff: diffFields(existing, campaign)
+    });
+    
+    res.json({
+      success: true,
+      message: `成功修改法会 ${result.name}`,
+      data: { ...result, accepting: isAcceptingRegistrations(result) }
+    });
+    
+  } catch (error) {
+    console.error('修改法会错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 删除法会，已有登记记录的法会不能删除，只能截止（需要管理员权限）
+router.delete('/api/campaigns/:code', requireRole('admin'), async (req, res) => {
+  try {
+    const recordCount = await recordRepository.count({ campaign: req.params.code });
+    if (recordCount > 0) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `该法会已有 ${recordCount} 条登记记录，不能删除，请改为截止登记` 
+      });
+    }
+    
+    const result = await database.campaigns().deleteOne({ code: req.params.code });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '法会不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'campaign_delete',
+      target: { type: 'campaign', id: req.params.code }
+    });
+    
+    res.json({
+      success: true,
+      message: '成功删除法会',
+      deletedCount: result.deletedCount
+    });
+    
+  } catch (error) {
+    console.error('删除法会错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取汇率表
+router.get('/api/exchange-rates', async (req, res) => {
+  try {
+    await database.connect();
+    
+    const exchangeRates = await database.exchangeRates()
+      .find({})
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: exchangeRates
+    });
+    
+  } catch (error) {
+    console.error('获取汇率表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取当前（或指定日期）生效的汇率
+router.get('/api/exchange-rates/current', async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '日期无效' 
+      });
+    }
+    
+    await database.connect();
+    
+    res.json({
+      success: true,
+      data: await findEffectiveRate(date)
+    });
+    
+  } catch (error) {
+    console.error('获取当前汇率错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 新增汇率（需要财务权限）
+router.post('/api/exchange-rates', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { exchangeRate, error } = normalizeExchangeRate(req.body || {});
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error 
+      });
+    }
+    
+    await database.connect();
+    
+    const doc = { ...exchangeRate, createdAt: new Date() };
+    const result = await database.exchangeRates().insertOne(doc);
+    
+    await recordAudit(requestActor(req), {
+      action: 'exchange_rate_create',
+      target: { type: 'exchange_rate', id: result.insertedId },
+      details: exchangeRate
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `成功新增汇率 ${doc.rate}`,
+      data: { _id: result.insertedId, ...doc }
+    });
+    
+  } catch (error) {
+    console.error('新增汇率错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 删除汇率（需要财务权限）
+router.delete('/api/exchange-rates/:id', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '无效的汇率ID' 
+      });
+    }
+    
+    await database.connect();
+    const result = await database.exchangeRates().deleteOne({ _id: new ObjectId(id) });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '汇率不存在' 
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'exchange_rate_delete',
+      target: { type: 'exchange_rate', id }
+    });
+    
+    res.json({
+      success: true,
+      message: '成功删除汇率',
+      deletedCount: result.deletedCount
+    });
+    
+  } catch (error) {
+    console.error('删除汇率错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 提交登记数据（按 localId 幂等，重复提交不会重复写入），需要已登记设备的令牌或登记员以上的账号
+// 数据库不可用时（降级模式）通过 schema 校验的数据写入本地队列，返回 202，恢复连接后自动补写
+router.post('/api/records', authorizeSubmission, async (req, res) => {
+  console.log('📥 收到数据提交请求');
+  
+  const { data } = req.body;
+  if (!data || !Array.isArray(data)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: '无效的数据格式' 
+    });
+  }
+  
+  try {
+    if (!database.isConnected) {
+      return await queueSubmission(req, res);
+    }
+    
+    const { 
+      batchId, 
+      campaignError, 
+      batchError, 
+      results, 
+      insertedCount, 
+      duplicateCount, 
+      rejectedCount 
+    } = await submitRecords(req.body, { ip: req.ip, device: req.device, actor: requestActor(req) });
+    
+    const allRejected = data.length > 0 && rejectedCount === data.length;
+    
+    res.status(allRejected ? 400 : 200).json({
+      success: !allRejected,
+      message: `成功提交 ${insertedCount} 条数据` + 
+        (duplicateCount > 0 ? `，${duplicateCount} 条已存在` : '') + 
+        (rejectedCount > 0 ? `，${rejectedCount} 条被拒绝` : ''),
+      ...(allRejected && { error: campaignError || batchError || '所有数据均未通过校验' }),
+      submittedCount: insertedCount,
+      insertedCount,
+      duplicateCount,
+      rejectedCount,
+      failedCount: rejectedCount,
+      batchId: batchId,
+      results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ 提交数据错误:', error);
+    
+    // 写入途中数据库连接中断：整批排队，恢复后按 localId 幂等补写
+    if (database.isUnavailableError(error)) {
+      try {
+        await queueSubmission(req, res);
+        scheduleReplay();
+        return;
+      } catch (queueError) {
+        console.error('❌ 写入登记队列失败:', queueError);
+      }
+    } else if (database.db) {
+      // 写入审计日志
+      try {
+        await recordAudit(requestActor(req), {
+          action: 'record_submit_error',
+          details: {
+            error: error.message,
+            bodySize: JSON.stringify(req.body).length
+          }
+        });
+      } catch (logError) {
+        console.error('❌ 记录错误日志失败:', logError);
+      }
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 把通过 schema 校验的数据写入本地队列并返回 202；项目目录和法会的检查在补写时进行
+async function queueSubmission(req, res) {
+  const { records, results } = validateSubmission(req.body.data);
+  const accepted = results.filter(result => result.status === 'pending');
+  const batchId = req.body.batchId || `batch_${Date.now()}`;
+  
+  if (accepted.length > 0) {
+    await submissionQueue.enqueue({
+      data: accepted.map(result => records[result.index]),
+      deviceId: req.body.deviceId,
+      batchId,
+      campaign: req.body.campaign
+    }, { ip: req.ip, deviceTokenHash: req.deviceTokenHash });
+    accepted.forEach(result => {
+      result.status = 'queued';
+    });
+  }
+  
+  const queuedCount = accepted.length;
+  const rejectedCount = results.length - queuedCount;
+  const allRejected = results.length > 0 && queuedCount === 0;
+  
+  console.log(`📦 数据库不可用，${queuedCount} 条数据已加入登记队列，${rejectedCount} 条校验未通过`);
+  
+  res.status(allRejected ? 400 : 202).json({
+    success: !allRejected,
+    queued: queuedCount > 0,
+    message: `数据库暂时不可用，${queuedCount} 条数据已保存，恢复连接后自动写入` + 
+      (rejectedCount > 0 ? `，${rejectedCount} 条被拒绝` : ''),
+    ...(allRejected && { error: '所有数据均未通过校验' }),
+    queuedCount,
+    rejectedCount,
+    failedCount: rejectedCount,
+    batchId,
+    results,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// 获取所有登记数据（支持分页和筛选）
+router.get('/api/records', requireRole('viewer'), async (req, res) => {
+  try {
+    await database.connect();
+    
+    // 查询参数
+    const { value: params, errors } = validate(RECORD_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const { page, limit, sortBy, sortOrder } = params;
+    const skip = (page - 1) * limit;
+    
+    // 构建查询条件
+    const query = buildRecordQuery(params);
+    
+    // 执行查询
+    const [records, totalCount] = await Promise.all([
+      recordRepository.find(query, {
+        sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 },
+        skip,
+        limit
+      }),
+      recordRepository.count(query)
+    ]);
+    
+    // 获取统计信息
+    const stats = await recordRepository.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          totalAmountTWD: { $sum: '$amountTWD' },
+          totalAmountRMB: { $sum: '$amountRMB' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    res.json({
+      success: true,
+      data: records,
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      },
+      stats: stats[0] || { totalAmountTWD: 0, totalAmountRMB: 0, count: 0 }
+    });
+    
+  } catch (error) {
+    console.error('获取数据错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取统计数据：筛选条件与 GET /api/records 相同，groupBy 指定另外分组统计的维度，按 timeZone 的日期分组
+router.get('/api/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    await database.connect();
+    
+    // 按指定汇率（rate）或指定日期的生效汇率（rateDate）重算人民币金额
+    let restateRate = null;
+    if (req.query.rate) {
+      restateRate = Number(req.query.rate);
+      if (!Number.isFinite(restateRate) || restateRate <= 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: '汇率必须为正数' 
+        });
+      }
+    } else if (req.query.rateDate) {
+      const rateDate = new Date(req.query.rateDate);
+      if (isNaN(rateDate.getTime())) {
+        return res.status(400).json({ 
+          success: false, 
+          error: '汇率日期无效' 
+        });
+      }
+      restateRate = (await findEffectiveRate(rateDate)).rate;
+    }
+    
+    const { value: params, errors } = validate(STATS_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const groupBy = params.groupBy ? [...new Set(params.groupBy.split(',').map(field => field.trim()).filter(Boolean))] : [];
+    const unknownGroups = groupBy.filter(field => !STATS_GROUP_FIELDS.includes(field));
+    if (unknownGroups.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `未知的分组: ${unknownGroups.join(', ')}，可按 ${STATS_GROUP_FIELDS.join('/')} 分组` 
+      });
+    }
+    
+    const timeZone = params.timeZone || config.server.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `无效的时区: ${timeZone}` 
+      });
+    }
+    
+    let campaign = null;
+    if (params.campaign) {
+      campaign = await database.campaigns().findOne({ code: params.campaign });
+      if (!campaign) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `法会不存在: ${params.campaign}` 
+        });
+      }
+    }
+    
+    // 按日期统计：指定了日期范围时为筛选的范围，否则指定法会时为法会期间，未指定法会时为最近30天
+    let dailyRange = null;
+    if (!params.startDate && !params.endDate) {
+      if (campaign && campaign.startDate) {
+        dailyRange = { $gte: campaign.startDate, ...(campaign.endDate && { $lte: campaign.endDate }) };
+      } else {
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        dailyRange = { $gte: thirtyDaysAgo };
+      }
+    }
+    
+    const match = buildRecordQuery(params);
+    const stats = await aggregateStats(match, { groupBy, timeZone, dailyRange, byCampaign: true });
+    
+    const restate = group => restateRate ? restateRMB(group, restateRate) : group;
+    
+    // 同比：与 compareTo 指定的法会或上一届法会对比
+    let comparison = null;
+    if (campaign) {
+      let previous = null;
+      if (params.compareTo) {
+        previous = await database.campaigns().findOne({ code: params.compareTo });
+        if (!previous) {
+          return res.status(404).json({ 
+            success: false, 
+            error: `法会不存在: ${params.compareTo}` 
+          });
+        }
+      } else if (campaign.startDate) {
+        previous = await database.campaigns()
+          .find({ startDate: { $lt: campaign.startDate } })
+          .sort({ startDate: -1 })
+          .limit(1)
+          .next();
+      }
+      
+      if (previous) {
+        // 对比的法会按同样的条件筛选，但不限日期范围（两届法会的日期不同）
+        const { submittedAt, ...previousMatch } = match;
+        const previousStats = await aggregateStats({ ...previousMatch, campaign: previous.code }, { timeZone });
+        comparison = {
+          campaign: { code: previous.code, name: previous.name },
+          overall: restate(previousStats.overall),
+          byProject: previousStats.byProject.map(restate),
+          change: {
+            totalRecords: compareValues(stats.overall.totalRecords, previousStats.overall.totalRecords),
+            totalAmountTWD: compareValues(stats.overall.totalAmountTWD, previousStats.overall.totalAmountTWD)
+          }
+        };
+      }
+    }
+    
+    res.json({
+      success: true,
+      campaign: campaign && { code: campaign.code, name: campaign.name },
+      overall: restate(stats.overall),
+      byProject: stats.byProject.map(restate),
+      byPayment: stats.byPayment.map(restate),
+      daily: stats.daily.map(restate),
+      byCampaign: stats.byCampaign.map(restate),
+      groups: Object.fromEntries(Object.entries(stats.groups).map(([field, groups]) => [field, groups.map(restate)])),
+      comparison,
+      timeZone,
+      exchangeRate: restateRate,
+      lastUpdated: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('获取统计错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 修改登记数据，并记录修改前后的字段差异（需要登记员权限）
+router.patch('/api/records/:id', requireRole('registrar'), async (req, res) => {
+  try {
+    const record = await recordRepository.findById(req.params.id, { deletedAt: null });
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    const result = await updateRecordFields(record, req.body || {}, {
+      username: req.user.username,
+      role: req.user.role,
+      ip: req.ip
+    });
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({ 
+        success: false, 
+        error: result.error,
+        fieldErrors: result.fieldErrors
+      });
+    }
+    
+    if (result.status === 'locked') {
+      return res.status(409).json({ 
+        success: false, 
+        error: result.error 
+      });
+    }
+    
+    // 读取记录之后被移入回收站或永久删除
+    if (result.status === 'deleted' || result.status === 'not-found') {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    if (result.status === 'unchanged') {
+      return res.json({
+        success: true,
+        message: '没有需要修改的字段',
+        data: result.record,
+        changes: []
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `成功修改 ${result.changes.length} 个字段`,
+      data: result.record,
+      changes: result.changes
+    });
+    
+  } catch (error) {
+    console.error('修改数据错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 管理后台实时更新（Server-Sent Events）：推送记录的新增、修改、删除及统计的增量
+// 断线重连时带 Last-Event-ID 请求头补发错过的事件，无法补发时推送 resync，见 events.js
+router.get('/api/events', requireRole('viewer'), (req, res) => {
+  openEventStream(req, res);
+});
+
+// 同步的操作人：已登记的设备以设备ID为准，账号登录时为参数中的 deviceId
+function syncActor(req, params) {
+  return {
+    ...requestActor(req),
+    deviceId: req.device ? req.device.deviceId : params.deviceId || undefined
+  };
+}
+
+// 设备增量同步：拉取游标之后新增、修改和删除的记录，hasMore 为 true 时用返回的游标继续拉取
+// 已登记的设备附带设备令牌（X-Device-Token），或以登记员以上的账号登录
+router.get('/api/sync', authorizeDevice('registrar'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(SYNC_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const since = params.since ? decodeCursor(params.since) : null;
+    if (params.since && since === null) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '同步游标无效，请不带游标重新同步' 
+      });
+    }
+    
+    const result = await pullChanges(since, syncActor(req, params), { limit: params.limit });
+    
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('同步拉取错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 设备推送修改：每项带设备上记录的 version，版本不一致时返回冲突而不覆盖服务器上的修改
+router.post('/api/sync', authorizeDevice('registrar'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { value: params, errors } = validate(SYNC_PUSH_SCHEMA, body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    if (!Array.isArray(body.changes) || body.changes.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'changes 必须为非空数组' 
+      });
+    }
+    
+    if (body.changes.length > SYNC_PUSH_LIMIT) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `每次最多推送 ${SYNC_PUSH_LIMIT} 项修改` 
+      });
+    }
+    
+    const changes = [];
+    const changeErrors = [];
+    body.changes.forEach((change, index) => {
+      const { value, errors: fieldErrors } = validate(SYNC_CHANGE_SCHEMA, change);
+      if (fieldErrors.length > 0) {
+        changeErrors.push({ index, error: fieldErrors.map(fieldError => fieldError.error).join('；') });
+      } else {
+        changes.push({ ...value, fields: change.fields });
+      }
+    });
+    
+    if (changeErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `第 ${changeErrors.map(changeError => changeError.index + 1).join(', ')} 项修改格式不正确`,
+        changeErrors
+      });
+    }
+    
+    const results = await pushChanges(changes, syncActor(req, params));
+    
+    const count = status => results.filter(result => result.status === status).length;
+    res.json({
+      success: true,
+      appliedCount: count('applied'),
+      conflictCount: count('conflict'),
+      results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('同步推送错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取记录的修改历史
+router.get('/api/records/:id/history', requireRole('viewer'), async (req, res) => {
+  try {
+    const record = await recordRepository.findById(req.params.id, {}, { projection: { _id: 1 } });
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    const history = await database.recordHistory()
+      .find({ recordId: record._id })
+      .sort({ timestamp: -1 })
+      .toArray();
+    
+    res.json({
+      success: true,
+      data: history
+    });
+    
+  } catch (error) {
+    console.error('获取修改历史错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取记录的缴费台账及已缴、未缴金额
+router.get('/api/records/:id/payments', requireRole('viewer'), async (req, res) => {
+  try {
+    const record = await recordRepository.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    const payments = await database.payments()
+      .find({ recordId: record._id })
+      .sort({ paidAt: -1 })
+      .toArray();
+    
+    const paidAmountTWD = record.paidAmountTWD || 0;
+    res.json({
+      success: true,
+      data: payments,
+      summary: {
+        amountDueTWD: record.amountTWD || 0,
+        paidAmountTWD,
+        balanceTWD: record.balanceTWD ?? Math.max((record.amountTWD || 0) - paidAmountTWD, 0),
+        payment: record.payment
+      }
+    });
+    
+  } catch (error) {
+    console.error('获取缴费记录错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 登记一笔缴费（支持部分缴费），人民币缴费按记录的汇率折算为新台币入账
+router.post('/api/records/:id/payments', requireRole('registrar'), async (req, res) => {
+  try {
+    const { value, errors } = validate(PAYMENT_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const record = await recordRepository.findById(req.params.id, { deletedAt: null });
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    const payment = {
+      recordId: record._id,
+      localId: record.localId,
+      project: record.project,
+      amount: value.amount,
+      currency: value.currency,
+      amountTWD: value.amount,
+      method: value.method,
+      payer: value.payer || record.contact || record.name,
+      registrar: req.user.username,
+      paidAt: value.paidAt || new Date(),
+      note: value.note
+    };
+    
+    // 按记录登记时的汇率折算，缴清人民币应缴金额即视为缴清；新台币取整
+    if (value.currency === 'RMB') {
+      const rate = record.exchangeRate || (await findEffectiveRate(record.submittedAt)).rate;
+      payment.exchangeRate = rate;
+      payment.amountTWD = Math.round(value.amount * rate);
+    }
+    
+    const result = await addPayment(payment);
+    
+    await recordAudit(requestActor(req), {
+      action: 'payment_add',
+      target: { type: 'record', id: record._id },
+      details: {
+        paymentId: result.payment._id,
+        amountTWD: payment.amountTWD
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `已登记缴费 NT$ ${payment.amountTWD}，缴费状态：${result.summary.payment}`,
+      data: result.payment,
+      summary: result.summary
+    });
+    
+  } catch (error) {
+    console.error('登记缴费错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 作废一笔缴费，保留在台账中并重新计算记录的缴费状态（需要财务权限）
+router.post('/api/payments/:id/void', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value, errors } = validate(PAYMENT_VOID_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const payment = ObjectId.isValid(req.params.id) 
+      ? await database.payments().findOne({ _id: new ObjectId(req.params.id) }) 
+      : null;
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '缴费记录不存在' 
+      });
+    }
+    
+    if (payment.voidedAt) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '该缴费记录已作废' 
+      });
+    }
+    
+    const result = await voidPayment(payment, value.reason, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'payment_void',
+      target: { type: 'payment', id: payment._id },
+      details: {
+        recordId: payment.recordId,
+        reason: value.reason
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: '缴费记录已作废',
+      data: result.payment,
+      summary: result.summary
+    });
+    
+  } catch (error) {
+    console.error('作废缴费错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 对账报表：按项目列出未缴费和未缴足的登记（需要财务权限）
+router.get('/api/reconciliation', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(RECONCILIATION_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const query = { deletedAt: null };
+    if (params.project) query.project = params.project;
+    if (params.campaign) query.campaign = params.campaign;
+    
+    const report = await buildReconciliation(query);
+    
+    res.json({
+      success: true,
+      data: report.projects,
+      totals: report.totals,
+      generatedAt: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('生成对账报表错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 为缴费台账中已缴足的记录开具收据（需要财务权限）
+router.post('/api/records/:id/receipt', requireRole('treasurer'), async (req, res) => {
+  try {
+    const record = await recordRepository.findById(req.params.id, { deletedAt: null });
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    // 以缴费台账为准，登记时自报的缴费状态不能作为开具收据的依据
+    const paidAmountTWD = await ledgerPaidAmount(record._id);
+    if (derivePaymentStatus(record.amountTWD || 0, paidAmountTWD) !== '已缴费') {
+      return res.status(400).json({ 
+        success: false, 
+        error: '只能为已在缴费台账中缴足的记录开具收据' 
+      });
+    }
+    
+    const { receipt, existing } = await issueReceipt(record, req.user);
+    if (existing) {
+      return res.status(409).json({ 
+        success: false, 
+        error: `该记录已有收据 ${existing.receiptNo}，如需重开请先作废`,
+        data: existing
+      });
+    }
+    
+    await recordAudit(requestActor(req), {
+      action: 'receipt_issue',
+      target: { type: 'receipt', id: receipt.receiptNo },
+      details: { recordId: record._id }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `已开具收据 ${receipt.receiptNo}`,
+      data: receipt
+    });
+    
+  } catch (error) {
+    console.error('开具收据错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 获取记录的收据：默认返回有效收据的 PDF，format=json 时返回该记录的全部收据
+router.get('/api/records/:id/receipt', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(RECEIPT_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const record = await recordRepository.findById(req.params.id, {}, { projection: { _id: 1 } });
+    if (!record) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '记录不存在' 
+      });
+    }
+    
+    const receipts = await database.receipts()
+      .find({ recordId: record._id })
+      .sort({ issuedAt: -1 })
+      .toArray();
+    
+    if (params.format === 'json') {
+      return res.json({
+        success: true,
+        data: receipts.find(receipt => receipt.status === 'issued') || null,
+        receipts
+      });
+    }
+    
+    const receipt = params.receiptNo
+      ? receipts.find(item => item.receiptNo === params.receiptNo)
+      : receipts.find(item => item.status === 'issued');
+    if (!receipt) {
+      return res.status(404).json({ 
+        success: false, 
+        error: params.receiptNo ? '收据不存在' : '该记录尚未开具收据' 
+      });
+    }
+    
+    const font = findChineseFont();
+    if (!font) {
+      return res.status(500).json({ 
+        success: false, 
+        error: FONT_MISSING_ERROR 
+      });
+    }
+    
+    const pdf = await renderReceiptPdf(receipt, font);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=receipt_${receipt.receiptNo}.pdf`);
+    res.send(pdf);
+    
+  } catch (error) {
+    console.error('获取收据错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 以邮件发送记录的有效收据（需要财务权限）
+router.post('/api/records/:id/receipt/email', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value, errors } = validate(RECEIPT_EMAIL_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    if (!isMailConfigured()) {
+      return res.status(503).json({ 
+        success: false, 
+        error: '未配置邮件服务，请设置 SMTP_HOST' 
+      });
+    }
+    
+    const font = findChineseFont();
+    if (!font) {
+      return res.status(500).json({ 
+        success: false, 
+        error: FONT_MISSING_ERROR 
+      });
+    }
+    
+    const record = await recordRepository.findById(req.params.id, {}, { projection: { _id: 1 } });
+    const receipt = record && await database.receipts().findOne({ recordId: record._id, status: 'issued' });
+    if (!receipt) {
+      return res.status(404).json({ 
+        success: false, 
+        error: record ? '该记录尚未开具收据' : '记录不存在' 
+      });
+    }
+    
+    const email = await emailReceipt(receipt, value.to, font, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'receipt_email',
+      target: { type: 'receipt', id: receipt.receiptNo },
+      details: { to: value.to }
+    });
+    
+    res.json({
+      success: true,
+      message: `收据 ${receipt.receiptNo} 已发送至 ${value.to}`,
+      data: email
+    });
+    
+  } catch (error) {
+    console.error('发送收据邮件错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 作废记录的有效收据，编号保留不再使用（需要财务权限）
+router.post('/api/records/:id/receipt/void', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value, errors } = validate(RECEIPT_VOID_SCHEMA, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const record = await recordRepository.findById(req.params.id, {}, { projection: { _id: 1 } });
+    const receipt = record && await database.receipts().findOne({ recordId: record._id, status: 'issued' });
+    if (!receipt) {
+      return res.status(404).json({ 
+        success: false, 
+        error: record ? '该记录没有有效收据' : '记录不存在' 
+      });
+    }
+    
+    const voided = await voidReceipt(receipt, value.reason, req.user);
+    
+    await recordAudit(requestActor(req), {
+      action: 'receipt_void',
+      target: { type: 'receipt', id: receipt.receiptNo },
+      details: { reason: value.reason }
+    });
+    
+    res.json({
+      success: true,
+      message: `收据 ${receipt.receiptNo} 已作废`,
+      data: voided
+    });
+    
+  } catch (error) {
+    console.error('作废收据错误:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
     });
   }
 });
 
-// 提交登记数据
-router.post('/api/records', async (req, res) => {
-  console.log('📥 收到数据提交请求');
-  
+// 收据列表（按年度、状态筛选，需要财务权限）
+router.get('/api/receipts', requireRole('treasurer'), async (req, res) => {
   try {
-    // 首先确保数据库连接
-    await database.connect();
-    const recordsCollection = database.records();
-    
-    const { data, batchId, deviceId } = req.body;
-    
-    if (!data || !Array.isArray(data)) {
+    const { value: params, errors } = validate(RECEIPT_LIST_SCHEMA, req.query);
+    if (errors.length > 0) {
       return res.status(400).json({ 
         success: false, 
-        error: '无效的数据格式' 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
       });
     }
     
-    console.log(`📊 准备插入 ${data.length} 条数据`);
-    
-    // 确保数据格式正确
-    const recordsWithMetadata = data.map(item => ({
-      ...item,
-      // 确保金额是数字
-      amountTWD: Number(item.amountTWD) || 0,
-      amountRMB: Number(item.amountRMB) || 0,
-      // 添加元数据
-      batchId: batchId || `batch_${Date.now()}`,
-      deviceId: deviceId || 'unknown',
-      submittedAt: new Date(),
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      syncStatus: 'synced',
-      serverId: new ObjectId().toString()
-    }));
-    
-    // 插入数据
-    const result = await recordsCollection.insertMany(recordsWithMetadata);
-    
-    console.log(`✅ 成功插入 ${result.insertedCount} 条数据`);
+    const query = {};
+    if (params.year) query.year = params.year;
+    if (params.status) query.status = params.status;
     
-    // 记录日志
-    await database.logs().insertOne({
-      type: 'record_submit',
-      batchId: batchId,
-      count: recordsWithMetadata.length,
-      deviceId: deviceId,
-      timestamp: new Date(),
-      ip: req.ip
-    });
+    const [receipts, totalCount] = await Promise.all([
+      database.receipts()
+        .find(query)
+        .sort({ year: -1, number: -1 })
+        .skip((params.page - 1) * params.limit)
+        .limit(params.limit)
+        .toArray(),
+      database.receipts().countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      message: `成功提交 ${result.insertedCount} 条数据`,
-      submittedCount: result.insertedCount,
-      batchId: batchId,
-      timestamp: new Date().toISOString()
+      data: receipts,
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / params.limit)
+      }
     });
     
   } catch (error) {
-    console.error('提交数据错误:', error);
+    console.error('获取收据列表错误:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -108,98 +3353,44 @@ router.post('/api/records', async (req, res) => {
   }
 });
 
-// 获取所有登记数据（支持分页和筛选）
-router.get('/api/records', async (req, res) => {
+// 获取回收站中的记录
+router.get('/api/records/trash', requireRole('viewer'), async (req, res) => {
   try {
-    await database.connect();
-    const recordsCollection = database.records();
-    
-    // 查询参数
-    const { 
-      page = 1, 
-      limit = 50, 
-      sortBy = 'submittedAt', 
-      sortOrder = 'desc',
-      search = '',
-      project = '',
-      payment = '',
-      startDate = '',
-      endDate = ''
-    } = req.query;
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // 构建查询条件
-    const query = {};
-    
-    // 搜索条件
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { contact: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    // 项目筛选
-    if (project) {
-      query.project = project;
-    }
-    
-    // 缴费状态筛选
-    if (payment) {
-      query.payment = payment;
+    const { value: params, errors } = validate(TRASH_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
     }
     
-    // 日期范围筛选
-    if (startDate || endDate) {
-      query.submittedAt = {};
-      if (startDate) {
-        query.submittedAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.submittedAt.$lte = new Date(endDate);
-      }
-    }
+    const { page, limit } = params;
+    const query = { deletedAt: { $ne: null } };
+    if (params.campaign) query.campaign = params.campaign;
     
-    // 执行查询
     const [records, totalCount] = await Promise.all([
-      recordsCollection
-        .find(query)
-        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .toArray(),
-      recordsCollection.countDocuments(query)
+      recordRepository.find(query, {
+        sort: { deletedAt: -1 },
+        skip: (page - 1) * limit,
+        limit
+      }),
+      recordRepository.count(query)
     ]);
     
-    // 获取统计信息
-    const stats = await recordsCollection.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: null,
-          totalAmountTWD: { $sum: '$amountTWD' },
-          totalAmountRMB: { $sum: '$amountRMB' },
-          count: { $sum: 1 }
-        }
-      }
-    ]).toArray();
-    
     res.json({
       success: true,
       data: records,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         totalCount,
-        totalPages: Math.ceil(totalCount / parseInt(limit))
-      },
-      stats: stats[0] || { totalAmountTWD: 0, totalAmountRMB: 0, count: 0 }
+        totalPages: Math.ceil(totalCount / limit)
+      }
     });
     
   } catch (error) {
-    console.error('获取数据错误:', error);
+    console.error('获取回收站错误:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -207,91 +3398,55 @@ router.get('/api/records', async (req, res) => {
   }
 });
 
-// 获取统计数据
-router.get('/api/stats', async (req, res) => {
+// 删除、恢复的对象：单条记录、整个批次（batch）或全部记录（all）
+function recordsTarget(id, batchId) {
+  if (id === 'batch' && batchId) return { type: 'batch', id: batchId };
+  if (id === 'all') return { type: 'records', id: 'all' };
+  return { type: 'record', id };
+}
+
+// 从回收站恢复数据，支持单条、batch 和 all（需要管理员权限）；已作废的批次中的记录不恢复
+router.post('/api/records/:id/restore', requireRole('admin'), async (req, res) => {
   try {
-    await database.connect();
-    const recordsCollection = database.records();
-    
-    // 总体统计
-    const overallStats = await recordsCollection.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalRecords: { $sum: 1 },
-          totalAmountTWD: { $sum: '$amountTWD' },
-          totalAmountRMB: { $sum: '$amountRMB' },
-          avgAmountTWD: { $avg: '$amountTWD' },
-          avgAmountRMB: { $avg: '$amountRMB' }
-        }
-      }
-    ]).toArray();
+    const { id } = req.params;
+    const voidedBatchIds = await batchRepository.idsWithStatus('void');
     
-    // 按项目统计
-    const projectStats = await recordsCollection.aggregate([
-      {
-        $group: {
-          _id: '$project',
-          count: { $sum: 1 },
-          totalAmountTWD: { $sum: '$amountTWD' },
-          totalAmountRMB: { $sum: '$amountRMB' }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]).toArray();
+    const targetBatchId = id === 'batch' ? req.query.batchId : null;
+    if (targetBatchId && voidedBatchIds.includes(targetBatchId)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: '该批次已作废，不能恢复' 
+      });
+    }
     
-    // 按缴费状态统计
-    const paymentStats = await recordsCollection.aggregate([
-      {
-        $group: {
-          _id: '$payment',
-          count: { $sum: 1 },
-          totalAmountTWD: { $sum: '$amountTWD' },
-          totalAmountRMB: { $sum: '$amountRMB' }
-        }
-      }
-    ]).toArray();
+    let query;
+    if (id === 'batch' && req.query.batchId) {
+      query = { batchId: req.query.batchId };
+    } else if (id === 'all') {
+      query = { batchId: { $nin: voidedBatchIds } };
+    } else {
+      query = { ...recordIdQuery(id), batchId: { $nin: voidedBatchIds } };
+    }
     
-    // 按日期统计（最近30天）
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const restoring = await recordRepository.find({ ...query, deletedAt: { $ne: null } });
+    const restoredCount = await recordRepository.restore(query);
+    publishRecordsCreated(restoring.map(({ deletedAt, deletedBy, ...record }) => record), { restored: true });
     
-    const dailyStats = await recordsCollection.aggregate([
-      {
-        $match: {
-          submittedAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$submittedAt' }
-          },
-          count: { $sum: 1 },
-          totalAmountTWD: { $sum: '$amountTWD' },
-          totalAmountRMB: { $sum: '$amountRMB' }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]).toArray();
+    // 写入审计日志
+    await recordAudit(requestActor(req), {
+      action: 'record_restore',
+      target: recordsTarget(id, req.query.batchId),
+      details: { restoredCount }
+    });
     
     res.json({
       success: true,
-      overall: overallStats[0] || {
-        totalRecords: 0,
-        totalAmountTWD: 0,
-        totalAmountRMB: 0,
-        avgAmountTWD: 0,
-        avgAmountRMB: 0
-      },
-      byProject: projectStats,
-      byPayment: paymentStats,
-      daily: dailyStats,
-      lastUpdated: new Date().toISOString()
+      message: `成功恢复 ${restoredCount} 条数据`,
+      restoredCount
     });
     
   } catch (error) {
-    console.error('获取统计错误:', error);
+    console.error('恢复数据错误:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -299,56 +3454,54 @@ router.get('/api/stats', async (req, res) => {
   }
 });
 
-// 删除数据（需要管理员权限）
-router.delete('/api/records/:id', async (req, res) => {
+// 删除数据，移入回收站（需要管理员权限）；已锁定的批次中的记录不能删除
+router.delete('/api/records/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { adminPassword } = req.query;
-    const config = require('./config');
+    await database.connect();
+    const { id } = req.params;
+    const { username } = req.user;
     
-    // 简单的密码验证
-    if (adminPassword !== config.security.adminPassword) {
-      return res.status(401).json({ 
+    let targetBatchId = id === 'batch' ? req.query.batchId : null;
+    if (id !== 'batch' && id !== 'all') {
+      const record = await recordRepository.findOne(recordIdQuery(id));
+      targetBatchId = record && record.batchId;
+    }
+    const closedError = await batchClosedError(targetBatchId);
+    if (closedError) {
+      return res.status(409).json({ 
         success: false, 
-        error: '未授权的操作' 
+        error: closedError 
       });
     }
     
-    await database.connect();
-    const recordsCollection = database.records();
-    
-    const { id } = req.params;
-    
-    let result;
+    let query;
     if (id === 'batch' && req.query.batchId) {
       // 批量删除
-      result = await recordsCollection.deleteMany({ batchId: req.query.batchId });
-    } else if (id === 'all' && adminPassword) {
-      // 删除所有数据（危险操作）
-      result = await recordsCollection.deleteMany({});
+      query = { batchId: req.query.batchId };
+    } else if (id === 'all') {
+      // 删除所有数据（危险操作），已锁定的批次除外
+      const lockedBatchIds = await batchRepository.idsWithStatus('locked');
+      query = { batchId: { $nin: lockedBatchIds } };
     } else {
       // 删除单条数据
-      result = await recordsCollection.deleteOne({ 
-        $or: [
-          { _id: new ObjectId(id) },
-          { localId: id },
-          { serverId: id }
-        ]
-      });
+      query = recordIdQuery(id);
     }
     
-    // 记录日志
-    await database.logs().insertOne({
-      type: 'record_delete',
-      targetId: id,
-      deletedCount: result.deletedCount,
-      timestamp: new Date(),
-      ip: req.ip
+    const deleting = await recordRepository.find({ ...query, deletedAt: null });
+    const deletedCount = await recordRepository.softDelete(query, username);
+    publishRecordsDeleted(deleting);
+    
+    // 写入审计日志
+    await recordAudit(requestActor(req), {
+      action: 'record_delete',
+      target: recordsTarget(id, req.query.batchId),
+      details: { deletedCount }
     });
     
     res.json({
       success: true,
-      message: `成功删除 ${result.deletedCount} 条数据`,
-      deletedCount: result.deletedCount
+      message: `成功删除 ${deletedCount} 条数据（已移入回收站，${config.trash.retentionDays} 天后永久删除）`,
+      deletedCount
     });
     
   } catch (error) {
@@ -360,56 +3513,91 @@ router.delete('/api/records/:id', async (req, res) => {
   }
 });
 
-// 导出数据为CSV
-router.get('/api/export/csv', async (req, res) => {
+// 导出数据为CSV（筛选参数与 GET /api/records 相同）
+router.get('/api/export/csv', requireRole('treasurer'), async (req, res) => {
   try {
-    await database.connect();
-    const recordsCollection = database.records();
+    const { value: params, errors } = validate(RECORD_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
     
-    const records = await recordsCollection
-      .find({})
-      .sort({ submittedAt: -1 })
-      .toArray();
+    const query = buildRecordQuery(params);
+    const totalCount = await recordRepository.count(query);
     
-    // 构建CSV内容
-    const headers = [
-      '序号', '姓名', '护持项目', '超荐方式', 
-      '护持金额(新台币)', '护持金额(人民币)', 
-      '超荐内容', '是否缴费', '联系人', 
-      '提交时间', '设备ID', '批次ID', '本地ID'
-    ];
+    // 设置响应头
+    const timestamp = new Date().toISOString().slice(0,10).replace(/-/g, '');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=zhongyuan_records_${timestamp}_${totalCount}.csv`);
+    
+    const cursor = recordRepository.cursor(query, {
+      sort: { [params.sortBy]: params.sortOrder === 'desc' ? -1 : 1 }
+    });
+    
+    await writeRecordsCsv(cursor, res);
     
-    let csvContent = '\uFEFF'; // BOM for UTF-8
-    csvContent += headers.join(',') + '\n';
-    
-    records.forEach((item, index) => {
-      const row = [
-        index + 1,
-        `"${item.name || ''}"`,
-        `"${item.project || ''}"`,
-        `"${(item.method || '').replace(/"/g, '""').replace(/\n/g, '; ')}"`,
-        item.amountTWD || 0,
-        item.amountRMB ? item.amountRMB.toFixed(2) : 0,
-        `"${(item.content || '').replace(/"/g, '""')}"`,
-        `"${item.payment || ''}"`,
-        `"${item.contact || ''}"`,
-        item.submittedAt ? new Date(item.submittedAt).toISOString() : '',
-        `"${item.deviceId || ''}"`,
-        `"${item.batchId || ''}"`,
-        `"${item.localId || ''}"`
-      ];
-      csvContent += row.join(',') + '\n';
+  } catch (error) {
+    console.error('导出CSV错误:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
     });
+  }
+});
+
+// 导出数据为Excel：汇总工作表加每个护持项目一个工作表（筛选参数与 GET /api/records 相同）
+router.get('/api/export/xlsx', requireRole('treasurer'), async (req, res) => {
+  try {
+    const { value: params, errors } = validate(RECORD_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
+    
+    const query = buildRecordQuery(params);
+    
+    const summary = await recordRepository.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$project',
+          count: { $sum: 1 },
+          paidCount: { $sum: { $cond: [{ $eq: ['$payment', '已缴费'] }, 1, 0] } },
+          totalAmountTWD: { $sum: '$amountTWD' },
+          totalAmountRMB: { $sum: '$amountRMB' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    const totalCount = summary.reduce((sum, group) => sum + group.count, 0);
     
     // 设置响应头
     const timestamp = new Date().toISOString().slice(0,10).replace(/-/g, '');
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename=zhongyuan_records_${timestamp}_${records.length}.csv`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=zhongyuan_records_${timestamp}_${totalCount}.xlsx`);
+    
+    // 按项目排序，逐个项目写入工作表
+    const cursor = recordRepository.cursor(query, {
+      sort: { project: 1, [params.sortBy]: params.sortOrder === 'desc' ? -1 : 1 }
+    });
     
-    res.send(csvContent);
+    await writeRecordsXlsx({ cursor, summary, res });
     
   } catch (error) {
-    console.error('导出CSV错误:', error);
+    console.error('导出Excel错误:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -417,101 +3605,259 @@ router.get('/api/export/csv', async (req, res) => {
   }
 });
 
-// 提交登记数据
-router.post('/api/records', async (req, res) => {
+// 打印超荐莲位 PDF，按护持项目和超荐方式分组（筛选参数与 GET /api/records 相同）
+// ids 指定要打印的记录，paidOnly=true 时只打印已缴费的记录
+router.get('/api/plaques', requireRole('viewer'), async (req, res) => {
   try {
-    console.log('📥 收到数据提交请求');
-    console.log('📦 请求体大小:', JSON.stringify(req.body).length, '字节');
+    const { value: params, errors } = validate(PLAQUE_QUERY_SCHEMA, req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: errors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: errors
+      });
+    }
     
-    await database.connect();
-    const recordsCollection = database.records();
+    const font = findChineseFont();
+    if (!font) {
+      return res.status(500).json({ 
+        success: false, 
+        error: FONT_MISSING_ERROR 
+      });
+    }
+    
+    const query = buildRecordQuery(params);
+    const conditions = [];
+    
+    const ids = params.ids.split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length > 0) {
+      conditions.push({ $or: ids.flatMap(id => recordIdQuery(id).$or) });
+    }
+    if (params.paidOnly) {
+      conditions.push({ payment: '已缴费' });
+    }
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+    
+    const timestamp = new Date().toISOString().slice(0,10).replace(/-/g, '');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=zhongyuan_plaques_${timestamp}.pdf`);
+    
+    // 按项目和超荐方式排序，同组的莲位排在一起
+    const cursor = recordRepository.cursor(query, {
+      sort: { project: 1, method: 1, [params.sortBy]: params.sortOrder === 'desc' ? -1 : 1 }
+    });
+    
+    const count = await writePlaquesPdf({ cursor, font, res });
+    console.log(`🪷 生成莲位 ${count} 座`);
+    
+  } catch (error) {
+    console.error('生成莲位错误:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// 批量导入登记数据（CSV / Excel，列名与 CSV 导出一致），dryRun=true 时只返回预览不写入
+router.post('/api/import', requireRole('admin'), receiveImportFile, async (req, res) => {
+  try {
+    const { value: options, errors: optionErrors } = validate(IMPORT_OPTIONS_SCHEMA, { ...req.body, ...req.query });
+    if (optionErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: optionErrors.map(fieldError => fieldError.error).join('；'),
+        fieldErrors: optionErrors
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '请上传 CSV 或 Excel 文件' 
+      });
+    }
     
-    const { data, batchId, deviceId } = req.body;
+    const parsed = await readImportFile(req.file);
+    if (parsed.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: parsed.error 
+      });
+    }
     
-    if (!data || !Array.isArray(data)) {
-      console.error('❌ 数据格式错误:', req.body);
+    if (parsed.rows.length === 0) {
       return res.status(400).json({ 
         success: false, 
-        error: '无效的数据格式' 
+        error: '文件中没有数据' 
       });
     }
     
-    console.log(`📊 准备插入 ${data.length} 条数据`);
+    const campaign = await findSubmissionCampaign(options.campaign);
+    const campaignError = campaignSubmissionError(campaign, options.campaign);
+    if (campaignError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: campaignError 
+      });
+    }
     
-    // 详细记录接收到的数据
-    console.log('📋 第一条数据示例:', JSON.stringify(data[0]));
+    const catalog = await loadProjectCatalog();
+    const batchId = `import_${Date.now()}`;
     
-    // 为每条数据添加时间戳和状态
-    const recordsWithMetadata = data.map(item => {
-      const record = {
-        ...item,
-        batchId: batchId || `batch_${Date.now()}`,
-        deviceId: deviceId || 'unknown',
-        submittedAt: new Date(),
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        syncStatus: 'synced',
-        serverId: new ObjectId().toString()
+    // 逐行按 schema 和项目目录校验，没有本地ID的行按批次和序号生成
+    const rows = parsed.rows.map(({ sheet, row, values }, index) => {
+      const input = { ...values, localId: values.localId || `${batchId}_${index + 1}` };
+      const { value, errors } = validate(RECORD_SCHEMA, input);
+      
+      if (errors.length === 0) {
+        const catalogError = checkRecordAgainstCatalog(value, catalog) || 
+          checkRecordAgainstCampaign(value, campaign);
+        if (catalogError) errors.push(catalogError);
+      }
+      
+      return {
+        sheet,
+        row,
+        localId: input.localId,
+        status: errors.length > 0 ? 'invalid' : 'valid',
+        errors,
+        record: value
       };
+    });
+    
+    // 按本地ID或同一法会中的姓名加护持项目查重：先查数据库中已有的记录，再查文件中前面的行
+    const validRows = rows.filter(item => item.status === 'valid');
+    const duplicateKey = record => `${record.name}\u0000${record.project}`;
+    const existing = validRows.length === 0 ? [] : await recordRepository.find(
+      {
+        $or: [
+          { localId: { $in: validRows.map(item => item.record.localId) } },
+          { 
+            name: { $in: [...new Set(validRows.map(item => item.record.name))] }, 
+            campaign: campaign.code, 
+            deletedAt: null 
+          }
+        ]
+      },
+      { projection: { localId: 1, serverId: 1, name: 1, project: 1, campaign: 1, deletedAt: 1 } }
+    );
+    
+    const existingByLocalId = new Map(existing.map(record => [record.localId, record]));
+    const existingByKey = new Map(
+      existing
+        .filter(record => !record.deletedAt && record.campaign === campaign.code)
+        .map(record => [duplicateKey(record), record])
+    );
+    const seenLocalIds = new Map();
+    const seenKeys = new Map();
+    
+    validRows.forEach(item => {
+      const { record } = item;
+      const key = duplicateKey(record);
+      let duplicateOf = null;
       
-      // 确保金额字段为数字
-      if (typeof record.amountTWD === 'string') {
-        record.amountTWD = parseFloat(record.amountTWD) || 0;
+      if (existingByLocalId.has(record.localId)) {
+        const match = existingByLocalId.get(record.localId);
+        duplicateOf = { reason: 'localId', serverId: match.serverId, inTrash: Boolean(match.deletedAt) };
+      } else if (existingByKey.has(key)) {
+        const match = existingByKey.get(key);
+        duplicateOf = { reason: 'name+project', serverId: match.serverId, localId: match.localId };
+      } else if (seenLocalIds.has(record.localId)) {
+        const match = seenLocalIds.get(record.localId);
+        duplicateOf = { reason: 'localId', sheet: match.sheet, row: match.row };
+      } else if (seenKeys.has(key)) {
+        const match = seenKeys.get(key);
+        duplicateOf = { reason: 'name+project', sheet: match.sheet, row: match.row };
       }
-      if (typeof record.amountRMB === 'string') {
-        record.amountRMB = parseFloat(record.amountRMB) || 0;
+      
+      if (duplicateOf) {
+        item.status = 'duplicate';
+        item.duplicateOf = duplicateOf;
+        return;
       }
       
-      return record;
+      seenLocalIds.set(record.localId, item);
+      seenKeys.set(key, item);
     });
     
-    console.log('✅ 数据预处理完成');
-    console.log('📝 第一条处理后的数据:', JSON.stringify(recordsWithMetadata[0]));
+    const countStatus = (...statuses) => rows.filter(item => statuses.includes(item.status)).length;
+    const summary = {
+      fileName: req.file.originalname,
+      campaign: campaign.code,
+      totalRows: rows.length,
+      validCount: countStatus('valid'),
+      invalidCount: countStatus('invalid'),
+      duplicateCount: countStatus('duplicate')
+    };
+    
+    if (options.dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        ...summary,
+        rows
+      });
+    }
     
-    // 批量插入数据
-    const result = await recordsCollection.insertMany(recordsWithMetadata);
+    const toInsert = rows.filter(item => item.status === 'valid');
+    if (toInsert.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: '没有可导入的数据', 
+        ...summary,
+        rows
+      });
+    }
     
-    console.log(`✅ 成功插入 ${result.insertedCount} 条数据`);
-    console.log('📌 插入的ID:', result.insertedIds);
+    await upsertRecords(toInsert.map(item => ({ result: item, record: item.record })), {
+      batchId,
+      deviceId: 'import',
+      campaign: campaign.code,
+      importedBy: req.user.username,
+      importFile: req.file.originalname
+    });
     
-    // 记录操作日志
-    await database.logs().insertOne({
-      type: 'record_submit',
-      batchId: batchId,
-      count: recordsWithMetadata.length,
-      insertedCount: result.insertedCount,
-      deviceId: deviceId,
-      timestamp: new Date(),
-      ip: req.ip
+    const insertedCount = countStatus('inserted');
+    const duplicateCount = countStatus('duplicate', 'already-present');
+    const invalidCount = countStatus('invalid', 'rejected');
+    
+    console.log(`📥 导入 ${req.file.originalname}：新增 ${insertedCount} 条，重复 ${duplicateCount} 条，无效 ${invalidCount} 条`);
+    
+    await recordAudit(requestActor(req), {
+      action: 'record_import',
+      target: { type: 'batch', id: batchId },
+      details: {
+        campaign: campaign.code,
+        fileName: req.file.originalname,
+        count: rows.length,
+        insertedCount,
+        duplicateCount,
+        invalidCount
+      }
     });
     
     res.json({
       success: true,
-      message: `成功提交 ${result.insertedCount} 条数据`,
-      submittedCount: result.insertedCount,
-      batchId: batchId,
-      timestamp: new Date().toISOString()
+      dryRun: false,
+      message: `成功导入 ${insertedCount} 条数据` + 
+        (duplicateCount > 0 ? `，${duplicateCount} 条重复` : '') + 
+        (invalidCount > 0 ? `，${invalidCount} 条无效` : ''),
+      batchId,
+      ...summary,
+      insertedCount,
+      duplicateCount,
+      invalidCount,
+      rows
     });
     
   } catch (error) {
-    console.error('❌ 提交数据错误:', error);
-    console.error('❌ 错误堆栈:', error.stack);
-    
-    // 记录错误日志
-    if (database.db) {
-      try {
-        await database.logs().insertOne({
-          type: 'record_submit_error',
-          error: error.message,
-          timestamp: new Date(),
-          ip: req.ip,
-          bodySize: JSON.stringify(req.body).length
-        });
-      } catch (logError) {
-        console.error('❌ 记录错误日志失败:', logError);
-      }
-    }
-    
+    console.error('导入数据错误:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -519,11 +3865,10 @@ router.post('/api/records', async (req, res) => {
   }
 });
 
-// 测试数据插入
-router.post('/api/test/insert', async (req, res) => {
+// 测试数据插入（需要管理员权限）
+router.post('/api/test/insert', requireRole('admin'), async (req, res) => {
   try {
     await database.connect();
-    const recordsCollection = database.records();
     
     const testData = {
       name: "测试用户",
@@ -548,19 +3893,24 @@ router.post('/api/test/insert', async (req, res) => {
     
     console.log('🧪 测试数据:', testData);
     
-    const result = await recordsCollection.insertOne(testData);
+    const { _id: insertedId } = await recordRepository.insert(testData);
     
-    console.log('✅ 测试数据插入成功，ID:', result.insertedId);
+    console.log('✅ 测试数据插入成功，ID:', insertedId);
+    
+    await recordAudit(requestActor(req), {
+      action: 'record_test_insert',
+      target: { type: 'record', id: insertedId }
+    });
     
     // 验证数据是否真的存在
-    const insertedData = await recordsCollection.findOne({ _id: result.insertedId });
+    const insertedData = await recordRepository.findOne({ _id: insertedId });
     
     res.json({
       success: true,
       message: '测试数据插入成功',
-      insertedId: result.insertedId,
+      insertedId,
       data: insertedData,
-      count: await recordsCollection.countDocuments()
+      count: await recordRepository.count()
     });
     
   } catch (error) {
@@ -573,14 +3923,13 @@ router.post('/api/test/insert', async (req, res) => {
   }
 });
 
-// 测试端点：验证数据存储
-router.post('/api/debug-submit', async (req, res) => {
+// 测试端点：验证数据存储（需要管理员权限）
+router.post('/api/debug-submit', requireRole('admin'), async (req, res) => {
   console.log('=== 调试数据提交开始 ===');
   console.log('请求体:', JSON.stringify(req.body));
   
   try {
     await database.connect();
-    const recordsCollection = database.records();
     
     const testData = {
       name: "调试用户" + Date.now(),
@@ -599,16 +3948,20 @@ router.post('/api/debug-submit', async (req, res) => {
     
     console.log('准备插入测试数据:', testData);
     
-    const result = await recordsCollection.insertOne(testData);
+    const { _id: insertedId } = await recordRepository.insert(testData);
     
-    console.log('插入结果:', result);
-    console.log('插入ID:', result.insertedId);
+    console.log('插入ID:', insertedId);
+    
+    await recordAudit(requestActor(req), {
+      action: 'record_test_insert',
+      target: { type: 'record', id: insertedId }
+    });
     
     // 验证插入的数据
-    const insertedData = await recordsCollection.findOne({ _id: result.insertedId });
+    const insertedData = await recordRepository.findOne({ _id: insertedId });
     console.log('插入的数据:', insertedData);
     
-    const totalCount = await recordsCollection.countDocuments();
+    const totalCount = await recordRepository.count();
     console.log('当前总记录数:', totalCount);
     
     console.log('=== 调试数据提交结束 ===');
@@ -616,7 +3969,7 @@ router.post('/api/debug-submit', async (req, res) => {
     res.json({
       success: true,
       message: '调试数据插入成功',
-      insertedId: result.insertedId,
+      insertedId,
       data: insertedData,
       totalCount: totalCount
     });
@@ -0,0 +1,372 @@
+// schema.js - 登记数据及查询参数的声明式校验
+// 缴费状态
+const PAYMENT_STATUSES = ['未缴费', '已缴费', '随喜'];
+
+// 由缴费台账得出、不能由表单提交的缴费状态
+const PARTIAL_PAYMENT_STATUS = '部分缴费';
+
+// 缴费方式及币种
+const PAYMENT_METHODS = ['现金', '转账', 'LINE Pay', '支付宝', '微信支付', '信用卡', '其他'];
+const CURRENCIES = ['TWD', 'RMB'];
+
+// 联系人：姓名或电话，允许文字、数字、空格及常见电话符号
+const CONTACT_PATTERN = /^[\p{L}\p{M}\p{N}\s+\-().#/·、，,]*$/u;
+
+// 电话：可带国际区号，6 到 20 位数字、空格或连字符
+const PHONE_PATTERN = /^\+?[\d\s-]{6,20}$/;
+
+// 邮箱地址（允许 user@localhost 这类本地测试地址）
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// 登记记录字段，未声明的字段（包括 _id 和 $ 开头的字段）一律丢弃
+const RECORD_SCHEMA = {
+  localId: { label: '本地ID', type: 'string', required: true, maxLength: 100 },
+  name: { label: '姓名', type: 'string', required: true, maxLength: 50 },
+  project: { label: '护持项目', type: 'string', required: true, maxLength: 100 },
+  method: { label: '超荐方式', type: 'string', maxLength: 200, default: '' },
+  amountTWD: { label: '护持金额(新台币)', type: 'number', min: 0, default: 0 },
+  content: { label: '超荐内容', type: 'string', maxLength: 1000, default: '' },
+  payment: { label: '缴费状态', type: 'string', enum: PAYMENT_STATUSES, default: '未缴费' },
+  contact: { label: '联系人', type: 'string', maxLength: 50, pattern: CONTACT_PATTERN, default: '' },
+  phone: { label: '电话', type: 'string', pattern: PHONE_PATTERN },
+  createTime: { label: '创建时间', type: 'date' },
+  submitTime: { label: '提交时间', type: 'date' },
+  rowIndex: { label: '行号', type: 'integer', min: 0 },
+  syncVersion: { label: '同步版本', type: 'string', maxLength: 20 }
+};
+
+// GET /api/records 可排序的字段
+const SORTABLE_FIELDS = [
+  'submittedAt', 'createdAt', 'updatedAt', 'name', 'project',
+  'amountTWD', 'amountRMB', 'payment', 'contact'
+];
+
+// GET /api/records 查询参数
+const RECORD_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 500, default: 50 },
+  sortBy: { label: '排序字段', type: 'string', enum: SORTABLE_FIELDS, default: 'submittedAt' },
+  sortOrder: { label: '排序方向', type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  search: { label: '搜索关键词', type: 'string', maxLength: 100, default: '' },
+  project: { label: '护持项目', type: 'string', maxLength: 100, default: '' },
+  payment: { label: '缴费状态', type: 'string', enum: [...PAYMENT_STATUSES, PARTIAL_PAYMENT_STATUS], default: '' },
+  startDate: { label: '开始日期', type: 'date' },
+  endDate: { label: '结束日期', type: 'date' },
+  includeDeleted: { label: '包含回收站', type: 'boolean', default: false },
+  campaign: { label: '法会', type: 'string', maxLength: 40, default: '' }
+};
+
+// GET /api/records/trash 查询参数
+const TRASH_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 500, default: 50 },
+  campaign: { label: '法会', type: 'string', maxLength: 40, default: '' }
+};
+
+// GET /api/stats 可以分组统计的维度，day / week / hour 按时区分为日期、ISO 周和小时
+const STATS_GROUP_FIELDS = ['project', 'payment', 'deviceId', 'batchId', 'contact', 'day', 'hour', 'week'];
+
+// GET /api/stats 参数：筛选条件与 GET /api/records 相同（不分页），compareTo 指定对比的法会（默认为上一届），
+// groupBy 为逗号分隔的分组维度（见 STATS_GROUP_FIELDS），timeZone 为按日期分组的时区（默认为 TIMEZONE 设置）
+const STATS_QUERY_SCHEMA = {
+  ...Object.fromEntries(
+    Object.entries(RECORD_QUERY_SCHEMA).filter(([field]) => !['page', 'limit', 'sortBy', 'sortOrder'].includes(field))
+  ),
+  compareTo: { label: '对比法会', type: 'string', maxLength: 40, default: '' },
+  groupBy: { label: '分组', type: 'string', maxLength: 100, default: '' },
+  timeZone: { label: '时区', type: 'string', maxLength: 50, default: '' }
+};
+
+// GET /api/plaques 参数：筛选条件与 GET /api/records 相同（不分页），另可指定记录ID（逗号分隔）或只含已缴费的记录
+const PLAQUE_QUERY_SCHEMA = {
+  ...Object.fromEntries(
+    Object.entries(RECORD_QUERY_SCHEMA).filter(([field]) => field !== 'page' && field !== 'limit')
+  ),
+  ids: { label: '记录ID', type: 'string', maxLength: 20000, default: '' },
+  paidOnly: { label: '只含已缴费', type: 'boolean', default: false }
+};
+
+// POST /api/import 参数
+const IMPORT_OPTIONS_SCHEMA = {
+  dryRun: { label: '预览模式', type: 'boolean', default: false },
+  campaign: { label: '法会', type: 'string', maxLength: 40, default: '' }
+};
+
+// POST /api/records/:id/payments 参数，payer 默认为联系人或登记人姓名
+const PAYMENT_SCHEMA = {
+  amount: { label: '缴费金额', type: 'number', required: true, min: 0.01 },
+  currency: { label: '币种', type: 'string', enum: CURRENCIES, default: 'TWD' },
+  method: { label: '缴费方式', type: 'string', required: true, enum: PAYMENT_METHODS },
+  payer: { label: '缴费人', type: 'string', maxLength: 50, default: '' },
+  paidAt: { label: '缴费时间', type: 'date' },
+  note: { label: '备注', type: 'string', maxLength: 200, default: '' }
+};
+
+// POST /api/payments/:id/void 参数
+const PAYMENT_VOID_SCHEMA = {
+  reason: { label: '作废原因', type: 'string', required: true, maxLength: 200 }
+};
+
+// GET /api/reconciliation 查询参数
+const RECONCILIATION_QUERY_SCHEMA = {
+  project: { label: '护持项目', type: 'string', maxLength: 100, default: '' },
+  campaign: { label: '法会', type: 'string', maxLength: 40, default: '' }
+};
+
+// GET /api/records/:id/receipt 参数：默认返回有效收据的 PDF，receiptNo 可指定已作废的收据
+const RECEIPT_QUERY_SCHEMA = {
+  format: { label: '格式', type: 'string', enum: ['pdf', 'json'], default: 'pdf' },
+  receiptNo: { label: '收据编号', type: 'string', maxLength: 20 }
+};
+
+// POST /api/records/:id/receipt/email 参数
+const RECEIPT_EMAIL_SCHEMA = {
+  to: { label: '收件人邮箱', type: 'string', required: true, maxLength: 200, pattern: EMAIL_PATTERN }
+};
+
+// POST /api/records/:id/receipt/void 参数
+const RECEIPT_VOID_SCHEMA = {
+  reason: { label: '作废原因', type: 'string', required: true, maxLength: 200 }
+};
+
+// GET /api/receipts 查询参数
+const RECEIPT_LIST_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 500, default: 50 },
+  year: { label: '年度', type: 'integer', min: 2000, max: 9999 },
+  status: { label: '收据状态', type: 'string', enum: ['issued', 'void'], default: '' }
+};
+
+// GET /api/sync 查询参数：since 为上次拉取返回的游标，首次同步时不传
+const SYNC_QUERY_SCHEMA = {
+  since: { label: '同步游标', type: 'string', maxLength: 200, default: '' },
+  deviceId: { label: '设备ID', type: 'string', maxLength: 100, default: '' },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 1000, default: 200 }
+};
+
+// POST /api/sync 的请求体：changes 为 [{ localId, version, fields }]
+const SYNC_PUSH_SCHEMA = {
+  deviceId: { label: '设备ID', type: 'string', maxLength: 100, default: '' }
+};
+
+// POST /api/sync 中的每项修改：version 为设备上该记录的版本（上次拉取或推送时服务器返回），fields 为修改的字段
+const SYNC_CHANGE_SCHEMA = {
+  localId: { label: '本地ID', type: 'string', required: true, maxLength: 100 },
+  version: { label: '版本', type: 'integer', required: true, min: 1 }
+};
+
+// POST / PUT /api/devices 的请求体：label 为设备名称（如"大殿登记台 2 号"），operator 为使用设备的义工
+const DEVICE_SCHEMA = {
+  label: { label: '设备名称', type: 'string', required: true, maxLength: 50 },
+  operator: { label: '使用人', type: 'string', maxLength: 50, default: '' }
+};
+
+// POST /api/devices/enroll 的请求体：管理员生成的登记码（大小写、空格和连字符不限）
+const DEVICE_ENROLL_SCHEMA = {
+  code: { label: '登记码', type: 'string', required: true, maxLength: 20 }
+};
+
+// GET /api/batches 查询参数：按批次中记录的法会、设备和提交时间筛选
+const BATCH_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 200, default: 50 },
+  campaign: { label: '法会', type: 'string', maxLength: 40, default: '' },
+  deviceId: { label: '设备ID', type: 'string', maxLength: 100, default: '' },
+  status: { label: '批次状态', type: 'string', enum: ['open', 'locked', 'void'], default: '' },
+  startDate: { label: '开始日期', type: 'date' },
+  endDate: { label: '结束日期', type: 'date' }
+};
+
+// POST /api/batches/:id/reattribute 的请求体：改为登记的另一台设备，或改记交来批次的义工（至少一项）
+const BATCH_REATTRIBUTE_SCHEMA = {
+  deviceId: { label: '设备ID', type: 'string', maxLength: 100 },
+  operator: { label: '使用人', type: 'string', maxLength: 50 }
+};
+
+// POST /api/batches/:id/void 的请求体
+const BATCH_VOID_SCHEMA = {
+  reason: { label: '作废原因', type: 'string', required: true, maxLength: 200 }
+};
+
+// GET /api/donors 及 GET /api/donors/duplicates 查询参数：search 按姓名或电话搜索（不区分繁简和空格）
+const DONOR_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 200, default: 50 },
+  search: { label: '搜索关键词', type: 'string', maxLength: 100, default: '' }
+};
+
+// 对外通知可以订阅的事件及发送记录的状态（见 webhooks.js）
+const WEBHOOK_EVENTS = ['record.created', 'record.updated', 'record.deleted', 'payment.added', 'payment.voided'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// POST /api/webhooks 的请求体（订阅的事件 events 另行校验），PUT /api/webhooks/:webhookId 时为部分更新
+const WEBHOOK_SCHEMA = {
+  url: { label: '接收地址', type: 'string', required: true, maxLength: 500, pattern: /^https?:\/\/\S+$/i },
+  description: { label: '说明', type: 'string', maxLength: 100, default: '' },
+  active: { label: '启用', type: 'boolean', default: true }
+};
+
+// GET /api/webhooks/deliveries 查询参数
+const WEBHOOK_DELIVERY_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 200, default: 50 },
+  webhookId: { label: '接收地址ID', type: 'string', maxLength: 100, default: '' },
+  status: { label: '发送状态', type: 'string', enum: WEBHOOK_DELIVERY_STATUSES, default: '' },
+  event: { label: '事件', type: 'string', maxLength: 50, default: '' }
+};
+
+// POST /api/users 的请求体（角色另按 ROLES 校验）
+// 密码按原样保存：不去掉首尾空格，也不接受数字，与登录时的比对一致
+const USER_SCHEMA = {
+  username: { label: '用户名', type: 'string', required: true, maxLength: 50 },
+  password: { label: '密码', type: 'string', required: true, maxLength: 200, exact: true },
+  role: { label: '角色', type: 'string', required: true, maxLength: 20 },
+  active: { label: '启用', type: 'boolean', default: true }
+};
+
+// PUT /api/users/:id 的请求体（部分更新），用户名不可修改
+const USER_UPDATE_SCHEMA = Object.fromEntries(
+  Object.entries(USER_SCHEMA).filter(([field]) => field !== 'username')
+);
+
+// GET /api/audit 查询参数：按操作、操作人、角色、设备、对象及时间筛选（见 audit.js）
+const AUDIT_QUERY_SCHEMA = {
+  page: { label: '页码', type: 'integer', min: 1, default: 1 },
+  limit: { label: '每页条数', type: 'integer', min: 1, max: 200, default: 50 },
+  action: { label: '操作', type: 'string', maxLength: 50, default: '' },
+  username: { label: '操作人', type: 'string', maxLength: 50, default: '' },
+  role: { label: '角色', type: 'string', maxLength: 20, default: '' },
+  deviceId: { label: '设备ID', type: 'string', maxLength: 100, default: '' },
+  targetType: { label: '对象类型', type: 'string', maxLength: 30, default: '' },
+  targetId: { label: '对象ID', type: 'string', maxLength: 100, default: '' },
+  startDate: { label: '开始时间', type: 'date' },
+  endDate: { label: '结束时间', type: 'date' }
+};
+
+// 按字段规则转换并校验单个值，返回 { value } 或 { error }
+function validateField(rule, raw) {
+  const { label } = rule;
+  let value = raw;
+
+  switch (rule.type) {
+    case 'string':
+      // exact 的字段（如密码）按原样接受
+      if (typeof value === 'number' && !rule.exact) value = String(value);
+      if (typeof value !== 'string') return { error: `${label}必须为文本` };
+      if (!rule.exact) value = value.trim();
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '') value = Number(value.replace(/,/g, ''));
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${label}必须为数字` };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: `${label}必须为整数` };
+      break;
+    case 'boolean':
+      if (value === 'true') value = true;
+      if (value === 'false') value = false;
+      if (typeof value !== 'boolean') return { error: `${label}必须为 true 或 false` };
+      break;
+    case 'date':
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: `${label}格式不正确` };
+      value = new Date(value);
+      if (isNaN(value.getTime())) return { error: `${label}格式不正确` };
+      break;
+    default:
+      throw new Error(`未知的字段类型: ${rule.type}`);
+  }
+
+  if (rule.required && value === '') return { error: `${label}不能为空` };
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { error: `${label}长度不能超过 ${rule.maxLength} 个字符` };
+  }
+  if (rule.min !== undefined && value < rule.min) return { error: `${label}不能小于 ${rule.min}` };
+  if (rule.max !== undefined && value > rule.max) return { error: `${label}不能大于 ${rule.max}` };
+  if (rule.enum && value !== '' && !rule.enum.includes(value)) {
+    return { error: `${label}必须为 ${rule.enum.join('/')} 之一` };
+  }
+  if (rule.pattern && value !== '' && !rule.pattern.test(value)) return { error: `${label}格式不正确` };
+
+  return { value };
+}
+
+// 按 schema 校验对象，返回 { value, errors }；value 只包含 schema 中声明的字段
+// partial 为 true 时只校验传入的字段，用于部分更新
+function validate(schema, input, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, error: '数据必须为对象' }] };
+  }
+
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const raw = input[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (partial && raw === undefined) return;
+      if (rule.required) {
+        errors.push({ field, error: `${rule.label}不能为空` });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else if (partial) {
+        // 部分更新时显式传入空值表示清空该字段
+        value[field] = null;
+      }
+      return;
+    }
+
+    const result = validateField(rule, raw);
+    if (result.error) {
+      errors.push({ field, error: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+}
+
+// 转义正则表达式特殊字符，用于把搜索关键词当作普通文本匹配
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PARTIAL_PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  CURRENCIES,
+  RECORD_SCHEMA,
+  RECORD_QUERY_SCHEMA,
+  TRASH_QUERY_SCHEMA,
+  STATS_GROUP_FIELDS,
+  STATS_QUERY_SCHEMA,
+  PLAQUE_QUERY_SCHEMA,
+  IMPORT_OPTIONS_SCHEMA,
+  PAYMENT_SCHEMA,
+  PAYMENT_VOID_SCHEMA,
+  RECONCILIATION_QUERY_SCHEMA,
+  RECEIPT_QUERY_SCHEMA,
+  RECEIPT_EMAIL_SCHEMA,
+  RECEIPT_VOID_SCHEMA,
+  RECEIPT_LIST_SCHEMA,
+  SYNC_QUERY_SCHEMA,
+  SYNC_PUSH_SCHEMA,
+  SYNC_CHANGE_SCHEMA,
+  DEVICE_SCHEMA,
+  DEVICE_ENROLL_SCHEMA,
+  BATCH_QUERY_SCHEMA,
+  BATCH_REATTRIBUTE_SCHEMA,
+  BATCH_VOID_SCHEMA,
+  DONOR_QUERY_SCHEMA,
+  WEBHOOK_EVENTS,
+  WEBHOOK_SCHEMA,
+  WEBHOOK_DELIVERY_QUERY_SCHEMA,
+  USER_SCHEMA,
+  USER_UPDATE_SCHEMA,
+  AUDIT_QUERY_SCHEMA,
+  SORTABLE_FIELDS,
+  validate,
+  escapeRegex
+};
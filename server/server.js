@@ -1,142 +1,96 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const path = require('path');
-const rateLimit = require('express-rate-limit');
 const config = require('./config');
-const routes = require('./routes');
 const database = require('./database');
+const { createApp } = require('./app');
+const { startPurgeJob } = require('./trash');
+const { replayQueuedSubmissions } = require('./submissions');
+const { closeEventStreams } = require('./events');
+const { startWebhookWorker } = require('./webhooks');
+const { saveKnownDeviceTokens } = require('./devices');
+
+// 使用 MongoDB 时必须配置连接字符串，不能在漏配时悄悄改用其他存储
+if (config.storage.driver === 'mongodb' && !config.mongodb.uri) {
+  console.error('❌ 未配置 MONGODB_URI。本地开发或离线使用时请设置 STORAGE_DRIVER=file（或 memory）');
+  process.exit(1);
+}
 
-// 创建Express应用
-const app = express();
-
-// 重要：添加信任代理设置（放在所有中间件之前）
-app.set('trust proxy', 1); // 信任第一个代理
-
-// 安全中间件
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
-      fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
-      imgSrc: ["'self'", "data:"]
-    }
-  }
-}));
-
-// CORS配置
-app.use(cors({
-  origin: config.server.corsOrigin,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-// 请求日志
-app.use(morgan(config.server.env === 'development' ? 'dev' : 'combined'));
-
-// 请求体解析
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// 速率限制
-const limiter = rateLimit({
-  windowMs: config.server.rateLimit.windowMs,
-  max: config.server.rateLimit.max,
-  message: { error: '请求过于频繁，请稍后再试' }
-});
-app.use('/api/', limiter);
-
-// 静态文件服务
-app.use(express.static(path.join(__dirname, '../public')));
-
-// API路由
-app.use('/', routes);
-
-// 首页路由
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/index.html'));
-});
-
-// 管理页面路由
-app.get('/admin', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/admin.html'));
-});
-
-// 健康检查
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+// 公开的默认密钥可以用来伪造管理员令牌，开发和测试以外的环境必须配置 JWT_SECRET 和 ADMIN_PASSWORD
+const missingSecrets = [
+  !config.security.jwtSecret && 'JWT_SECRET',
+  !config.security.adminPassword && 'ADMIN_PASSWORD'
+].filter(Boolean);
+if (missingSecrets.length > 0) {
+  console.error(`❌ 未配置 ${missingSecrets.join('、')}（${config.server.env} 环境不使用默认值）`);
+  process.exit(1);
+}
 
-// 404处理
-app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
-    error: '请求的资源不存在' 
-  });
-});
-
-// 错误处理中间件
-app.use((err, req, res, next) => {
-  console.error('服务器错误:', err);
-  res.status(500).json({ 
-    success: false, 
-    error: config.server.env === 'development' ? err.message : '服务器内部错误',
-    ...(config.server.env === 'development' && { stack: err.stack })
-  });
-});
+// 创建Express应用
+const app = createApp(config);
 
-// 启动服务器
-async function startServer() {
+// 连接数据库，连接失败时以降级模式运行并定时重试；连接后开始清理回收站、发送对外通知并补写队列中的登记数据
+async function connectDatabase() {
   try {
-    // 连接数据库
     await database.connect();
-    
-    // 启动服务器
-    const server = app.listen(config.server.port, () => {
-      console.log(`🚀 服务器启动成功`);
-      console.log(`📡 地址: http://localhost:${config.server.port}`);
-      console.log(`📊 管理页面: http://localhost:${config.server.port}/admin`);
-      console.log(`🔧 环境: ${config.server.env}`);
-      console.log(`🗄️ 数据库: ${config.mongodb.database}`);
-    });
-    
-    // 优雅关闭
-    const gracefulShutdown = async () => {
-      console.log('🛑 收到关闭信号，正在优雅关闭...');
-      
-      server.close(async () => {
-        console.log('✅ HTTP服务器已关闭');
-        
-        await database.disconnect();
-        console.log('✅ 数据库连接已关闭');
-        
-        process.exit(0);
-      });
-      
-      // 如果10秒后还没关闭，强制退出
-      setTimeout(() => {
-        console.error('❌ 强制关闭服务器');
-        process.exit(1);
-      }, 10000);
-    };
-    
-    process.on('SIGTERM', gracefulShutdown);
-    process.on('SIGINT', gracefulShutdown);
-    
   } catch (error) {
-    console.error('❌ 启动服务器失败:', error);
-    process.exit(1);
+    const seconds = Math.round(config.queue.retryIntervalMs / 1000);
+    console.error(`⚠️ 数据库不可用，以降级模式运行（登记数据暂存本地队列），${seconds} 秒后重试`);
+    setTimeout(connectDatabase, config.queue.retryIntervalMs).unref();
+    return;
   }
+
+  // 定期清理回收站
+  startPurgeJob();
+
+  // 发送对外通知（包括上次未发送完的），补写的登记数据也会通知
+  startWebhookWorker();
+
+  // 保存可以使用的设备的令牌，之后数据库不可用时据此接受设备提交的数据
+  await saveKnownDeviceTokens();
+
+  await replayQueuedSubmissions();
 }
 
-startServer();
+// 启动服务器：先监听端口，数据库不可用时仍可接收登记数据
+function startServer() {
+  const server = app.listen(config.server.port, () => {
+    console.log(`🚀 服务器启动成功`);
+    console.log(`📡 地址: http://localhost:${config.server.port}`);
+    console.log(`📊 管理页面: http://localhost:${config.server.port}/admin`);
+    console.log(`🔧 环境: ${config.server.env}`);
+    console.log(`🗄️ 数据库: ${config.mongodb.database}`);
 
+    connectDatabase();
+  });
+
+  server.on('error', error => {
+    console.error('❌ 启动服务器失败:', error);
+    process.exit(1);
+  });
+
+  // 优雅关闭
+  const gracefulShutdown = async () => {
+    console.log('🛑 收到关闭信号，正在优雅关闭...');
+
+    // 推送连接不会自行断开，先关闭
+    closeEventStreams();
+    server.close(async () => {
+      console.log('✅ HTTP服务器已关闭');
+
+      await database.disconnect();
 
-module.exports = config;
+      process.exit(0);
+    });
+
+    // 如果10秒后还没关闭，强制退出
+    setTimeout(() => {
+      console.error('❌ 强制关闭服务器');
+      process.exit(1);
+    }, 10000).unref();
+  };
+
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+
+  return server;
+}
+
+startServer();
@@ -0,0 +1,148 @@
+// submissionQueue.js - 降级模式下的登记队列：数据库不可用时把提交的数据保存到本地文件，恢复连接后补写
+// 文件每行一批提交（JSON），写入后立即落盘，服务器重启后仍可补写
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// 在文件末尾追加一行 JSON 并立即落盘
+async function appendLine(filePath, value) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const file = await fs.promises.open(filePath, 'a');
+  try {
+    await file.write(JSON.stringify(value) + '\n');
+    await file.sync();
+  } finally {
+    await file.close();
+  }
+}
+
+class SubmissionQueue {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    // 补写时因数据本身出错（重试也不会成功）的条目移到失败文件，保留原始数据供人工处理
+    this.deadLetterPath = this.filePath.replace(/(\.jsonl)?$/, '.failed.jsonl');
+    this.entries = null;
+    // 所有读写按顺序执行，避免补写重写文件时丢失新加入的数据
+    this.pending = Promise.resolve();
+  }
+
+  // 按顺序执行 task，返回 task 的结果
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // 首次使用时读取队列文件；最后一行不完整（写入时进程中断）时忽略该行
+  async load() {
+    if (this.entries) return this.entries;
+
+    let text = '';
+    try {
+      text = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.entries = [];
+    text.split('\n').filter(Boolean).forEach(line => {
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        console.error('⚠️ 忽略登记队列中无法解析的一行:', line.slice(0, 100));
+      }
+    });
+    return this.entries;
+  }
+
+  // 把一批提交加入队列并落盘，返回队列中的条目 { queueId, receivedAt, ip, body, deviceTokenHash }
+  // deviceTokenHash 为提交时附带的设备令牌的哈希，补写时校验
+  enqueue(body, { ip, receivedAt = new Date(), deviceTokenHash } = {}) {
+    return this.serialize(async () => {
+      const entries = await this.load();
+      const entry = {
+        queueId: crypto.randomUUID(),
+        receivedAt: receivedAt.toISOString(),
+        ip,
+        ...(deviceTokenHash && { deviceTokenHash }),
+        body
+      };
+
+      await appendLine(this.filePath, entry);
+      entries.push(entry);
+      return entry;
+    });
+  }
+
+  // 队列中的批数
+  size() {
+    return this.serialize(async () => (await this.load()).length);
+  }
+
+  // 按加入顺序逐批交给 handler 补写，成功的从队列中移除
+  // handler 出错时，isRetryable(error) 为真（数据库连接中断等）则停止，剩余的留待下次补写；
+  // 否则把该批连同错误信息移到失败文件，调用 onDeadLetter(entry, error) 后继续补写后面的
+  // 返回 { replayedCount, failedCount }
+  replay(handler, { isRetryable, onDeadLetter }) {
+    return this.serialize(async () => {
+      const entries = await this.load();
+      let replayedCount = 0;
+      let failedCount = 0;
+
+      try {
+        while (entries.length > 0) {
+          const entry = entries[0];
+          let failure = null;
+          try {
+            await handler(entry);
+          } catch (error) {
+            if (isRetryable(error)) throw error;
+            failure = error;
+          }
+
+          if (failure) {
+            await appendLine(this.deadLetterPath, {
+              ...entry,
+              failedAt: new Date().toISOString(),
+              error: failure.message
+            });
+          }
+          entries.shift();
+          if (failure) {
+            failedCount += 1;
+            await onDeadLetter(entry, failure);
+          } else {
+            replayedCount += 1;
+          }
+        }
+      } finally {
+        if (replayedCount + failedCount > 0) await this.save();
+      }
+
+      return { replayedCount, failedCount };
+    });
+  }
+
+  // 以剩余的条目重写队列文件（先写临时文件再替换）
+  async save() {
+    if (this.entries.length === 0) {
+      await fs.promises.rm(this.filePath, { force: true });
+      return;
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const file = await fs.promises.open(tmpPath, 'w');
+    try {
+      await file.write(this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+const submissionQueue = new SubmissionQueue(config.queue.filePath);
+
+module.exports = submissionQueue;
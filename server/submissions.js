@@ -0,0 +1,327 @@
+// submissions.js - 登记数据的校验与写入，POST /api/records、批量导入及降级模式下的补写共用
+const { ObjectId } = require('mongodb');
+const database = require('./database');
+const config = require('./config');
+const submissionQueue = require('./submissionQueue');
+const { checkRecordAgainstCatalog } = require('./projects');
+const { isAcceptingRegistrations, checkRecordAgainstCampaign } = require('./campaigns');
+const { RECORD_SCHEMA, validate } = require('./schema');
+const { DEFAULT_EXCHANGE_RATE, convertTWDToRMB } = require('./exchangeRates');
+const { recordRepository } = require('./repositories');
+const { findDeviceByTokenHash, recordDeviceActivity } = require('./devices');
+const { batchClosedError } = require('./batches');
+const { assignDonors } = require('./donors');
+const { publishRecordsCreated } = require('./events');
+const { recordAudit } = require('./audit');
+
+// 读取项目目录，按项目名称索引
+async function loadProjectCatalog() {
+  const projects = await database.projects().find({}).toArray();
+  return new Map(projects.map(project => [project.name, project]));
+}
+
+// 查找登记要归属的法会：指定代码时按代码查找，否则取 now 时开放登记的法会中开始日期最晚的一个
+async function findSubmissionCampaign(code, now = new Date()) {
+  if (code) {
+    return database.campaigns().findOne({ code });
+  }
+
+  return database.campaigns()
+    .find({
+      status: 'open',
+      $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+      ]
+    })
+    .sort({ startDate: -1 })
+    .limit(1)
+    .next();
+}
+
+// 检查法会在 now 时是否可以登记，可以时返回 null，否则返回错误信息
+function campaignSubmissionError(campaign, code, now = new Date()) {
+  if (!campaign) {
+    return code ? `法会不存在: ${code}` : '当前没有开放登记的法会';
+  }
+  if (!isAcceptingRegistrations(campaign, now)) {
+    return `${campaign.name}已截止登记`;
+  }
+  return null;
+}
+
+// 查找指定日期生效的汇率，汇率表为空时使用默认汇率
+async function findEffectiveRate(date = new Date()) {
+  const exchangeRate = await database.exchangeRates()
+    .find({ effectiveFrom: { $lte: date } })
+    .sort({ effectiveFrom: -1, createdAt: -1 })
+    .limit(1)
+    .next();
+  return exchangeRate || DEFAULT_EXCHANGE_RATE;
+}
+
+// 按 localId 幂等写入已校验的记录：已存在的 localId 只匹配不修改，未存在的插入
+// items 为 { result, record } 数组，写入后 result.status 更新为 inserted / already-present / rejected
+// metadata 中的字段（batchId、deviceId 等）写入每条新记录；receivedAt 为服务器收到数据的时间，默认为现在
+async function upsertRecords(items, metadata, receivedAt = new Date()) {
+  // 人民币金额由服务器按收到数据时生效的汇率计算
+  const exchangeRate = await findEffectiveRate(receivedAt);
+  const now = new Date();
+
+  const newRecords = items.map(({ result, record }) => {
+    result.serverId = new ObjectId().toString();
+
+    return {
+      ...record,
+      amountRMB: convertTWDToRMB(record.amountTWD, exchangeRate.rate),
+      exchangeRate: exchangeRate.rate,
+      // 添加元数据
+      ...metadata,
+      submittedAt: receivedAt,
+      createdAt: now,
+      updatedAt: now,
+      syncStatus: 'synced',
+      serverId: result.serverId
+    };
+  });
+
+  // 按姓名和电话归到功德主：只处理将要新写入的记录，localId 已存在的记录不写入，不能为其新建功德主
+  const existingLocalIds = new Set((await recordRepository.find(
+    { localId: { $in: newRecords.map(record => record.localId) } },
+    { projection: { localId: 1 } }
+  )).map(record => record.localId));
+  await assignDonors(newRecords.filter(record => !existingLocalIds.has(record.localId)));
+
+  // 并发提交同一 localId 时唯一索引会报重复键错误，视为已存在
+  const { upsertedIds, writeErrors } = await recordRepository.insertNewByLocalId(newRecords);
+  const failed = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+
+  items.forEach(({ result }, opIndex) => {
+    const writeError = failed.get(opIndex);
+    if (upsertedIds[opIndex] !== undefined) {
+      result.status = 'inserted';
+    } else if (writeError && writeError.code !== 11000) {
+      result.status = 'rejected';
+      result.error = writeError.errmsg;
+      delete result.serverId;
+    } else {
+      result.status = 'already-present';
+    }
+  });
+
+  // 推送给管理后台
+  publishRecordsCreated(newRecords
+    .map((record, opIndex) => ({ _id: upsertedIds[opIndex], ...record }))
+    .filter(record => record._id !== undefined));
+
+  // 已存在的记录返回服务器上原有的 serverId
+  const present = items
+    .map(({ result }) => result)
+    .filter(result => result.status === 'already-present');
+  if (present.length > 0) {
+    const existing = await recordRepository.find(
+      { localId: { $in: present.map(result => result.localId) } },
+      { projection: { localId: 1, serverId: 1 } }
+    );
+    const serverIds = new Map(existing.map(record => [record.localId, record.serverId]));
+    present.forEach(result => {
+      result.serverId = serverIds.get(result.localId);
+    });
+  }
+}
+
+// 逐条按 schema 校验并丢弃未声明字段，返回 { records, results }
+// 未通过校验的结果为 rejected，其余为 pending，records 以 data 的下标保存校验后的记录
+function validateSubmission(data) {
+  const records = [];
+  const results = data.map((item, index) => {
+    const localId = item && typeof item.localId === 'string' ? item.localId : undefined;
+    const { value, errors } = validate(RECORD_SCHEMA, item);
+
+    if (errors.length > 0) {
+      return rejectedResult(index, localId, errors);
+    }
+
+    records[index] = value;
+    return { index, localId, status: 'pending' };
+  });
+  return { records, results };
+}
+
+function rejectedResult(index, localId, errors) {
+  return {
+    index,
+    localId,
+    status: 'rejected',
+    error: errors.map(fieldError => fieldError.error).join('；'),
+    fieldErrors: errors
+  };
+}
+
+// 处理一次登记提交（请求体为 { data, deviceId, batchId, campaign }），按 localId 幂等
+// receivedAt 为服务器收到数据的时间：补写降级模式下排队的数据时，按收到时的法会和汇率处理
+// device 为提交数据的登记设备：记录的 deviceId 以登记的设备为准，并更新设备的提交统计
+// actor 为写入审计日志的操作人（见 audit.requestActor）
+// 返回 { batchId, campaignError, batchError, results, insertedCount, duplicateCount, rejectedCount }
+async function submitRecords(body, { ip, receivedAt = new Date(), device, actor } = {}) {
+  const { data } = body;
+  const deviceId = device ? device.deviceId : body.deviceId;
+  const batchId = body.batchId || `batch_${Date.now()}`;
+
+  // 记录归属指定的法会或当前开放登记的法会，已截止的法会拒绝全部数据
+  const campaignCode = typeof body.campaign === 'string' ? body.campaign.trim() : '';
+  const campaign = await findSubmissionCampaign(campaignCode, receivedAt);
+  const campaignError = campaignSubmissionError(campaign, campaignCode, receivedAt);
+  // 已锁定或作废的批次不能再加入记录
+  const batchError = await batchClosedError(body.batchId);
+
+  // 校验通过的记录再按项目目录和法会检查护持项目、超荐方式和金额
+  const catalog = await loadProjectCatalog();
+  const { records, results } = validateSubmission(data);
+  results.forEach((result, index) => {
+    if (campaignError || batchError) {
+      results[index] = rejectedResult(index, result.localId, [
+        ...(campaignError ? [{ field: 'campaign', error: campaignError }] : []),
+        ...(batchError ? [{ field: 'batchId', error: batchError }] : []),
+        ...(result.fieldErrors || [])
+      ]);
+    } else if (result.status === 'pending') {
+      const catalogError = checkRecordAgainstCatalog(records[index], catalog) ||
+        checkRecordAgainstCampaign(records[index], campaign);
+      if (catalogError) results[index] = rejectedResult(index, result.localId, [catalogError]);
+    }
+  });
+  const accepted = results.filter(result => result.status === 'pending');
+
+  console.log(`📊 准备写入 ${accepted.length} 条数据，${data.length - accepted.length} 条校验未通过`);
+
+  if (accepted.length > 0) {
+    await upsertRecords(accepted.map(result => ({ result, record: records[result.index] })), {
+      batchId,
+      deviceId: deviceId || 'unknown',
+      campaign: campaign.code
+    }, receivedAt);
+  }
+
+  const insertedCount = results.filter(result => result.status === 'inserted').length;
+  const duplicateCount = results.filter(result => result.status === 'already-present').length;
+  const rejectedCount = results.filter(result => result.status === 'rejected').length;
+
+  console.log(`✅ 新增 ${insertedCount} 条，已存在 ${duplicateCount} 条，拒绝 ${rejectedCount} 条`);
+
+  if (device) {
+    await recordDeviceActivity(device, { ip, insertedCount, at: receivedAt });
+  }
+
+  // 写入审计日志
+  await recordAudit({ ...actor, deviceId: deviceId || null }, {
+    action: 'record_submit',
+    target: { type: 'batch', id: batchId },
+    details: {
+      campaign: campaign ? campaign.code : campaignCode,
+      count: data.length,
+      insertedCount,
+      duplicateCount,
+      rejectedCount,
+      receivedAt
+    }
+  });
+
+  return { batchId, campaignError, batchError, results, insertedCount, duplicateCount, rejectedCount };
+}
+
+// 补写一批排队的数据：附带设备令牌的先校验设备，令牌无效或设备在收到数据前已停用时丢弃并记录日志
+async function replayEntry(entry) {
+  const receivedAt = new Date(entry.receivedAt);
+  let device;
+  if (entry.deviceTokenHash) {
+    device = await findDeviceByTokenHash(entry.deviceTokenHash, receivedAt);
+    if (!device) {
+      console.log(`⚠️ 丢弃排队的登记数据：设备令牌无效或设备已停用（批次 ${entry.body.batchId}）`);
+      await recordAudit({ username: null, role: 'device', ip: entry.ip, deviceId: entry.body.deviceId }, {
+        action: 'record_submit_rejected',
+        target: { type: 'batch', id: entry.body.batchId },
+        details: { reason: 'invalid_device_token', count: entry.body.data.length, receivedAt }
+      });
+      return;
+    }
+  }
+  // 降级模式下不验证登录，操作人为提交数据的设备
+  const actor = { username: null, role: device ? 'device' : 'anonymous', ip: entry.ip };
+  await submitRecords(entry.body, { ip: entry.ip, receivedAt, device, actor });
+}
+
+// 补写出错时是否停止并稍后重试：数据库不可用或连接中断，以及 MongoDB 标记为可重试的事务错误
+// 其他错误（数据本身的问题）重试也不会成功，该批移到失败文件，不阻塞后面的数据
+function isRetryableReplayError(error) {
+  return !database.isConnected ||
+    database.isUnavailableError(error) ||
+    (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+}
+
+// 排队的数据补写失败并移到失败文件时写入审计日志
+async function recordReplayFailure(entry, error) {
+  const body = entry.body || {};
+  console.error(`❌ 排队的登记数据补写失败，已移到失败文件（批次 ${body.batchId}）:`, error.message);
+  await recordAudit({ username: null, role: entry.deviceTokenHash ? 'device' : 'anonymous', ip: entry.ip, deviceId: body.deviceId }, {
+    action: 'record_submit_failed',
+    target: { type: 'batch', id: body.batchId || null },
+    details: {
+      reason: 'replay_error',
+      error: error.message,
+      queueId: entry.queueId,
+      count: Array.isArray(body.data) ? body.data.length : 0,
+      receivedAt: new Date(entry.receivedAt)
+    }
+  });
+}
+
+let replayTimer = null;
+let replaying = null;
+
+// 补写降级模式下排队的登记数据，数据库仍不可用时稍后重试
+// 同一时间只运行一次补写，返回补写的批数
+function replayQueuedSubmissions() {
+  if (!replaying) {
+    replaying = submissionQueue.replay(replayEntry, {
+      isRetryable: isRetryableReplayError,
+      onDeadLetter: recordReplayFailure
+    })
+      .then(({ replayedCount, failedCount }) => {
+        if (replayedCount > 0) console.log(`📤 已补写 ${replayedCount} 批排队的登记数据`);
+        if (failedCount > 0) console.log(`⚠️ ${failedCount} 批排队的登记数据补写失败，见 ${submissionQueue.deadLetterPath}`);
+        return replayedCount;
+      })
+      .catch(error => {
+        console.error('❌ 补写排队数据失败，稍后重试:', error.message);
+        scheduleReplay();
+        return 0;
+      })
+      .finally(() => {
+        replaying = null;
+      });
+  }
+  return replaying;
+}
+
+// 稍后补写排队的登记数据（写入时数据库连接中断的情况）
+function scheduleReplay() {
+  if (replayTimer) return;
+  replayTimer = setTimeout(() => {
+    replayTimer = null;
+    replayQueuedSubmissions();
+  }, config.queue.retryIntervalMs);
+  replayTimer.unref();
+}
+
+module.exports = {
+  loadProjectCatalog,
+  findSubmissionCampaign,
+  campaignSubmissionError,
+  findEffectiveRate,
+  upsertRecords,
+  validateSubmission,
+  submitRecords,
+  replayQueuedSubmissions,
+  scheduleReplay
+};
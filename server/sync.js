@@ -0,0 +1,176 @@
+// sync.js - 多台登记设备的增量双向同步
+// 拉取：按服务器发出的游标返回之后新增、修改和删除的记录；推送：设备带着记录的 version 提交修改，
+// 版本与服务器不一致（其他设备或管理后台已修改）时不覆盖，返回冲突由设备处理后重新推送
+// 新登记的记录仍通过 POST /api/records 提交
+const { recordRepository } = require('./repositories');
+const { recordAudit } = require('./audit');
+const { updateRecordFields } = require('./recordUpdates');
+
+// 每次拉取默认返回的记录数
+const SYNC_PAGE_SIZE = 200;
+
+// 每次最多推送的修改项数
+const SYNC_PUSH_LIMIT = 500;
+
+// 游标：对设备不透明，内容为已同步到的变更序号
+function encodeCursor(seq) {
+  return Buffer.from(JSON.stringify({ seq })).toString('base64url');
+}
+
+// 解析游标，格式不正确时返回 null
+function decodeCursor(cursor) {
+  try {
+    const { seq } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(seq) && seq >= 0 ? seq : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 删除的记录：回收站中的记录和永久删除的标记
+function deletedEntry(entry) {
+  return {
+    localId: entry.localId,
+    serverId: entry.serverId,
+    version: entry.version,
+    deletedAt: entry.deletedAt || entry.purgedAt,
+    purged: Boolean(entry.purgedAt)
+  };
+}
+
+// 拉取 since（变更序号）之后的变更，未同步过时 since 为 null；actor 为 { username, role, ip, deviceId }，有变更时写入审计日志
+// 返回 { cursor, hasMore, changes, deleted }：changes 为新增或修改的记录，deleted 为删除的记录（含永久删除）
+// 同一 localId 永久删除后又重新登记时，新记录的序号更大，设备应先处理 deleted 再处理 changes
+async function pullChanges(since, actor, { limit = SYNC_PAGE_SIZE } = {}) {
+  const stableSeq = await recordRepository.stableChangeSeq();
+  // 加入同步版本之前的记录 changeSeq 为 0，从头同步时也要返回
+  const from = since === null ? -1 : since;
+  const range = { changeSeq: { $gt: from, $lte: stableSeq } };
+  const options = { sort: { changeSeq: 1 }, limit: limit + 1 };
+
+  const [records, tombstones] = await Promise.all([
+    recordRepository.find(range, options),
+    recordRepository.tombstones(range, options)
+  ]);
+  const page = [...records, ...tombstones]
+    .sort((a, b) => a.changeSeq - b.changeSeq)
+    .slice(0, limit + 1);
+  let hasMore = page.length > limit;
+  let entries = page.slice(0, limit);
+
+  // 同一次批量写入的记录共用一个序号，不能拆到两页，否则下一页会从该序号之后开始而漏掉其余记录
+  if (hasMore && page[limit].changeSeq === entries[entries.length - 1].changeSeq) {
+    const lastSeq = entries[entries.length - 1].changeSeq;
+    const rest = { changeSeq: { $gt: lastSeq, $lte: stableSeq } };
+    const [groupRecords, groupTombstones, nextRecords, nextTombstones] = await Promise.all([
+      recordRepository.find({ changeSeq: lastSeq }),
+      recordRepository.tombstones({ changeSeq: lastSeq }),
+      recordRepository.find(rest, { limit: 1, projection: { _id: 1 } }),
+      recordRepository.tombstones(rest, { limit: 1 })
+    ]);
+    entries = [...entries.filter(entry => entry.changeSeq < lastSeq), ...groupRecords, ...groupTombstones];
+    hasMore = nextRecords.length + nextTombstones.length > 0;
+  }
+
+  const cursorSeq = hasMore
+    ? entries[entries.length - 1].changeSeq
+    : Math.max(from, stableSeq, 0);
+
+  const changes = entries.filter(entry => !entry.purgedAt && !entry.deletedAt);
+  const deleted = entries.filter(entry => entry.purgedAt || entry.deletedAt).map(deletedEntry);
+
+  if (entries.length > 0) {
+    await recordAudit(actor, {
+      action: 'sync_pull',
+      details: { changeCount: changes.length, deletedCount: deleted.length }
+    });
+  }
+
+  return { cursor: encodeCursor(cursorSeq), hasMore, changes, deleted };
+}
+
+// 推送值与服务器当前值不同的字段，供设备解决冲突时参考
+function conflictingFields(fields, record) {
+  return Object.keys(fields).filter(field => (fields[field] ?? null) !== (record[field] ?? null));
+}
+
+// 逐项应用设备推送的修改：changes 为 [{ localId, version, fields }]（已校验 localId 和 version）
+// actor 为 { username, role, ip, deviceId }，返回每项的结果：
+//   applied / unchanged - 已修改或没有变化，version 和 record 为服务器上最新的版本
+//   conflict            - 服务器上的版本已不是 version 且推送值与服务器当前值不同，附服务器上的记录和不同的字段
+//   deleted             - 记录已在服务器上删除（回收站中）
+//   not-found           - 服务器上没有该记录
+//   rejected            - 字段不可修改、未通过校验或记录所在的批次已锁定
+async function pushChanges(changes, actor) {
+  const results = [];
+
+  for (const change of changes) {
+    const { localId, version, fields } = change;
+    const record = await recordRepository.findOne({ localId });
+
+    if (!record) {
+      results.push({ localId, status: 'not-found', error: '服务器上没有该记录' });
+      continue;
+    }
+    if (record.deletedAt) {
+      results.push({ localId, status: 'deleted', version: record.version, deletedAt: record.deletedAt });
+      continue;
+    }
+
+    const result = await updateRecordFields(record, fields, actor, { expectedVersion: version });
+    switch (result.status) {
+      // 读取记录之后才被删除
+      case 'not-found':
+        results.push({ localId, status: 'not-found', error: '服务器上没有该记录' });
+        break;
+      case 'deleted':
+        results.push({ localId, status: 'deleted', version: result.record.version, deletedAt: result.record.deletedAt });
+        break;
+      case 'invalid':
+      case 'locked':
+        results.push({ localId, status: 'rejected', error: result.error, fieldErrors: result.fieldErrors });
+        break;
+      case 'conflict': {
+        const fieldsInConflict = conflictingFields(fields, result.record);
+        results.push({
+          localId,
+          // 与服务器上的修改相同时不算冲突
+          status: fieldsInConflict.length > 0 ? 'conflict' : 'unchanged',
+          version: result.record.version,
+          record: result.record,
+          ...(fieldsInConflict.length > 0 && { conflictingFields: fieldsInConflict })
+        });
+        break;
+      }
+      default:
+        results.push({
+          localId,
+          status: result.status === 'updated' ? 'applied' : 'unchanged',
+          version: result.record.version,
+          record: result.record
+        });
+    }
+  }
+
+  // 每项修改已与各自的审计事件（record_update）一起提交，汇总事件写入失败时仍返回逐项结果，
+  // 否则设备会把已提交的修改当作失败重新推送
+  const count = status => results.filter(result => result.status === status).length;
+  try {
+    await recordAudit(actor, {
+      action: 'sync_push',
+      details: { changeCount: changes.length, appliedCount: count('applied'), conflictCount: count('conflict') }
+    });
+  } catch (error) {
+    console.error('写入同步审计日志错误:', error);
+  }
+
+  return results;
+}
+
+module.exports = {
+  SYNC_PAGE_SIZE,
+  SYNC_PUSH_LIMIT,
+  decodeCursor,
+  pullChanges,
+  pushChanges
+};
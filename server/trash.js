@@ -0,0 +1,44 @@
+// trash.js - 回收站定期清理
+const config = require('./config');
+const database = require('./database');
+const { recordRepository } = require('./repositories');
+const { SYSTEM_ACTOR, recordAudit } = require('./audit');
+
+// 永久删除在回收站中超过保留天数的记录
+async function purgeTrash(retentionDays = config.trash.retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const deletedCount = await recordRepository.purge({ deletedAt: { $lte: cutoff } });
+
+  if (deletedCount > 0) {
+    await recordAudit(SYSTEM_ACTOR, {
+      action: 'record_purge',
+      target: { type: 'records', id: 'trash' },
+      details: { deletedCount, cutoff }
+    });
+    console.log(`🗑️ 已永久删除回收站中 ${deletedCount} 条过期记录`);
+  }
+
+  return deletedCount;
+}
+
+// 启动定时清理任务，启动时先执行一次
+function startPurgeJob() {
+  const run = async () => {
+    try {
+      await database.connect();
+      await purgeTrash();
+    } catch (error) {
+      console.error('❌ 清理回收站失败:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, config.trash.purgeIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  purgeTrash,
+  startPurgeJob
+};
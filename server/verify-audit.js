@@ -0,0 +1,25 @@
+// verify-audit.js - 校验审计日志的 hash 链：直接连接配置的数据库（与服务器使用同样的环境变量）
+// 用法：npm run audit:verify；通过时退出码为 0，发现被修改、删除或插入的事件时退出码为 1
+// 可以记下输出的最后一条事件（seq 和哈希），下次校验时比对，以发现链尾被截断
+const database = require('./database');
+const { verifyAuditChain } = require('./audit');
+
+async function main() {
+  console.log('🔍 校验审计日志...');
+  await database.connect();
+  const result = await verifyAuditChain();
+  await database.disconnect();
+
+  if (!result.valid) {
+    console.error(`❌ 第 ${result.error.seq} 条事件校验失败: ${result.error.reason}`);
+    console.error(`   之前的 ${result.checkedCount} 条事件正常，最后一条正常的事件: #${result.lastSeq} ${result.lastHash}`);
+    process.exit(1);
+  }
+  console.log(`✅ 共 ${result.checkedCount} 条事件，hash 链完整`);
+  console.log(`   最后一条事件: #${result.lastSeq} ${result.lastHash}`);
+}
+
+main().catch(error => {
+  console.error('\n❌ 校验审计日志失败:', error.message);
+  process.exit(1);
+});
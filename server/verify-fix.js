@@ -1,71 +1,133 @@
-// verify-fix.js - 验证修复
-const https = require('https');
-const URL = 'https://zhongyuan-registertion.onrender.com';
+// verify-fix.js - 冒烟测试：检查已部署的服务器能否正常提供服务
+// 用法：npm run smoke -- https://example.onrender.com，或设置 SMOKE_URL，默认检查本机服务器
+// 提交登记数据需要设备令牌或账号：设置 SMOKE_USERNAME / SMOKE_PASSWORD（管理员账号）时以该账号提交一条测试数据，
+// 之后移入回收站；也可以设置 SMOKE_DEVICE_TOKEN（已登记设备的令牌）提交，测试数据保留在服务器上
+const BASE_URL = (process.argv[2] || process.env.SMOKE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
 
-function testHealth() {
-  console.log('🔍 测试健康检查...');
-  
-  https.get(`${URL}/health`, (res) => {
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => {
-      console.log('✅ 健康检查结果:', JSON.parse(data));
-      testDataSubmit();
-    });
-  }).on('error', (err) => {
-    console.error('❌ 健康检查失败:', err.message);
+// 单个请求的超时（毫秒），onrender.com 免费实例冷启动较慢
+const REQUEST_TIMEOUT_MS = Number(process.env.SMOKE_TIMEOUT_MS) || 60000;
+
+// 发送请求并解析 JSON 响应，返回 { status, body }
+async function request(method, path, { body, token, deviceToken } = {}) {
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(deviceToken && { 'X-Device-Token': deviceToken })
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
   });
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${method} ${path} 返回的不是 JSON（HTTP ${response.status}）: ${text.slice(0, 200)}`);
+  }
+  return { status: response.status, body: data };
 }
 
-function testDataSubmit() {
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function testHealth() {
+  console.log('🔍 测试健康检查...');
+  const { status, body } = await request('GET', '/health');
+  check(status === 200 && body.status === 'healthy', `健康检查失败（HTTP ${status}）: ${JSON.stringify(body)}`);
+  console.log(`✅ 服务器正常，数据库: ${body.database}，已运行 ${Math.round(body.uptime)} 秒`);
+}
+
+async function testProjects() {
+  console.log('\n📋 测试项目目录...');
+  const { status, body } = await request('GET', '/api/projects');
+  check(status === 200 && Array.isArray(body.data) && body.data.length > 0, `项目目录为空或读取失败（HTTP ${status}）`);
+  console.log(`✅ 共 ${body.data.length} 个护持项目`);
+  return body.data[0];
+}
+
+// 返回当前开放登记的法会，没有时返回 null
+async function testCurrentCampaign() {
+  console.log('\n📅 测试当前法会...');
+  const { status, body } = await request('GET', '/api/campaigns/current');
+  if (status === 404) {
+    console.log('⚠️ 当前没有开放登记的法会，跳过数据提交');
+    return null;
+  }
+  check(status === 200 && body.data, `读取当前法会失败（HTTP ${status}）: ${JSON.stringify(body)}`);
+  console.log(`✅ 当前法会: ${body.data.name}（${body.data.code}）`);
+  return body.data;
+}
+
+// 设置了 SMOKE_USERNAME / SMOKE_PASSWORD 时登录，返回令牌，否则返回 null
+async function login() {
+  const { SMOKE_USERNAME, SMOKE_PASSWORD } = process.env;
+  if (!SMOKE_USERNAME || !SMOKE_PASSWORD) return null;
+  console.log('\n🔑 测试登录...');
+  const { status, body } = await request('POST', '/api/auth/login', { body: { username: SMOKE_USERNAME, password: SMOKE_PASSWORD } });
+  check(status === 200, `登录失败（HTTP ${status}）: ${body.error}`);
+  console.log(`✅ 已登录: ${body.user.username}`);
+  return body.token;
+}
+
+async function testDataSubmit(project, token) {
   console.log('\n📤 测试数据提交...');
-  
-  const postData = JSON.stringify({
-    data: [{
-      name: "验证用户",
-      project: "副总功德主",
-      method: "测试方法",
-      content: "验证测试",
-      payment: "已缴费",
-      contact: "验证联系人",
-      amountTWD: 80000,
-      amountRMB: 19047.62,
-      localId: "verify_" + Date.now(),
-      createTime: new Date().toISOString(),
-      rowIndex: 1
-    }],
-    batchId: "verify_batch",
-    deviceId: "verify_device"
-  });
-  
-  const options = {
-    hostname: 'zhongyuan-registertion.onrender.com',
-    port: 443,
-    path: '/api/records',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Content-Length': postData.length
+  const localId = `smoke_${Date.now()}`;
+  const { status, body } = await request('POST', '/api/records', {
+    token,
+    deviceToken: process.env.SMOKE_DEVICE_TOKEN,
+    body: {
+      data: [{
+        localId,
+        name: '冒烟测试',
+        project: project.name,
+        method: project.method,
+        amountTWD: project.amountTWD,
+        content: '冒烟测试数据，可删除',
+        payment: '未缴费',
+        contact: '',
+        createTime: new Date().toISOString(),
+        rowIndex: 1
+      }],
+      batchId: `smoke_batch_${Date.now()}`,
+      deviceId: 'smoke_test'
     }
-  };
-  
-  const req = https.request(options, (res) => {
-    let data = '';
-    res.on('data', chunk => data += chunk);
-    res.on('end', () => {
-      console.log('✅ 数据提交结果:', JSON.parse(data));
-      console.log('\n🎉 验证完成！');
-    });
   });
-  
-  req.on('error', (err) => {
-    console.error('❌ 数据提交失败:', err.message);
-  });
-  
-  req.write(postData);
-  req.end();
+  check(status === 200 && body.insertedCount === 1, `数据提交失败（HTTP ${status}）: ${JSON.stringify(body)}`);
+  console.log(`✅ 数据提交成功，serverId: ${body.results[0].serverId}`);
+  return localId;
+}
+
+// 用管理员账号把测试数据移入回收站
+async function cleanUp(localId, token) {
+  if (!token) {
+    console.log(`\nℹ️ 未设置 SMOKE_USERNAME / SMOKE_PASSWORD，测试数据 ${localId} 保留在服务器上`);
+    return;
+  }
+  console.log('\n🧹 删除测试数据...');
+  const { status, body } = await request('DELETE', `/api/records/${encodeURIComponent(localId)}`, { token });
+  check(status === 200 && body.deletedCount === 1, `删除测试数据失败（HTTP ${status}）: ${JSON.stringify(body)}`);
+  console.log('✅ 测试数据已移入回收站');
+}
+
+async function main() {
+  console.log(`🔧 开始冒烟测试: ${BASE_URL}`);
+  await testHealth();
+  const project = await testProjects();
+  const campaign = await testCurrentCampaign();
+  const token = await login();
+  if (campaign && !token && !process.env.SMOKE_DEVICE_TOKEN) {
+    console.log('\n⚠️ 未设置 SMOKE_USERNAME / SMOKE_PASSWORD 或 SMOKE_DEVICE_TOKEN，跳过数据提交');
+  } else if (campaign) {
+    const localId = await testDataSubmit(project, token);
+    await cleanUp(localId, token);
+  }
+  console.log('\n🎉 冒烟测试通过！');
 }
 
-// 开始验证
-console.log('🔧 开始验证服务器修复...');
-testHealth();
+main().catch(error => {
+  console.error('\n❌ 冒烟测试失败:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,326 @@
+// webhooks.js - 对外通知：管理员登记接收地址（如 LINE 群组机器人、会计表格）并选择要接收的事件，
+// 有新登记、修改、删除记录或缴费时以 POST 发送 JSON，附带以该地址专用密钥计算的 HMAC-SHA256 签名
+// 每个要发送的通知保存在 webhook_deliveries 集合中，重启后继续发送；失败时按指数退避重试，
+// 发送记录（每次尝试的结果）可以查看，也可以重新发送
+const crypto = require('crypto');
+const config = require('./config');
+const database = require('./database');
+const { onEvent } = require('./events');
+const { WEBHOOK_EVENTS } = require('./schema');
+
+// 测试接收地址时发送的事件，不需要订阅
+const PING_EVENT = 'webhook.ping';
+
+// 签名的请求头：sha256=<十六进制>，签名内容为 `${X-Webhook-Timestamp}.${请求体}`
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+// 发送记录中保存的响应内容长度
+const MAX_RESPONSE_LENGTH = 500;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// 请求体的签名：接收方用同一密钥计算后比较，并检查时间戳以拒绝重放的旧请求
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 校验订阅的事件：非空数组，每项为 WEBHOOK_EVENTS 之一，'*' 表示全部；返回错误信息，通过时返回 null
+function checkWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events 必须为非空的事件数组';
+  }
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `未知的事件: ${unknown.join('、')}，可订阅 ${WEBHOOK_EVENTS.join('/')} 或 *`;
+  }
+  return null;
+}
+
+// 返回可以公开给管理后台的接收地址信息（不含密钥）
+function publicWebhook(webhook) {
+  return {
+    _id: webhook._id,
+    webhookId: webhook.webhookId,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    createdBy: webhook.createdBy,
+    updatedAt: webhook.updatedAt || null,
+    lastDeliveryAt: webhook.lastDeliveryAt || null,
+    lastDeliveryStatus: webhook.lastDeliveryStatus || null
+  };
+}
+
+// 新增接收地址，返回 { webhook, secret }；密钥只在新增和更换时返回
+async function createWebhook({ url, description, active, events }, username) {
+  const secret = generateSecret();
+  const webhook = {
+    webhookId: `wh_${crypto.randomBytes(6).toString('hex')}`,
+    url,
+    description,
+    events: [...new Set(events)],
+    active,
+    secret,
+    createdAt: new Date(),
+    createdBy: username
+  };
+  await database.webhooks().insertOne(webhook);
+  return { webhook, secret };
+}
+
+// 更换密钥，返回 { webhook, secret }，接收地址不存在时返回 null
+async function rotateWebhookSecret(webhookId) {
+  const secret = generateSecret();
+  const webhook = await database.webhooks().findOneAndUpdate(
+    { webhookId },
+    { $set: { secret, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  return webhook && { webhook, secret };
+}
+
+// 删除接收地址，尚未发送的通知改为 cancelled，发送记录保留；返回删除前的接收地址，不存在时返回 null
+async function deleteWebhook(webhookId) {
+  const webhook = await database.webhooks().findOne({ webhookId });
+  if (!webhook) return null;
+  await database.webhooks().deleteOne({ webhookId });
+  await database.webhookDeliveries().updateMany(
+    { webhookId, status: 'pending' },
+    { $set: { status: 'cancelled', nextAttemptAt: null, lastError: '接收地址已删除' } }
+  );
+  return webhook;
+}
+
+// 发送记录：列表中不含通知内容和每次尝试的结果，detail 为 true 时包含
+function deliveryView(delivery, { detail = false } = {}) {
+  const { payload, attempts, ...summary } = delivery;
+  return detail ? { ...summary, payload, attempts } : summary;
+}
+
+// 新增一条待发送的通知：payload 为 { eventId, event, createdAt, data }，extra 写入发送记录（如 replayOf）
+async function enqueueDelivery(webhook, payload, extra = {}) {
+  const now = new Date();
+  const delivery = {
+    deliveryId: `whd_${crypto.randomBytes(8).toString('hex')}`,
+    webhookId: webhook.webhookId,
+    url: webhook.url,
+    event: payload.event,
+    eventId: payload.eventId,
+    payload,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    ...extra
+  };
+  await database.webhookDeliveries().insertOne(delivery);
+  wakeWorker();
+  return delivery;
+}
+
+// 为订阅了该事件的每个启用的接收地址新增待发送的通知
+async function enqueueEvent(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) return;
+  const webhooks = await database.webhooks()
+    .find({ active: true, events: { $in: [event.type, '*'] } })
+    .toArray();
+  const payload = { eventId: event.id, event: event.type, createdAt: new Date(), data: event.data };
+  for (const webhook of webhooks) {
+    await enqueueDelivery(webhook, payload);
+  }
+}
+
+// 向接收地址发送测试通知
+function sendPing(webhook, username) {
+  return enqueueDelivery(webhook, {
+    eventId: `ping_${crypto.randomBytes(4).toString('hex')}`,
+    event: PING_EVENT,
+    createdAt: new Date(),
+    data: { webhookId: webhook.webhookId, requestedBy: username }
+  });
+}
+
+// 重新发送：以原来的通知内容新增一条通知（replayOf 为原通知），原来的发送记录不变
+function replayDelivery(webhook, delivery, username) {
+  return enqueueDelivery(webhook, delivery.payload, { replayOf: delivery.deliveryId, replayedBy: username });
+}
+
+// 按条件分页查询发送记录，返回 { deliveries, totalCount }
+async function listDeliveries({ page, limit, webhookId, status, event }) {
+  const query = {};
+  if (webhookId) query.webhookId = webhookId;
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const [deliveries, totalCount] = await Promise.all([
+    database.webhookDeliveries()
+      .find(query, { projection: { payload: 0, attempts: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    database.webhookDeliveries().countDocuments(query)
+  ]);
+  return { deliveries: deliveries.map(delivery => deliveryView(delivery)), totalCount };
+}
+
+// 第 attemptCount 次失败后等待多久重试：retryBaseMs 起每次加倍，最长 retryMaxMs
+function retryDelayMs(attemptCount) {
+  return Math.min(config.webhooks.retryBaseMs * 2 ** (attemptCount - 1), config.webhooks.retryMaxMs);
+}
+
+// 发送一次，返回本次尝试的结果 { at, durationMs, ok, statusCode, response, error }
+async function postDelivery(webhook, delivery) {
+  const body = JSON.stringify({ deliveryId: delivery.deliveryId, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = new Date();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'zhongyuan-webhook/1.0',
+        'X-Webhook-Id': webhook.webhookId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.deliveryId,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      // 不跟随重定向，避免把签名的内容转发到其他地址
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+    });
+    const text = await response.text();
+    return {
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      ok: response.ok,
+      statusCode: response.status,
+      response: text.slice(0, MAX_RESPONSE_LENGTH),
+      ...(!response.ok && { error: `HTTP ${response.status}` })
+    };
+  } catch (error) {
+    return {
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      ok: false,
+      statusCode: null,
+      error: error.name === 'TimeoutError' ? '请求超时' : (error.cause && error.cause.code) || error.message
+    };
+  }
+}
+
+// 发送一条到期的通知并记录结果：成功为 delivered，达到尝试次数上限为 failed，否则按退避时间等待重试
+async function attemptDelivery(delivery) {
+  const webhook = await database.webhooks().findOne({ webhookId: delivery.webhookId });
+  if (!webhook || !webhook.active) {
+    await database.webhookDeliveries().updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'cancelled', nextAttemptAt: null, lastError: webhook ? '接收地址已停用' : '接收地址已删除' } }
+    );
+    return;
+  }
+
+  const attempt = await postDelivery(webhook, delivery);
+  const attemptCount = delivery.attemptCount + 1;
+  const update = {
+    attemptCount,
+    lastAttemptAt: attempt.at,
+    lastStatusCode: attempt.statusCode,
+    lastError: attempt.error || null
+  };
+  if (attempt.ok) {
+    Object.assign(update, { status: 'delivered', deliveredAt: new Date(), nextAttemptAt: null });
+  } else if (attemptCount >= config.webhooks.maxAttempts) {
+    Object.assign(update, { status: 'failed', failedAt: new Date(), nextAttemptAt: null });
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + retryDelayMs(attemptCount));
+  }
+
+  await database.webhookDeliveries().updateOne({ _id: delivery._id }, { $set: update, $push: { attempts: attempt } });
+  await database.webhooks().updateOne(
+    { webhookId: webhook.webhookId },
+    { $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: update.status || 'retrying' } }
+  );
+}
+
+// 取出一条到期的通知：发送期间把下次发送时间推后，进程在发送中途退出时之后会重新发送
+function claimDueDelivery() {
+  const now = new Date();
+  return database.webhookDeliveries().findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + config.webhooks.timeoutMs * 2) } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+let workerStarted = false;
+let sending = false;
+let sendAgain = false;
+
+// 逐条发送到期的通知；已在发送时只标记完成后再检查一次
+async function deliverDueWebhooks() {
+  if (sending) {
+    sendAgain = true;
+    return;
+  }
+  sending = true;
+  try {
+    do {
+      sendAgain = false;
+      let delivery;
+      while ((delivery = await claimDueDelivery())) {
+        await attemptDelivery(delivery);
+      }
+    } while (sendAgain);
+  } catch (error) {
+    console.error('❌ 发送对外通知失败:', error);
+  } finally {
+    sending = false;
+  }
+}
+
+// 有新的通知时立即发送，不等下一次定时检查
+function wakeWorker() {
+  if (workerStarted) setImmediate(deliverDueWebhooks);
+}
+
+// 订阅事件并启动定时发送，启动时先发送一次（之前未发送完的通知）
+function startWebhookWorker() {
+  if (workerStarted) return null;
+  workerStarted = true;
+
+  onEvent(event => {
+    enqueueEvent(event).catch(error => console.error('❌ 保存对外通知失败:', error));
+  });
+
+  deliverDueWebhooks();
+  const timer = setInterval(deliverDueWebhooks, config.webhooks.pollIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  PING_EVENT,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  checkWebhookEvents,
+  publicWebhook,
+  createWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  deliveryView,
+  sendPing,
+  replayDelivery,
+  listDeliveries,
+  startWebhookWorker
+};
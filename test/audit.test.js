@@ -0,0 +1,169 @@
+// audit.test.js - 审计日志：修改数据的操作写入结构化事件，按条件查询，hash 链校验及 npm run audit:verify
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EJSON } = require('mongodb').BSON;
+const { startServer, makeRecord } = require('./helpers');
+
+// 以指定环境变量运行校验命令，返回 { code, output }
+function runVerify(env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '../server/verify-audit.js')], {
+      env: { ...process.env, ...env },
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: stdout + stderr });
+    });
+  });
+}
+
+describe('审计日志 /api/audit', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function audit(query = '') {
+    const { status, body } = await server.request('GET', `/api/audit${query}`, { token: adminToken });
+    assert.equal(status, 200);
+    return body;
+  }
+
+  it('需要管理员权限', async () => {
+    const viewerToken = await server.tokenFor('viewer', adminToken);
+    assert.equal((await server.request('GET', '/api/audit')).status, 401);
+    assert.equal((await server.request('GET', '/api/audit', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('GET', '/api/audit/verify', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('GET', '/api/audit?startDate=abc', { token: adminToken })).status, 400);
+  });
+
+  it('记录操作人、角色、IP、设备、对象及修改的字段', async () => {
+    const registrarToken = await server.tokenFor('registrar', adminToken);
+    const record = makeRecord();
+    await server.request('POST', '/api/records', { body: { data: [record], deviceId: 'device_audit', batchId: 'batch_audit' } });
+
+    const { body: created } = await server.request('GET', `/api/records?search=${encodeURIComponent(record.name)}`, { token: adminToken });
+    const recordId = created.data[0]._id;
+    await server.request('PATCH', `/api/records/${record.localId}`, { token: registrarToken, body: { content: '改过的内容' } });
+
+    const { data: [submitted] } = await audit('?action=record_submit&targetId=batch_audit');
+    assert.equal(submitted.role, 'anonymous');
+    assert.equal(submitted.deviceId, 'device_audit');
+    assert.ok(submitted.ip);
+    assert.deepEqual(submitted.target, { type: 'batch', id: 'batch_audit' });
+    assert.equal(submitted.details.insertedCount, 1);
+
+    const { data: [updated] } = await audit(`?action=record_update&targetId=${recordId}`);
+    assert.equal(updated.role, 'registrar');
+    assert.match(updated.username, /^registrar_/);
+    assert.deepEqual(updated.target, { type: 'record', id: recordId });
+    assert.deepEqual(updated.diff, [{ field: 'content', before: record.content, after: '改过的内容' }]);
+    assert.equal(updated.details.localId, record.localId);
+    assert.match(updated.hash, /^[0-9a-f]{64}$/);
+    assert.equal(updated._id, undefined);
+  });
+
+  it('账号和设置的修改只记录差异，不记录密码', async () => {
+    const { body: user } = await server.request('POST', '/api/users', {
+      token: adminToken,
+      body: { username: 'audited_user', password: 'secret-password', role: 'viewer' }
+    });
+    await server.request('PUT', `/api/users/${user.data._id}`, {
+      token: adminToken,
+      body: { role: 'treasurer', password: 'another-password' }
+    });
+
+    const { data: events } = await audit(`?targetType=user&targetId=${user.data._id}`);
+    assert.deepEqual(events.map(event => event.action), ['user_update', 'user_create']);
+    assert.deepEqual(events[0].diff, [{ field: 'role', before: 'viewer', after: 'treasurer' }]);
+    assert.equal(events[0].details.passwordChanged, true);
+    assert.equal(events[0].username, 'admin');
+    assert.ok(!JSON.stringify(events).includes('secret-password'));
+    assert.ok(!JSON.stringify(events).includes('another-password'));
+  });
+
+  it('按操作人和时间筛选并分页', async () => {
+    const since = new Date().toISOString();
+    await server.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: { code: 'audit-2099', name: '审计测试法会' }
+    });
+    await server.request('PUT', '/api/campaigns/audit-2099', { token: adminToken, body: { name: '改名的法会' } });
+    await server.request('DELETE', '/api/campaigns/audit-2099', { token: adminToken });
+
+    const all = await audit(`?username=admin&targetType=campaign&startDate=${encodeURIComponent(since)}`);
+    assert.deepEqual(all.data.map(event => event.action), ['campaign_delete', 'campaign_update', 'campaign_create']);
+    assert.deepEqual(all.data[1].diff, [{ field: 'name', before: '审计测试法会', after: '改名的法会' }]);
+
+    const paged = await audit(`?targetType=campaign&startDate=${encodeURIComponent(since)}&limit=2&page=2`);
+    assert.equal(paged.pagination.totalCount, 3);
+    assert.equal(paged.pagination.totalPages, 2);
+    assert.deepEqual(paged.data.map(event => event.action), ['campaign_create']);
+
+    const seqs = (await audit('?limit=200')).data.map(event => event.seq);
+    assert.deepEqual(seqs, [...seqs].sort((a, b) => b - a));
+  });
+
+  it('hash 链完整', async () => {
+    const { status, body } = await server.request('GET', '/api/audit/verify', { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.ok(body.checkedCount > 5);
+    assert.equal(body.lastSeq, body.checkedCount);
+    assert.match(body.lastHash, /^[0-9a-f]{64}$/);
+  });
+});
+
+describe('审计日志：校验命令', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-audit-'));
+  const storage = { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(tmpDir, 'db.json') };
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('发现被修改或删除的事件', async () => {
+    const server = await startServer({ ...storage, SUBMISSION_QUEUE_FILE: path.join(tmpDir, 'queue.jsonl') });
+    try {
+      const adminToken = await server.login();
+      const record = makeRecord();
+      await server.request('POST', '/api/records', { body: { data: [record] } });
+      await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+    } finally {
+      await server.stop();
+    }
+
+    // 关闭服务器时已写入全部事件，空的审计日志也会通过校验，先确认事件都在
+    const data = EJSON.parse(fs.readFileSync(storage.STORAGE_FILE, 'utf8'), { relaxed: true });
+    const events = data.audit_log.sort((a, b) => a.seq - b.seq);
+    assert.deepEqual(events.map(event => event.action), ['admin_login', 'record_submit', 'record_delete']);
+
+    const valid = await runVerify(storage);
+    assert.equal(valid.code, 0, valid.output);
+    assert.match(valid.output, /共 3 条事件，hash 链完整/);
+
+    // 改动一条事件的内容
+    events[1].details.insertedCount = 0;
+    fs.writeFileSync(storage.STORAGE_FILE, EJSON.stringify(data, { relaxed: false }));
+    const tampered = await runVerify(storage);
+    assert.equal(tampered.code, 1);
+    assert.match(tampered.output, /第 2 条事件校验失败: 事件内容与哈希不一致/);
+
+    // 删除中间的事件
+    data.audit_log = [events[0], events[2]];
+    fs.writeFileSync(storage.STORAGE_FILE, EJSON.stringify(data, { relaxed: false }));
+    const removed = await runVerify(storage);
+    assert.equal(removed.code, 1);
+    assert.match(removed.output, /缺少第 2 条事件/);
+  });
+});
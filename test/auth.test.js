@@ -0,0 +1,178 @@
+// auth.test.js - 登录、登出、账号管理及角色权限
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer } = require('./helpers');
+
+describe('登录与账号', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('用户名或密码错误时返回 401', async () => {
+    const { status, body } = await server.request('POST', '/api/auth/login', {
+      body: { username: ADMIN.username, password: 'wrong-password' }
+    });
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+  });
+
+  it('缺少用户名或密码时返回 400', async () => {
+    const { status } = await server.request('POST', '/api/auth/login', { body: { username: ADMIN.username } });
+    assert.equal(status, 400);
+  });
+
+  it('用户名或密码不是文本时返回 400', async () => {
+    const operator = await server.request('POST', '/api/auth/login', {
+      body: { username: { $ne: null }, password: ADMIN.password }
+    });
+    assert.equal(operator.status, 400);
+    const numeric = await server.request('POST', '/api/auth/login', { body: { username: ADMIN.username, password: 12345 } });
+    assert.equal(numeric.status, 400);
+  });
+
+  it('登录后返回令牌和不含密码的账号信息', async () => {
+    const { status, body } = await server.request('POST', '/api/auth/login', { body: ADMIN });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.equal(body.user.username, ADMIN.username);
+    assert.equal(body.user.role, 'admin');
+    assert.equal(body.user.passwordHash, undefined);
+  });
+
+  it('GET /api/auth/me 返回当前用户', async () => {
+    const { status, body } = await server.request('GET', '/api/auth/me', { token: adminToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.user, { username: ADMIN.username, role: 'admin' });
+  });
+
+  it('没有令牌或令牌无效时返回 401', async () => {
+    assert.equal((await server.request('GET', '/api/auth/me')).status, 401);
+    assert.equal((await server.request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+    assert.equal((await server.request('GET', '/api/records')).status, 401);
+  });
+
+  it('登出后令牌立即失效', async () => {
+    const token = await server.login();
+    assert.equal((await server.request('POST', '/api/auth/logout', { token })).status, 200);
+    assert.equal((await server.request('GET', '/api/auth/me', { token })).status, 401);
+  });
+
+  it('管理员可以创建、修改、停用和删除账号', async () => {
+    const created = await server.request('POST', '/api/users', {
+      token: adminToken,
+      body: { username: 'registrar1', password: 'registrar-password', role: 'registrar' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.role, 'registrar');
+    const id = created.body.data._id;
+
+    const duplicate = await server.request('POST', '/api/users', {
+      token: adminToken,
+      body: { username: 'registrar1', password: 'other-password', role: 'viewer' }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const invalidRole = await server.request('POST', '/api/users', {
+      token: adminToken,
+      body: { username: 'someone', password: 'password', role: 'owner' }
+    });
+    assert.equal(invalidRole.status, 400);
+
+    // 用户名和密码只接受文本
+    for (const body of [
+      { username: { $ne: null }, password: 'password', role: 'viewer' },
+      { username: 'someone', password: ['password'], role: 'viewer' },
+      { username: 'someone', password: 123456, role: 'viewer' }
+    ]) {
+      const invalid = await server.request('POST', '/api/users', { token: adminToken, body });
+      assert.equal(invalid.status, 400);
+      assert.ok(invalid.body.fieldErrors.length > 0);
+    }
+
+    const list = await server.request('GET', '/api/users', { token: adminToken });
+    assert.equal(list.status, 200);
+    assert.ok(list.body.data.some(user => user.username === 'registrar1'));
+    assert.ok(list.body.data.every(user => user.passwordHash === undefined));
+
+    const token = await server.login('registrar1', 'registrar-password');
+
+    const promoted = await server.request('PUT', `/api/users/${id}`, {
+      token: adminToken,
+      body: { role: 'treasurer' }
+    });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.body.data.role, 'treasurer');
+    // 角色变化对已签发的令牌立即生效
+    assert.equal((await server.request('GET', '/api/auth/me', { token })).body.user.role, 'treasurer');
+
+    const invalidUpdate = await server.request('PUT', `/api/users/${id}`, {
+      token: adminToken,
+      body: { password: { $gt: '' }, active: 'no' }
+    });
+    assert.equal(invalidUpdate.status, 400);
+    assert.deepEqual(invalidUpdate.body.fieldErrors.map(fieldError => fieldError.field), ['password', 'active']);
+
+    const disabled = await server.request('PUT', `/api/users/${id}`, {
+      token: adminToken,
+      body: { active: false }
+    });
+    assert.equal(disabled.status, 200);
+    assert.equal((await server.request('GET', '/api/auth/me', { token })).status, 401);
+
+    const removed = await server.request('DELETE', `/api/users/${id}`, { token: adminToken });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.request('DELETE', `/api/users/${id}`, { token: adminToken })).status, 404);
+    assert.equal((await server.request('PUT', '/api/users/not-an-id', { token: adminToken, body: {} })).status, 400);
+  });
+
+  it('不能删除当前登录的账号', async () => {
+    const me = (await server.request('GET', '/api/users', { token: adminToken }))
+      .body.data.find(user => user.username === ADMIN.username);
+    const { status } = await server.request('DELETE', `/api/users/${me._id}`, { token: adminToken });
+    assert.equal(status, 400);
+  });
+
+  it('不能停用或降级当前登录的账号', async () => {
+    const me = (await server.request('GET', '/api/users', { token: adminToken }))
+      .body.data.find(user => user.username === ADMIN.username);
+    const demoted = await server.request('PUT', `/api/users/${me._id}`, { token: adminToken, body: { role: 'viewer' } });
+    assert.equal(demoted.status, 400);
+    const disabled = await server.request('PUT', `/api/users/${me._id}`, { token: adminToken, body: { active: false } });
+    assert.equal(disabled.status, 400);
+    // 修改自己的密码或保持管理员角色不受限制
+    const kept = await server.request('PUT', `/api/users/${me._id}`, { token: adminToken, body: { role: 'admin' } });
+    assert.equal(kept.status, 200);
+  });
+
+  it('还有其他启用的管理员时可以降级或停用管理员', async () => {
+    const { body: created } = await server.request('POST', '/api/users', {
+      token: adminToken,
+      body: { username: 'admin2', password: 'admin2-password', role: 'admin' }
+    });
+    const demoted = await server.request('PUT', `/api/users/${created.data._id}`, { token: adminToken, body: { role: 'viewer' } });
+    assert.equal(demoted.status, 200);
+    assert.equal(demoted.body.data.role, 'viewer');
+    const disabled = await server.request('PUT', `/api/users/${created.data._id}`, { token: adminToken, body: { active: false } });
+    assert.equal(disabled.status, 200);
+    assert.equal((await server.request('DELETE', `/api/users/${created.data._id}`, { token: adminToken })).status, 200);
+  });
+
+  it('非管理员不能管理账号', async () => {
+    const treasurerToken = await server.tokenFor('treasurer', adminToken);
+    const { status, body } = await server.request('GET', '/api/users', { token: treasurerToken });
+    assert.equal(status, 403);
+    assert.equal(body.success, false);
+    assert.equal((await server.request('POST', '/api/users', {
+      token: treasurerToken,
+      body: { username: 'x', password: 'y', role: 'admin' }
+    })).status, 403);
+  });
+});
@@ -0,0 +1,171 @@
+// batches.test.js - 提交批次：批次列表和记录、锁定、改归属及作废
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeRecord, PROJECTS } = require('./helpers');
+
+describe('提交批次 /api/batches', () => {
+  let server;
+  let adminToken;
+  let registrarToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    registrarToken = await server.tokenFor('registrar', adminToken);
+    viewerToken = await server.tokenFor('viewer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // 以指定的 batchId 提交一批记录
+  async function submitBatch(batchId, records, deviceId = 'device-a') {
+    const { status, body } = await server.request('POST', '/api/records', { body: { data: records, batchId, deviceId } });
+    assert.equal(status, 200);
+    assert.equal(body.insertedCount, records.length);
+    return records;
+  }
+
+  function batchAction(batchId, action, token, body) {
+    return server.request('POST', `/api/batches/${batchId}/${action}`, { token, body });
+  }
+
+  it('需要登记员权限', async () => {
+    assert.equal((await server.request('GET', '/api/batches')).status, 401);
+    assert.equal((await server.request('GET', '/api/batches', { token: viewerToken })).status, 403);
+    assert.equal((await batchAction('batch_x', 'lock', viewerToken)).status, 403);
+  });
+
+  it('批次列表包含设备、记录数、金额合计和提交时间，可以查看批次的记录', async () => {
+    const records = await submitBatch('batch_list', [
+      makeRecord(),
+      makeRecord({ ...PROJECTS.ancestors, payment: '已缴费' })
+    ]);
+
+    const list = await server.request('GET', '/api/batches?deviceId=device-a', { token: registrarToken });
+    assert.equal(list.status, 200);
+    const batch = list.body.data.find(item => item.batchId === 'batch_list');
+    assert.equal(batch.status, 'open');
+    assert.equal(batch.deviceId, 'device-a');
+    assert.equal(batch.recordCount, 2);
+    assert.equal(batch.totals.amountTWD, 80200);
+    assert.ok(batch.submittedAt);
+    assert.ok(list.body.pagination.totalCount >= 1);
+
+    const detail = await server.request('GET', '/api/batches/batch_list', { token: registrarToken });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.data.recordCount, 2);
+    assert.deepEqual(detail.body.records.map(record => record.localId).sort(), records.map(record => record.localId).sort());
+
+    assert.equal((await server.request('GET', '/api/batches/batch_missing', { token: registrarToken })).status, 404);
+    assert.equal((await server.request('GET', '/api/batches?status=x', { token: registrarToken })).status, 400);
+  });
+
+  it('锁定后批次中的记录不能修改、删除或再加入，解除锁定需要管理员', async () => {
+    const [record] = await submitBatch('batch_lock', [makeRecord()]);
+
+    const locked = await batchAction('batch_lock', 'lock', registrarToken);
+    assert.equal(locked.status, 200);
+    assert.equal(locked.body.data.status, 'locked');
+    assert.ok(locked.body.data.lockedAt);
+    assert.equal((await batchAction('batch_lock', 'lock', registrarToken)).status, 409);
+
+    const patch = await server.request('PATCH', `/api/records/${record.localId}`, { token: registrarToken, body: { content: 'x' } });
+    assert.equal(patch.status, 409);
+    const push = await server.request('POST', '/api/sync', {
+      token: registrarToken,
+      body: { changes: [{ localId: record.localId, version: 1, fields: { content: 'x' } }] }
+    });
+    assert.equal(push.body.results[0].status, 'rejected');
+
+    assert.equal((await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken })).status, 409);
+    assert.equal((await server.request('DELETE', '/api/records/batch?batchId=batch_lock', { token: adminToken })).status, 409);
+
+    const added = await server.request('POST', '/api/records', { body: { data: [makeRecord()], batchId: 'batch_lock' } });
+    assert.equal(added.status, 400);
+    assert.equal(added.body.results[0].fieldErrors[0].field, 'batchId');
+
+    // 已锁定的批次仍可以登记缴费
+    const payment = await server.request('POST', `/api/records/${record.localId}/payments`, {
+      token: registrarToken,
+      body: { amount: 100, method: '现金' }
+    });
+    assert.equal(payment.status, 201);
+
+    assert.equal((await batchAction('batch_lock', 'unlock', registrarToken)).status, 403);
+    const unlocked = await batchAction('batch_lock', 'unlock', adminToken);
+    assert.equal(unlocked.body.data.status, 'open');
+    assert.deepEqual(unlocked.body.data.history.map(entry => entry.action), ['lock', 'unlock']);
+    assert.equal((await batchAction('batch_lock', 'unlock', adminToken)).status, 409);
+
+    const patched = await server.request('PATCH', `/api/records/${record.localId}`, { token: registrarToken, body: { content: 'x' } });
+    assert.equal(patched.status, 200);
+  });
+
+  it('删除全部数据时跳过已锁定的批次', async () => {
+    const [kept] = await submitBatch('batch_keep', [makeRecord()]);
+    await batchAction('batch_keep', 'lock', registrarToken);
+
+    await server.request('DELETE', '/api/records/all', { token: adminToken });
+    const detail = await server.request('GET', '/api/batches/batch_keep', { token: registrarToken });
+    assert.deepEqual(detail.body.records.map(record => record.localId), [kept.localId]);
+  });
+
+  it('改归属到另一台登记的设备或另一位义工', async () => {
+    await submitBatch('batch_move', [makeRecord(), makeRecord()], 'device-old');
+    const created = await server.request('POST', '/api/devices', { token: adminToken, body: { label: '山门登记台', operator: '李师姐' } });
+    const { deviceId } = created.body.data;
+
+    const empty = await batchAction('batch_move', 'reattribute', registrarToken, {});
+    assert.equal(empty.status, 400);
+    const unknown = await batchAction('batch_move', 'reattribute', registrarToken, { deviceId: 'dev_missing' });
+    assert.equal(unknown.status, 400);
+
+    const moved = await batchAction('batch_move', 'reattribute', registrarToken, { deviceId });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.updatedCount, 2);
+    assert.equal(moved.body.data.deviceId, deviceId);
+    assert.equal(moved.body.data.device.label, '山门登记台');
+    // 未指定义工时按设备的使用人
+    assert.equal(moved.body.data.operator, '李师姐');
+
+    const renamed = await batchAction('batch_move', 'reattribute', registrarToken, { operator: '陈师兄' });
+    assert.equal(renamed.body.data.operator, '陈师兄');
+    assert.equal(renamed.body.updatedCount, 0);
+
+    const detail = await server.request('GET', '/api/batches/batch_move', { token: registrarToken });
+    assert.ok(detail.body.records.every(record => record.deviceId === deviceId));
+    assert.deepEqual(detail.body.data.history[0].from, { deviceId: 'device-old', operator: null });
+  });
+
+  it('作废批次后记录移入回收站，批次保留作废时的汇总且不能恢复', async () => {
+    const records = await submitBatch('batch_void', [makeRecord(), makeRecord()]);
+
+    assert.equal((await batchAction('batch_void', 'void', registrarToken, { reason: '重复提交' })).status, 403);
+    assert.equal((await batchAction('batch_void', 'void', adminToken, {})).status, 400);
+
+    const voided = await batchAction('batch_void', 'void', adminToken, { reason: '重复提交' });
+    assert.equal(voided.status, 200);
+    assert.equal(voided.body.voidedCount, 2);
+    assert.equal(voided.body.data.status, 'void');
+    assert.equal(voided.body.data.voidReason, '重复提交');
+
+    const list = await server.request('GET', '/api/batches?status=void', { token: registrarToken });
+    const batch = list.body.data.find(item => item.batchId === 'batch_void');
+    assert.equal(batch.recordCount, 2);
+    assert.equal(batch.totals.amountTWD, 160000);
+
+    const detail = await server.request('GET', '/api/batches/batch_void', { token: registrarToken });
+    assert.deepEqual(detail.body.records.map(record => record.localId).sort(), records.map(record => record.localId).sort());
+    assert.ok(detail.body.records.every(record => record.deletedAt));
+
+    assert.equal((await batchAction('batch_void', 'lock', registrarToken)).status, 409);
+    assert.equal((await batchAction('batch_void', 'void', adminToken, { reason: '再次作废' })).status, 409);
+    assert.equal((await server.request('POST', '/api/records/batch/restore?batchId=batch_void', { token: adminToken })).status, 409);
+    await server.request('POST', '/api/records/all/restore', { token: adminToken });
+    const search = await server.request('GET', `/api/records?search=${encodeURIComponent(records[0].name)}`, { token: viewerToken });
+    assert.equal(search.body.data.length, 0);
+  });
+});
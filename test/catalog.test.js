@@ -0,0 +1,238 @@
+// catalog.test.js - 护持项目目录、法会、汇率
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+describe('护持项目目录 /api/projects', () => {
+  let server;
+  let adminToken;
+  let treasurerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('不需要登录即可读取默认项目目录', async () => {
+    const { status, body } = await server.request('GET', '/api/projects');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 12);
+    assert.deepEqual(
+      { name: body.data[0].name, method: body.data[0].method, amountTWD: body.data[0].amountTWD },
+      { name: PROJECTS.deputy.project, method: PROJECTS.deputy.method, amountTWD: PROJECTS.deputy.amountTWD }
+    );
+  });
+
+  it('新增、修改、停用和删除项目', async () => {
+    const created = await server.request('POST', '/api/projects', {
+      token: adminToken,
+      body: { name: '测试项目', method: '测试方式', amountTWD: 300 }
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.data._id;
+
+    const duplicate = await server.request('POST', '/api/projects', {
+      token: adminToken,
+      body: { name: '测试项目', method: '测试方式', amountTWD: 300 }
+    });
+    assert.equal(duplicate.status, 409);
+
+    // 新项目立即可用于登记
+    const submitted = await server.request('POST', '/api/records', {
+      body: { data: [makeRecord({ project: '测试项目', method: '测试方式', amountTWD: 300 })] }
+    });
+    assert.equal(submitted.body.insertedCount, 1);
+
+    const updated = await server.request('PUT', `/api/projects/${id}`, {
+      token: adminToken,
+      body: { amountTWD: 500, active: false }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.amountTWD, 500);
+
+    const active = await server.request('GET', '/api/projects');
+    assert.ok(!active.body.data.some(project => project.name === '测试项目'));
+    const all = await server.request('GET', '/api/projects?all=true');
+    assert.ok(all.body.data.some(project => project.name === '测试项目'));
+
+    // 停用的项目不再接受登记
+    const rejected = await server.request('POST', '/api/records', {
+      body: { data: [makeRecord({ project: '测试项目', method: '测试方式', amountTWD: 500 })] }
+    });
+    assert.equal(rejected.status, 400);
+
+    assert.equal((await server.request('DELETE', `/api/projects/${id}`, { token: adminToken })).status, 200);
+    assert.equal((await server.request('DELETE', `/api/projects/${id}`, { token: adminToken })).status, 404);
+  });
+
+  it('无效的项目数据返回 400', async () => {
+    const missing = await server.request('POST', '/api/projects', { token: adminToken, body: { name: 'x' } });
+    assert.equal(missing.status, 400);
+    const invalidId = await server.request('PUT', '/api/projects/not-an-id', { token: adminToken, body: {} });
+    assert.equal(invalidId.status, 400);
+  });
+
+  it('修改项目目录需要管理员权限', async () => {
+    assert.equal((await server.request('POST', '/api/projects', { body: { name: 'x', method: 'y', amountTWD: 1 } })).status, 401);
+    assert.equal((await server.request('POST', '/api/projects', {
+      token: treasurerToken,
+      body: { name: 'x', method: 'y', amountTWD: 1 }
+    })).status, 403);
+  });
+});
+
+describe('法会 /api/campaigns', () => {
+  let server;
+  let adminToken;
+  const year = String(new Date().getFullYear());
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('默认有今年的法会并开放登记', async () => {
+    const list = await server.request('GET', '/api/campaigns');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.data.some(campaign => campaign.code === year));
+
+    const current = await server.request('GET', '/api/campaigns/current');
+    assert.equal(current.status, 200);
+    assert.equal(current.body.data.code, year);
+    assert.equal(current.body.data.accepting, true);
+  });
+
+  it('新增、修改和删除法会', async () => {
+    const created = await server.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: { code: 'autumn', name: '秋季法会', startDate: '2020-09-01', endDate: '2020-09-30', projects: [PROJECTS.ancestors.project] }
+    });
+    assert.equal(created.status, 201);
+
+    assert.equal((await server.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: { code: 'autumn', name: '重复' }
+    })).status, 409);
+
+    // 法会只提供指定的项目
+    const projects = await server.request('GET', '/api/projects?campaign=autumn');
+    assert.deepEqual(projects.body.data.map(project => project.name), [PROJECTS.ancestors.project]);
+
+    // 已过登记期
+    const closed = await server.request('POST', '/api/records', { body: { data: [makeRecord({ ...PROJECTS.ancestors })], campaign: 'autumn' } });
+    assert.equal(closed.status, 400);
+
+    const reopened = await server.request('PUT', '/api/campaigns/autumn', {
+      token: adminToken,
+      body: { endDate: '2099-12-31' }
+    });
+    assert.equal(reopened.status, 200);
+    assert.equal(reopened.body.data.accepting, true);
+
+    // 不在法会项目中的登记被拒绝
+    const submitted = await server.request('POST', '/api/records', {
+      body: { data: [makeRecord({ ...PROJECTS.ancestors }), makeRecord()], campaign: 'autumn' }
+    });
+    assert.deepEqual(submitted.body.results.map(result => result.status), ['inserted', 'rejected']);
+
+    // 已有登记记录的法会不能删除
+    assert.equal((await server.request('DELETE', '/api/campaigns/autumn', { token: adminToken })).status, 409);
+
+    await server.request('POST', '/api/campaigns', { token: adminToken, body: { code: 'empty', name: '空法会' } });
+    assert.equal((await server.request('DELETE', '/api/campaigns/empty', { token: adminToken })).status, 200);
+    assert.equal((await server.request('DELETE', '/api/campaigns/empty', { token: adminToken })).status, 404);
+  });
+
+  it('无效的法会数据返回 400', async () => {
+    for (const body of [
+      { code: 'a b', name: 'x' },
+      { code: 'x1', name: '' },
+      { code: 'x2', name: 'x', startDate: '2020-02-01', endDate: '2020-01-01' },
+      { code: 'x3', name: 'x', projects: ['不存在的项目'] }
+    ]) {
+      const { status } = await server.request('POST', '/api/campaigns', { token: adminToken, body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+    assert.equal((await server.request('PUT', '/api/campaigns/none', { token: adminToken, body: { name: 'x' } })).status, 404);
+  });
+
+  it('修改法会需要管理员权限', async () => {
+    assert.equal((await server.request('POST', '/api/campaigns', { body: { code: 'x', name: 'x' } })).status, 401);
+    const registrarToken = await server.tokenFor('registrar', adminToken);
+    assert.equal((await server.request('PUT', `/api/campaigns/${year}`, {
+      token: registrarToken,
+      body: { status: 'closed' }
+    })).status, 403);
+  });
+});
+
+describe('汇率 /api/exchange-rates', () => {
+  let server;
+  let adminToken;
+  let treasurerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('默认汇率为 4.2', async () => {
+    const list = await server.request('GET', '/api/exchange-rates');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data.length, 1);
+    const current = await server.request('GET', '/api/exchange-rates/current');
+    assert.equal(current.body.data.rate, 4.2);
+  });
+
+  it('按生效日期选用汇率，新登记按当前汇率换算', async () => {
+    const created = await server.request('POST', '/api/exchange-rates', {
+      token: treasurerToken,
+      body: { rate: 4, effectiveFrom: '2024-01-01', note: '测试汇率' }
+    });
+    assert.equal(created.status, 201);
+
+    const before2024 = await server.request('GET', '/api/exchange-rates/current?date=2023-06-01');
+    assert.equal(before2024.body.data.rate, 4.2);
+    const after2024 = await server.request('GET', '/api/exchange-rates/current?date=2024-06-01');
+    assert.equal(after2024.body.data.rate, 4);
+
+    const record = makeRecord();
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+    const { body } = await server.request('GET', `/api/records?search=${encodeURIComponent(record.name)}`, { token: adminToken });
+    assert.equal(body.data[0].exchangeRate, 4);
+    assert.equal(body.data[0].amountRMB, 20000);
+
+    const id = created.body.data._id;
+    assert.equal((await server.request('DELETE', `/api/exchange-rates/${id}`, { token: treasurerToken })).status, 200);
+    assert.equal((await server.request('DELETE', `/api/exchange-rates/${id}`, { token: treasurerToken })).status, 404);
+  });
+
+  it('无效的汇率数据返回 400', async () => {
+    assert.equal((await server.request('POST', '/api/exchange-rates', { token: treasurerToken, body: { rate: 0 } })).status, 400);
+    assert.equal((await server.request('POST', '/api/exchange-rates', {
+      token: treasurerToken,
+      body: { rate: 4, effectiveFrom: 'x' }
+    })).status, 400);
+    assert.equal((await server.request('GET', '/api/exchange-rates/current?date=x')).status, 400);
+    assert.equal((await server.request('DELETE', '/api/exchange-rates/x', { token: treasurerToken })).status, 400);
+  });
+
+  it('修改汇率需要财务权限', async () => {
+    const registrarToken = await server.tokenFor('registrar', adminToken);
+    assert.equal((await server.request('POST', '/api/exchange-rates', { token: registrarToken, body: { rate: 5 } })).status, 403);
+  });
+});
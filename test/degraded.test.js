@@ -0,0 +1,143 @@
+// degraded.test.js - 数据库不可用时的降级模式：登记数据写入本地队列，数据库连接后补写
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, makeRecord } = require('./helpers');
+
+describe('降级模式', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-queue-'));
+  const queueFile = path.join(tmpDir, 'pending_submissions.jsonl');
+  const records = [makeRecord({ name: '排队一' }), makeRecord({ name: '排队二' })];
+  let server;
+
+  before(async () => {
+    // 没有 MongoDB 服务监听的地址，连接必然失败
+    server = await startServer({
+      STORAGE_DRIVER: 'mongodb',
+      MONGODB_URI: 'mongodb://127.0.0.1:9/?serverSelectionTimeoutMS=300',
+      SUBMISSION_QUEUE_FILE: queueFile,
+      DB_RETRY_INTERVAL_MS: '600000'
+    }, { degraded: true });
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('健康检查返回 503 和排队的批数', async () => {
+    const { status, body } = await server.request('GET', '/health');
+    assert.equal(status, 503);
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.database, 'disconnected');
+    assert.equal(body.queuedSubmissions, 0);
+  });
+
+  it('登记数据写入本地队列并返回 202', async () => {
+    const { status, body } = await server.request('POST', '/api/records', {
+      body: { data: [...records, makeRecord({ name: '' })], deviceId: 'device-q', batchId: 'batch-q' }
+    });
+    assert.equal(status, 202);
+    assert.equal(body.success, true);
+    assert.equal(body.queued, true);
+    assert.equal(body.queuedCount, 2);
+    assert.equal(body.rejectedCount, 1);
+    assert.deepEqual(body.results.map(result => result.status), ['queued', 'queued', 'rejected']);
+
+    const lines = fs.readFileSync(queueFile, 'utf8').split('\n').filter(Boolean);
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.body.batchId, 'batch-q');
+    assert.deepEqual(entry.body.data.map(record => record.localId), records.map(record => record.localId));
+
+    const health = await server.request('GET', '/health');
+    assert.equal(health.body.queuedSubmissions, 1);
+  });
+
+  it('全部未通过校验时返回 400，不写入队列', async () => {
+    const { status } = await server.request('POST', '/api/records', { body: { data: [makeRecord({ localId: '' })] } });
+    assert.equal(status, 400);
+    assert.equal(fs.readFileSync(queueFile, 'utf8').split('\n').filter(Boolean).length, 1);
+  });
+
+  it('其余接口返回 503，页面仍可访问', async () => {
+    const login = await server.request('POST', '/api/auth/login', { body: { username: 'admin', password: 'x' } });
+    assert.equal(login.status, 503);
+    assert.equal(login.body.degraded, true);
+    assert.equal((await server.request('GET', '/api/projects')).status, 503);
+    assert.equal((await server.request('GET', '/')).status, 200);
+    assert.equal((await server.request('GET', '/admin')).status, 200);
+  });
+
+  it('数据库连接后补写队列中的数据', async () => {
+    await server.stop();
+
+    const recovered = await startServer({ SUBMISSION_QUEUE_FILE: queueFile });
+    try {
+      const token = await recovered.login();
+      let list;
+      for (let i = 0; i < 50; i++) {
+        list = await recovered.request('GET', '/api/records', { token });
+        if (list.body.pagination.totalCount === 2) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.deepEqual(list.body.data.map(record => record.name).sort(), ['排队一', '排队二']);
+      assert.ok(list.body.data.every(record => record.batchId === 'batch-q' && record.deviceId === 'device-q'));
+
+      const health = await recovered.request('GET', '/health');
+      assert.equal(health.body.queuedSubmissions, 0);
+      assert.equal(fs.existsSync(queueFile), false);
+    } finally {
+      await recovered.stop();
+    }
+  });
+});
+
+describe('补写失败的排队数据', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-queue-'));
+  const queueFile = path.join(tmpDir, 'pending_submissions.jsonl');
+  const failedFile = path.join(tmpDir, 'pending_submissions.failed.jsonl');
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('数据本身出错的一批移到失败文件并写入审计日志，后面的继续补写', async () => {
+    const receivedAt = new Date().toISOString();
+    const entries = [
+      { queueId: 'q1', receivedAt, ip: '::1', body: { data: [makeRecord({ name: '补写一' })], batchId: 'batch-ok-1' } },
+      { queueId: 'q2', receivedAt, ip: '::1', body: { data: 'not-a-list', batchId: 'batch-bad' } },
+      { queueId: 'q3', receivedAt, ip: '::1', body: { data: [makeRecord({ name: '补写二' })], batchId: 'batch-ok-2' } }
+    ];
+    fs.writeFileSync(queueFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+    const server = await startServer({ SUBMISSION_QUEUE_FILE: queueFile });
+    try {
+      const token = await server.login();
+      let list;
+      for (let i = 0; i < 50; i++) {
+        list = await server.request('GET', '/api/records', { token });
+        if (list.body.pagination.totalCount === 2 && !fs.existsSync(queueFile)) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.deepEqual(list.body.data.map(record => record.name).sort(), ['补写一', '补写二']);
+      assert.equal(fs.existsSync(queueFile), false);
+
+      const failed = fs.readFileSync(failedFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      assert.equal(failed.length, 1);
+      assert.equal(failed[0].queueId, 'q2');
+      assert.deepEqual(failed[0].body, entries[1].body);
+      assert.ok(failed[0].error);
+      assert.ok(failed[0].failedAt);
+
+      const { body } = await server.request('GET', '/api/audit?action=record_submit_failed', { token });
+      assert.equal(body.data.length, 1);
+      assert.deepEqual(body.data[0].target, { type: 'batch', id: 'batch-bad' });
+      assert.equal(body.data[0].details.queueId, 'q2');
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,132 @@
+// delete.test.js - 删除（单条、批次、全部）、回收站及恢复
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeRecord } = require('./helpers');
+
+describe('删除数据 DELETE /api/records/:id', () => {
+  let server;
+  let adminToken;
+  let treasurerToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+    viewerToken = await server.tokenFor('viewer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // 每个测试开始前恢复回收站中的全部数据
+  beforeEach(async () => {
+    await server.request('POST', '/api/records/all/restore', { token: adminToken });
+  });
+
+  async function submit(batchId, count) {
+    const data = Array.from({ length: count }, () => makeRecord());
+    const { body } = await server.request('POST', '/api/records', { body: { data, batchId } });
+    assert.equal(body.insertedCount, count);
+    return data;
+  }
+
+  async function visibleCount() {
+    const { body } = await server.request('GET', '/api/records', { token: viewerToken });
+    return body.pagination.totalCount;
+  }
+
+  it('删除单条数据并移入回收站', async () => {
+    const [record, other] = await submit('single', 2);
+    const before = await visibleCount();
+
+    const { status, body } = await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.deletedCount, 1);
+    assert.equal(await visibleCount(), before - 1);
+
+    const trash = await server.request('GET', '/api/records/trash', { token: viewerToken });
+    assert.equal(trash.status, 200);
+    assert.deepEqual(trash.body.data.map(item => item.localId), [record.localId]);
+    assert.equal(trash.body.data[0].deletedBy, 'admin');
+    assert.ok(trash.body.data[0].deletedAt);
+
+    // 已在回收站中的记录不会重复删除
+    const again = await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+    assert.equal(again.body.deletedCount, 0);
+
+    // 也可以按 serverId 删除
+    const { body: list } = await server.request('GET', `/api/records?search=${encodeURIComponent(other.name)}`, { token: viewerToken });
+    const byServerId = await server.request('DELETE', `/api/records/${list.data[0].serverId}`, { token: adminToken });
+    assert.equal(byServerId.body.deletedCount, 1);
+  });
+
+  it('按批次删除和恢复', async () => {
+    await submit('batch-a', 3);
+    await submit('batch-b', 2);
+    const before = await visibleCount();
+
+    const { status, body } = await server.request('DELETE', '/api/records/batch?batchId=batch-a', { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.deletedCount, 3);
+    assert.equal(await visibleCount(), before - 3);
+
+    const restored = await server.request('POST', '/api/records/batch/restore?batchId=batch-a', { token: adminToken });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.restoredCount, 3);
+    assert.equal(await visibleCount(), before);
+  });
+
+  it('删除全部数据', async () => {
+    await submit('all', 2);
+    const before = await visibleCount();
+
+    const { status, body } = await server.request('DELETE', '/api/records/all', { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.deletedCount, before);
+    assert.equal(await visibleCount(), 0);
+
+    const trash = await server.request('GET', '/api/records/trash?limit=1', { token: viewerToken });
+    assert.equal(trash.body.pagination.totalCount, before);
+    assert.equal(trash.body.data.length, 1);
+
+    // 无效的分页参数返回 400
+    for (const query of ['page=0', 'page=-1', 'limit=0', 'limit=100000', 'page=abc']) {
+      const invalid = await server.request('GET', `/api/records/trash?${query}`, { token: viewerToken });
+      assert.equal(invalid.status, 400, query);
+    }
+
+    const restored = await server.request('POST', '/api/records/all/restore', { token: adminToken });
+    assert.equal(restored.body.restoredCount, before);
+    assert.equal(await visibleCount(), before);
+  });
+
+  it('恢复单条数据', async () => {
+    const [record] = await submit('restore-one', 1);
+    await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+    const { status, body } = await server.request('POST', `/api/records/${record.localId}/restore`, { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.restoredCount, 1);
+    const trash = await server.request('GET', '/api/records/trash', { token: viewerToken });
+    assert.equal(trash.body.pagination.totalCount, 0);
+  });
+
+  it('没有令牌时返回 401', async () => {
+    assert.equal((await server.request('DELETE', '/api/records/all')).status, 401);
+    assert.equal((await server.request('DELETE', '/api/records/batch?batchId=x')).status, 401);
+    assert.equal((await server.request('DELETE', '/api/records/any-id', { token: 'invalid' })).status, 401);
+  });
+
+  it('非管理员删除或恢复时返回 403，数据不变', async () => {
+    const [record] = await submit('forbidden', 1);
+    const before = await visibleCount();
+    for (const path of ['/api/records/all', '/api/records/batch?batchId=forbidden', `/api/records/${record.localId}`]) {
+      const { status, body } = await server.request('DELETE', path, { token: treasurerToken });
+      assert.equal(status, 403, path);
+      assert.equal(body.success, false);
+    }
+    assert.equal((await server.request('POST', '/api/records/all/restore', { token: treasurerToken })).status, 403);
+    assert.equal(await visibleCount(), before);
+  });
+});
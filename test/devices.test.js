@@ -0,0 +1,328 @@
+// devices.test.js - 登记设备：管理员登记设备、设备用登记码换取令牌、凭令牌提交及停用
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, makeRecord } = require('./helpers');
+
+// 要求提交登记数据附带设备令牌
+const REQUIRE_TOKEN = { REQUIRE_DEVICE_TOKEN: 'true' };
+
+describe('登记设备', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer(REQUIRE_TOKEN);
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // 新增设备并用登记码登记，返回 { device, token, enrollment }
+  async function enrollNewDevice(label = '大殿登记台', operator = '王师兄') {
+    const created = await server.request('POST', '/api/devices', { token: adminToken, body: { label, operator } });
+    assert.equal(created.status, 201);
+    const enrolled = await server.request('POST', '/api/devices/enroll', { body: { code: created.body.enrollment.code } });
+    assert.equal(enrolled.status, 200);
+    return { device: enrolled.body.device, token: enrolled.body.token, enrollment: created.body.enrollment };
+  }
+
+  function submit(records, deviceToken, options = {}) {
+    return server.request('POST', '/api/records', {
+      ...options,
+      headers: deviceToken ? { 'X-Device-Token': deviceToken } : {},
+      body: { data: records, deviceId: 'self-generated' }
+    });
+  }
+
+  it('未登记的设备不能提交登记数据', async () => {
+    const missing = await submit([makeRecord()]);
+    assert.equal(missing.status, 401);
+
+    const invalid = await submit([makeRecord()], 'not-a-device-token');
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.deviceRevoked, true);
+  });
+
+  it('只有管理员可以管理设备', async () => {
+    const registrarToken = await server.tokenFor('registrar', adminToken);
+    assert.equal((await server.request('GET', '/api/devices')).status, 401);
+    assert.equal((await server.request('GET', '/api/devices', { token: registrarToken })).status, 403);
+    assert.equal((await server.request('POST', '/api/devices', { token: registrarToken, body: { label: 'x' } })).status, 403);
+
+    const missingLabel = await server.request('POST', '/api/devices', { token: adminToken, body: { operator: '王师兄' } });
+    assert.equal(missingLabel.status, 400);
+    assert.equal(missingLabel.body.fieldErrors[0].field, 'label');
+  });
+
+  it('新增设备返回一次性登记码、登记网址和二维码', async () => {
+    const created = await server.request('POST', '/api/devices', {
+      token: adminToken,
+      body: { label: '山门登记台', operator: '李师姐' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, 'pending');
+    assert.match(created.body.data.deviceId, /^dev_/);
+    assert.equal(created.body.data.tokenHash, undefined);
+    assert.equal(created.body.data.enrollmentCodeHash, undefined);
+
+    const { code, url, qrCode, expiresAt } = created.body.enrollment;
+    assert.match(code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.ok(url.endsWith(`/mobile.html#enroll=${code}`));
+    assert.match(qrCode, /^data:image\/png;base64,/);
+    assert.ok(new Date(expiresAt) > new Date());
+
+    // 登记码不区分大小写，忽略空格和连字符
+    const enrolled = await server.request('POST', '/api/devices/enroll', {
+      body: { code: ` ${code.replace('-', '').toLowerCase()} ` }
+    });
+    assert.equal(enrolled.status, 200);
+    assert.ok(enrolled.body.token.length >= 40);
+    assert.deepEqual(enrolled.body.device, {
+      deviceId: created.body.data.deviceId,
+      label: '山门登记台',
+      operator: '李师姐',
+      status: 'active'
+    });
+
+    // 登记码只能使用一次
+    const reused = await server.request('POST', '/api/devices/enroll', { body: { code } });
+    assert.equal(reused.status, 400);
+
+    const me = await server.request('GET', '/api/devices/me', { headers: { 'X-Device-Token': enrolled.body.token } });
+    assert.equal(me.body.data.status, 'active');
+  });
+
+  it('凭设备令牌提交，记录归属登记的设备并统计提交次数', async () => {
+    const { device, token } = await enrollNewDevice();
+    const records = [makeRecord(), makeRecord()];
+
+    const first = await submit(records, token);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.insertedCount, 2);
+    // 重复提交不计入新增记录数
+    assert.equal((await submit(records, token)).body.duplicateCount, 2);
+
+    const list = await server.request('GET', `/api/records?search=${encodeURIComponent(records[0].name)}`, { token: adminToken });
+    assert.equal(list.body.data[0].deviceId, device.deviceId);
+
+    const devices = await server.request('GET', '/api/devices', { token: adminToken });
+    const registered = devices.body.data.find(item => item.deviceId === device.deviceId);
+    assert.equal(registered.status, 'active');
+    assert.equal(registered.operator, '王师兄');
+    assert.equal(registered.submissionCount, 2);
+    assert.equal(registered.recordCount, 2);
+    assert.ok(registered.lastSeenAt);
+    assert.ok(registered.enrolledAt);
+  });
+
+  it('登记员以上的账号不需要设备令牌也可以提交', async () => {
+    const registrarToken = await server.tokenFor('registrar', adminToken);
+    const viewerToken = await server.tokenFor('viewer', adminToken);
+
+    assert.equal((await submit([makeRecord()], null, { token: viewerToken })).status, 403);
+    const { status, body } = await submit([makeRecord()], null, { token: registrarToken });
+    assert.equal(status, 200);
+    assert.equal(body.insertedCount, 1);
+  });
+
+  it('停用设备后令牌立即失效，重新登记后恢复', async () => {
+    const { device, token } = await enrollNewDevice('临时登记台', '');
+    assert.equal((await submit([makeRecord()], token)).status, 200);
+
+    const revoked = await server.request('POST', `/api/devices/${device.deviceId}/revoke`, { token: adminToken });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.data.status, 'revoked');
+    assert.ok(revoked.body.data.revokedAt);
+
+    const rejected = await submit([makeRecord()], token);
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.body.deviceRevoked, true);
+    const me = await server.request('GET', '/api/devices/me', { headers: { 'X-Device-Token': token } });
+    assert.equal(me.body.data.status, 'revoked');
+
+    // 重新生成登记码登记后得到新令牌，旧令牌仍不能使用
+    const reissued = await server.request('POST', `/api/devices/${device.deviceId}/enrollment`, { token: adminToken });
+    assert.equal(reissued.status, 200);
+    const enrolled = await server.request('POST', '/api/devices/enroll', { body: { code: reissued.body.enrollment.code } });
+    assert.equal(enrolled.body.device.deviceId, device.deviceId);
+    assert.equal((await submit([makeRecord()], enrolled.body.token)).status, 200);
+    assert.equal((await submit([makeRecord()], token)).status, 401);
+  });
+
+  it('已登记的设备凭令牌同步，停用后同步返回 401', async () => {
+    const { device, token } = await enrollNewDevice('同步登记台', '');
+    const headers = { 'X-Device-Token': token };
+    const record = makeRecord();
+    assert.equal((await submit([record], token)).status, 200);
+
+    const pulled = await server.request('GET', '/api/sync', { headers });
+    assert.equal(pulled.status, 200);
+    const synced = pulled.body.changes.find(item => item.localId === record.localId);
+    assert.equal(synced.deviceId, device.deviceId);
+
+    const pushed = await server.request('POST', '/api/sync', {
+      headers,
+      body: { changes: [{ localId: record.localId, version: synced.version, fields: { content: '设备上修改' } }] }
+    });
+    assert.equal(pushed.status, 200);
+    assert.equal(pushed.body.results[0].status, 'applied');
+
+    // 修改历史和审计日志记录的是登记的设备
+    const { body: history } = await server.request('GET', `/api/records/${record.localId}/history`, { token: adminToken });
+    assert.equal(history.data[0].deviceId, device.deviceId);
+    assert.equal(history.data[0].role, 'device');
+
+    await server.request('POST', `/api/devices/${device.deviceId}/revoke`, { token: adminToken });
+    const revoked = await server.request('GET', '/api/sync', { headers });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.deviceRevoked, true);
+    assert.equal((await server.request('POST', '/api/sync', {
+      headers,
+      body: { changes: [{ localId: record.localId, version: pushed.body.results[0].version, fields: { content: 'x' } }] }
+    })).status, 401);
+
+    // 没有令牌也没有登录时仍需要登记员以上的账号
+    assert.equal((await server.request('GET', '/api/sync')).status, 401);
+  });
+
+  it('修改设备名称和使用人', async () => {
+    const { device } = await enrollNewDevice();
+    const { status, body } = await server.request('PUT', `/api/devices/${device.deviceId}`, {
+      token: adminToken,
+      body: { operator: '陈师兄' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.label, '大殿登记台');
+    assert.equal(body.data.operator, '陈师兄');
+
+    const missing = await server.request('PUT', '/api/devices/dev_missing', { token: adminToken, body: { label: 'x' } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('调试接口需要管理员权限', async () => {
+    assert.equal((await server.request('POST', '/api/test/insert')).status, 401);
+    assert.equal((await server.request('POST', '/api/debug-submit')).status, 401);
+  });
+});
+
+describe('登记设备：降级模式', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-devices-'));
+  const env = {
+    ...REQUIRE_TOKEN,
+    STORAGE_DRIVER: 'file',
+    STORAGE_FILE: path.join(tmpDir, 'db.json'),
+    SUBMISSION_QUEUE_FILE: path.join(tmpDir, 'pending_submissions.jsonl')
+  };
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('排队的数据补写时校验设备令牌', async () => {
+    const server = await startServer(env);
+    let device;
+    let token;
+    try {
+      const adminToken = await server.login();
+      const created = await server.request('POST', '/api/devices', { token: adminToken, body: { label: '离线登记台' } });
+      const enrolled = await server.request('POST', '/api/devices/enroll', { body: { code: created.body.enrollment.code } });
+      ({ device, token } = enrolled.body);
+    } finally {
+      await server.stop();
+    }
+
+    // 数据库不可用时无法查询设备，附带上次连接时可以使用的设备令牌的数据先排队，其他令牌和未附带令牌的拒绝
+    const degraded = await startServer({
+      ...env,
+      STORAGE_DRIVER: 'mongodb',
+      MONGODB_URI: 'mongodb://127.0.0.1:9/?serverSelectionTimeoutMS=300',
+      DB_RETRY_INTERVAL_MS: '600000'
+    }, { degraded: true });
+    const valid = makeRecord({ name: '离线有效' });
+    try {
+      const headers = token => ({ 'X-Device-Token': token });
+      const queued = await degraded.request('POST', '/api/records', { headers: headers(token), body: { data: [valid] } });
+      assert.equal(queued.status, 202);
+      const forged = await degraded.request('POST', '/api/records', {
+        headers: headers('forged-token'),
+        body: { data: [makeRecord({ name: '离线伪造' })] }
+      });
+      assert.equal(forged.status, 401);
+      assert.equal(forged.body.deviceRevoked, true);
+      const anonymous = await degraded.request('POST', '/api/records', { body: { data: [makeRecord()] } });
+      assert.equal(anonymous.status, 503);
+    } finally {
+      await degraded.stop();
+    }
+
+    const recovered = await startServer(env);
+    try {
+      const adminToken = await recovered.login();
+      let health;
+      for (let i = 0; i < 50; i++) {
+        health = await recovered.request('GET', '/health');
+        if (health.body.queuedSubmissions === 0) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.equal(health.body.queuedSubmissions, 0);
+
+      const list = await recovered.request('GET', '/api/records?search=离线', { token: adminToken });
+      assert.deepEqual(list.body.data.map(record => [record.name, record.deviceId]), [['离线有效', device.deviceId]]);
+
+      const devices = await recovered.request('GET', '/api/devices', { token: adminToken });
+      assert.equal(devices.body.data[0].recordCount, 1);
+    } finally {
+      await recovered.stop();
+    }
+  });
+
+  it('降级模式下拒绝已停用设备的令牌，从未连接过数据库时不接受令牌', async () => {
+    const revokedEnv = {
+      ...env,
+      STORAGE_FILE: path.join(tmpDir, 'revoked-db.json'),
+      SUBMISSION_QUEUE_FILE: path.join(tmpDir, 'revoked_submissions.jsonl')
+    };
+    const degradedEnv = {
+      STORAGE_DRIVER: 'mongodb',
+      MONGODB_URI: 'mongodb://127.0.0.1:9/?serverSelectionTimeoutMS=300',
+      DB_RETRY_INTERVAL_MS: '600000'
+    };
+    const submit = (server, token) => server.request('POST', '/api/records', {
+      headers: { 'X-Device-Token': token },
+      body: { data: [makeRecord()] }
+    });
+
+    const neverConnected = await startServer({ ...revokedEnv, ...degradedEnv }, { degraded: true });
+    try {
+      assert.equal((await submit(neverConnected, 'any-token')).status, 503);
+    } finally {
+      await neverConnected.stop();
+    }
+
+    const server = await startServer(revokedEnv);
+    let token;
+    try {
+      const adminToken = await server.login();
+      const created = await server.request('POST', '/api/devices', { token: adminToken, body: { label: '已停用的登记台' } });
+      const enrolled = await server.request('POST', '/api/devices/enroll', { body: { code: created.body.enrollment.code } });
+      token = enrolled.body.token;
+      await server.request('POST', `/api/devices/${created.body.data.deviceId}/revoke`, { token: adminToken });
+    } finally {
+      await server.stop();
+    }
+
+    const degraded = await startServer({ ...revokedEnv, ...degradedEnv }, { degraded: true });
+    try {
+      const rejected = await submit(degraded, token);
+      assert.equal(rejected.status, 401);
+      assert.equal(rejected.body.deviceRevoked, true);
+    } finally {
+      await degraded.stop();
+    }
+  });
+});
@@ -0,0 +1,206 @@
+// donors.test.js - 功德主名录：按规范化的姓名和电话归并记录、疑似重复及合并、历年记录
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EJSON } = require('mongodb').BSON;
+const { startServer, makeRecord, PROJECTS } = require('./helpers');
+
+describe('功德主名录 /api/donors', () => {
+  let server;
+  let adminToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    viewerToken = await server.tokenFor('viewer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // 提交记录，超荐内容填 localId 以便按记录查找
+  async function submit(records) {
+    records.forEach(record => {
+      record.content = record.localId;
+    });
+    const { body } = await server.request('POST', '/api/records', { body: { data: records } });
+    assert.equal(body.insertedCount, records.length);
+    return records;
+  }
+
+  // 按 localId 读取记录的 donorId
+  async function donorIdOf(record) {
+    const { body } = await server.request('GET', `/api/records?search=${encodeURIComponent(record.localId)}`, { token: viewerToken });
+    return body.data[0].donorId;
+  }
+
+  it('需要登录，合并和查找重复需要管理员权限', async () => {
+    assert.equal((await server.request('GET', '/api/donors')).status, 401);
+    assert.equal((await server.request('GET', '/api/donors/duplicates', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('POST', '/api/donors/x/merge', { token: viewerToken, body: {} })).status, 403);
+  });
+
+  it('繁简写法、空格和电话格式不同的登记归到同一位功德主', async () => {
+    const [first, second, third] = await submit([
+      makeRecord({ name: '陳國華', contact: '陈太太', phone: '0912-345-678' }),
+      makeRecord({ name: '陈 国华', contact: '陳先生', phone: '+886 912 345 678' }),
+      makeRecord({ name: '陳國華', phone: '0922-000-111' })
+    ]);
+
+    const donorId = await donorIdOf(first);
+    assert.match(donorId, /^donor_/);
+    assert.equal(await donorIdOf(second), donorId);
+    // 电话不同时不自动归并
+    assert.notEqual(await donorIdOf(third), donorId);
+
+    // 搜索不区分繁简
+    const list = await server.request('GET', '/api/donors?search=陈国华', { token: viewerToken });
+    assert.equal(list.status, 200);
+    const donor = list.body.data.find(item => item.donorId === donorId);
+    assert.equal(donor.recordCount, 2);
+    assert.deepEqual(donor.names, ['陈 国华', '陳國華']);
+    assert.deepEqual(donor.phones, ['+886 912 345 678', '0912-345-678']);
+    assert.equal(list.body.pagination.totalCount, 2);
+
+    const byPhone = await server.request('GET', '/api/donors?search=0912345678', { token: viewerToken });
+    assert.deepEqual(byPhone.body.data.map(item => item.donorId), [donorId]);
+  });
+
+  it('没有电话时按联系人区分，联系人一栏填电话时按电话归并', async () => {
+    const [a, b, c, d] = await submit([
+      makeRecord({ name: '林美玲', contact: '林先生' }),
+      makeRecord({ name: '林美玲', contact: '林 先生' }),
+      makeRecord({ name: '林美玲', contact: '張小姐' }),
+      makeRecord({ name: '林美玲', contact: '0933 111 222' })
+    ]);
+    const [e] = await submit([makeRecord({ name: '林美玲', phone: '0933-111-222' })]);
+
+    assert.equal(await donorIdOf(a), await donorIdOf(b));
+    assert.notEqual(await donorIdOf(a), await donorIdOf(c));
+    assert.equal(await donorIdOf(d), await donorIdOf(e));
+  });
+
+  it('找出疑似重复的功德主并合并，合并后新的登记也归到合并后的功德主', async () => {
+    const [main, other] = await submit([
+      makeRecord({ name: '黃志明', phone: '0955-123-456' }),
+      makeRecord({ name: '黄志明', phone: '0955-999-888', ...PROJECTS.ancestors })
+    ]);
+    const mainId = await donorIdOf(main);
+    const otherId = await donorIdOf(other);
+    assert.notEqual(mainId, otherId);
+
+    const duplicates = await server.request('GET', '/api/donors/duplicates', { token: adminToken });
+    assert.equal(duplicates.status, 200);
+    const pair = duplicates.body.data.find(item => item.donors.some(donor => donor.donorId === otherId));
+    assert.deepEqual(pair.reasons, ['name']);
+    assert.deepEqual(pair.donors.map(donor => donor.donorId).sort(), [mainId, otherId].sort());
+
+    const missing = await server.request('POST', `/api/donors/${mainId}/merge`, { token: adminToken, body: { donorIds: ['donor_missing'] } });
+    assert.equal(missing.status, 404);
+    const self = await server.request('POST', `/api/donors/${mainId}/merge`, { token: adminToken, body: { donorIds: [mainId] } });
+    assert.equal(self.status, 400);
+
+    const merged = await server.request('POST', `/api/donors/${mainId}/merge`, { token: adminToken, body: { donorIds: [otherId] } });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.movedCount, 1);
+    assert.equal(merged.body.data.recordCount, 2);
+    assert.equal(merged.body.data.mergedFrom[0].donorId, otherId);
+    assert.equal(await donorIdOf(other), mainId);
+
+    // 原来的识别键指向合并后的功德主，旧的 donorId 也能查到
+    const [again] = await submit([makeRecord({ name: '黄志明', phone: '0955 999 888' })]);
+    assert.equal(await donorIdOf(again), mainId);
+    const redirected = await server.request('GET', `/api/donors/${otherId}`, { token: viewerToken });
+    assert.equal(redirected.body.data.donorId, mainId);
+
+    const after = await server.request('GET', '/api/donors/duplicates', { token: adminToken });
+    assert.ok(!after.body.data.some(item => item.donors.some(donor => donor.donorId === otherId)));
+  });
+
+  it('功德主的历年记录、缴费及按年度和项目的汇总', async () => {
+    const [deputy, ancestors] = await submit([
+      makeRecord({ name: '吳淑芬', phone: '0977-000-111' }),
+      makeRecord({ name: '吴淑芬', phone: '0977000111', ...PROJECTS.ancestors })
+    ]);
+    const donorId = await donorIdOf(deputy);
+    const { body: listed } = await server.request('GET', `/api/records?search=${encodeURIComponent(ancestors.localId)}`, { token: viewerToken });
+    await server.request('POST', `/api/records/${listed.data[0]._id}/payments`, {
+      token: adminToken,
+      body: { amount: 200, method: '现金' }
+    });
+
+    const { status, body } = await server.request('GET', `/api/donors/${donorId}`, { token: viewerToken });
+    assert.equal(status, 200);
+    assert.equal(body.data.recordCount, 2);
+    assert.equal(body.data.totals.amountTWD, 80200);
+    assert.equal(body.data.totals.paidAmountTWD, 200);
+    assert.deepEqual(body.records.map(record => record.localId), [deputy.localId, ancestors.localId]);
+    assert.equal(body.payments.length, 1);
+    // 年度按 TIMEZONE（默认 Asia/Taipei）计算，与服务器所在的时区无关
+    const year = Number(new Intl.DateTimeFormat('en-US', { timeZone: 'Asia/Taipei', year: 'numeric' }).format(new Date()));
+    assert.deepEqual(body.byYear.map(group => [group.year, group.recordCount]), [[year, 2]]);
+    assert.deepEqual(body.byProject.map(group => group.project), [PROJECTS.deputy.project, PROJECTS.ancestors.project]);
+
+    assert.equal((await server.request('GET', '/api/donors/donor_missing', { token: viewerToken })).status, 404);
+  });
+
+  it('修改姓名或电话后重新归到功德主', async () => {
+    const [record] = await submit([makeRecord({ name: '鄭大同', phone: '0988-111-222' })]);
+    const [other] = await submit([makeRecord({ name: '郑大同', phone: '0988-333-444' })]);
+
+    const patch = await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: adminToken,
+      body: { phone: '0988 333 444' }
+    });
+    assert.equal(patch.status, 200);
+    assert.equal(patch.body.data.donorId, await donorIdOf(other));
+    // 修改历史只记录修改的字段
+    assert.deepEqual(patch.body.changes.map(change => change.field), ['phone']);
+  });
+
+  it('为之前登记的记录建立功德主', async () => {
+    // 测试接口直接写入记录，不经过功德主归并
+    const inserted = await server.request('POST', '/api/test/insert', { token: adminToken });
+    assert.equal(inserted.body.data.donorId, undefined);
+
+    const { status, body } = await server.request('POST', '/api/donors/link', { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.linkedCount, 1);
+
+    const list = await server.request('GET', '/api/donors?search=测试用户', { token: viewerToken });
+    assert.equal(list.body.data[0].recordCount, 1);
+    assert.equal((await server.request('POST', '/api/donors/link', { token: adminToken })).body.linkedCount, 0);
+  });
+});
+
+describe('功德主名录：重复提交', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-donors-'));
+  const storage = { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(tmpDir, 'db.json') };
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('已存在的记录不会新建功德主', async () => {
+    const record = makeRecord({ name: '林美玲', phone: '0933-222-111' });
+    const server = await startServer({ ...storage, SUBMISSION_QUEUE_FILE: path.join(tmpDir, 'queue.jsonl') });
+    try {
+      await server.request('POST', '/api/records', { body: { data: [record] } });
+      // 同一 localId 以不同的姓名和电话重新提交，记录已存在，不写入
+      const { body } = await server.request('POST', '/api/records', {
+        body: { data: [{ ...record, name: '林美惠', phone: '0933-999-888' }] }
+      });
+      assert.equal(body.duplicateCount, 1);
+    } finally {
+      await server.stop();
+    }
+
+    const data = EJSON.parse(fs.readFileSync(storage.STORAGE_FILE, 'utf8'), { relaxed: true });
+    assert.deepEqual(data.donors.map(donor => donor.name), ['林美玲']);
+    assert.equal(data.zhongyuan_records[0].donorId, data.donors[0].donorId);
+  });
+});
@@ -0,0 +1,166 @@
+// events.test.js - 管理后台实时更新：推送记录的新增、修改、删除及统计增量，按 Last-Event-ID 补发
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeRecord, PROJECTS } = require('./helpers');
+
+// 等待事件的超时（毫秒）
+const EVENT_TIMEOUT_MS = 5000;
+
+describe('实时更新 /api/events', () => {
+  let server;
+  let adminToken;
+  let viewerToken;
+  const streams = [];
+
+  before(async () => {
+    server = await startServer({ EVENT_HEARTBEAT_MS: '200' });
+    adminToken = await server.login();
+    viewerToken = await server.tokenFor('viewer', adminToken);
+  });
+
+  after(async () => {
+    streams.forEach(stream => stream.close());
+    await server.stop();
+  });
+
+  // 打开事件流，返回 { status, events, waitFor(type), close }；events 为已收到的 { id, type, data }
+  async function openStream(token, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/api/events`, {
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      signal: controller.signal
+    });
+    const stream = { status: response.status, events: [], close: () => controller.abort() };
+    streams.push(stream);
+    if (response.status !== 200) {
+      await response.text();
+      return stream;
+    }
+
+    let waiting = [];
+    let buffer = '';
+    (async () => {
+      const decoder = new TextDecoder();
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+            const message = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = {};
+            message.split('\n').forEach(line => {
+              const match = /^(id|event|data): (.*)$/.exec(line);
+              if (match) event[match[1]] = match[2];
+            });
+            if (event.event) {
+              stream.events.push({ id: event.id, type: event.event, data: JSON.parse(event.data) });
+            }
+          }
+          waiting.forEach(check => check());
+        }
+      } catch (error) {
+        // 测试结束时中止连接
+      }
+      stream.ended = true;
+      waiting.forEach(check => check());
+    })();
+
+    // 等待一个还没取过的指定类型的事件
+    const taken = new Set();
+    stream.waitFor = type => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`等待 ${type} 事件超时`)), EVENT_TIMEOUT_MS);
+      const check = () => {
+        const event = stream.events.find(item => item.type === type && !taken.has(item));
+        if (event) {
+          taken.add(event);
+          clearTimeout(timer);
+          waiting = waiting.filter(item => item !== check);
+          resolve(event);
+        } else if (stream.ended) {
+          clearTimeout(timer);
+          reject(new Error(`连接已关闭，没有收到 ${type} 事件`));
+        }
+      };
+      waiting.push(check);
+      check();
+    });
+    return stream;
+  }
+
+  async function submit(records) {
+    const { body } = await server.request('POST', '/api/records', { body: { data: records } });
+    assert.equal(body.insertedCount, records.length);
+    return records;
+  }
+
+  it('需要登录', async () => {
+    assert.equal((await openStream()).status, 401);
+  });
+
+  it('推送新增、修改、缴费和删除的记录及统计增量', async () => {
+    const stream = await openStream(viewerToken);
+    assert.equal(stream.status, 200);
+    await stream.waitFor('ready');
+
+    const [record] = await submit([makeRecord(), makeRecord({ ...PROJECTS.ancestors })]);
+    const created = await stream.waitFor('record.created');
+    assert.equal(created.data.count, 2);
+    assert.equal(created.data.records[0].localId, record.localId);
+    assert.ok(created.data.records[0]._id);
+    const createdDelta = await stream.waitFor('stats.delta');
+    assert.equal(createdDelta.data.deltas[0].totalRecords, 2);
+    assert.equal(createdDelta.data.deltas[0].totalAmountTWD, 80200);
+
+    await server.request('PATCH', `/api/records/${record.localId}`, { token: adminToken, body: { content: '新的内容' } });
+    const updated = await stream.waitFor('record.updated');
+    assert.equal(updated.data.record.content, '新的内容');
+    assert.deepEqual(updated.data.changes.map(change => change.field), ['content']);
+
+    await server.request('POST', `/api/records/${record.localId}/payments`, { token: adminToken, body: { amount: 500, method: '现金' } });
+    const paid = await stream.waitFor('record.updated');
+    assert.equal(paid.data.record.paidAmountTWD, 500);
+    const paidDelta = await stream.waitFor('stats.delta');
+    assert.deepEqual(paidDelta.data.deltas.map(delta => [delta.totalRecords, delta.paidAmountTWD]), [[0, 500]]);
+
+    await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+    const deleted = await stream.waitFor('record.deleted');
+    assert.deepEqual(deleted.data.ids.map(item => item.localId), [record.localId]);
+    const deletedDelta = await stream.waitFor('stats.delta');
+    assert.equal(deletedDelta.data.deltas[0].totalRecords, -1);
+    assert.equal(deletedDelta.data.deltas[0].totalAmountTWD, -80000);
+
+    await server.request('POST', `/api/records/${record.localId}/restore`, { token: adminToken });
+    const restored = await stream.waitFor('record.created');
+    assert.equal(restored.data.restored, true);
+    assert.equal(restored.data.records[0].deletedAt, undefined);
+  });
+
+  it('重连时按 Last-Event-ID 补发错过的事件，无法补发时推送 resync', async () => {
+    const first = await openStream(viewerToken);
+    await first.waitFor('ready');
+    await submit([makeRecord()]);
+    const seen = await first.waitFor('record.created');
+    first.close();
+
+    const [missed] = await submit([makeRecord()]);
+    const resumed = await openStream(viewerToken, { 'Last-Event-ID': seen.id });
+    const replayed = await resumed.waitFor('record.created');
+    assert.equal(replayed.data.records[0].localId, missed.localId);
+    // 之前收到的事件不再推送
+    assert.ok(!resumed.events.some(event => event.id === seen.id));
+    assert.ok(!resumed.events.some(event => event.type === 'ready'));
+
+    const unknown = await openStream(viewerToken, { 'Last-Event-ID': 'old-boot-1' });
+    await unknown.waitFor('resync');
+  });
+
+  it('注销登录后推送 auth-expired 并关闭连接', async () => {
+    const token = await server.tokenFor('viewer', adminToken);
+    const stream = await openStream(token);
+    await stream.waitFor('ready');
+
+    await server.request('POST', '/api/auth/logout', { token });
+    await stream.waitFor('auth-expired');
+  });
+});
@@ -0,0 +1,97 @@
+// export.test.js - CSV / Excel 导出格式及权限
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+const CSV_HEADER = '序号,姓名,护持项目,超荐方式,护持金额(新台币),护持金额(人民币),超荐内容,是否缴费,联系人,提交时间,设备ID,批次ID,本地ID';
+
+describe('导出数据 GET /api/export/*', () => {
+  let server;
+  let treasurerToken;
+  let registrarToken;
+  const records = [
+    makeRecord({ name: '张三', content: '他说"你好"', contact: '+886 912' }),
+    makeRecord({ name: '李四', ...PROJECTS.ancestors, content: '=SUM(1),@A1', contact: '-王', payment: '已缴费' })
+  ];
+
+  before(async () => {
+    server = await startServer();
+    const adminToken = await server.login();
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+    registrarToken = await server.tokenFor('registrar', adminToken);
+    await server.request('POST', '/api/records', { body: { data: records, deviceId: 'device-x', batchId: 'batch-x' } });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const csvLines = text => text.split('\n').filter(Boolean);
+
+  it('CSV 以 BOM 和表头开头，每条记录一行', async () => {
+    const { status, headers, body } = await server.request('GET', '/api/export/csv?sortBy=name&sortOrder=asc', { token: treasurerToken, raw: true });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv; charset=utf-8/);
+    assert.match(headers.get('content-disposition'), /^attachment; filename=zhongyuan_records_\d{8}_2\.csv$/);
+    // UTF-8 BOM，Excel 据此识别编码
+    assert.deepEqual([...body.subarray(0, 3)], [0xEF, 0xBB, 0xBF]);
+
+    const lines = csvLines(body.subarray(3).toString('utf8'));
+    assert.equal(lines[0], CSV_HEADER);
+    assert.equal(lines.length, 3);
+    assert.ok(lines[1].startsWith('1,'));
+    assert.ok(lines[2].startsWith('2,'));
+  });
+
+  it('CSV 文本加引号、转义双引号，并防止公式注入', async () => {
+    const { body } = await server.request('GET', `/api/export/csv?search=${encodeURIComponent('张三')}`, { token: treasurerToken });
+    const [, row] = csvLines(body);
+    const record = records[0];
+    const submittedAt = row.match(/,(\d{4}-\d{2}-\d{2}T[\d:.]+Z),/)[1];
+    assert.equal(row, [
+      1,
+      '"张三"',
+      `"${record.project}"`,
+      `"${record.method}"`,
+      80000,
+      (Math.round(80000 / 4.2 * 100) / 100).toFixed(2),
+      '"他说""你好"""',
+      '"未缴费"',
+      '"\'+886 912"',
+      submittedAt,
+      '"device-x"',
+      '"batch-x"',
+      `"${record.localId}"`
+    ].join(','));
+
+    const other = await server.request('GET', `/api/export/csv?search=${encodeURIComponent('李四')}`, { token: treasurerToken });
+    const [, otherRow] = csvLines(other.body);
+    assert.ok(otherRow.includes('"\'=SUM(1),@A1"'));
+    assert.ok(otherRow.includes('"\'-王"'));
+  });
+
+  it('CSV 使用与查询相同的筛选条件', async () => {
+    const paid = await server.request('GET', `/api/export/csv?payment=${encodeURIComponent('已缴费')}`, { token: treasurerToken });
+    const lines = csvLines(paid.body);
+    assert.equal(lines.length, 2);
+    assert.ok(lines[1].includes('"李四"'));
+
+    const invalid = await server.request('GET', '/api/export/csv?sortBy=password', { token: treasurerToken });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('Excel 导出为 xlsx 文件', async () => {
+    const { status, headers, body } = await server.request('GET', '/api/export/xlsx', { token: treasurerToken, raw: true });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.match(headers.get('content-disposition'), /_2\.xlsx$/);
+    // xlsx 是 zip 文件
+    assert.equal(body.subarray(0, 2).toString(), 'PK');
+  });
+
+  it('导出需要财务权限', async () => {
+    assert.equal((await server.request('GET', '/api/export/csv')).status, 401);
+    assert.equal((await server.request('GET', '/api/export/csv', { token: registrarToken })).status, 403);
+    assert.equal((await server.request('GET', '/api/export/xlsx', { token: registrarToken })).status, 403);
+  });
+});
@@ -0,0 +1,69 @@
+// health.test.js - 健康检查、连接测试及未知路径
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('健康检查', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('GET /health 返回数据库状态', async () => {
+    const { status, body } = await server.request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.database, 'connected');
+    assert.ok(!isNaN(Date.parse(body.timestamp)));
+    assert.equal(typeof body.uptime, 'number');
+  });
+
+  it('GET /api/test 返回连接正常', async () => {
+    const { status, body } = await server.request('GET', '/api/test');
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+  });
+
+  it('未知的 API 路径返回 404', async () => {
+    const { status, body } = await server.request('GET', '/api/not-a-route');
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+
+  it('首页返回登记页面', async () => {
+    const { status, headers } = await server.request('GET', '/');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/html/);
+  });
+
+  it('手机版提供 Web App Manifest 和 Service Worker', async () => {
+    const manifest = await server.request('GET', '/manifest.webmanifest', { raw: true });
+    assert.equal(manifest.status, 200);
+    assert.match(manifest.headers.get('content-type'), /application\/manifest\+json/);
+    assert.equal(JSON.parse(manifest.body.toString('utf8')).start_url, '/mobile.html');
+
+    const worker = await server.request('GET', '/sw.js');
+    assert.equal(worker.status, 200);
+    assert.match(worker.headers.get('content-type'), /javascript/);
+    assert.match(worker.headers.get('content-security-policy'), /connect-src 'self' https:\/\/cdnjs\.cloudflare\.com/);
+  });
+});
+
+describe('启动配置', () => {
+  it('未配置 MONGODB_URI 且未指定其他存储时拒绝启动', async () => {
+    await assert.rejects(startServer({ STORAGE_DRIVER: '', MONGODB_URI: '' }), /未配置 MONGODB_URI/);
+  });
+
+  it('生产环境未配置 JWT_SECRET 或 ADMIN_PASSWORD 时拒绝启动，不使用默认值', async () => {
+    await assert.rejects(
+      startServer({ NODE_ENV: 'production', JWT_SECRET: '', ADMIN_PASSWORD: '' }),
+      /未配置 JWT_SECRET、ADMIN_PASSWORD/
+    );
+    await assert.rejects(startServer({ NODE_ENV: 'production', ADMIN_PASSWORD: '' }), /未配置 ADMIN_PASSWORD/);
+  });
+});
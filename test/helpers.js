@@ -0,0 +1,161 @@
+// helpers.js - 集成测试辅助：以内存存储启动服务器并发送 API 请求
+const { spawn } = require('child_process');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'admin', password: 'test-admin-password' };
+
+// 服务器启动超时（毫秒）
+const START_TIMEOUT_MS = 15000;
+
+// 取得一个空闲端口
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// 以内存存储启动 server/server.js，返回测试用的客户端；env 可覆盖环境变量
+// degraded 为 true 时等待服务器以降级模式（数据库不可用）运行，否则等待数据库连接成功
+async function startServer(env = {}, { degraded = false } = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const output = [];
+
+  const child = spawn(process.execPath, [path.join(__dirname, '../server/server.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      STORAGE_DRIVER: 'memory',
+      // 每个服务器使用各自的登记队列文件，不补写开发环境中遗留的队列
+      SUBMISSION_QUEUE_FILE: path.join(os.tmpdir(), `zhongyuan-test-queue-${port}.jsonl`),
+      JWT_SECRET: 'test-secret',
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      RATE_LIMIT_MAX: '100000',
+      // 不存在的字体和未配置的邮件服务，使 PDF 和邮件接口的结果不受测试机器影响
+      PDF_FONT_PATH: path.join(__dirname, 'missing-font.ttf'),
+      SMTP_HOST: '',
+      // 大部分测试不关心设备登记，提交登记数据不要求设备令牌（devices.test.js 中开启）
+      REQUIRE_DEVICE_TOKEN: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk));
+  child.stderr.on('data', chunk => output.push(chunk));
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`服务器启动失败:\n${Buffer.concat(output).toString()}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok && !degraded) break;
+      if (degraded && (await response.json()).status === 'degraded') break;
+    } catch (error) {
+      // 服务器尚未开始监听
+    }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`服务器启动超时:\n${Buffer.concat(output).toString()}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  // 发送请求，返回 { status, headers, body }；JSON 响应解析为对象，其余为文本或 Buffer
+  async function request(method, urlPath, { token, body, headers = {}, raw = false } = {}) {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !isForm ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined || isForm ? body : JSON.stringify(body)
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    let responseBody;
+    if (raw) {
+      responseBody = Buffer.from(await response.arrayBuffer());
+    } else if (contentType.includes('application/json')) {
+      responseBody = await response.json();
+    } else {
+      responseBody = await response.text();
+    }
+    return { status: response.status, headers: response.headers, body: responseBody };
+  }
+
+  // 登录并返回令牌
+  async function login(username = ADMIN.username, password = ADMIN.password) {
+    const response = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (response.status !== 200) {
+      throw new Error(`登录失败: ${JSON.stringify(response.body)}`);
+    }
+    return response.body.token;
+  }
+
+  // 以管理员身份创建指定角色的账号，返回该账号的令牌
+  async function tokenFor(role, adminToken) {
+    const username = `${role}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const password = `${role}-password`;
+    const response = await request('POST', '/api/users', {
+      token: adminToken || await login(),
+      body: { username, password, role }
+    });
+    if (response.status !== 201) {
+      throw new Error(`创建账号失败: ${JSON.stringify(response.body)}`);
+    }
+    return login(username, password);
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+  }
+
+  return { baseUrl, request, login, tokenFor, stop };
+}
+
+// 护持项目目录中的项目，用于构造能通过校验的登记数据
+const PROJECTS = {
+  deputy: { project: '副总功德主', method: '超荐消业共修(七天)-莲位-附 超荐莲位 贰座', amountTWD: 80000 },
+  ancestors: { project: '随喜超荐(历代祖先)', method: '超荐消业共修(三天)-历代祖先', amountTWD: 200 }
+};
+
+let sequence = 0;
+
+// 生成一条登记数据，overrides 覆盖默认字段
+function makeRecord(overrides = {}) {
+  sequence += 1;
+  return {
+    localId: `test_${Date.now()}_${sequence}`,
+    name: `测试${sequence}`,
+    ...PROJECTS.deputy,
+    content: '',
+    payment: '未缴费',
+    contact: '',
+    ...overrides
+  };
+}
+
+module.exports = {
+  ADMIN,
+  PROJECTS,
+  startServer,
+  makeRecord
+};
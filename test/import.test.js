@@ -0,0 +1,94 @@
+// import.test.js - 批量导入 CSV / Excel
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+// 构造上传表单
+function importForm(content, fileName = 'import.csv') {
+  const form = new FormData();
+  form.append('file', new Blob([content]), fileName);
+  return form;
+}
+
+describe('批量导入 POST /api/import', () => {
+  let server;
+  let adminToken;
+  const csv = [
+    '姓名,护持项目,超荐方式,护持金额(新台币),是否缴费,联系人',
+    `导入一,${PROJECTS.deputy.project},${PROJECTS.deputy.method},80000,未缴费,`,
+    `导入二,${PROJECTS.ancestors.project},${PROJECTS.ancestors.method},200,已缴费,导入联系人`,
+    `导入一,${PROJECTS.deputy.project},${PROJECTS.deputy.method},80000,未缴费,`,
+    `导入三,不存在的项目,x,1,未缴费,`
+  ].join('\n');
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('预览模式逐行报告结果，不写入数据', async () => {
+    const { status, body } = await server.request('POST', '/api/import?dryRun=true', { token: adminToken, body: importForm(csv) });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual(
+      { total: body.totalRows, valid: body.validCount, invalid: body.invalidCount, duplicate: body.duplicateCount },
+      { total: 4, valid: 2, invalid: 1, duplicate: 1 }
+    );
+    assert.deepEqual(body.rows.map(row => row.row), [2, 3, 4, 5]);
+    assert.equal(body.rows[2].duplicateOf.row, 2);
+
+    const list = await server.request('GET', '/api/records', { token: adminToken });
+    assert.equal(list.body.pagination.totalCount, 0);
+  });
+
+  it('导入有效行，再次导入时全部视为重复', async () => {
+    const { status, body } = await server.request('POST', '/api/import', { token: adminToken, body: importForm(csv) });
+    assert.equal(status, 200);
+    assert.equal(body.insertedCount, 2);
+    assert.equal(body.duplicateCount, 1);
+    assert.equal(body.invalidCount, 1);
+
+    const list = await server.request('GET', `/api/records?search=${encodeURIComponent('导入')}`, { token: adminToken });
+    assert.equal(list.body.pagination.totalCount, 2);
+    assert.ok(list.body.data.every(record => record.batchId === body.batchId && record.deviceId === 'import'));
+
+    const again = await server.request('POST', '/api/import', { token: adminToken, body: importForm(csv) });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.duplicateCount, 3);
+  });
+
+  it('导出的 CSV 可以原样导入另一台服务器', async () => {
+    const records = [makeRecord({ content: '=1+1', contact: '+886 912' }), makeRecord({ ...PROJECTS.ancestors })];
+    await server.request('POST', '/api/records', { body: { data: records } });
+    const exported = await server.request('GET', `/api/export/csv?search=${encodeURIComponent('测试')}`, { token: adminToken });
+
+    const target = await startServer();
+    try {
+      const targetToken = await target.login();
+      const { status, body } = await target.request('POST', '/api/import', {
+        token: targetToken,
+        body: importForm(exported.body, 'export.csv')
+      });
+      assert.equal(status, 200);
+      assert.equal(body.insertedCount, 2);
+
+      const { body: list } = await target.request('GET', '/api/records', { token: targetToken });
+      const imported = list.data.find(record => record.localId === records[0].localId);
+      assert.equal(imported.content, '=1+1');
+      assert.equal(imported.contact, '+886 912');
+    } finally {
+      await target.stop();
+    }
+  });
+
+  it('缺少文件或必需列时返回 400，需要管理员权限', async () => {
+    assert.equal((await server.request('POST', '/api/import', { token: adminToken, body: new FormData() })).status, 400);
+    assert.equal((await server.request('POST', '/api/import', { token: adminToken, body: importForm('a,b\n1,2') })).status, 400);
+    const treasurerToken = await server.tokenFor('treasurer', adminToken);
+    assert.equal((await server.request('POST', '/api/import', { token: treasurerToken, body: importForm(csv) })).status, 403);
+  });
+});
@@ -0,0 +1,90 @@
+// memoryDb.test.js - 内嵌存储的事务：出错时只撤销事务中的修改，不影响同时进行的其他写入；文件存储关闭时写完全部修改
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryClient } = require('../server/memoryDb');
+
+describe('内嵌存储事务', () => {
+  it('回滚时只撤销以该会话写入的文档', async () => {
+    const client = await new MemoryClient().connect();
+    const db = client.db();
+    await db.collection('records').insertMany([{ _id: 1, paid: 0 }, { _id: 2, paid: 0 }]);
+    await db.collection('counters').insertOne({ _id: 'seq', value: 1 });
+
+    const session = client.startSession();
+    await assert.rejects(session.withTransaction(async () => {
+      await db.collection('payments').insertOne({ recordId: 1, amount: 100 }, { session });
+      await db.collection('records').updateOne({ _id: 1 }, { $set: { paid: 100 } }, { session });
+      await db.collection('records').deleteOne({ _id: 2 }, { session });
+      await db.collection('counters').updateOne({ _id: 'seq' }, { $inc: { value: 1 } }, { session });
+
+      // 同时进行的其他请求（不在事务中）的写入
+      await db.collection('records').insertOne({ _id: 3, paid: 0 });
+      await db.collection('audit').insertOne({ action: 'record_submit' });
+      await db.collection('counters').updateOne({ _id: 'seq' }, { $inc: { value: 1 } });
+
+      throw new Error('缴费失败');
+    }), /缴费失败/);
+
+    assert.deepEqual(await db.collection('payments').find().toArray(), []);
+    assert.deepEqual(await db.collection('records').find().sort({ _id: 1 }).toArray(), [
+      { _id: 1, paid: 0 },
+      { _id: 2, paid: 0 },
+      { _id: 3, paid: 0 }
+    ]);
+    assert.equal(await db.collection('audit').countDocuments(), 1);
+    // 计数器在事务之后又被其他请求修改，保留其他请求的结果
+    assert.equal((await db.collection('counters').findOne({ _id: 'seq' })).value, 3);
+  });
+
+  it('成功时保留修改', async () => {
+    const client = await new MemoryClient().connect();
+    const db = client.db();
+    const session = client.startSession();
+    await session.withTransaction(async () => {
+      await db.collection('payments').insertOne({ amount: 100 }, { session });
+    });
+    assert.equal(await db.collection('payments').countDocuments(), 1);
+  });
+});
+
+describe('文件存储', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zhongyuan-memorydb-'));
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function savedSeqs(filePath) {
+    const client = await new MemoryClient({ filePath }).connect();
+    return (await client.db().collection('audit_log').find().sort({ seq: 1 }).toArray()).map(event => event.seq);
+  }
+
+  it('关闭时等待已开始的写入完成', async () => {
+    const filePath = path.join(tmpDir, 'in-flight.json');
+    const client = await new MemoryClient({ filePath }).connect();
+    await client.db().collection('audit_log').insertOne({ seq: 1 });
+    // 延迟写入已经开始
+    const saving = client.save();
+    await client.close();
+    assert.deepEqual(await savedSeqs(filePath), [1]);
+    await saving;
+  });
+
+  it('写入过程中的修改在之后写入，同时写入不互相干扰', async () => {
+    const filePath = path.join(tmpDir, 'overlap.json');
+    const client = await new MemoryClient({ filePath }).connect();
+    const events = client.db().collection('audit_log');
+    await events.insertOne({ seq: 1 });
+    const first = client.save();
+    await events.insertOne({ seq: 2 });
+    const second = client.save();
+    await events.insertOne({ seq: 3 });
+    await client.close();
+    await Promise.all([first, second]);
+    assert.deepEqual(await savedSeqs(filePath), [1, 2, 3]);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+});
@@ -0,0 +1,208 @@
+// payments.test.js - 缴费台账、对账报表、收据及莲位
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+describe('缴费台账与对账', () => {
+  let server;
+  let registrarToken;
+  let treasurerToken;
+  const unpaid = makeRecord({ name: '未缴者' });
+  const partial = makeRecord({ name: '部分缴者' });
+  const rmb = makeRecord({ name: '人民币缴费者', ...PROJECTS.ancestors });
+
+  before(async () => {
+    server = await startServer();
+    const adminToken = await server.login();
+    registrarToken = await server.tokenFor('registrar', adminToken);
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+    await server.request('POST', '/api/records', { body: { data: [unpaid, partial, rmb] } });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('部分缴费后状态为部分缴费，缴足后为已缴费', async () => {
+    const first = await server.request('POST', `/api/records/${partial.localId}/payments`, {
+      token: registrarToken,
+      body: { amount: 30000, method: '现金' }
+    });
+    assert.equal(first.status, 201);
+    assert.deepEqual(
+      { payment: first.body.summary.payment, paid: first.body.summary.paidAmountTWD, balance: first.body.summary.balanceTWD },
+      { payment: '部分缴费', paid: 30000, balance: 50000 }
+    );
+    assert.equal(first.body.data.payer, partial.name);
+    assert.equal(first.body.data.registrar.startsWith('registrar_'), true);
+
+    const second = await server.request('POST', `/api/records/${partial.localId}/payments`, {
+      token: registrarToken,
+      body: { amount: 50000, method: '转账', payer: '代缴人' }
+    });
+    assert.equal(second.body.summary.payment, '已缴费');
+
+    const ledger = await server.request('GET', `/api/records/${partial.localId}/payments`, { token: registrarToken });
+    assert.equal(ledger.status, 200);
+    assert.equal(ledger.body.data.length, 2);
+    assert.deepEqual(ledger.body.summary, { amountDueTWD: 80000, paidAmountTWD: 80000, balanceTWD: 0, payment: '已缴费' });
+  });
+
+  it('人民币缴费按记录的汇率折算', async () => {
+    const { status, body } = await server.request('POST', `/api/records/${rmb.localId}/payments`, {
+      token: registrarToken,
+      body: { amount: 50, currency: 'RMB', method: '支付宝' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.data.exchangeRate, 4.2);
+    assert.equal(body.data.amountTWD, 210);
+    assert.equal(body.summary.payment, '已缴费');
+  });
+
+  it('作废缴费后重新计算状态，不能重复作废', async () => {
+    const { body: ledger } = await server.request('GET', `/api/records/${partial.localId}/payments`, { token: registrarToken });
+    const latest = ledger.data[0];
+
+    assert.equal((await server.request('POST', `/api/payments/${latest._id}/void`, {
+      token: registrarToken,
+      body: { reason: '登记错误' }
+    })).status, 403);
+
+    const voided = await server.request('POST', `/api/payments/${latest._id}/void`, {
+      token: treasurerToken,
+      body: { reason: '登记错误' }
+    });
+    assert.equal(voided.status, 200);
+    assert.equal(voided.body.summary.payment, '部分缴费');
+    assert.equal(voided.body.summary.paidAmountTWD, 30000);
+
+    const again = await server.request('POST', `/api/payments/${latest._id}/void`, {
+      token: treasurerToken,
+      body: { reason: '登记错误' }
+    });
+    assert.equal(again.status, 409);
+    assert.equal((await server.request('POST', '/api/payments/x/void', {
+      token: treasurerToken,
+      body: { reason: 'x' }
+    })).status, 404);
+  });
+
+  it('无效的缴费数据返回 400，记录不存在返回 404', async () => {
+    for (const body of [{ amount: 0, method: '现金' }, { amount: 1, method: '支票' }, { amount: 1, method: '现金', currency: 'USD' }]) {
+      const { status } = await server.request('POST', `/api/records/${unpaid.localId}/payments`, { token: registrarToken, body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+    assert.equal((await server.request('POST', '/api/records/missing/payments', {
+      token: registrarToken,
+      body: { amount: 1, method: '现金' }
+    })).status, 404);
+    assert.equal((await server.request('GET', '/api/records/missing/payments', { token: registrarToken })).status, 404);
+  });
+
+  it('对账报表列出未缴费和未缴足的记录', async () => {
+    assert.equal((await server.request('GET', '/api/reconciliation', { token: registrarToken })).status, 403);
+
+    const { status, body } = await server.request('GET', '/api/reconciliation', { token: treasurerToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.totals, {
+      count: 3,
+      amountDueTWD: 160200,
+      paidAmountTWD: 30210,
+      balanceTWD: 130000,
+      unpaidCount: 1,
+      underpaidCount: 1
+    });
+
+    const deputy = body.data.find(group => group.project === PROJECTS.deputy.project);
+    assert.deepEqual(deputy.unpaid.map(record => record.name), ['未缴者']);
+    assert.deepEqual(deputy.underpaid.map(record => record.name), ['部分缴者']);
+
+    const filtered = await server.request('GET', `/api/reconciliation?project=${encodeURIComponent(PROJECTS.ancestors.project)}`, { token: treasurerToken });
+    assert.equal(filtered.body.totals.count, 1);
+    assert.equal(filtered.body.totals.balanceTWD, 0);
+  });
+});
+
+describe('收据与莲位', () => {
+  let server;
+  let treasurerToken;
+  let viewerToken;
+  const paid = makeRecord({ name: '收据测试' });
+  const unpaid = makeRecord({ name: '未缴收据' });
+  const selfReported = makeRecord({ name: '自报已缴', payment: '已缴费' });
+  const year = new Date().getFullYear();
+
+  before(async () => {
+    server = await startServer();
+    const adminToken = await server.login();
+    treasurerToken = await server.tokenFor('treasurer', adminToken);
+    viewerToken = await server.tokenFor('viewer', adminToken);
+    await server.request('POST', '/api/records', { body: { data: [paid, unpaid, selfReported] } });
+    await server.request('POST', `/api/records/${paid.localId}/payments`, {
+      token: treasurerToken,
+      body: { amount: 80000, method: '现金' }
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('为已缴费的记录开具连续编号的收据', async () => {
+    const issued = await server.request('POST', `/api/records/${paid.localId}/receipt`, { token: treasurerToken });
+    assert.equal(issued.status, 201);
+    assert.equal(issued.body.data.receiptNo, `${year}-000001`);
+
+    const duplicate = await server.request('POST', `/api/records/${paid.localId}/receipt`, { token: treasurerToken });
+    assert.equal(duplicate.status, 409);
+
+    const notPaid = await server.request('POST', `/api/records/${unpaid.localId}/receipt`, { token: treasurerToken });
+    assert.equal(notPaid.status, 400);
+
+    // 登记时自报已缴费，但台账中没有缴费
+    const notInLedger = await server.request('POST', `/api/records/${selfReported.localId}/receipt`, { token: treasurerToken });
+    assert.equal(notInLedger.status, 400);
+
+    const json = await server.request('GET', `/api/records/${paid.localId}/receipt?format=json`, { token: treasurerToken });
+    assert.equal(json.status, 200);
+    assert.equal(json.body.data.receiptNo, `${year}-000001`);
+  });
+
+  it('没有中文字体时无法生成 PDF，未配置邮件服务时无法发送', async () => {
+    const pdf = await server.request('GET', `/api/records/${paid.localId}/receipt`, { token: treasurerToken });
+    assert.equal(pdf.status, 500);
+    const email = await server.request('POST', `/api/records/${paid.localId}/receipt/email`, {
+      token: treasurerToken,
+      body: { to: 'donor@example.com' }
+    });
+    assert.equal(email.status, 503);
+    const plaques = await server.request('GET', '/api/plaques', { token: viewerToken });
+    assert.equal(plaques.status, 500);
+  });
+
+  it('作废收据后可以重新开具，编号不重复使用', async () => {
+    const voided = await server.request('POST', `/api/records/${paid.localId}/receipt/void`, {
+      token: treasurerToken,
+      body: { reason: '抬头错误' }
+    });
+    assert.equal(voided.status, 200);
+
+    const reissued = await server.request('POST', `/api/records/${paid.localId}/receipt`, { token: treasurerToken });
+    assert.equal(reissued.status, 201);
+    assert.equal(reissued.body.data.receiptNo, `${year}-000002`);
+
+    const list = await server.request('GET', '/api/receipts', { token: treasurerToken });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map(receipt => [receipt.receiptNo, receipt.status]), [
+      [`${year}-000002`, 'issued'],
+      [`${year}-000001`, 'void']
+    ]);
+    const voidOnly = await server.request('GET', '/api/receipts?status=void', { token: treasurerToken });
+    assert.equal(voidOnly.body.pagination.totalCount, 1);
+  });
+
+  it('收据需要财务权限', async () => {
+    assert.equal((await server.request('GET', '/api/receipts', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('POST', `/api/records/${paid.localId}/receipt`, { token: viewerToken })).status, 403);
+  });
+});
@@ -0,0 +1,288 @@
+// records.test.js - 提交、查询、修改登记数据
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+describe('提交登记数据 POST /api/records', () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('写入通过校验的记录并计算人民币金额', async () => {
+    const record = makeRecord({ name: '王大明', contact: '王小明' });
+    const { status, body } = await server.request('POST', '/api/records', {
+      body: { data: [record], deviceId: 'device-1', batchId: 'batch-1' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.insertedCount, 1);
+    assert.equal(body.batchId, 'batch-1');
+    assert.equal(body.results[0].status, 'inserted');
+    assert.ok(body.results[0].serverId);
+
+    const list = await server.request('GET', `/api/records?search=${encodeURIComponent('王大明')}`, { token: adminToken });
+    const [saved] = list.body.data;
+    assert.equal(saved.localId, record.localId);
+    assert.equal(saved.deviceId, 'device-1');
+    assert.equal(saved.batchId, 'batch-1');
+    assert.equal(saved.serverId, body.results[0].serverId);
+    assert.equal(saved.exchangeRate, 4.2);
+    assert.equal(saved.amountRMB, Math.round(80000 / 4.2 * 100) / 100);
+    assert.equal(saved.campaign, String(new Date().getFullYear()));
+  });
+
+  it('同一 localId 重复提交时不重复写入', async () => {
+    const record = makeRecord();
+    const first = await server.request('POST', '/api/records', { body: { data: [record] } });
+    const second = await server.request('POST', '/api/records', { body: { data: [record, record] } });
+    assert.equal(first.body.insertedCount, 1);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.insertedCount, 0);
+    assert.equal(second.body.duplicateCount, 2);
+    assert.deepEqual(second.body.results.map(result => result.serverId), [
+      first.body.results[0].serverId,
+      first.body.results[0].serverId
+    ]);
+  });
+
+  it('逐条返回校验错误，其余记录照常写入', async () => {
+    const valid = makeRecord();
+    const { status, body } = await server.request('POST', '/api/records', {
+      body: {
+        data: [
+          valid,
+          makeRecord({ name: '' }),
+          makeRecord({ project: '不存在的项目' }),
+          makeRecord({ amountTWD: 1 }),
+          makeRecord({ payment: '部分缴费' })
+        ]
+      }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.insertedCount, 1);
+    assert.equal(body.rejectedCount, 4);
+    assert.deepEqual(body.results.map(result => result.status), ['inserted', 'rejected', 'rejected', 'rejected', 'rejected']);
+    assert.deepEqual(body.results.slice(1).map(result => result.fieldErrors[0].field), ['name', 'project', 'amountTWD', 'payment']);
+  });
+
+  it('全部记录被拒绝时返回 400', async () => {
+    const { status, body } = await server.request('POST', '/api/records', {
+      body: { data: [makeRecord({ localId: '' })] }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.rejectedCount, 1);
+  });
+
+  it('data 不是数组时返回 400', async () => {
+    const { status } = await server.request('POST', '/api/records', { body: { data: 'x' } });
+    assert.equal(status, 400);
+  });
+
+  it('丢弃未声明的字段', async () => {
+    const record = makeRecord({ deletedAt: null, role: 'admin', $where: '1' });
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+    const { body } = await server.request('GET', `/api/records?search=${encodeURIComponent(record.name)}`, { token: adminToken });
+    assert.equal(body.data[0].role, undefined);
+    assert.equal(body.data[0].$where, undefined);
+  });
+
+  it('已截止或不存在的法会拒绝全部数据', async () => {
+    const year = new Date().getFullYear();
+    await server.request('PUT', `/api/campaigns/${year}`, { token: adminToken, body: { status: 'closed' } });
+    try {
+      const closed = await server.request('POST', '/api/records', { body: { data: [makeRecord()] } });
+      assert.equal(closed.status, 400);
+      assert.equal(closed.body.results[0].fieldErrors[0].field, 'campaign');
+    } finally {
+      await server.request('PUT', `/api/campaigns/${year}`, { token: adminToken, body: { status: 'open' } });
+    }
+
+    const unknown = await server.request('POST', '/api/records', { body: { data: [makeRecord()], campaign: 'no-such' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /法会不存在/);
+  });
+});
+
+describe('查询登记数据 GET /api/records', () => {
+  let server;
+  let viewerToken;
+  let adminToken;
+  const records = [
+    makeRecord({ name: '陈一', contact: '陈先生', payment: '已缴费' }),
+    makeRecord({ name: '林二', content: '祈福陈家', payment: '未缴费' }),
+    makeRecord({ name: '黄三', ...PROJECTS.ancestors, payment: '随喜' }),
+    makeRecord({ name: 'a.b*c', ...PROJECTS.ancestors, payment: '未缴费' })
+  ];
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    viewerToken = await server.tokenFor('viewer', adminToken);
+    await server.request('POST', '/api/records', { body: { data: records, batchId: 'query-batch' } });
+    // 另一届法会的记录
+    await server.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: { code: 'spring', name: '春季法会', startDate: '2020-01-01' }
+    });
+    await server.request('POST', '/api/records', {
+      body: { data: [makeRecord({ name: '春季记录' })], campaign: 'spring' }
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const names = response => response.body.data.map(record => record.name).sort();
+
+  it('需要登录', async () => {
+    assert.equal((await server.request('GET', '/api/records')).status, 401);
+  });
+
+  it('返回分页信息和金额合计', async () => {
+    const { status, body } = await server.request('GET', '/api/records', { token: viewerToken });
+    assert.equal(status, 200);
+    assert.equal(body.pagination.totalCount, 5);
+    assert.equal(body.pagination.page, 1);
+    assert.equal(body.pagination.limit, 50);
+    assert.equal(body.pagination.totalPages, 1);
+    assert.equal(body.stats.count, 5);
+    assert.equal(body.stats.totalAmountTWD, 80000 * 3 + 200 * 2);
+  });
+
+  it('search 匹配姓名、联系人和超荐内容，特殊字符按普通文本匹配', async () => {
+    const chen = await server.request('GET', `/api/records?search=${encodeURIComponent('陈')}`, { token: viewerToken });
+    assert.deepEqual(names(chen), ['林二', '陈一']);
+    const literal = await server.request('GET', `/api/records?search=${encodeURIComponent('b*c')}`, { token: viewerToken });
+    assert.deepEqual(names(literal), ['a.b*c']);
+    const dot = await server.request('GET', `/api/records?search=${encodeURIComponent('.')}`, { token: viewerToken });
+    assert.deepEqual(names(dot), ['a.b*c']);
+  });
+
+  it('按护持项目、缴费状态和法会筛选', async () => {
+    const project = await server.request('GET', `/api/records?project=${encodeURIComponent(PROJECTS.ancestors.project)}`, { token: viewerToken });
+    assert.deepEqual(names(project), ['a.b*c', '黄三']);
+    const paid = await server.request('GET', `/api/records?payment=${encodeURIComponent('已缴费')}`, { token: viewerToken });
+    assert.deepEqual(names(paid), ['陈一']);
+    const campaign = await server.request('GET', '/api/records?campaign=spring', { token: viewerToken });
+    assert.deepEqual(names(campaign), ['春季记录']);
+  });
+
+  it('按提交日期范围筛选', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const yesterday = new Date(Date.now() - day).toISOString();
+    const tomorrow = new Date(Date.now() + day).toISOString();
+    const inRange = await server.request('GET', `/api/records?startDate=${yesterday}&endDate=${tomorrow}`, { token: viewerToken });
+    assert.equal(inRange.body.pagination.totalCount, 5);
+    const future = await server.request('GET', `/api/records?startDate=${tomorrow}`, { token: viewerToken });
+    assert.equal(future.body.pagination.totalCount, 0);
+    const past = await server.request('GET', `/api/records?endDate=${yesterday}`, { token: viewerToken });
+    assert.equal(past.body.pagination.totalCount, 0);
+  });
+
+  it('排序和分页', async () => {
+    const page1 = await server.request('GET', '/api/records?sortBy=amountTWD&sortOrder=asc&limit=2', { token: viewerToken });
+    assert.deepEqual(page1.body.data.map(record => record.amountTWD), [200, 200]);
+    assert.equal(page1.body.pagination.totalPages, 3);
+    const page3 = await server.request('GET', '/api/records?sortBy=amountTWD&sortOrder=asc&limit=2&page=3', { token: viewerToken });
+    assert.equal(page3.body.data.length, 1);
+    assert.equal(page3.body.data[0].amountTWD, 80000);
+  });
+
+  it('默认不含回收站中的记录，includeDeleted=true 时包含', async () => {
+    const target = records[0];
+    await server.request('DELETE', `/api/records/${target.localId}`, { token: adminToken });
+    const visible = await server.request('GET', '/api/records', { token: viewerToken });
+    assert.equal(visible.body.pagination.totalCount, 4);
+    const all = await server.request('GET', '/api/records?includeDeleted=true', { token: viewerToken });
+    assert.equal(all.body.pagination.totalCount, 5);
+    await server.request('POST', `/api/records/${target.localId}/restore`, { token: adminToken });
+  });
+
+  it('无效的查询参数返回 400', async () => {
+    for (const query of ['page=0', 'limit=1000', 'sortBy=password', 'sortOrder=up', 'payment=x', 'startDate=not-a-date']) {
+      const { status, body } = await server.request('GET', `/api/records?${query}`, { token: viewerToken });
+      assert.equal(status, 400, query);
+      assert.ok(body.fieldErrors.length > 0, query);
+    }
+  });
+});
+
+describe('修改登记数据 PATCH /api/records/:id', () => {
+  let server;
+  let adminToken;
+  let registrarToken;
+  let viewerToken;
+  const record = makeRecord({ name: '修改前' });
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    registrarToken = await server.tokenFor('registrar', adminToken);
+    viewerToken = await server.tokenFor('viewer', adminToken);
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('修改字段并记录修改历史', async () => {
+    const { status, body } = await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: registrarToken,
+      body: { name: '修改后', ...PROJECTS.ancestors }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.name, '修改后');
+    assert.equal(body.data.amountRMB, Math.round(200 / 4.2 * 100) / 100);
+    assert.deepEqual(body.changes.map(change => change.field).sort(), ['amountRMB', 'amountTWD', 'method', 'name', 'project']);
+
+    const history = await server.request('GET', `/api/records/${record.localId}/history`, { token: viewerToken });
+    assert.equal(history.status, 200);
+    assert.equal(history.body.data.length, 1);
+    assert.equal(history.body.data[0].changes.find(change => change.field === 'name').before, '修改前');
+  });
+
+  it('没有变化时不写入历史', async () => {
+    const { body } = await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: registrarToken,
+      body: { name: '修改后' }
+    });
+    assert.deepEqual(body.changes, []);
+  });
+
+  it('拒绝不可修改的字段和与项目目录不符的修改', async () => {
+    const readonly = await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: registrarToken,
+      body: { localId: 'other' }
+    });
+    assert.equal(readonly.status, 400);
+    const mismatch = await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: registrarToken,
+      body: { amountTWD: 1 }
+    });
+    assert.equal(mismatch.status, 400);
+    assert.equal(mismatch.body.fieldErrors[0].field, 'amountTWD');
+  });
+
+  it('记录不存在时返回 404，查看者不能修改', async () => {
+    assert.equal((await server.request('PATCH', '/api/records/missing', {
+      token: registrarToken,
+      body: { name: 'x' }
+    })).status, 404);
+    assert.equal((await server.request('GET', '/api/records/missing/history', { token: viewerToken })).status, 404);
+    assert.equal((await server.request('PATCH', `/api/records/${record.localId}`, {
+      token: viewerToken,
+      body: { name: 'x' }
+    })).status, 403);
+  });
+});
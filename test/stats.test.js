@@ -0,0 +1,197 @@
+// stats.test.js - 统计数据、按法会统计及同比、筛选条件及按维度和时区分组
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROJECTS, startServer, makeRecord } = require('./helpers');
+
+// 指定时区的日期（YYYY-MM-DD）和小时（HH）
+function localDate(date, timeZone) {
+  return date.toLocaleDateString('sv-SE', { timeZone });
+}
+
+function localHour(date, timeZone) {
+  return date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', hourCycle: 'h23' });
+}
+
+describe('统计数据 GET /api/stats', () => {
+  let server;
+  let viewerToken;
+  const year = String(new Date().getFullYear());
+
+  before(async () => {
+    server = await startServer();
+    const adminToken = await server.login();
+    viewerToken = await server.tokenFor('viewer', adminToken);
+
+    // 上一届法会（开始日期早于本届），仍开放登记以便写入测试数据
+    await server.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: { code: 'prev', name: '上届法会', startDate: '2020-01-01', endDate: '2099-12-31' }
+    });
+    await server.request('POST', '/api/records', {
+      body: {
+        data: [makeRecord({ payment: '已缴费' }), makeRecord({ ...PROJECTS.ancestors })],
+        campaign: 'prev',
+        deviceId: 'device_a',
+        batchId: 'batch_prev'
+      }
+    });
+
+    await server.request('POST', '/api/records', {
+      body: {
+        data: [
+          makeRecord({ payment: '已缴费', contact: '陈师兄' }),
+          makeRecord({ payment: '未缴费', contact: '陈师兄' }),
+          makeRecord({ ...PROJECTS.ancestors, payment: '已缴费' }),
+          makeRecord({ ...PROJECTS.ancestors, payment: '随喜' })
+        ],
+        campaign: year,
+        deviceId: 'device_b',
+        batchId: 'batch_now'
+      }
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const find = (groups, id) => groups.find(group => group._id === id);
+
+  it('需要登录', async () => {
+    assert.equal((await server.request('GET', '/api/stats')).status, 401);
+  });
+
+  it('汇总全部记录', async () => {
+    const { status, body } = await server.request('GET', '/api/stats', { token: viewerToken });
+    assert.equal(status, 200);
+    assert.equal(body.campaign, null);
+    assert.equal(body.comparison, null);
+    assert.equal(body.overall.totalRecords, 6);
+    assert.equal(body.overall.totalAmountTWD, 80000 * 3 + 200 * 3);
+    assert.equal(body.overall.avgAmountTWD, (80000 * 3 + 200 * 3) / 6);
+
+    assert.equal(find(body.byProject, PROJECTS.deputy.project).count, 3);
+    assert.equal(find(body.byProject, PROJECTS.ancestors.project).totalAmountTWD, 600);
+    assert.equal(body.byProject[0].count >= body.byProject[1].count, true);
+
+    assert.equal(find(body.byPayment, '已缴费').count, 3);
+    assert.equal(find(body.byPayment, '未缴费').count, 2);
+    assert.equal(find(body.byPayment, '随喜').count, 1);
+
+    // 默认按台北时间的日期分组
+    assert.equal(body.timeZone, 'Asia/Taipei');
+    assert.equal(find(body.daily, localDate(new Date(), 'Asia/Taipei')).count, 6);
+    assert.deepEqual(body.groups, {});
+
+    assert.equal(find(body.byCampaign, 'prev').count, 2);
+    assert.equal(find(body.byCampaign, year).count, 4);
+  });
+
+  it('按法会统计并与上一届对比', async () => {
+    const { status, body } = await server.request('GET', `/api/stats?campaign=${year}`, { token: viewerToken });
+    assert.equal(status, 200);
+    assert.equal(body.campaign.code, year);
+    assert.equal(body.overall.totalRecords, 4);
+    assert.equal(body.overall.totalAmountTWD, 80000 * 2 + 200 * 2);
+
+    assert.equal(body.comparison.campaign.code, 'prev');
+    assert.equal(body.comparison.overall.totalRecords, 2);
+    assert.deepEqual(body.comparison.change.totalRecords, { current: 4, previous: 2, difference: 2, percent: 100 });
+    assert.equal(body.comparison.change.totalAmountTWD.previous, 80200);
+  });
+
+  it('compareTo 指定对比的法会', async () => {
+    const { body } = await server.request('GET', `/api/stats?campaign=prev&compareTo=${year}`, { token: viewerToken });
+    assert.equal(body.comparison.campaign.code, year);
+    assert.equal(body.comparison.change.totalRecords.percent, -50);
+  });
+
+  it('没有更早的法会时不返回对比', async () => {
+    const { body } = await server.request('GET', '/api/stats?campaign=prev', { token: viewerToken });
+    assert.equal(body.comparison, null);
+  });
+
+  it('法会不存在时返回 404', async () => {
+    assert.equal((await server.request('GET', '/api/stats?campaign=none', { token: viewerToken })).status, 404);
+    assert.equal((await server.request('GET', `/api/stats?campaign=${year}&compareTo=none`, { token: viewerToken })).status, 404);
+  });
+
+  it('按指定汇率重算人民币金额', async () => {
+    const { status, body } = await server.request('GET', '/api/stats?rate=5', { token: viewerToken });
+    assert.equal(status, 200);
+    assert.equal(body.exchangeRate, 5);
+    assert.equal(body.overall.totalAmountRMB, body.overall.totalAmountTWD / 5);
+    assert.equal(find(body.byProject, PROJECTS.ancestors.project).totalAmountRMB, 120);
+
+    assert.equal((await server.request('GET', '/api/stats?rate=-1', { token: viewerToken })).status, 400);
+    assert.equal((await server.request('GET', '/api/stats?rateDate=x', { token: viewerToken })).status, 400);
+  });
+
+  it('includeDeleted=true 时包含回收站中的记录', async () => {
+    const adminToken = await server.login();
+    const { body: list } = await server.request('GET', `/api/records?campaign=${year}&limit=1`, { token: viewerToken });
+    const id = list.data[0].localId;
+    await server.request('DELETE', `/api/records/${id}`, { token: adminToken });
+
+    const visible = await server.request('GET', '/api/stats', { token: viewerToken });
+    assert.equal(visible.body.overall.totalRecords, 5);
+    const all = await server.request('GET', '/api/stats?includeDeleted=true', { token: viewerToken });
+    assert.equal(all.body.overall.totalRecords, 6);
+
+    await server.request('POST', `/api/records/${id}/restore`, { token: adminToken });
+  });
+
+  it('按与记录列表相同的条件筛选', async () => {
+    const { body } = await server.request('GET', `/api/stats?project=${encodeURIComponent(PROJECTS.deputy.project)}&payment=${encodeURIComponent('已缴费')}`, {
+      token: viewerToken
+    });
+    assert.equal(body.overall.totalRecords, 2);
+    assert.deepEqual(body.byProject.map(group => group._id), [PROJECTS.deputy.project]);
+    // 按法会统计同样按条件筛选
+    assert.equal(find(body.byCampaign, 'prev').count, 1);
+
+    const searched = await server.request('GET', `/api/stats?search=${encodeURIComponent('陈师兄')}`, { token: viewerToken });
+    assert.equal(searched.body.overall.totalRecords, 2);
+
+    const future = await server.request('GET', '/api/stats?startDate=2099-01-01', { token: viewerToken });
+    assert.equal(future.body.overall.totalRecords, 0);
+    assert.deepEqual(future.body.daily, []);
+  });
+
+  it('groupBy 按设备、批次、联系人及日期、小时和周分组', async () => {
+    const startedAt = new Date();
+    const { status, body } = await server.request('GET', `/api/stats?campaign=${year}&groupBy=deviceId,batchId,contact,hour,week,day`, {
+      token: viewerToken
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.groups), ['deviceId', 'batchId', 'contact', 'hour', 'week', 'day']);
+    assert.deepEqual(body.groups.deviceId.map(group => [group._id, group.count]), [['device_b', 4]]);
+    assert.deepEqual(body.groups.batchId.map(group => [group._id, group.count]), [['batch_now', 4]]);
+    assert.deepEqual(body.groups.contact.map(group => [group._id, group.count]), [['', 2], ['陈师兄', 2]]);
+    assert.equal(find(body.groups.contact, '陈师兄').totalAmountTWD, 160000);
+
+    const today = localDate(startedAt, 'Asia/Taipei');
+    assert.deepEqual(body.groups.day.map(group => [group._id, group.count]), [[today, 4]]);
+    assert.match(body.groups.week[0]._id, /^\d{4}-W\d{2}$/);
+    // 测试期间可能刚好跨过整点
+    assert.ok([startedAt, new Date()].some(date => body.groups.hour[0]._id === `${localDate(date, 'Asia/Taipei')} ${localHour(date, 'Asia/Taipei')}:00`));
+  });
+
+  it('按指定的时区分组', async () => {
+    // 两个时区相差 25 小时，同一时间的日期一定不同
+    const east = await server.request('GET', '/api/stats?timeZone=Pacific/Kiritimati', { token: viewerToken });
+    const west = await server.request('GET', '/api/stats?timeZone=Pacific/Pago_Pago', { token: viewerToken });
+    assert.equal(east.body.timeZone, 'Pacific/Kiritimati');
+    assert.equal(east.body.daily[0]._id, localDate(new Date(), 'Pacific/Kiritimati'));
+    assert.equal(west.body.daily[0]._id, localDate(new Date(), 'Pacific/Pago_Pago'));
+    assert.notEqual(east.body.daily[0]._id, west.body.daily[0]._id);
+  });
+
+  it('分组或时区无效时返回 400', async () => {
+    const badGroup = await server.request('GET', '/api/stats?groupBy=deviceId,name', { token: viewerToken });
+    assert.equal(badGroup.status, 400);
+    assert.match(badGroup.body.error, /name/);
+    assert.equal((await server.request('GET', '/api/stats?timeZone=Mars/Olympus', { token: viewerToken })).status, 400);
+    assert.equal((await server.request('GET', '/api/stats?payment=x', { token: viewerToken })).status, 400);
+  });
+});
@@ -0,0 +1,255 @@
+// sync.test.js - 设备增量双向同步：游标拉取、带版本推送及冲突
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeRecord } = require('./helpers');
+
+describe('设备同步 /api/sync', () => {
+  let server;
+  let adminToken;
+  let registrarToken;
+  let viewerToken;
+
+  before(async () => {
+    server = await startServer();
+    adminToken = await server.login();
+    registrarToken = await server.tokenFor('registrar', adminToken);
+    viewerToken = await server.tokenFor('viewer', adminToken);
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function submit(records, deviceId = 'device-a') {
+    const { body } = await server.request('POST', '/api/records', { body: { data: records, deviceId } });
+    assert.equal(body.insertedCount, records.length);
+    return records;
+  }
+
+  async function pull(cursor, query = '') {
+    const since = cursor ? `since=${encodeURIComponent(cursor)}&` : '';
+    const { status, body } = await server.request('GET', `/api/sync?${since}deviceId=device-b${query}`, { token: registrarToken });
+    assert.equal(status, 200);
+    return body;
+  }
+
+  // 从 cursor 开始拉取到没有更多变更为止，返回合并的结果和最后的游标
+  async function pullAll(cursor, query = '') {
+    const changes = [];
+    const deleted = [];
+    let page;
+    do {
+      page = await pull(cursor, query);
+      changes.push(...page.changes);
+      deleted.push(...page.deleted);
+      cursor = page.cursor;
+    } while (page.hasMore);
+    return { changes, deleted, cursor };
+  }
+
+  function push(changes) {
+    return server.request('POST', '/api/sync', { token: registrarToken, body: { deviceId: 'device-b', changes } });
+  }
+
+  it('需要登记员权限', async () => {
+    assert.equal((await server.request('GET', '/api/sync')).status, 401);
+    assert.equal((await server.request('GET', '/api/sync', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('POST', '/api/sync', { token: viewerToken, body: { changes: [] } })).status, 403);
+  });
+
+  it('首次拉取返回全部记录，之后只返回游标之后的变更', async () => {
+    const [first, second] = await submit([makeRecord({ name: '同步一' }), makeRecord({ name: '同步二' })]);
+
+    const initial = await pullAll(null);
+    const pulled = initial.changes.filter(record => [first.localId, second.localId].includes(record.localId));
+    assert.equal(pulled.length, 2);
+    assert.ok(pulled.every(record => record.version === 1 && record.deviceId === 'device-a'));
+
+    const empty = await pull(initial.cursor);
+    assert.deepEqual(empty.changes, []);
+    assert.deepEqual(empty.deleted, []);
+    assert.equal(empty.hasMore, false);
+
+    // 管理后台的修改出现在下一次拉取中，版本加 1
+    const patch = await server.request('PATCH', `/api/records/${first.localId}`, {
+      token: registrarToken,
+      body: { content: '后台更正' }
+    });
+    assert.equal(patch.status, 200);
+    assert.equal(patch.body.data.version, 2);
+
+    const next = await pull(initial.cursor);
+    assert.deepEqual(next.changes.map(record => [record.localId, record.version, record.content]), [[first.localId, 2, '后台更正']]);
+  });
+
+  it('分页拉取不遗漏也不重复，同一次批量删除不拆分到两页', async () => {
+    const { cursor } = await pullAll(null);
+    const records = await submit(Array.from({ length: 5 }, () => makeRecord()));
+
+    const paged = await pullAll(cursor, '&limit=2');
+    assert.deepEqual(paged.changes.map(record => record.localId), records.map(record => record.localId));
+
+    // 同一批次的删除共用一个变更序号，limit=1 时也一次返回
+    const batchRecords = await submit(Array.from({ length: 3 }, () => makeRecord()));
+    const batch = await server.request('GET', `/api/records?search=${encodeURIComponent(batchRecords[0].name)}`, { token: viewerToken });
+    const batchId = batch.body.data[0].batchId;
+    const afterInsert = (await pullAll(paged.cursor)).cursor;
+    await server.request('DELETE', `/api/records/batch?batchId=${encodeURIComponent(batchId)}`, { token: adminToken });
+
+    const page = await pull(afterInsert, '&limit=1');
+    assert.equal(page.hasMore, false);
+    assert.deepEqual(page.deleted.map(entry => entry.localId).sort(), batchRecords.map(record => record.localId).sort());
+    assert.ok(page.deleted.every(entry => entry.purged === false && entry.deletedAt));
+  });
+
+  it('按版本推送修改，版本不一致时返回冲突而不覆盖', async () => {
+    const [record] = await submit([makeRecord({ contact: '原联系人' })]);
+
+    const applied = await push([{ localId: record.localId, version: 1, fields: { contact: '设备修改' } }]);
+    assert.equal(applied.status, 200);
+    assert.equal(applied.body.appliedCount, 1);
+    assert.equal(applied.body.results[0].status, 'applied');
+    assert.equal(applied.body.results[0].version, 2);
+
+    // 另一台设备仍以版本 1 推送
+    const conflict = await push([{ localId: record.localId, version: 1, fields: { contact: '另一台设备' } }]);
+    assert.equal(conflict.body.conflictCount, 1);
+    const result = conflict.body.results[0];
+    assert.equal(result.status, 'conflict');
+    assert.equal(result.version, 2);
+    assert.equal(result.record.contact, '设备修改');
+    assert.deepEqual(result.conflictingFields, ['contact']);
+
+    // 与服务器上的修改相同时不算冲突
+    const same = await push([{ localId: record.localId, version: 1, fields: { contact: '设备修改' } }]);
+    assert.equal(same.body.results[0].status, 'unchanged');
+
+    // 以最新版本重新推送后生效，修改历史记录设备
+    const resolved = await push([{ localId: record.localId, version: 2, fields: { contact: '解决冲突' } }]);
+    assert.equal(resolved.body.results[0].status, 'applied');
+    const history = await server.request('GET', `/api/records/${record.localId}/history`, { token: viewerToken });
+    assert.deepEqual(history.body.data.map(entry => [entry.version, entry.deviceId]), [[3, 'device-b'], [2, 'device-b']]);
+  });
+
+  it('推送结果包含未找到、已删除和未通过校验的记录', async () => {
+    const [deletedRecord, record] = await submit([makeRecord(), makeRecord()]);
+    await server.request('DELETE', `/api/records/${deletedRecord.localId}`, { token: adminToken });
+
+    const { status, body } = await push([
+      { localId: 'no-such-record', version: 1, fields: { content: 'x' } },
+      { localId: deletedRecord.localId, version: 1, fields: { content: 'x' } },
+      { localId: record.localId, version: 1, fields: { batchId: 'x' } },
+      { localId: record.localId, version: 1, fields: { payment: '不存在' } }
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.status), ['not-found', 'deleted', 'rejected', 'rejected']);
+    assert.match(body.results[2].error, /不可修改的字段/);
+    assert.equal(body.results[3].fieldErrors[0].field, 'payment');
+  });
+
+  it('请求格式不正确时返回 400', async () => {
+    assert.equal((await server.request('GET', '/api/sync?since=not-a-cursor', { token: registrarToken })).status, 400);
+    assert.equal((await push([])).status, 400);
+
+    const { status, body } = await push([{ localId: 'x', fields: {} }]);
+    assert.equal(status, 400);
+    assert.equal(body.changeErrors[0].index, 0);
+  });
+});
+
+describe('设备同步：永久删除', () => {
+  let server;
+
+  before(async () => {
+    // 回收站中的记录立即过期，并且很快被清理
+    server = await startServer({ TRASH_RETENTION_DAYS: '-1', TRASH_PURGE_INTERVAL_MS: '200' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('永久删除的记录在拉取时作为删除返回', async () => {
+    const adminToken = await server.login();
+    const record = makeRecord();
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+
+    const initial = await server.request('GET', '/api/sync', { token: adminToken });
+    assert.deepEqual(initial.body.changes.map(item => item.localId), [record.localId]);
+
+    await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+
+    let trash;
+    for (let i = 0; i < 50; i++) {
+      trash = await server.request('GET', '/api/records/trash', { token: adminToken });
+      if (trash.body.data.length === 0) break;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(trash.body.data.length, 0);
+
+    const { body } = await server.request('GET', `/api/sync?since=${encodeURIComponent(initial.body.cursor)}`, { token: adminToken });
+    assert.deepEqual(body.changes, []);
+    assert.deepEqual(body.deleted.map(entry => [entry.localId, entry.purged]), [[record.localId, true]]);
+  });
+});
+
+describe('修改时记录在读取之后被其他人修改或删除', () => {
+  let database;
+  let recordRepository;
+  let updateRecordFields;
+  const actor = { username: 'admin', role: 'admin', ip: null };
+
+  before(async () => {
+    // 在本进程中以内存存储直接调用，制造读取记录与更新之间的修改和删除
+    process.env.STORAGE_DRIVER = 'memory';
+    database = require('../server/database');
+    ({ recordRepository } = require('../server/repositories'));
+    ({ updateRecordFields } = require('../server/recordUpdates'));
+    await database.connect();
+  });
+
+  after(async () => {
+    await database.disconnect();
+  });
+
+  function insertRecord() {
+    return recordRepository.insert({ ...makeRecord(), deletedAt: null, submittedAt: new Date() });
+  }
+
+  it('读取之后被其他人修改时返回冲突，不留下为这次修改新建的功德主', async () => {
+    const record = await insertRecord();
+    await recordRepository.update({ _id: record._id }, { $set: { content: '其他人的修改' } });
+
+    const result = await updateRecordFields(record, { name: '冲突时的新姓名' }, actor, { expectedVersion: record.version });
+    assert.equal(result.status, 'conflict');
+    assert.equal(result.record.content, '其他人的修改');
+    assert.equal(await database.donors().countDocuments({ name: '冲突时的新姓名' }), 0);
+    assert.equal(await database.donorKeys().countDocuments({ key: /^冲突时的新姓名/ }), 0);
+  });
+
+  it('读取之后移入回收站时返回 deleted', async () => {
+    const record = await insertRecord();
+    await recordRepository.softDelete({ _id: record._id }, 'admin');
+
+    const result = await updateRecordFields(record, { content: '修改' }, actor, { expectedVersion: record.version });
+    assert.equal(result.status, 'deleted');
+    assert.ok(result.record.deletedAt);
+  });
+
+  it('不带版本修改时也不修改读取之后移入回收站的记录', async () => {
+    const record = await insertRecord();
+    await recordRepository.softDelete({ _id: record._id }, 'admin');
+
+    const result = await updateRecordFields(record, { content: '修改' }, actor);
+    assert.equal(result.status, 'deleted');
+    assert.equal((await recordRepository.findOne({ _id: record._id })).content, record.content);
+  });
+
+  it('读取之后永久删除时返回 not-found', async () => {
+    const record = await insertRecord();
+    await recordRepository.purge({ _id: record._id });
+
+    const result = await updateRecordFields(record, { content: '修改' }, actor, { expectedVersion: record.version });
+    assert.equal(result.status, 'not-found');
+  });
+});
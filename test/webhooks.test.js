@@ -0,0 +1,217 @@
+// webhooks.test.js - 对外通知：签名的通知发送到本地的接收服务器，失败重试、发送记录及重新发送
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer, makeRecord } = require('./helpers');
+
+// 等待通知的超时（毫秒）
+const WAIT_TIMEOUT_MS = 5000;
+
+// 本地的接收服务器：记录收到的请求，statuses 为依次返回的状态码（用完后返回 200）
+async function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    statuses,
+    url: pathname => `http://127.0.0.1:${server.address().port}${pathname}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function waitUntil(check, description) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`等待${description}超时`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('对外通知 /api/webhooks', () => {
+  let server;
+  let receiver;
+  let adminToken;
+
+  before(async () => {
+    server = await startServer({
+      WEBHOOK_POLL_INTERVAL_MS: '100',
+      WEBHOOK_RETRY_BASE_MS: '50',
+      WEBHOOK_MAX_ATTEMPTS: '3',
+      WEBHOOK_TIMEOUT_MS: '2000'
+    });
+    receiver = await startReceiver();
+    adminToken = await server.login();
+  });
+
+  after(async () => {
+    await server.stop();
+    await receiver.close();
+  });
+
+  async function createWebhook(body) {
+    const { status, body: result } = await server.request('POST', '/api/webhooks', { token: adminToken, body });
+    assert.equal(status, 201);
+    return result;
+  }
+
+  // 收到的发往 pathname 的请求
+  function receivedAt(pathname) {
+    return receiver.received.filter(request => request.path === pathname);
+  }
+
+  // 等待发送记录不再是 pending
+  function waitForDelivery(deliveryId) {
+    return waitUntil(async () => {
+      const { body } = await server.request('GET', `/api/webhooks/deliveries/${deliveryId}`, { token: adminToken });
+      return body.data.status !== 'pending' && body.data;
+    }, `发送记录 ${deliveryId}`);
+  }
+
+  it('需要管理员权限，校验接收地址和订阅的事件', async () => {
+    const viewerToken = await server.tokenFor('viewer', adminToken);
+    assert.equal((await server.request('GET', '/api/webhooks')).status, 401);
+    assert.equal((await server.request('GET', '/api/webhooks', { token: viewerToken })).status, 403);
+    assert.equal((await server.request('GET', '/api/webhooks/deliveries', { token: viewerToken })).status, 403);
+
+    const badUrl = await server.request('POST', '/api/webhooks', { token: adminToken, body: { url: 'ftp://x', events: ['*'] } });
+    assert.equal(badUrl.status, 400);
+    const badEvents = await server.request('POST', '/api/webhooks', {
+      token: adminToken,
+      body: { url: receiver.url('/x'), events: ['record.created', 'stats.delta'] }
+    });
+    assert.equal(badEvents.status, 400);
+    assert.equal(badEvents.body.fieldErrors[0].field, 'events');
+    assert.equal((await server.request('POST', '/api/webhooks', { token: adminToken, body: { url: receiver.url('/x') } })).status, 400);
+  });
+
+  it('按订阅的事件发送签名的通知', async () => {
+    const { data: webhook, secret } = await createWebhook({
+      url: receiver.url('/accounting'),
+      description: '会计表格',
+      events: ['record.created', 'payment.added']
+    });
+    assert.match(secret, /^whsec_/);
+    const list = await server.request('GET', '/api/webhooks', { token: adminToken });
+    assert.equal(list.body.data.find(item => item.webhookId === webhook.webhookId).secret, undefined);
+
+    const record = makeRecord();
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+    const [created] = await waitUntil(() => receivedAt('/accounting').length > 0 && receivedAt('/accounting'), '新登记的通知');
+    assert.equal(created.headers['x-webhook-event'], 'record.created');
+    assert.equal(created.headers['x-webhook-id'], webhook.webhookId);
+    assert.equal(created.json.event, 'record.created');
+    assert.equal(created.json.data.records[0].localId, record.localId);
+    assert.equal(created.json.deliveryId, created.headers['x-webhook-delivery']);
+
+    // 以密钥验证签名
+    const timestamp = created.headers['x-webhook-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${created.body}`).digest('hex')}`;
+    assert.equal(created.headers['x-webhook-signature'], expected);
+
+    // 没有订阅修改记录
+    await server.request('PATCH', `/api/records/${record.localId}`, { token: adminToken, body: { content: '改' } });
+    await server.request('POST', `/api/records/${record.localId}/payments`, { token: adminToken, body: { amount: 100, method: '现金' } });
+    await waitUntil(() => receivedAt('/accounting').length === 2, '缴费的通知');
+    const paid = receivedAt('/accounting')[1];
+    assert.equal(paid.json.event, 'payment.added');
+    assert.equal(paid.json.data.payment.amountTWD, 100);
+    assert.equal(paid.json.data.record.paidAmountTWD, 100);
+
+    const deliveries = await server.request('GET', `/api/webhooks/deliveries?webhookId=${webhook.webhookId}`, { token: adminToken });
+    assert.deepEqual(deliveries.body.data.map(delivery => delivery.event), ['payment.added', 'record.created']);
+    assert.ok(deliveries.body.data.every(delivery => delivery.status === 'delivered' && delivery.payload === undefined));
+
+    await server.request('DELETE', `/api/webhooks/${webhook.webhookId}`, { token: adminToken });
+  });
+
+  it('发送失败时按退避时间重试，成功后记录每次尝试的结果', async () => {
+    const { data: webhook } = await createWebhook({ url: receiver.url('/flaky'), events: ['*'] });
+    receiver.statuses.push(500, 503);
+
+    const ping = await server.request('POST', `/api/webhooks/${webhook.webhookId}/test`, { token: adminToken });
+    assert.equal(ping.status, 202);
+    const delivery = await waitForDelivery(ping.body.data.deliveryId);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attemptCount, 3);
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    assert.equal(delivery.payload.event, 'webhook.ping');
+    // 第二次重试的间隔加倍
+    const [first, second, third] = delivery.attempts.map(attempt => new Date(attempt.at).getTime());
+    assert.ok(second - first >= 50);
+    assert.ok(third - second >= 100);
+
+    await server.request('DELETE', `/api/webhooks/${webhook.webhookId}`, { token: adminToken });
+  });
+
+  it('超过尝试次数后为发送失败，修正接收地址后可以重新发送', async () => {
+    receiver.statuses.push(500, 500, 500);
+    const { data: webhook } = await createWebhook({ url: receiver.url('/down'), events: ['record.deleted'] });
+    const record = makeRecord();
+    await server.request('POST', '/api/records', { body: { data: [record] } });
+    await server.request('DELETE', `/api/records/${record.localId}`, { token: adminToken });
+
+    const { deliveryId } = await waitUntil(async () => {
+      const { body } = await server.request('GET', `/api/webhooks/deliveries?webhookId=${webhook.webhookId}`, { token: adminToken });
+      return body.data[0];
+    }, '删除记录的通知');
+    const failed = await waitForDelivery(deliveryId);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attemptCount, 3);
+    assert.equal(failed.lastError, 'HTTP 500');
+
+    const filtered = await server.request('GET', '/api/webhooks/deliveries?status=failed', { token: adminToken });
+    assert.ok(filtered.body.data.some(delivery => delivery.deliveryId === deliveryId));
+
+    await server.request('PUT', `/api/webhooks/${webhook.webhookId}`, { token: adminToken, body: { url: receiver.url('/fixed') } });
+    const replay = await server.request('POST', `/api/webhooks/deliveries/${deliveryId}/replay`, { token: adminToken });
+    assert.equal(replay.status, 202);
+    assert.equal(replay.body.data.replayOf, deliveryId);
+    const replayed = await waitForDelivery(replay.body.data.deliveryId);
+    assert.equal(replayed.status, 'delivered');
+
+    const [request] = receivedAt('/fixed');
+    assert.equal(request.json.eventId, failed.eventId);
+    assert.deepEqual(request.json.data.ids.map(item => item.localId), [record.localId]);
+
+    // 停用后不能重新发送或测试
+    await server.request('PUT', `/api/webhooks/${webhook.webhookId}`, { token: adminToken, body: { active: false } });
+    assert.equal((await server.request('POST', `/api/webhooks/deliveries/${deliveryId}/replay`, { token: adminToken })).status, 409);
+    assert.equal((await server.request('POST', `/api/webhooks/${webhook.webhookId}/test`, { token: adminToken })).status, 409);
+    assert.equal((await server.request('POST', '/api/webhooks/deliveries/whd_missing/replay', { token: adminToken })).status, 404);
+  });
+
+  it('更换密钥后以新密钥签名，删除后不再发送', async () => {
+    const { data: webhook, secret } = await createWebhook({ url: receiver.url('/rotate'), events: ['record.created'] });
+    const rotated = await server.request('POST', `/api/webhooks/${webhook.webhookId}/secret`, { token: adminToken });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.secret, secret);
+
+    const ping = await server.request('POST', `/api/webhooks/${webhook.webhookId}/test`, { token: adminToken });
+    await waitForDelivery(ping.body.data.deliveryId);
+    const [request] = receivedAt('/rotate');
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = `sha256=${crypto.createHmac('sha256', rotated.body.secret).update(`${timestamp}.${request.body}`).digest('hex')}`;
+    assert.equal(request.headers['x-webhook-signature'], expected);
+
+    const deleted = await server.request('DELETE', `/api/webhooks/${webhook.webhookId}`, { token: adminToken });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.request('DELETE', `/api/webhooks/${webhook.webhookId}`, { token: adminToken })).status, 404);
+    await server.request('POST', '/api/records', { body: { data: [makeRecord()] } });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(receivedAt('/rotate').length, 1);
+  });
+});